@@ -18,15 +18,106 @@ export const CONFIG = {
         hideDelay: 200         // Delay before hiding popup on mouseleave
     },
 
+    // Keyboard shortcuts (see utils/KeyboardShortcut.js for the format)
+    shortcuts: {
+        pinWord: 'Alt+Shift+A', // Pin the popup for the word at the caret / selection
+        nextWord: 'Alt+Shift+N', // Step to the next highlighted word
+        prevWord: 'Alt+Shift+P'  // Step to the previous highlighted word
+    },
+
+    // Re-highlighting content added/changed after page load (milliseconds)
+    liveHighlight: {
+        debounceMs: 150,       // Quiet period that ends a burst of mutations
+        maxWaitMs: 1000,       // Flush at least this often during a long burst
+        ignoreSelector: '#asl-video-popup-host'  // Our own UI, never highlighted
+    },
+
+    // How highlight passes search text for glossary words (model/text-matcher.js)
+    matching: {
+        trie: false            // utils/TrieMatcher.js instead of one alternation regex
+    },
+
+    // Full highlight passes over big pages match text in a Web Worker
+    // (worker/match-worker.js) and build Ranges in idle time
+    matchWorker: {
+        enabled: true,
+        minChars: 50000,       // Pages with less text are matched inline (no round trip)
+        idleTimeoutMs: 100     // Longest wait for an idle slice to build Ranges in
+    },
+
     // Video paths
     video: {
         basePath: '../archive/asl_lex_videos/',
-        glossaryPath: '../archive/asl-lex-glossary.json'
+        glossaryPath: '../archive/asl-lex-glossary.json',
+        rulesPath: '../archive/asl-lex-rules.json',  // Built from scripts/data/glossary-rules.json
+        // Load the sharded glossary (build with --sharded): a small index at
+        // startup, each word's entries when text containing it is prepared
+        sharded: false,
+        indexPath: '../archive/asl-lex-glossary/index.json'
+    },
+
+    // Browser extension: paths relative to the extension root (manifest.json),
+    // resolved with chrome.runtime.getURL() by the content/background scripts
+    extension: {
+        glossaryPath: 'archive/asl-lex-glossary.json',
+        rulesPath: 'archive/asl-lex-rules.json',
+        indexPath: 'archive/asl-lex-glossary/index.json',
+        videoDir: 'archive/asl_lex_videos/',
+        fingerspellDir: 'archive/asl_fingerspelling/'
+    },
+
+    // Fingerspelling fallback (words with no ASL-LEX sign)
+    fingerspell: {
+        basePath: '../archive/asl_fingerspelling/',
+        letterMs: 600,         // How long each handshape shows at 1x speed
+        wordGapMs: 1200,       // Pause before the word loops / between words
+        minSpeed: 0.5,
+        maxSpeed: 2
+    },
+
+    // Sign video playback controls (pinned popup)
+    playback: {
+        rates: [0.25, 0.5, 0.75, 1, 1.25, 1.5],  // Speed menu; first/last are the limits
+        frameSeconds: 1 / 30   // One frame step (clips are ~30 fps)
+    },
+
+    // Words around a hovered word that disambiguation reads (model/context-window.js)
+    context: {
+        window: 'sentence',    // 'sentence' | 'tokens' | 'section' | 'paragraph'
+        tokens: 12,            // Words either side for 'tokens' and for widening short sentences
+        minTokens: 6,          // A sentence with fewer other words is widened
+        halfLife: 8,           // Words away at which a context word counts half (Infinity = no decay)
+        minWeight: 0.1         // Floor for distant words still inside the window
+    },
+
+    // Part of speech of the hovered word in its sentence (model/pos-tagger.js)
+    partOfSpeech: {
+        weight: 5              // Per variant whose lexicalClass matches the tag
+    },
+
+    // Curated collocation rules (model/glossary-rules.js)
+    rules: {
+        variantWeight: 10      // Per variant a rule forces (+) or rules out (-)
+    },
+
+    // Remembered variant corrections (model/feedback-store.js)
+    feedback: {
+        similarWeight: 4,      // Per past correction made in a similar context
+        wordWeight: 1,         // Per past correction to the same word, any context
+        minSharedTokens: 2,    // Context words in common for "similar"
+        maxContextTokens: 60,  // Context words kept per correction
+        maxRecords: 500        // Oldest corrections dropped past this
+    },
+
+    // Developer aids
+    debug: {
+        disambiguation: false  // "Why this sign?" score breakdown in the pinned popup
     },
 
     // Highlight appearance
     highlight: {
         color: "yellow",       // Active color (set via setHighlightColor)
+        focusColor: "rgba(255, 140, 0, 0.6)",  // Match reached by keyboard navigation
         presets: {
             yellow:   "rgba(255, 255, 0, 0.4)",
             green:    "rgba(0, 255, 127, 0.4)",
@@ -0,0 +1,47 @@
+/**
+ * Extension Background Service Worker
+ *
+ * Owns the full ASL-LEX glossary (VideoData) so each tab doesn't have to
+ * fetch and parse it. Content scripts send their page text and get back
+ * only the entries + inflections (and glossary rules) that page needs.
+ *
+ * The worker can be stopped and restarted by the browser at any time;
+ * re-running this module simply reloads the glossary.
+ */
+
+import { CONFIG } from "../config.js";
+import { VideoData } from "../model/video-data.js";
+import { MESSAGES } from "./messages.js";
+
+CONFIG.video.glossaryPath = chrome.runtime.getURL(CONFIG.extension.glossaryPath);
+CONFIG.video.rulesPath = chrome.runtime.getURL(CONFIG.extension.rulesPath);
+CONFIG.video.indexPath = chrome.runtime.getURL(CONFIG.extension.indexPath);
+
+// The glossary, loaded once. A failed load (fetch error, invalid glossary)
+// rejects instead of looking ready, and the next lookup tries again.
+let ready = null;
+
+function glossaryReady() {
+  ready ??= VideoData.init()
+    .then(() => {
+      if (!VideoData.isLoaded) throw new Error("Glossary not loaded");
+    })
+    .catch((error) => {
+      ready = null;
+      throw error;
+    });
+  return ready;
+}
+
+// Start loading now; a failure is answered to each lookup
+glossaryReady().catch(() => {});
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message?.type !== MESSAGES.LOOKUP_PAGE) return false;
+
+  glossaryReady()
+    .then(() => VideoData.ensureEntriesForText(message.text))
+    .then(() => sendResponse(VideoData.getSubsetForText(message.text)))
+    .catch((error) => sendResponse({ error: error.message }));
+  return true; // keep the channel open for the async response
+});
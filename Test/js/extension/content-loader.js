@@ -0,0 +1,11 @@
+/**
+ * Extension Content Script Loader
+ *
+ * Manifest content scripts can't be ES modules, so this classic script
+ * just imports the real entry point. The module (and everything it
+ * imports) is listed under web_accessible_resources in manifest.json.
+ */
+
+(async () => {
+  await import(chrome.runtime.getURL("Test/js/extension/content.js"));
+})();
@@ -0,0 +1,39 @@
+/**
+ * Extension Content Script (ES module, imported by content-loader.js)
+ *
+ * Runs the highlight + popup presenters against the live page:
+ *   1. Point asset paths at the extension package (chrome.runtime.getURL)
+ *   2. Highlight document.body — no test-page control panel required —
+ *      after asking the background worker for the glossary slice the
+ *      page needs
+ *   3. Text added later (infinite scroll, SPA navigation) gets its own
+ *      lookup before it is highlighted, merged into what's loaded
+ */
+
+import { CONFIG } from "../config.js";
+import { VideoData } from "../model/video-data.js";
+import { AppOverlayPresenter } from "../presenter/app-overlay-presenter.js";
+import { MESSAGES } from "./messages.js";
+
+CONFIG.video.basePath = chrome.runtime.getURL(CONFIG.extension.videoDir);
+CONFIG.fingerspell.basePath = chrome.runtime.getURL(CONFIG.extension.fingerspellDir);
+
+// The glossary subset for `text`; rejects when the background couldn't
+// load the glossary (or didn't answer)
+async function lookupGlossary(text) {
+  const reply = await chrome.runtime.sendMessage({ type: MESSAGES.LOOKUP_PAGE, text });
+  if (!reply || reply.error) throw new Error(reply?.error ?? "No glossary from the background worker");
+  return reply;
+}
+
+// The first lookup (highlightPage) loads the glossary: merge() loads
+// when nothing is loaded yet. A failed lookup or an invalid subset
+// rejects, and the presenters leave that text unhighlighted.
+AppOverlayPresenter.init({
+  container: document.body,
+  prepareText: async (text) => {
+    const result = VideoData.merge(await lookupGlossary(text));
+    if (!result.valid) throw new Error(`Glossary not loaded: ${result.error}`);
+  },
+});
+AppOverlayPresenter.highlightPage();
@@ -0,0 +1,10 @@
+/**
+ * Message types shared by the extension's content script and background
+ * service worker (chrome.runtime.sendMessage / onMessage).
+ */
+
+export const MESSAGES = {
+  // content → background: { type, text } → glossary subset for that text,
+  // or { error } when the glossary couldn't be loaded
+  LOOKUP_PAGE: "glossary:lookup-page",
+};
@@ -0,0 +1,34 @@
+/**
+ * Test Page Entry Point (mvp_test.html)
+ *
+ * Wires the test page's control panel into AppOverlayPresenter and loads
+ * the sample article. The browser extension boots from
+ * extension/content.js instead.
+ */
+
+import { VideoData } from "./model/video-data.js";
+import { AppOverlayPresenter } from "./presenter/app-overlay-presenter.js";
+import { HighlightOverlayPresenter } from "./presenter/highlight-overlay-presenter.js";
+import { PerfLogger } from "./utils/PerfLogger.js";
+
+// Start app when DOM is ready
+document.addEventListener("DOMContentLoaded", async () => {
+  // mvp_test.html?perf records from the start, glossary load included
+  if (new URLSearchParams(location.search).has("perf")) PerfLogger.enable();
+
+  await VideoData.init();
+
+  AppOverlayPresenter.init({
+    container: document.getElementById("article-container"),
+    wordChips: document.getElementById("word-chips"),
+    toggleBtn: document.getElementById("clear-btn"),
+    result: document.getElementById("result"),
+    settings: document.getElementById("settings-panel"),
+    // Sharded glossary: load the entries for the words on the page
+    prepareText: (text) => VideoData.ensureEntriesForText(text),
+  });
+  AppOverlayPresenter.loadArticle("asl_article.html");
+
+  // Expose for DevTools console access
+  window.highlightPresenter = HighlightOverlayPresenter;
+});
@@ -0,0 +1,172 @@
+/**
+ * Context Window Model
+ * Chooses which words around a hovered match disambiguation looks at, and
+ * how much each one counts.
+ *
+ * Works on flattened text: a container's text with inline elements (<a>,
+ * <em>, …) run together and "\n" at block boundaries and <br>s, as built
+ * by HighlightOverlayPresenter. A sentence that runs through a link is
+ * still one sentence; a list item never bleeds into the next one.
+ *
+ * Windows (CONFIG.context.window):
+ *   "sentence"  — the sentence around the word, widened to "tokens" when
+ *                 it has fewer than minTokens other words
+ *   "tokens"    — N words either side
+ *   "section"   — from the heading above the word to the next heading of
+ *                 the same or a higher level
+ *   "paragraph" — the whole text passed in
+ *
+ * Each word's weight decays with its distance in words from the target:
+ * 1 right next to it, 1/2 at halfLife + 1 words away, never below
+ * minWeight. VideoData scales the Lesk layer's points by these weights.
+ */
+
+import { CONFIG } from "../config.js";
+import { tokenize } from "./tokenizer.js";
+
+// Windows count words as the tokenizer splits them
+export { tokenize };
+
+// A sentence ends at . ! ? (and any closing quotes/brackets) followed by
+// whitespace, or at a line break
+const SENTENCE_END = /[.!?]+["'”’)\]]*(?=\s|$)|\n/g;
+
+/**
+ * The sentence containing text[start, end).
+ *
+ * @returns {{ start: number, end: number }}
+ */
+export function sentenceBounds(text, start, end = start) {
+  let from = 0;
+  let to = text.length;
+
+  for (const m of text.matchAll(SENTENCE_END)) {
+    const breakEnd = m.index + m[0].length;
+    if (breakEnd <= start) {
+      from = breakEnd;
+    } else if (m.index >= end) {
+      to = breakEnd;
+      break;
+    }
+    // A break inside the word itself ("U.S.") doesn't end anything
+  }
+
+  return { start: from, end: to };
+}
+
+/**
+ * The heading section containing `start`: from the last heading at or
+ * before it to the next heading of the same or a higher level (any
+ * heading, if the text before the first heading).
+ *
+ * @param {Array<{ start: number, level: number }>} headings — in text order
+ * @param {number} start
+ * @param {number} length — text length
+ * @returns {{ start: number, end: number }}
+ */
+export function sectionBounds(headings, start, length) {
+  let from = 0;
+  let level = 0;
+  for (const h of headings) {
+    if (h.start > start) break;
+    from = h.start;
+    level = h.level;
+  }
+
+  let to = length;
+  for (const h of headings) {
+    if (h.start > start && (level === 0 || h.level <= level)) {
+      to = h.start;
+      break;
+    }
+  }
+
+  return { start: from, end: to };
+}
+
+/**
+ * Weight of a word `distance` words away from the target.
+ */
+export function decayWeight(distance) {
+  if (distance <= 1) return 1;
+  const { halfLife, minWeight } = CONFIG.context;
+  const weight = Math.max(minWeight, 0.5 ** ((distance - 1) / halfLife));
+  return Math.round(weight * 100) / 100;
+}
+
+export const ContextWindow = {
+  /**
+   * Cut the context window for the word at text[start, end).
+   *
+   * @param {string} text — flattened text
+   * @param {number} start — the target's offset in `text`
+   * @param {number} end — end of the target (phrases span several words)
+   * @param {object} [options]
+   * @param {string} [options.window] — defaults to CONFIG.context.window
+   * @param {Array<{ start: number, level: number }>} [options.headings]
+   *   — heading offsets, needed by the "section" window
+   * @returns {{ start: number, end: number, contextWords: string[],
+   *             contextWeights: Map<string, number> }}
+   *   the window's bounds in `text`, its words in order, and each
+   *   distinct word's weight (the nearest occurrence wins)
+   */
+  extract(text, start, end = start, { window = CONFIG.context.window, headings = [] } = {}) {
+    const tokens = tokenize(text);
+
+    // Target tokens: every token overlapping [start, end)
+    let first = tokens.findIndex((t) => t.end > start);
+    if (first < 0) first = tokens.length;
+    let last = first;
+    while (last + 1 < tokens.length && tokens[last + 1].start < end) last++;
+
+    const aroundTarget = () => {
+      const n = CONFIG.context.tokens;
+      const before = tokens[Math.max(0, first - n)];
+      const after = tokens[Math.min(tokens.length - 1, last + n)];
+      return { start: before?.start ?? 0, end: after?.end ?? text.length };
+    };
+
+    let bounds;
+    switch (window) {
+      case "paragraph":
+        bounds = { start: 0, end: text.length };
+        break;
+      case "section":
+        bounds = sectionBounds(headings, start, text.length);
+        break;
+      case "tokens":
+        bounds = aroundTarget();
+        break;
+      default: {
+        bounds = sentenceBounds(text, start, end);
+        const others = tokens.filter(
+          (t) => t.start >= bounds.start && t.end <= bounds.end && (t.end <= start || t.start >= end)
+        ).length;
+        if (others < CONFIG.context.minTokens) {
+          // Short sentence ("Book it!") — borrow words from its neighbours
+          const wide = aroundTarget();
+          bounds = {
+            start: Math.min(bounds.start, wide.start),
+            end: Math.max(bounds.end, wide.end),
+          };
+        }
+      }
+    }
+
+    const contextWords = [];
+    const contextWeights = new Map();
+
+    for (let i = 0; i < tokens.length; i++) {
+      const t = tokens[i];
+      if (t.start < bounds.start || t.end > bounds.end) continue;
+
+      const distance = i < first ? first - i : i > last ? i - last : 0;
+      const weight = decayWeight(distance);
+
+      contextWords.push(t.word);
+      if (weight > (contextWeights.get(t.word) ?? 0)) contextWeights.set(t.word, weight);
+    }
+
+    return { start: bounds.start, end: bounds.end, contextWords, contextWeights };
+  },
+};
@@ -0,0 +1,286 @@
+/**
+ * Feedback Store Model
+ * Remembers which sign variant the user chose when disambiguation got it
+ * wrong, and turns those corrections into an extra scoring layer.
+ *
+ * A correction is { word, entryId, context, time }: the base word, the
+ * variant the user picked, and the context words around it at the time.
+ * VideoData.scoreVariants() adds scoreVariants() below to its own layers,
+ * so the same correction made in similar contexts soon outweighs the
+ * lexicalClass/semanticField and Lesk signals.
+ *
+ * Corrections persist through a StorageAdapter, like Settings, and can be
+ * moved between browsers with exportJSON() / importJSON().
+ */
+
+import { CONFIG } from "../config.js";
+import { createStorage } from "../utils/StorageAdapter.js";
+
+const STORAGE_KEY = "records";
+
+// Export file header — importJSON() refuses anything else
+const EXPORT_FORMAT = "asl-feedback";
+const EXPORT_VERSION = 1;
+
+// Function words any two paragraphs share — without this, "the" + "and"
+// would make every context "similar"
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "that", "this", "was", "are", "were", "been",
+  "but", "not", "you", "your", "his", "her", "she", "they", "them", "their",
+  "there", "its", "our", "had", "has", "have", "from", "into", "will", "would",
+  "can", "could", "what", "which", "when", "who", "than", "then", "some",
+  "about", "all", "one", "out", "more", "also", "just", "very",
+]);
+
+/**
+ * Normalize context words into the tokens a correction stores: the
+ * Lesk layer's filter (lowercase, longer than 2 chars, not the word
+ * itself) minus common function words, deduplicated and capped.
+ *
+ * @param {string[]} contextWords
+ * @param {string} word — target base word (excluded)
+ * @returns {string[]}
+ */
+export function contextTokens(contextWords, word = "") {
+  const tokens = new Set();
+  for (const w of contextWords) {
+    const token = String(w).toLowerCase();
+    if (token.length > 2 && token !== word && !STOPWORDS.has(token)) tokens.add(token);
+    if (tokens.size >= CONFIG.feedback.maxContextTokens) break;
+  }
+  return [...tokens];
+}
+
+/**
+ * Shape check for one stored or imported correction.
+ */
+function isRecord(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.word === "string" &&
+    value.word !== "" &&
+    typeof value.entryId === "string" &&
+    value.entryId !== "" &&
+    Array.isArray(value.context) &&
+    value.context.every((t) => typeof t === "string") &&
+    Number.isFinite(value.time)
+  );
+}
+
+function recordKey(r) {
+  return `${r.word}\u0000${r.entryId}\u0000${r.time}\u0000${r.context.join(" ")}`;
+}
+
+export const FeedbackStore = {
+  records: [],
+  isLoaded: false,
+
+  _storage: null,
+  _listeners: new Set(),
+
+  /**
+   * Load stored corrections. Malformed records are dropped.
+   *
+   * @param {object} [storage] - StorageAdapter (defaults to createStorage())
+   */
+  async init(storage = createStorage("asl:feedback:")) {
+    this._storage = storage;
+    this.records = [];
+
+    let stored = null;
+    try {
+      stored = await storage.get(STORAGE_KEY);
+    } catch (error) {
+      console.error("Failed to load variant feedback: ", error);
+    }
+
+    if (Array.isArray(stored)) {
+      this.records = stored.filter(isRecord);
+    }
+
+    this.isLoaded = true;
+    this._notify();
+  },
+
+  /**
+   * Remember that the user chose `entryId` for `word` in this context.
+   * Saves in the background; returns the record so a caller can forget()
+   * it if the user changes their mind.
+   *
+   * @param {string} word — base word
+   * @param {string} entryId — the variant the user chose
+   * @param {string[]} contextWords — context window words around the word
+   * @returns {object} the stored record
+   */
+  record(word, entryId, contextWords = []) {
+    const record = {
+      word,
+      entryId,
+      context: contextTokens(contextWords, word),
+      time: Date.now(),
+    };
+
+    this.records.push(record);
+    this._trim();
+    this._notify();
+    this._save();
+    return record;
+  },
+
+  /**
+   * Drop one record returned by record().
+   */
+  forget(record) {
+    const index = this.records.indexOf(record);
+    if (index < 0) return;
+
+    this.records.splice(index, 1);
+    this._notify();
+    this._save();
+  },
+
+  /**
+   * Remove every correction.
+   */
+  async clear() {
+    this.records = [];
+    this._notify();
+    await this._save();
+  },
+
+  /**
+   * Scoring layer 3: past corrections for this word.
+   *   +similarWeight per correction to a variant whose context shares at
+   *     least minSharedTokens words with this one
+   *   +wordWeight per correction to a variant in any other context
+   *
+   * @param {string} word — target base word
+   * @param {Array} entries — the word's variants
+   * @param {string[]} contextWords — context window words around the word
+   * @returns {number[]} one score per entry, same order
+   */
+  scoreVariants(word, entries, contextWords = []) {
+    const scores = new Array(entries.length).fill(0);
+    if (this.records.length === 0) return scores;
+
+    const { similarWeight, wordWeight, minSharedTokens } = CONFIG.feedback;
+    const context = new Set(contextTokens(contextWords, word));
+
+    for (const record of this.records) {
+      if (record.word !== word) continue;
+
+      const index = entries.findIndex((e) => e.entryId === record.entryId);
+      if (index < 0) continue;
+
+      let shared = 0;
+      for (const token of record.context) {
+        if (context.has(token)) shared++;
+      }
+
+      // A correction with a very short context can't share more than it has
+      const needed = Math.min(minSharedTokens, record.context.length);
+      scores[index] += needed > 0 && shared >= needed ? similarWeight : wordWeight;
+    }
+
+    return scores;
+  },
+
+  /**
+   * Serialize every correction for download / backup.
+   *
+   * @returns {string} JSON
+   */
+  exportJSON() {
+    return JSON.stringify(
+      { format: EXPORT_FORMAT, version: EXPORT_VERSION, records: this.records },
+      null,
+      2
+    );
+  },
+
+  /**
+   * Merge corrections from an exportJSON() file. Records already present
+   * are skipped, as are malformed ones.
+   *
+   * @param {string} json
+   * @returns {Promise<{ valid: true, imported: number, skipped: number }
+   *                  | { valid: false, error: string }>}
+   */
+  async importJSON(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch {
+      return { valid: false, error: "Not a JSON file" };
+    }
+
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.records)) {
+      return { valid: false, error: "Not an ASL variant feedback export" };
+    }
+    if (data.version > EXPORT_VERSION) {
+      return { valid: false, error: `Feedback export version ${data.version} is newer than this extension` };
+    }
+
+    const seen = new Set(this.records.map(recordKey));
+    let imported = 0;
+    let skipped = 0;
+
+    for (const record of data.records) {
+      if (!isRecord(record) || seen.has(recordKey(record))) {
+        skipped++;
+        continue;
+      }
+      const copy = {
+        word: record.word,
+        entryId: record.entryId,
+        context: record.context.slice(0, CONFIG.feedback.maxContextTokens),
+        time: record.time,
+      };
+      seen.add(recordKey(copy));
+      this.records.push(copy);
+      imported++;
+    }
+
+    this.records.sort((a, b) => a.time - b.time);
+    this._trim();
+    this._notify();
+    await this._save();
+    return { valid: true, imported, skipped };
+  },
+
+  /**
+   * Listen for the set of corrections changing.
+   *
+   * @param {Function} listener - (recordCount) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+
+  _notify() {
+    for (const listener of this._listeners) listener(this.records.length);
+  },
+
+  /**
+   * Keep the newest maxRecords corrections.
+   */
+  _trim() {
+    const { maxRecords } = CONFIG.feedback;
+    if (this.records.length > maxRecords) {
+      this.records.splice(0, this.records.length - maxRecords);
+    }
+  },
+
+  async _save() {
+    if (!this._storage) return;
+    try {
+      await this._storage.set(STORAGE_KEY, this.records);
+    } catch (error) {
+      // Quota or permission errors shouldn't break the correction itself
+      console.error("Failed to save variant feedback: ", error);
+    }
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * Fingerspelling Data
+ * Handshape asset set for the manual alphabet, keyed by character.
+ *
+ * Used as a fallback when a word has no ASL-LEX sign (proper nouns,
+ * technical terms). Assets live under CONFIG.fingerspell.basePath and are
+ * downloaded separately, like the sign videos.
+ *
+ * J and Z are the only letters with movement (the handshape traces the
+ * letter in the air), so they are animated GIFs instead of still images.
+ */
+
+const LETTER_ASSETS = {
+  a: "a.png", b: "b.png", c: "c.png", d: "d.png", e: "e.png",
+  f: "f.png", g: "g.png", h: "h.png", i: "i.png", j: "j.gif",
+  k: "k.png", l: "l.png", m: "m.png", n: "n.png", o: "o.png",
+  p: "p.png", q: "q.png", r: "r.png", s: "s.png", t: "t.png",
+  u: "u.png", v: "v.png", w: "w.png", x: "x.png", y: "y.png",
+  z: "z.gif",
+};
+
+export const FingerspellingData = {
+  letters: LETTER_ASSETS,
+
+  // Asset filename for a character, or null if it can't be fingerspelled
+  // (digits, punctuation). Case-insensitive; accented letters fall back to
+  // their base letter ("é" → "e") since ASL spells them the same way.
+  getAsset(char) {
+    const base = char.toLowerCase().normalize("NFD")[0];
+    return this.letters[base] || null;
+  },
+
+  // True if at least one character of the word has a handshape
+  canFingerspell(word) {
+    for (const char of word) {
+      if (this.getAsset(char)) return true;
+    }
+    return false;
+  },
+};
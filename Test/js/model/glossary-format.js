@@ -0,0 +1,322 @@
+/**
+ * Glossary Format Model
+ * The glossary file scripts/build-asl-lex-glossary.js writes and
+ * VideoData loads, its JSON Schema, and the checks both sides run.
+ *
+ * File format (version 2):
+ *   {
+ *     "version": 2,
+ *     "builtAt": "2026-10-19T12:00:00.000Z",
+ *     "source": "ASL-LEX 2.0 (signdata-11-5-20.csv)",
+ *     "entries": {
+ *       "book": [{ "entryId": "book", "meanings": "book, novel",
+ *                  "lexicalClass": "Noun", "videoFile": "book.mp4" }],
+ *       "high_school": [{ "entryId": "high_school", ... }]
+ *     },
+ *     "inflections": { "books": "book", "booked": "book" },
+ *     "phrases": ["high_school"],
+ *     "rules": { "format": "asl-glossary-rules", "version": 1, "rules": [...] }
+ *   }
+ *
+ *   entries     — base word → its sign variants. Phrases are keyed with
+ *                 underscores for spaces.
+ *   inflections — inflected form → base word (an entries key)
+ *   phrases     — the entries keys that are phrases
+ *   rules       — optional: the glossary rules (model/glossary-rules.js)
+ *
+ * Version 1 is the older flat format: entries at the top level beside a
+ * "__inflectionMap" key (and "__rules" in page subsets). readGlossary()
+ * still reads it.
+ *
+ * Sharded glossaries (build --sharded) split the same data so startup only
+ * parses what matching needs. The index has everything but the entries,
+ * and says where each word's entries are:
+ *   {
+ *     "version": 2, "builtAt": ..., "source": ...,
+ *     "shards": ["a.json", "b.json", ...],      — relative to the index
+ *     "entries": { "book": [1, 40, 2] },         — [shard, offset, count]
+ *     "inflections": {...}, "phrases": [...], "rules": {...}
+ *   }
+ * Each shard is a plain array of entries — one per initial letter, so the
+ * words on a page need a handful of them. "book" above is rows 40–41 of
+ * b.json. VideoData loads the index at startup and shards on demand.
+ */
+
+import { JsonSchema } from "../utils/JsonSchema.js";
+import { RULES_FORMAT, compileRules } from "./glossary-rules.js";
+
+export const GLOSSARY_VERSION = 2;
+
+// Keys: lowercase, no spaces (phrases use "_"), and not "__…" — the flat
+// format's reserved keys
+const WORD = { type: "string", pattern: "^(?!__)[^\\sA-Z]+$" };
+
+// Anything not a–z starts a word in the "other" shard
+const SHARD_KEYS = "abcdefghijklmnopqrstuvwxyz";
+
+export const GLOSSARY_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: "asl-lex-glossary.schema.json",
+  title: "ASL glossary",
+  type: "object",
+  required: ["version", "builtAt", "source", "entries", "inflections", "phrases"],
+  additionalProperties: false,
+  properties: {
+    version: { type: "integer", minimum: 2 },
+    builtAt: {
+      type: ["string", "null"],
+      format: "date-time",
+      description: "When the glossary was built; null if unknown (converted flat glossaries)",
+    },
+    source: { type: "string", description: "What the glossary was built from" },
+    entries: {
+      type: "object",
+      propertyNames: { $ref: "#/$defs/word" },
+      additionalProperties: { type: "array", minItems: 1, items: { $ref: "#/$defs/entry" } },
+    },
+    inflections: {
+      type: "object",
+      propertyNames: { $ref: "#/$defs/word" },
+      additionalProperties: { $ref: "#/$defs/word" },
+    },
+    phrases: { type: "array", uniqueItems: true, items: { $ref: "#/$defs/word" } },
+    rules: {
+      type: "object",
+      required: ["format", "version", "rules"],
+      properties: {
+        format: { const: RULES_FORMAT },
+        version: { type: "integer", minimum: 1 },
+        rules: { type: "array", items: { type: "object" } },
+      },
+    },
+  },
+  $defs: {
+    word: WORD,
+    entry: {
+      type: "object",
+      required: ["entryId"],
+      properties: {
+        entryId: { type: "string", minLength: 1 },
+        lemmaId: { type: "string" },
+        meanings: { type: "string" },
+        lexicalClass: { type: "string" },
+        semanticField: { type: "string" },
+        videoFile: { type: "string" },
+        personCombinable: { type: "boolean" },
+      },
+    },
+  },
+};
+
+export const GLOSSARY_INDEX_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: "asl-lex-glossary-index.schema.json",
+  title: "ASL glossary index",
+  type: "object",
+  required: ["version", "builtAt", "source", "shards", "entries", "inflections", "phrases"],
+  additionalProperties: false,
+  properties: {
+    ...GLOSSARY_SCHEMA.properties,
+    shards: {
+      type: "array",
+      uniqueItems: true,
+      items: { type: "string", pattern: "^[\\w-]+\\.json$" },
+      description: "Shard files, relative to the index",
+    },
+    entries: {
+      type: "object",
+      propertyNames: { $ref: "#/$defs/word" },
+      additionalProperties: {
+        type: "array",
+        minItems: 3,
+        maxItems: 3,
+        items: { type: "integer", minimum: 0 },
+        description: "[shard, offset, count]: where the word's entries are",
+      },
+    },
+  },
+  $defs: GLOSSARY_SCHEMA.$defs,
+};
+
+export const GLOSSARY_SHARD_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: "asl-lex-glossary-shard.schema.json",
+  title: "ASL glossary shard",
+  type: "array",
+  items: { $ref: "#/$defs/entry" },
+  $defs: GLOSSARY_SCHEMA.$defs,
+};
+
+const schema = new JsonSchema(GLOSSARY_SCHEMA);
+const indexSchema = new JsonSchema(GLOSSARY_INDEX_SCHEMA);
+const shardSchema = new JsonSchema(GLOSSARY_SHARD_SCHEMA);
+
+/**
+ * A version 2 glossary from its parts; phrases are worked out from the
+ * entries.
+ *
+ * @param {object} parts
+ * @param {Object<string, object[]>} parts.entries
+ * @param {Object<string, string>} [parts.inflections]
+ * @param {object} [parts.rules] — a rules file
+ * @param {string} [parts.source]
+ * @param {string|null} [parts.builtAt] — defaults to now
+ * @returns {object}
+ */
+export function createGlossary({
+  entries,
+  inflections = {},
+  rules,
+  source = "",
+  builtAt = new Date().toISOString(),
+}) {
+  const glossary = {
+    version: GLOSSARY_VERSION,
+    builtAt,
+    source,
+    entries,
+    inflections,
+    phrases: Object.keys(entries).filter((word) => word.includes("_")),
+  };
+  if (rules) glossary.rules = rules;
+  return glossary;
+}
+
+/**
+ * Check a version 2 glossary: the schema, then what a schema can't say —
+ * inflections and phrases name entries, and the rules compile.
+ *
+ * @param {object} glossary
+ * @returns {{ valid: true } | { valid: false, error: string }}
+ */
+export function validateGlossary(glossary) {
+  return check(glossary, schema);
+}
+
+/**
+ * Check a sharded glossary's index, like validateGlossary() — and that
+ * every word's entries are in one of its shards.
+ *
+ * @param {object} index
+ * @returns {{ valid: true } | { valid: false, error: string }}
+ */
+export function validateIndex(index) {
+  const result = check(index, indexSchema);
+  if (!result.valid) return result;
+
+  for (const [word, [shard, , count]] of Object.entries(index.entries)) {
+    if (shard >= index.shards.length) {
+      return { valid: false, error: `$.entries.${word}: no shard ${shard}` };
+    }
+    if (count < 1) return { valid: false, error: `$.entries.${word}: no entries` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Check one shard of a sharded glossary.
+ *
+ * @param {object[]} shard
+ * @returns {{ valid: true } | { valid: false, error: string }}
+ */
+export function validateShard(shard) {
+  return shardSchema.validate(shard);
+}
+
+// What validateGlossary() and validateIndex() share
+function check(glossary, fileSchema) {
+  if (glossary?.version > GLOSSARY_VERSION) {
+    return { valid: false, error: `Glossary version ${glossary.version} is newer than this extension` };
+  }
+
+  const result = fileSchema.validate(glossary);
+  if (!result.valid) return result;
+
+  for (const [form, base] of Object.entries(glossary.inflections)) {
+    if (!Object.hasOwn(glossary.entries, base)) {
+      return { valid: false, error: `$.inflections.${form}: "${base}" is not in entries` };
+    }
+  }
+  for (const [i, phrase] of glossary.phrases.entries()) {
+    if (!Object.hasOwn(glossary.entries, phrase)) {
+      return { valid: false, error: `$.phrases[${i}]: "${phrase}" is not in entries` };
+    }
+  }
+  if (glossary.rules) {
+    const rules = compileRules(glossary.rules);
+    if (!rules.valid) return { valid: false, error: `$.rules: ${rules.error}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Read a glossary file in either format as a checked version 2 glossary.
+ * A flat (version 1) file is converted; the object passed in is never
+ * changed.
+ *
+ * @param {object} data — the parsed file
+ * @returns {{ valid: true, glossary: object } | { valid: false, error: string }}
+ */
+export function readGlossary(data) {
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    return { valid: false, error: "Not an ASL glossary" };
+  }
+
+  // A flat glossary's values are all arrays (or its "__" keys)
+  const flat = data.version === undefined || Array.isArray(data.version);
+  const glossary = flat ? fromFlat(data) : data;
+
+  const result = validateGlossary(glossary);
+  return result.valid ? { valid: true, glossary } : result;
+}
+
+function fromFlat(data) {
+  const entries = {};
+  for (const [word, variants] of Object.entries(data)) {
+    if (!word.startsWith("__")) entries[word] = variants;
+  }
+  return createGlossary({
+    entries,
+    inflections: data.__inflectionMap ?? {},
+    rules: data.__rules,
+    source: "flat glossary",
+    builtAt: null,
+  });
+}
+
+/**
+ * The shard a word's entries go in: its initial letter, or "other".
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+export function shardKey(word) {
+  return SHARD_KEYS.includes(word[0]) ? word[0] : "other";
+}
+
+/**
+ * Split a version 2 glossary into an index and its shards.
+ *
+ * @param {object} glossary
+ * @returns {{ index: object, shards: Object<string, object[]> }} shards
+ *   by file name, as the index lists them
+ */
+export function createShardedGlossary(glossary) {
+  const { version, builtAt, source, entries, inflections, phrases, rules } = glossary;
+  const index = { version, builtAt, source, shards: [], entries: {}, inflections, phrases };
+  if (rules) index.rules = rules;
+
+  const shards = {};
+  for (const word of Object.keys(entries).sort()) {
+    const file = `${shardKey(word)}.json`;
+    if (!shards[file]) {
+      shards[file] = [];
+      index.shards.push(file);
+    }
+    index.entries[word] = [index.shards.indexOf(file), shards[file].length, entries[word].length];
+    shards[file].push(...entries[word]);
+  }
+
+  return { index, shards };
+}
@@ -0,0 +1,208 @@
+/**
+ * Glossary Rules Model
+ * Collocation rules that suppress or force a glossary word, or one of its
+ * sign variants, depending on the words around it. They replace patterns
+ * that used to be hard-coded in wordResolver.
+ *
+ * The curated source is scripts/data/glossary-rules.json; the glossary
+ * build copies it next to the glossary, and VideoData.init() loads it.
+ * scripts/test-suppression-rule.js tries a rule against a sample corpus.
+ *
+ * File format:
+ *   {
+ *     "format": "asl-glossary-rules",
+ *     "version": 1,
+ *     "rules": [
+ *       { "word": "degree", "action": "suppress", "right": ["of"],
+ *         "note": "degree of X — a measure, not the diploma" },
+ *       { "word": "bat", "action": "force", "variant": "bat_3",
+ *         "near": ["swing", "hit"], "within": 4 }
+ *     ]
+ *   }
+ *
+ * A rule fires when every condition it has holds around a match:
+ *   left   — these words right before the match (the last one nearest)
+ *   right  — these words right after the match
+ *   near   — any of these words at most `within` words away (default 3)
+ * left/right words must be adjacent: a comma, period or other clause
+ * punctuation in between breaks the collocation.
+ *
+ * Word patterns: "of", alternatives "a|an|the", and "*" wildcards —
+ * "*ing" (any -ing word), "un*", or "*" (any word). Words are tokenizer
+ * words (model/tokenizer.js), so "don't" is one and "well-known" two.
+ *
+ * Actions:
+ *   suppress            — don't highlight the match
+ *   force               — highlight it even if a suppress rule fires
+ *   suppress + variant  — that sign variant is wrong here
+ *   force + variant     — that sign variant is right here
+ */
+
+import { APOSTROPHES, tokenize, isBoundary, normalize } from "./tokenizer.js";
+
+export const RULES_FORMAT = "asl-glossary-rules";
+export const RULES_VERSION = 1;
+
+const ACTIONS = new Set(["suppress", "force"]);
+const DEFAULT_WITHIN = 3;
+
+// Punctuation that ends a collocation between two adjacent words
+const CLAUSE_BREAK = /[.!?;:,]/;
+
+// How much text around a match to tokenize, per word of reach
+const CHARS_PER_WORD = 24;
+
+// A word pattern: tokenizer word characters, "*" and "|"
+const WORD_PATTERN = new RegExp(`^[\\p{L}\\p{M}\\p{N}${APOSTROPHES}*|]+$`, "u");
+
+/**
+ * "a|an|the", "*ing" → /^(?:a|an|the)$/, /^(?:[\p{L}\p{M}\p{N}']*ing)$/
+ */
+function compilePattern(pattern) {
+  const source = normalize(pattern)
+    .split("|")
+    .map((alt) =>
+      alt
+        .split("*")
+        .map((part) => part.replace(/[^\p{L}\p{M}\p{N}']/gu, ""))
+        .join("[\\p{L}\\p{M}\\p{N}']*")
+    )
+    .join("|");
+  return new RegExp(`^(?:${source})$`, "u");
+}
+
+function isWordList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((w) => typeof w === "string" && WORD_PATTERN.test(w))
+  );
+}
+
+/**
+ * Check one rule from the file and compile its patterns.
+ *
+ * @param {object} rule
+ * @returns {{ valid: true, rule: object } | { valid: false, error: string }}
+ */
+export function compileRule(rule) {
+  if (rule === null || typeof rule !== "object") {
+    return { valid: false, error: "Rule must be an object" };
+  }
+  if (typeof rule.word !== "string" || rule.word === "") {
+    return { valid: false, error: "Rule needs a word" };
+  }
+  const label = `Rule for "${rule.word}"`;
+
+  if (!ACTIONS.has(rule.action)) {
+    return { valid: false, error: `${label}: action must be "suppress" or "force"` };
+  }
+  if (rule.left === undefined && rule.right === undefined && rule.near === undefined) {
+    return { valid: false, error: `${label}: needs left, right or near` };
+  }
+  for (const key of ["left", "right", "near"]) {
+    if (rule[key] !== undefined && !isWordList(rule[key])) {
+      return { valid: false, error: `${label}: ${key} must be a list of word patterns` };
+    }
+  }
+  if (rule.within !== undefined && !(Number.isInteger(rule.within) && rule.within > 0)) {
+    return { valid: false, error: `${label}: within must be a positive whole number` };
+  }
+  if (rule.variant !== undefined && (typeof rule.variant !== "string" || rule.variant === "")) {
+    return { valid: false, error: `${label}: variant must be an entry id` };
+  }
+
+  const within = rule.near ? rule.within ?? DEFAULT_WITHIN : 0;
+
+  return {
+    valid: true,
+    rule: {
+      source: rule,
+      word: rule.word,
+      action: rule.action,
+      variant: rule.variant ?? null,
+      left: rule.left?.map(compilePattern) ?? [],
+      right: rule.right?.map(compilePattern) ?? [],
+      near: rule.near?.map(compilePattern) ?? [],
+      within,
+      reach: Math.max(rule.left?.length ?? 0, rule.right?.length ?? 0, within),
+    },
+  };
+}
+
+/**
+ * Check and compile a whole rules file.
+ *
+ * @param {object} data — parsed rules file
+ * @returns {{ valid: true, rules: Object<string, object[]> }
+ *         | { valid: false, error: string }} rules grouped by word
+ */
+export function compileRules(data) {
+  if (data?.format !== RULES_FORMAT || !Array.isArray(data.rules)) {
+    return { valid: false, error: "Not an ASL glossary rules file" };
+  }
+  if (data.version > RULES_VERSION) {
+    return { valid: false, error: `Rules file version ${data.version} is newer than this extension` };
+  }
+
+  const rules = {};
+  for (const [i, raw] of data.rules.entries()) {
+    const result = compileRule(raw);
+    if (!result.valid) return { valid: false, error: `rules[${i}]: ${result.error}` };
+    (rules[raw.word] ??= []).push(result.rule);
+  }
+  return { valid: true, rules };
+}
+
+/**
+ * Does the compiled rule fire for the match at text[start, end)?
+ *
+ * @param {object} rule — from compileRule()
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, text, start, end) {
+  // Only tokenize what the rule can reach
+  const radius = (rule.reach + 1) * CHARS_PER_WORD;
+  const from = Math.max(0, start - radius);
+  const slice = text.slice(from, Math.min(text.length, end + radius));
+
+  const tokens = tokenize(slice);
+  // A token cut in half at either edge of the slice isn't a word
+  if (!isBoundary(text, from)) tokens.shift();
+  if (!isBoundary(text, from + slice.length)) tokens.pop();
+
+  const first = tokens.findIndex((t) => t.end > start - from);
+  if (first < 0) return false;
+  let last = first;
+  while (last + 1 < tokens.length && tokens[last + 1].start < end - from) last++;
+
+  const gap = (a, b) => slice.slice(tokens[a].end, tokens[b].start);
+
+  for (let k = 0; k < rule.left.length; k++) {
+    const i = first - rule.left.length + k;
+    if (i < 0 || !rule.left[k].test(tokens[i].word) || CLAUSE_BREAK.test(gap(i, i + 1))) return false;
+  }
+
+  for (let k = 0; k < rule.right.length; k++) {
+    const i = last + 1 + k;
+    if (i >= tokens.length || !rule.right[k].test(tokens[i].word) || CLAUSE_BREAK.test(gap(i - 1, i))) {
+      return false;
+    }
+  }
+
+  if (rule.near.length > 0) {
+    const lo = Math.max(0, first - rule.within);
+    const hi = Math.min(tokens.length - 1, last + rule.within);
+    let found = false;
+    for (let i = lo; i <= hi && !found; i++) {
+      if (i >= first && i <= last) continue;
+      found = rule.near.some((re) => re.test(tokens[i].word));
+    }
+    if (!found) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,158 @@
+/**
+ * Part-of-Speech Tagger Model
+ * Guesses whether a word is used as a noun, a verb, … in its sentence, so
+ * VideoData can prefer the sign variant with that lexicalClass: "the bat
+ * flew" → Noun, "bat the ball" → Verb.
+ *
+ * A lexicon plus a handful of rules — no model file, runs in the page:
+ *   1. Function words (articles, pronouns, prepositions, modals, …) and a
+ *      short list of common verbs, adjectives and adverbs come from the
+ *      LEXICON below. Other words with a telling suffix get it from the
+ *      suffix ("-ly" → Adverb, "-tion" → Noun, "-ous" → Adjective).
+ *   2. Everything else is settled by its neighbours, first rule wins:
+ *        after to / a modal / do / a subject pronoun     → Verb
+ *        after an article, possessive, number, adjective
+ *          or preposition                                → Noun
+ *        before an article, object pronoun or possessive → Verb
+ *        after a noun inside a noun phrase ("the
+ *          baseball bat")                                → Noun
+ *      Adverbs and "not" in between are skipped ("will not book").
+ *   3. Words no rule settles fall back to "-ed"/"-ing" → Verb.
+ *
+ * Tags use ASL-LEX's lexicalClass names: Noun, Verb, Adjective, Adverb,
+ * Number and Minor (function words). null means no idea.
+ */
+
+import { sentenceBounds } from "./context-window.js";
+import { tokenize } from "./tokenizer.js";
+
+// Word roles. "you" and "it" are both subjects and objects. "s" is what
+// the tokenizer splits off "John's" and "it's"; other contractions stay
+// whole ("don't"). The bare pieces ("don", "t") still cover other marks
+// in place of the apostrophe, as in "don`t".
+const LEXICON_SOURCE = {
+  det: "a an the this that these those every each some any no another either neither",
+  poss: "my your his her its our their s",
+  subj: "i he she we they who",
+  obj: "me him us them whom",
+  subjObj: "you it",
+  prep:
+    "in on at by with from into onto of for about over under after before through " +
+    "during without within between against among across behind beside near off like",
+  conj: "and or but nor so yet because if when while although though whether",
+  to: "to",
+  modal:
+    "can could will would shall should may might must won " +
+    "can't won't couldn't wouldn't shouldn't",
+  do: "do does did don doesn didn don't doesn't didn't",
+  be: "be is am are was were been being isn aren wasn weren isn't aren't wasn't weren't",
+  have: "have has had having haven hasn haven't hasn't",
+  neg: "not never t",
+  adv:
+    "very too also just really always often sometimes usually still already even " +
+    "soon then now here there please well again almost quite",
+  num: "one two three four five six seven eight nine ten hundred thousand million first second third",
+  adj:
+    "good bad big small little old new young long short high low great large hot cold " +
+    "happy sad other same different best worst whole",
+  verb:
+    "go goes went gone come comes came see sees saw seen fly flies flew flown take takes " +
+    "took taken give gives gave given make makes made say says said get gets got know " +
+    "knows knew think thinks thought want wants wanted broke",
+};
+
+const LEXICON = new Map();
+for (const [role, words] of Object.entries(LEXICON_SOURCE)) {
+  for (const word of words.split(" ")) LEXICON.set(word, role);
+}
+
+const ROLE_TAGS = {
+  adv: "Adverb",
+  neg: "Adverb",
+  num: "Number",
+  adj: "Adjective",
+  verb: "Verb",
+};
+
+// Roles that make the next open-class word a verb / a noun
+const BEFORE_VERB = new Set(["to", "modal", "do", "subj", "subjObj"]);
+const BEFORE_NOUN = new Set(["det", "poss", "num", "adj", "prep"]);
+// Roles that make the previous open-class word a verb (its object)
+const AFTER_VERB = new Set(["det", "obj", "subjObj", "poss"]);
+// Skipped when looking back for the previous word
+const TRANSPARENT = new Set(["adv", "neg"]);
+
+const SUFFIX_TAGS = [
+  [/..ly$/, "Adverb"],
+  [/..(tion|sion|ment|ness|ity|ship|ism)s?$/, "Noun"],
+  [/..(ous|ful|able|ible|less|ive)$/, "Adjective"],
+];
+const VERB_SUFFIX = /..(ed|ing)$/;
+
+export const PosTagger = {
+  /**
+   * Tag every word of a sentence.
+   *
+   * @param {string[]} words — lowercase tokens, in order
+   * @returns {Array<string|null>} one tag per word
+   */
+  tag(words) {
+    const roles = words.map((w) => LEXICON.get(w) ?? null);
+    const tags = roles.map((role) => (role ? ROLE_TAGS[role] ?? "Minor" : null));
+
+    for (let i = 0; i < words.length; i++) {
+      if (roles[i]) continue;
+
+      const suffix = SUFFIX_TAGS.find(([re]) => re.test(words[i]));
+      if (suffix) {
+        tags[i] = suffix[1];
+        continue;
+      }
+
+      tags[i] =
+        this._fromNeighbours(roles, tags, i) ??
+        (VERB_SUFFIX.test(words[i]) ? "Verb" : null);
+    }
+
+    return tags;
+  },
+
+  /**
+   * Tag the word at `offset` in `text`, reading only its sentence.
+   *
+   * @param {string} text
+   * @param {number} offset — somewhere inside the word
+   * @returns {string|null}
+   */
+  tagWordAt(text, offset) {
+    const sentence = sentenceBounds(text, offset);
+    const tokens = tokenize(text.slice(sentence.start, sentence.end));
+    const index = tokens.findIndex((t) => t.end > offset - sentence.start);
+    if (index < 0) return null;
+    return this.tag(tokens.map((t) => t.word))[index];
+  },
+
+  /**
+   * The rules of step 2, for an open-class word at `i`. Earlier words are
+   * already tagged.
+   */
+  _fromNeighbours(roles, tags, i) {
+    let p = i - 1;
+    while (p >= 0 && TRANSPARENT.has(roles[p])) p--;
+    const prevRole = p >= 0 ? roles[p] : null;
+    const nextRole = roles[i + 1] ?? null;
+
+    if (BEFORE_VERB.has(prevRole)) return "Verb";
+    if (BEFORE_NOUN.has(prevRole) || (p >= 0 && !prevRole && tags[p] === "Adjective")) {
+      return "Noun";
+    }
+    if (AFTER_VERB.has(nextRole)) return "Verb";
+
+    // Second noun of a noun phrase: "the baseball bat"
+    if (p >= 1 && !prevRole && tags[p] === "Noun" && BEFORE_NOUN.has(roles[p - 1])) {
+      return "Noun";
+    }
+
+    return null;
+  },
+};
@@ -0,0 +1,198 @@
+/**
+ * Settings Model
+ * User preferences with a schema, validation, defaults and persistence.
+ *
+ * Values persist through a StorageAdapter (chrome.storage in the extension,
+ * localStorage on the test page). Changes are pushed to subscribers, which
+ * apply them live (see SettingsPresenter) — nothing here touches the DOM.
+ *
+ * Invalid values never get in: set() rejects them, and stored values that
+ * fail validation (older versions, hand edits) fall back to the default.
+ */
+
+import { CONFIG } from "../config.js";
+import { createStorage } from "../utils/StorageAdapter.js";
+
+const STORAGE_KEY = "values";
+
+// Functional CSS colors: rgb(), rgba(), hsl(), hsla() with plain numeric
+// arguments. Anything fancier is rejected — the value is written into a
+// <style> rule, so it must not be able to close the declaration.
+const CSS_FUNCTION_COLOR = /^(rgb|hsl)a?\(\s*[\d.]+%?(\s*[,\s/]\s*[\d.]+%?){2,3}\s*\)$/i;
+const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Each setting: type, default, label for the UI, and constraints.
+ *   color  — a CONFIG.highlight.presets name, hex, or rgb()/hsl() color
+ *   number — finite number within [min, max], snapped to step
+ */
+export const SETTINGS_SCHEMA = {
+  highlightColor: {
+    type: "color",
+    default: CONFIG.highlight.color,
+    label: "Highlight color",
+  },
+  popupWidth: {
+    type: "number",
+    default: 240,
+    min: 200,
+    max: 480,
+    step: 20,
+    unit: "px",
+    label: "Popup size",
+  },
+  hideDelay: {
+    type: "number",
+    default: CONFIG.timing.hideDelay,
+    min: 0,
+    max: 2000,
+    step: 50,
+    unit: "ms",
+    label: "Hover hide delay",
+  },
+};
+
+/**
+ * Check a value against the schema.
+ *
+ * @param {string} key
+ * @param {*} value
+ * @returns {{ valid: true, value: * } | { valid: false, error: string }}
+ *          value is normalized (trimmed color, number snapped to step)
+ */
+export function validateSetting(key, value) {
+  const rule = SETTINGS_SCHEMA[key];
+  if (!rule) return { valid: false, error: `Unknown setting "${key}"` };
+
+  if (rule.type === "color") {
+    const color = typeof value === "string" ? value.trim() : "";
+    const ok =
+      Object.hasOwn(CONFIG.highlight.presets, color) ||
+      HEX_COLOR.test(color) ||
+      CSS_FUNCTION_COLOR.test(color);
+    return ok
+      ? { valid: true, value: color }
+      : { valid: false, error: `"${value}" is not a preset name, hex, rgb() or hsl() color` };
+  }
+
+  if (rule.type === "number") {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      return { valid: false, error: `"${value}" is not a number` };
+    }
+    if (number < rule.min || number > rule.max) {
+      return { valid: false, error: `${key} must be between ${rule.min} and ${rule.max}` };
+    }
+    const snapped = rule.min + Math.round((number - rule.min) / rule.step) * rule.step;
+    return { valid: true, value: Math.min(snapped, rule.max) };
+  }
+
+  return { valid: false, error: `Unsupported type "${rule.type}"` };
+}
+
+function defaults() {
+  const values = {};
+  for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+    values[key] = rule.default;
+  }
+  return values;
+}
+
+export const Settings = {
+  values: defaults(),
+  isLoaded: false,
+
+  _storage: null,
+  _listeners: new Set(),
+
+  /**
+   * Load persisted values. Unknown keys are dropped; invalid values fall
+   * back to their default.
+   *
+   * @param {object} [storage] - StorageAdapter (defaults to createStorage())
+   */
+  async init(storage = createStorage("asl:settings:")) {
+    this._storage = storage;
+    this.values = defaults();
+
+    let stored = null;
+    try {
+      stored = await storage.get(STORAGE_KEY);
+    } catch (error) {
+      console.error("Failed to load settings: ", error);
+    }
+
+    if (stored && typeof stored === "object") {
+      for (const key of Object.keys(SETTINGS_SCHEMA)) {
+        if (!(key in stored)) continue;
+        const result = validateSetting(key, stored[key]);
+        if (result.valid) this.values[key] = result.value;
+      }
+    }
+
+    this.isLoaded = true;
+  },
+
+  get(key) {
+    return this.values[key];
+  },
+
+  /**
+   * Validate, store and broadcast one setting.
+   *
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<{ valid: boolean, value?: *, error?: string }>}
+   *          the validation result; invalid values change nothing
+   */
+  async set(key, value) {
+    const result = validateSetting(key, value);
+    if (!result.valid) return result;
+
+    if (this.values[key] !== result.value) {
+      this.values[key] = result.value;
+      this._notify(key, result.value);
+      await this._save();
+    }
+    return result;
+  },
+
+  /**
+   * Restore every setting to its default.
+   */
+  async reset() {
+    const fresh = defaults();
+    for (const [key, value] of Object.entries(fresh)) {
+      if (this.values[key] !== value) {
+        this.values[key] = value;
+        this._notify(key, value);
+      }
+    }
+    await this._save();
+  },
+
+  /**
+   * Listen for changes.
+   *
+   * @param {Function} listener - (key, value) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+
+  _notify(key, value) {
+    for (const listener of this._listeners) listener(key, value);
+  },
+
+  async _save() {
+    if (!this._storage) return;
+    try {
+      await this._storage.set(STORAGE_KEY, this.values);
+    } catch (error) {
+      // Quota or permission errors shouldn't break the live change
+      console.error("Failed to save settings: ", error);
+    }
+  },
+};
@@ -10,6 +10,14 @@ export const AppState = {
     hasVideo: false,
     matchCount: 0,
     highlightMode: 'none',  // 'all' | 'word' | 'none'
+    isFingerspelling: false, // Popup is playing the fingerspelling fallback
+    isPaused: false,        // Sign video paused by the user (per word)
+    playbackRate: 1,        // Preferred video speed — kept across words and reset()
+    variants: [],           // All ASL-LEX entries for currentWord
+    variantScores: [],      // Disambiguation score per variant (empty = not scored)
+    pickedVariant: -1,      // Index disambiguation picked, -1 = no signal
+    variantReport: null,    // Per-variant score breakdown (VideoData.explainVariants)
+    variantLocks: new Map(), // baseWord → variant index the user locked on this page
 
     /**
      * Set the current word being looked up
@@ -43,6 +51,60 @@ export const AppState = {
         this.isLoading = false;
     },
 
+    /**
+     * Set fingerspelling playback state
+     */
+    setFingerspelling(active) {
+        this.isFingerspelling = active;
+    },
+
+    /**
+     * Set whether the sign video is paused
+     */
+    setPaused(paused) {
+        this.isPaused = paused;
+    },
+
+    /**
+     * Set the preferred playback rate (clamped by the presenter)
+     */
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+    },
+
+    /**
+     * Set the current word's variants and how disambiguation scored them
+     * (report: the breakdown behind the scores, for the debug panel)
+     */
+    setVariants(entries, scores = [], picked = -1, report = null) {
+        this.variants = entries;
+        this.variantScores = scores;
+        this.pickedVariant = picked;
+        this.variantReport = report;
+    },
+
+    /**
+     * Always show this variant for the word (until unlocked or the page
+     * goes away)
+     */
+    lockVariant(word, index) {
+        this.variantLocks.set(word, index);
+    },
+
+    /**
+     * Remove a word's variant lock
+     */
+    unlockVariant(word) {
+        this.variantLocks.delete(word);
+    },
+
+    /**
+     * Locked variant index for a word, or -1
+     */
+    getLockedVariant(word) {
+        return this.variantLocks.get(word) ?? -1;
+    },
+
     /**
      * Set match count from highlighting
      */
@@ -58,7 +120,9 @@ export const AppState = {
     },
 
     /**
-     * Reset state
+     * Reset state. playbackRate is a preference, not lookup state, so it
+     * survives — a learner who slowed signs down wants them slow next time.
+     * Variant locks are choices for this page and survive too.
      */
     reset() {
         this.currentWord = '';
@@ -67,5 +131,11 @@ export const AppState = {
         this.hasVideo = false;
         this.matchCount = 0;
         this.highlightMode = 'none';
+        this.isFingerspelling = false;
+        this.isPaused = false;
+        this.variants = [];
+        this.variantScores = [];
+        this.pickedVariant = -1;
+        this.variantReport = null;
     }
 };
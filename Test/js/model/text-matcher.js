@@ -0,0 +1,241 @@
+/**
+ * Text Matcher Model
+ * The text half of a highlight pass, on plain strings instead of DOM
+ * nodes: find which glossary forms appear (the prefilter), search every
+ * text for them, resolve each match to its base word and drop matches the
+ * glossary rules suppress.
+ *
+ * Nothing here touches the DOM, so the same code runs inline and in
+ * worker/match-worker.js. HighlightOverlayView turns the output into
+ * Ranges on the main thread.
+ *
+ * The word search itself is the alternation regex, or a TrieMatcher when
+ * CONFIG.matching.trie is on — same matches, no backtracking.
+ *
+ * Words are searched for text by text, but phrases are also searched for
+ * in the texts joined the way they read (utils/FlatText.js), so "high
+ * school" is found in <a>high</a> school and high<br>school. Such a match
+ * keeps the [textIndex, offset, length] shape: it starts in one text and
+ * its length runs on through the separators and texts after it.
+ */
+
+import { CONFIG } from "../config.js";
+import { wordResolver } from "./word-resolver.js";
+import { TrieMatcher } from "../utils/TrieMatcher.js";
+import {
+  APOSTROPHES,
+  HYPHENS,
+  BOUNDARY,
+  END_BOUNDARY,
+  isBoundary,
+  normalize,
+} from "./tokenizer.js";
+
+const APOSTROPHE_VARIANT = new RegExp(`[${APOSTROPHES}]`, "g");
+const HYPHEN_VARIANT = new RegExp(`[${HYPHENS}]`, "g");
+
+// Regex-escape a word
+function escape(word) {
+  return word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a regex that matches any of the given words (longest-first, so
+ * "running" wins over "run"), whole words only by the tokenizer's
+ * boundaries, in any case and with any apostrophe or hyphen variant in
+ * place of the one in the word.
+ *
+ * For a handful of words: with the "u" flag V8 matches case-insensitively
+ * hundreds of times slower, so highlight passes use buildWordMatcher().
+ *
+ * @param {string[]} words
+ * @returns {RegExp}
+ */
+export function buildWordRegex(words) {
+  const escaped = words
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map((w) =>
+      escape(w)
+        .replace(APOSTROPHE_VARIANT, `[${APOSTROPHES}]`)
+        .replace(HYPHEN_VARIANT, `[${HYPHENS}]`)
+    );
+  return new RegExp(`${BOUNDARY}(?:${escaped.join("|")})${BOUNDARY}`, "giu");
+}
+
+/**
+ * The matcher a highlight pass runs for `words`: { findAll(text) } giving
+ * [{ index, text }] in order — a TrieMatcher, or an alternation regex
+ * behind the same interface.
+ *
+ * The regex searches normalized text (model/tokenizer.js normalize()), so
+ * it needs neither the "i" flag nor variant classes, and checks where a
+ * match starts with isBoundary() rather than a lookbehind: both keep it
+ * fast with thousands of words.
+ *
+ * @param {string[]} words
+ * @param {object}  [options]
+ * @param {boolean} [options.trie] — defaults to CONFIG.matching.trie
+ * @returns {{ findAll(text: string): Array<{ index: number, text: string }> }}
+ */
+export function buildWordMatcher(words, { trie = CONFIG.matching.trie } = {}) {
+  if (trie) return new TrieMatcher(words);
+
+  // An empty alternative matches the empty string everywhere, forever
+  const alternatives = words
+    .filter((w) => w.length > 0)
+    .sort((a, b) => b.length - a.length)
+    .map((w) => escape(normalize(w)));
+  if (alternatives.length === 0) return { findAll: () => [] };
+
+  const regex = new RegExp(`(?:${alternatives.join("|")})${END_BOUNDARY}`, "gu");
+  return {
+    findAll(text) {
+      const found = [];
+      const normalized = normalize(text);
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(normalized)) !== null) {
+        const start = match.index;
+        if (isBoundary(normalized, start)) {
+          found.push({ index: start, text: text.slice(start, start + match[0].length) });
+        } else {
+          // Nothing can match here: go on from the next character
+          regex.lastIndex = start + (normalized.codePointAt(start) > 0xffff ? 2 : 1);
+        }
+      }
+      return found;
+    },
+  };
+}
+
+/**
+ * The forms in `words` that can run from one text node into the next:
+ * phrases, the forms with a space.
+ *
+ * @param {string[]} words
+ * @returns {string[]}
+ */
+export function phrasesIn(words) {
+  return words.filter((word) => word.includes(" "));
+}
+
+/**
+ * Join texts with the separators between them, as FlatText does.
+ *
+ * @param {string[]} texts
+ * @param {string[]} separators — separators[i] goes between texts[i] and texts[i + 1]
+ * @returns {{ text: string, starts: number[] }} the joined text, and
+ *   where each text starts in it
+ */
+export function joinTexts(texts, separators) {
+  const starts = [];
+  let text = "";
+  texts.forEach((part, i) => {
+    if (i > 0) text += separators[i - 1];
+    starts.push(text.length);
+    text += part;
+  });
+  return { text, starts };
+}
+
+/**
+ * Matches in a joined text that start in one text and end in another —
+ * the ones a text-by-text search can't see.
+ *
+ * @param {{ text: string, starts: number[] }} flat — see joinTexts() (a FlatText works too)
+ * @param {{ findAll(text: string): Array<{ index: number, text: string }> }} matcher
+ * @returns {Array<[number, number, number, string]>} [textIndex, offset,
+ *   length, matchedText] tuples, in order
+ */
+export function findAcross(flat, matcher) {
+  const { text, starts } = flat;
+  const found = [];
+  let t = 0;
+
+  for (const match of matcher.findAll(text)) {
+    const end = match.index + match.text.length;
+    while (t + 1 < starts.length && starts[t + 1] <= match.index) t++;
+    if (t + 1 < starts.length && starts[t + 1] < end) {
+      found.push([t, match.index - starts[t], match.text.length, match.text]);
+    }
+  }
+  return found;
+}
+
+/**
+ * Merge text-by-text matches with findAcross() ones into one list in text
+ * order. A text-by-text match that overlaps one running across is
+ * dropped: the phrase wins over the words inside it, as it does within a
+ * single text.
+ *
+ * @param {Array} matches — [textIndex, offset, length, …] tuples, in order
+ * @param {Array} across  — findAcross() tuples, in order
+ * @param {number[]} starts — where each text starts in the joined text
+ * @returns {Array}
+ */
+export function mergeAcross(matches, across, starts) {
+  if (across.length === 0) return matches;
+
+  const merged = [];
+  let next = 0;
+  let coveredUntil = -1;
+
+  for (const match of matches) {
+    const start = starts[match[0]] + match[1];
+    const end = start + match[2];
+
+    while (next < across.length && starts[across[next][0]] + across[next][1] < end) {
+      const phrase = across[next++];
+      merged.push(phrase);
+      coveredUntil = Math.max(coveredUntil, starts[phrase[0]] + phrase[1] + phrase[2]);
+    }
+    if (start >= coveredUntil) merged.push(match);
+  }
+
+  for (; next < across.length; next++) merged.push(across[next]);
+  return merged;
+}
+
+/**
+ * Find every glossary match in a list of texts (text node contents).
+ *
+ * @param {string[]} texts
+ * @param {string[]} [words] — forms to look for; by default every glossary
+ *                             form that appears in the texts
+ * @param {string[]} [separators] — what joins each text to the next (see
+ *        FlatText); with them, phrases running across texts are found too,
+ *        and the default words come from the joined text
+ * @returns {{ words: string[], matches: Array<[number, number, number, string]> }}
+ *   the forms searched for, and one [textIndex, offset, length, baseWord]
+ *   tuple per match, in text order
+ */
+export function findMatches(texts, words = null, separators = null) {
+  const flat = separators ? joinTexts(texts, separators) : null;
+  if (!words) words = wordResolver.getMatchingFormsInText(flat ? flat.text : texts.join("\n"));
+
+  const matches = [];
+  // Guard against empty words array (causes infinite loop with empty regex)
+  if (words.length === 0) return { words, matches };
+
+  const matcher = buildWordMatcher(words);
+  let found = [];
+  texts.forEach((text, index) => {
+    for (const match of matcher.findAll(text)) {
+      found.push([index, match.index, match.text.length, match.text]);
+    }
+  });
+
+  const phrases = flat ? phrasesIn(words) : [];
+  if (phrases.length > 0) {
+    found = mergeAcross(found, findAcross(flat, buildWordMatcher(phrases)), flat.starts);
+  }
+
+  for (const [index, offset, length, matchedText] of found) {
+    const baseWord = wordResolver.findBaseWord(matchedText) || matchedText.toLowerCase();
+    if (wordResolver.shouldSuppressMatch(baseWord, texts[index], offset, length)) continue;
+    matches.push([index, offset, length, baseWord]);
+  }
+
+  return { words, matches };
+}
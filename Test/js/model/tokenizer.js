@@ -0,0 +1,235 @@
+/**
+ * Tokenizer Model
+ * What counts as a word, in one place. The prefilter (wordResolver), the
+ * highlighter's word boundaries (model/text-matcher.js regex and
+ * utils/TrieMatcher.js), context windows, glossary rules, the POS tagger
+ * and hover word extraction all read text through here, so a word one of
+ * them sees is a word to all of them.
+ *
+ * Word characters are letters of any script, combining marks and digits
+ * (\p{L}\p{M}\p{N}): "café", "naïve" and "2nd" are whole words, while "_"
+ * and other punctuation separate them.
+ *
+ * Contractions: an apostrophe (' ’ ʼ) between word characters joins them
+ * into one word — "don't", "o'clock", "rock'n'roll" — so "don" never
+ * matches inside "don't". A word-final "'s" is the exception: it splits off
+ * ("John's" → "john", "s"), so possessives and "it's" still find their
+ * base word.
+ *
+ * Compounds: hyphens separate words — "well-known" → "well", "known" — so
+ * each part can highlight. A hyphenated glossary entry still matches
+ * whole: matching is longest-first, and the prefilter looks such entries
+ * up like phrases (wordResolver.init).
+ *
+ * Words compare normalized (normalize()): case-folded, with ’ and ʼ as '
+ * and ‐ ‑ as -. Normalizing never changes a character's length, so an
+ * offset into normalized text is an offset into the original; the
+ * highlighter's matchers search normalized text.
+ */
+
+export const APOSTROPHES = "'’ʼ";
+export const HYPHENS = "-‐‑";
+
+// Regex sources (use with the "u" flag). WORD_CHAR is written as an
+// alternation: V8 compiles that several times faster than the class, which
+// counts in regexes built per highlight pass.
+export const WORD_CHAR = "(?:\\p{L}|\\p{M}|\\p{N})";
+const APOSTROPHE = `[${APOSTROPHES}]`;
+// The "s" of a split-off "'s" (ſ too: it normalizes to s)
+const CLITIC_S = "[sSſ]";
+
+// A word: word characters joined by apostrophes, stopping before a final "'s"
+const TOKEN = new RegExp(
+  `${WORD_CHAR}+(?:${APOSTROPHE}(?!${CLITIC_S}(?!${WORD_CHAR}))${WORD_CHAR}+)*`,
+  "gu"
+);
+
+/**
+ * A lookaround that holds only at a word boundary — a position no word
+ * runs across. For regexes with the "u" flag; agrees with isBoundary().
+ */
+export const BOUNDARY =
+  `(?!(?<=${WORD_CHAR})(?=${WORD_CHAR})` +
+  `|(?<=${WORD_CHAR})(?=${APOSTROPHE}${WORD_CHAR})(?!${APOSTROPHE}${CLITIC_S}(?!${WORD_CHAR}))` +
+  `|(?<=${WORD_CHAR}${APOSTROPHE})(?=${WORD_CHAR})(?!${CLITIC_S}(?!${WORD_CHAR})))`;
+
+/**
+ * BOUNDARY for the end of a match in normalized text, where it is a
+ * lookahead alone: the match itself is what comes before.
+ */
+export const END_BOUNDARY =
+  `(?!(?<=${WORD_CHAR})(?:${WORD_CHAR}|'(?!s(?!${WORD_CHAR}))${WORD_CHAR})` +
+  `|(?<=${WORD_CHAR}')(?!s(?!${WORD_CHAR}))${WORD_CHAR})`;
+
+const WORD_TEST = new RegExp(`^${WORD_CHAR}$`, "u");
+
+// How far either side of the offset tokenAt() reads
+const TOKEN_AT_RADIUS = 64;
+
+// isWordCode() and foldCode() results for non-ASCII code points,
+// computed on first use
+const WORD_CODES = new Map();
+const FOLDED = new Map();
+
+/**
+ * Is code point `code` a word character? (-1, for "no character", isn't.)
+ *
+ * @param {number} code
+ * @returns {boolean}
+ */
+export function isWordCode(code) {
+  if (code < 128) {
+    return (code >= 97 && code <= 122) || (code >= 65 && code <= 90) || (code >= 48 && code <= 57);
+  }
+  let word = WORD_CODES.get(code);
+  if (word === undefined) {
+    word = WORD_TEST.test(String.fromCodePoint(code));
+    WORD_CODES.set(code, word);
+  }
+  return word;
+}
+
+// The code point starting at text[i] / ending at text[i - 1], or -1
+function codeAt(text, i) {
+  return i >= 0 && i < text.length ? text.codePointAt(i) : -1;
+}
+
+function codeBefore(text, i) {
+  if (i <= 0 || i > text.length) return -1;
+  const low = text.charCodeAt(i - 1);
+  if (low >= 0xdc00 && low <= 0xdfff && i >= 2) {
+    const high = text.charCodeAt(i - 2);
+    if (high >= 0xd800 && high <= 0xdbff) return text.codePointAt(i - 2);
+  }
+  return low;
+}
+
+function isApostrophe(code) {
+  return code === 0x27 || code === 0x2019 || code === 0x2bc;
+}
+
+// Is text[i] the apostrophe of a word-final "'s"?
+function isClitic(text, i) {
+  const s = text.charCodeAt(i + 1);
+  return (s === 0x73 || s === 0x53 || s === 0x17f) && !isWordCode(codeAt(text, i + 2));
+}
+
+/**
+ * Is position `i` (between text[i - 1] and text[i]) a word boundary — one
+ * that no word runs across? The ends of the text always are.
+ *
+ * @param {string} text
+ * @param {number} i
+ * @returns {boolean}
+ */
+export function isBoundary(text, i) {
+  const before = codeBefore(text, i);
+  const after = codeAt(text, i);
+
+  if (isWordCode(before)) {
+    if (isWordCode(after)) return false;
+    // "don|'t"
+    if (isApostrophe(after) && isWordCode(codeAt(text, i + 1)) && !isClitic(text, i)) return false;
+    return true;
+  }
+  // "don'|t"
+  return !(
+    isApostrophe(before) &&
+    isWordCode(after) &&
+    isWordCode(codeBefore(text, i - 1)) &&
+    !isClitic(text, i - 1)
+  );
+}
+
+/**
+ * The code point `code` normalizes to: its lowercase (of its uppercase,
+ * so "ſ" → "s", "ς" → "σ"), unless that isn't one character of the same
+ * length ("İ" stays), and ' or - for the apostrophe and hyphen variants.
+ *
+ * @param {number} code
+ * @returns {number}
+ */
+export function foldCode(code) {
+  if (code < 128) return code >= 65 && code <= 90 ? code + 32 : code;
+
+  let folded = FOLDED.get(code);
+  if (folded === undefined) {
+    const char = String.fromCodePoint(code);
+    folded = code;
+    if (APOSTROPHES.includes(char)) folded = APOSTROPHES.codePointAt(0);
+    else if (HYPHENS.includes(char)) folded = HYPHENS.codePointAt(0);
+    else {
+      for (const candidate of [char.toUpperCase().toLowerCase(), char.toLowerCase()]) {
+        const c = candidate.codePointAt(0);
+        if (candidate === String.fromCodePoint(c) && candidate.length === char.length) {
+          folded = c;
+          break;
+        }
+      }
+    }
+    FOLDED.set(code, folded);
+  }
+  return folded;
+}
+
+/**
+ * Normalize text (a word, or a whole page's) for comparison: case-folded,
+ * one apostrophe and one hyphen. Every character keeps its length.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalize(text) {
+  let normalized = "";
+  let from = 0;
+  for (let i = 0; i < text.length; ) {
+    const code = text.codePointAt(i);
+    const size = code > 0xffff ? 2 : 1;
+    const folded = foldCode(code);
+    if (folded !== code) {
+      normalized += text.slice(from, i) + String.fromCodePoint(folded);
+      from = i + size;
+    }
+    i += size;
+  }
+  return from === 0 ? text : normalized + text.slice(from);
+}
+
+/**
+ * Split text into normalized word tokens with their offsets.
+ *
+ * @param {string} text
+ * @returns {Array<{ word: string, start: number, end: number }>}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const m of text.matchAll(TOKEN)) {
+    tokens.push({ word: normalize(m[0]), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * The word at `offset` in `text`: the token containing it, or else the one
+ * ending right at it (a caret just after a word is on that word).
+ *
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{ word: string, start: number, end: number }|null}
+ */
+export function tokenAt(text, offset) {
+  // Only tokenize around the offset. A word cut at the edge of the window
+  // is longer than the window, and not a word anyone hovers.
+  const from = Math.max(0, offset - TOKEN_AT_RADIUS);
+  const to = Math.min(text.length, offset + TOKEN_AT_RADIUS);
+
+  let touching = null;
+  for (const token of tokenize(text.slice(from, to))) {
+    const start = from + token.start;
+    const end = from + token.end;
+    if (start > offset) break;
+    if (end > offset) return { word: token.word, start, end };
+    if (end === offset) touching = { word: token.word, start, end };
+  }
+  return touching;
+}
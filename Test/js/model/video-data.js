@@ -2,45 +2,245 @@
  * Video Data Model
  * Handles ASL-LEX dataset lookup with definitions
  * Uses pre-computed inflection map for word matching (no runtime suffix stripping)
+ *
+ * With CONFIG.video.sharded, init() loads only the glossary index: every
+ * word and inflection is known at once, but a word's entries arrive with
+ * its shard (ensureEntries). Until then the entry getters find nothing for
+ * it, so callers prepare a text's entries before they show its words.
  */
 
 import { CONFIG } from "../config.js";
 import { wordResolver } from "./word-resolver.js";
+import { FeedbackStore } from "./feedback-store.js";
+import { createGlossary, readGlossary, validateIndex, validateShard } from "./glossary-format.js";
+import { tokenize } from "./tokenizer.js";
+import { PerfLogger } from "../utils/PerfLogger.js";
+
+// Scores get fractional once context weights decay — keep them readable
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! Status: ${response.status}`);
+  }
+  return response.json();
+}
 
 export const VideoData = {
   wordToVideos: {},
   isLoaded: false,
+  // Where the loaded glossary came from: { builtAt, source }
+  info: null,
+  // The sharded glossary's index, when that is what's loaded (loadIndex):
+  //   entries — word → [shard, offset, count]
+  //   shards  — shard URLs
+  //   words   — word → true, for every word in the index
+  //   loads   — shard number → Promise of its load
+  index: null,
 
-  // Load ASL-LEX glossary
+  // Load ASL-LEX glossary (or with CONFIG.video.sharded, its index), then
+  // — for a glossary file that doesn't carry them — the collocation rules
+  // built alongside it
   async init() {
+    const { sharded, indexPath, glossaryPath } = CONFIG.video;
+    const heapBeforeMB = PerfLogger.heapMB();
+    PerfLogger.time("glossary load");
+
+    let result;
     try {
-      const response = await fetch(CONFIG.video.glossaryPath);
-      if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-      }
-      const data = await response.json();
+      const data = await fetchJson(sharded ? indexPath : glossaryPath);
+      result = sharded ? this.loadIndex(data, indexPath) : this.load(data);
+    } catch (error) {
+      console.error("Failed to fetch glossary: ", error);
+      return;
+    }
+    if (!result.valid) {
+      console.error(`Glossary not loaded: ${result.error}`);
+      return;
+    }
 
-      // Extract inflection map, then remove it from word entries
-      wordResolver.inflectionMap = data.__inflectionMap || {};
-      delete data.__inflectionMap;
+    PerfLogger.timeEnd("glossary load", {
+      mode: sharded ? "index" : "full",
+      words: Object.keys(this.index?.words ?? this.wordToVideos).length,
+      entries: Object.keys(this.wordToVideos).length,
+      heapBeforeMB,
+      heapMB: PerfLogger.heapMB(),
+    });
 
-      this.wordToVideos = data;
+    if (!(result.glossary ?? result.index).rules) await this.loadRules();
+  },
 
-      // Build reverse map: base word → [inflected forms]
-      wordResolver.reverseMap = {};
-      for (const [inflected, base] of Object.entries(wordResolver.inflectionMap)) {
-        if (!wordResolver.reverseMap[base]) {
-          wordResolver.reverseMap[base] = [];
-        }
-        wordResolver.reverseMap[base].push(inflected);
+  // Load the glossary rules file (see model/glossary-rules.js). Without it
+  // words are simply never suppressed or forced.
+  async loadRules() {
+    try {
+      const result = wordResolver.setRules(await fetchJson(CONFIG.video.rulesPath));
+      if (!result.valid) throw new Error(result.error);
+    } catch (error) {
+      console.warn("Glossary rules not loaded: ", error);
+    }
+  },
+
+  // Install glossary data (the full file, or a page subset from
+  // getSubsetForText) and hand it to the word resolver. Either glossary
+  // format is read (see model/glossary-format.js); data that doesn't check
+  // out is not installed, and what was loaded stays.
+  // Returns readGlossary()'s { valid, glossary } or { valid: false, error }.
+  load(data) {
+    const result = readGlossary(data);
+    if (!result.valid) return result;
+
+    // The resolver also builds the reverse map: base word → [inflected forms]
+    const { entries, inflections, rules, builtAt, source } = result.glossary;
+    wordResolver.setInflectionMap({ ...inflections });
+    this.wordToVideos = { ...entries };
+    this.info = { builtAt, source };
+    this.index = null;
+    wordResolver.init(this.wordToVideos);
+    if (rules) wordResolver.setRules(rules);
+    this.isLoaded = true;
+    return result;
+  },
+
+  // Install a sharded glossary's index (see model/glossary-format.js):
+  // words, inflections and rules, but no entries yet. Shard files are
+  // fetched relative to `indexUrl`.
+  // Returns { valid: true, index } or { valid: false, error }.
+  loadIndex(data, indexUrl) {
+    const result = validateIndex(data);
+    if (!result.valid) return result;
+
+    const { entries, shards, inflections, rules, builtAt, source } = data;
+    const base = indexUrl.slice(0, indexUrl.lastIndexOf("/") + 1);
+    this.index = {
+      entries,
+      shards: shards.map((file) => base + file),
+      words: Object.fromEntries(Object.keys(entries).map((word) => [word, true])),
+      loads: new Map(),
+    };
+    wordResolver.setInflectionMap({ ...inflections });
+    this.wordToVideos = {};
+    this.info = { builtAt, source };
+    wordResolver.init({ ...this.index.words });
+    if (rules) wordResolver.setRules(rules);
+    this.isLoaded = true;
+    return { valid: true, index: data };
+  },
+
+  // Make sure the entries of `words` (base or inflected forms) are loaded,
+  // fetching the shards they're in. Resolves once they are, or once a
+  // shard has failed to load (logged; tried again next time). Nothing to
+  // do unless a sharded glossary is loaded.
+  async ensureEntries(words) {
+    if (!this.index) return;
+
+    const shards = new Set();
+    for (const word of words) {
+      const base = wordResolver.findBaseWord(word);
+      const where = base && !this.wordToVideos[base] && this.index.entries[base];
+      if (where) shards.add(where[0]);
+    }
+    await Promise.all([...shards].map((shard) => this._loadShard(shard)));
+  },
+
+  // ensureEntries() for every glossary word in `text`
+  ensureEntriesForText(text) {
+    if (!this.index) return Promise.resolve();
+    return this.ensureEntries(wordResolver.getWordsInText(text));
+  },
+
+  // One load per shard, however many callers want it
+  _loadShard(shard) {
+    let load = this.index.loads.get(shard);
+    if (!load) {
+      load = this._fetchShard(this.index, shard);
+      this.index.loads.set(shard, load);
+    }
+    return load;
+  },
+
+  async _fetchShard(index, shard) {
+    const url = index.shards[shard];
+    const label = `glossary shard ${url.slice(url.lastIndexOf("/") + 1)}`;
+    PerfLogger.time(label);
+    try {
+      const rows = await fetchJson(url);
+      const result = validateShard(rows);
+      if (!result.valid) throw new Error(result.error);
+      // Another glossary was loaded meanwhile
+      if (this.index !== index) return;
+
+      const words = Object.entries(index.entries).filter(([, [where]]) => where === shard);
+      for (const [word, [, offset, count]] of words) {
+        if (offset + count > rows.length) throw new Error(`No entries for "${word}" at row ${offset}`);
+      }
+      for (const [word, [, offset, count]] of words) {
+        if (!this.wordToVideos[word]) this.wordToVideos[word] = rows.slice(offset, offset + count);
       }
-      wordResolver.init(this.wordToVideos);
-      this.isLoaded = true;
+      PerfLogger.timeEnd(label, { words: words.length, entries: rows.length, heapMB: PerfLogger.heapMB() });
     } catch (error) {
-      console.error("Failed to fetch glossary: ", error);
+      index.loads.delete(shard);
+      console.error(`Failed to load ${label}: `, error);
     }
   },
 
+  // Add glossary data on top of what's loaded (same formats as load()),
+  // e.g. the subset for text that appeared on the page after the first
+  // lookup. Entries and inflections already loaded are kept as-is.
+  merge(data) {
+    if (!this.isLoaded) return this.load(data);
+
+    const result = readGlossary(data);
+    if (!result.valid) return result;
+    const { entries, inflections, rules } = result.glossary;
+
+    for (const [base, variants] of Object.entries(entries)) {
+      if (!this.wordToVideos[base]) this.wordToVideos[base] = variants;
+    }
+    for (const [inflected, base] of Object.entries(inflections)) {
+      if (wordResolver.inflectionMap[inflected]) continue;
+      wordResolver.inflectionMap[inflected] = base;
+      if (!wordResolver.reverseMap[base]) {
+        wordResolver.reverseMap[base] = [];
+      }
+      wordResolver.reverseMap[base].push(inflected);
+    }
+    wordResolver.init(this.index ? { ...this.index.words, ...this.wordToVideos } : this.wordToVideos);
+    if (rules) wordResolver.addRules(rules);
+    return result;
+  },
+
+  // Slice of the glossary covering only the words that appear in `text`,
+  // as a glossary file of its own: the entries and inflections, plus the
+  // glossary rules for those words.
+  //
+  // The extension's background worker owns the full glossary; content
+  // scripts ask for just their page's words so every hover lookup stays
+  // synchronous without shipping ~2,350 entries into each tab.
+  getSubsetForText(text) {
+    const entries = {};
+    const inflections = {};
+    const baseWords = wordResolver.getWordsInText(text);
+    for (const base of baseWords) {
+      // Sharded: only what ensureEntries() has loaded
+      if (!this.wordToVideos[base]) continue;
+      entries[base] = this.wordToVideos[base];
+      for (const form of wordResolver.reverseMap[base] || []) {
+        inflections[form] = base;
+      }
+    }
+    return createGlossary({
+      entries,
+      inflections,
+      rules: wordResolver.getRulesFile(baseWords),
+      source: this.info?.source ?? "",
+      builtAt: this.info?.builtAt ?? null,
+    });
+  },
+
   // Get video path for a word
   getVideoPath(word) {
     const entry = this.getEntryForWord(word);
@@ -57,72 +257,157 @@ export const VideoData = {
     if (!baseWord) {
       return null;
     }
-    const entries = this.wordToVideos[baseWord];
-    return entries[0];
+    return this.wordToVideos[baseWord]?.[0] ?? null;
   },
 
   // Get all entries for a word (for showing variants)
   getAllEntriesForWord(word) {
     const baseWord = wordResolver.findBaseWord(word);
-    return baseWord ? this.wordToVideos[baseWord] : [];
+    return (baseWord && this.wordToVideos[baseWord]) || [];
   },
 
 
   // Pick the best variant for a word based on nearby context.
   //
-  // Two scoring layers:
+  // Five scoring layers:
   //   Layer 1 (existing): nearby glossary words' lexicalClass/semanticField
   //     +1 per neighbor with matching lexicalClass
   //     +2 per neighbor with matching semanticField
-  //   Layer 2 (Lesk-style): overlap between paragraph words and variant meanings
-  //     +3 per meaning-token that also appears in the surrounding text
+  //   Layer 2 (Lesk-style): overlap between context words and variant meanings
+  //     +3 per meaning-token that also appears in the surrounding text,
+  //     scaled by that word's signals.contextWeights entry when given
+  //     (nearer words count more; see ContextWindow)
+  //   Layer 3 (user feedback): variants the user chose for this word before
+  //     +4 per correction made in a similar context, +1 per other correction
+  //     (weights in CONFIG.feedback; see FeedbackStore)
+  //   Layer 4 (part of speech): how the word is used in its sentence
+  //     +5 per variant whose lexicalClass is signals.partOfSpeech (the
+  //     PosTagger's tag), when the variants don't all share that class
+  //     (weight in CONFIG.partOfSpeech)
+  //   Layer 5 (glossary rules): collocations curated for this word
+  //     +10 per variant in signals.forceVariants, -10 per variant in
+  //     signals.suppressVariants (weight in CONFIG.rules; see
+  //     wordResolver.evaluateRules)
   //
-  // The meanings overlap is weighted highest because it's the most specific
-  // signal. For example, "hit" near "bat" matching bat_3's meanings
-  // ("hit, strike, swing") is strong evidence for the verb sense.
+  // Of the context layers, the meanings overlap is weighted highest because
+  // it's the most specific signal. For example, "hit" near "bat" matching
+  // bat_3's meanings ("hit, strike, swing") is strong evidence for the verb
+  // sense. The word's own grammar outweighs a single such hit — "bat the
+  // ball" can't be the animal — and the user's own choice in a similar
+  // context counts nearly as much.
   //
   // Returns:
   //   index >= 0  — a confident pick (context gave a signal)
   //   -1          — no context signal; caller should loop all variants
-  disambiguate(entries, nearbyBaseWords, contextWords = [], targetBaseWord = "") {
-    if (entries.length <= 1) return 0;
+  //
+  // signals: { contextWeights, partOfSpeech, forceVariants,
+  //   suppressVariants } — all optional, from
+  //   HighlightOverlayPresenter.getContextForWord()
+  disambiguate(entries, nearbyBaseWords, contextWords = [], targetBaseWord = "", signals = {}) {
+    return this.explainDisambiguation(
+      entries, nearbyBaseWords, contextWords, targetBaseWord, signals
+    ).pick;
+  },
+
+  // Per-variant context scores behind disambiguate() — one number per
+  // entry, same order. The popup's variant strip shows these so the user
+  // can see why a sign was picked.
+  scoreVariants(entries, nearbyBaseWords, contextWords = [], targetBaseWord = "", signals = {}) {
+    return this.explainVariants(entries, nearbyBaseWords, contextWords, targetBaseWord, signals)
+      .map((variant) => variant.score);
+  },
+
+  // disambiguate() with its working shown: the pick plus every variant's
+  // breakdown (see explainVariants). Drives the popup's debug panel.
+  explainDisambiguation(entries, nearbyBaseWords, contextWords = [], targetBaseWord = "", signals = {}) {
+    const variants = this.explainVariants(entries, nearbyBaseWords, contextWords, targetBaseWord, signals);
+    if (entries.length <= 1) return { pick: 0, variants };
+
+    let pick = this.pickVariant(variants.map((v) => v.score));
+
+    // Rules that ruled out every variant but one leave no doubt, even
+    // with no other signal
+    if (pick < 0) {
+      const left = variants.filter((v) => v.rules.points >= 0);
+      if (left.length === 1) pick = variants.indexOf(left[0]);
+    }
+
+    return { pick, variants };
+  },
+
+  // Score every variant, layer by layer, keeping what each layer matched:
+  //   {
+  //     entryId, score,
+  //     lexicalClass:  { points, neighbors }  — nearby words with the same class
+  //     semanticField: { points, neighbors }  — nearby words in the same field
+  //     lesk:          { points, tokens }     — meaning tokens found in the text
+  //     feedback:      { points }             — the user's past corrections
+  //     partOfSpeech:  { points, tag }        — the word's tagged POS
+  //     rules:         { points }             — glossary rules that fired
+  //   }
+  // score is the sum of the layers' points, rounded to 2 decimals (decayed
+  // context weights make the Lesk points fractional).
+  explainVariants(entries, nearbyBaseWords, contextWords = [], targetBaseWord = "", signals = {}) {
+    const {
+      contextWeights = null,
+      partOfSpeech = null,
+      forceVariants = [],
+      suppressVariants = [],
+    } = signals;
+    const variants = entries.map((e) => ({
+      entryId: e.entryId,
+      score: 0,
+      lexicalClass: { points: 0, neighbors: [] },
+      semanticField: { points: 0, neighbors: [] },
+      lesk: { points: 0, tokens: [] },
+      feedback: { points: 0 },
+      partOfSpeech: { points: 0, tag: partOfSpeech },
+      rules: { points: 0 },
+    }));
 
     // ── Layer 1: lexicalClass + semanticField from nearby glossary words ──
 
-    const neighborClasses = [];
-    const neighborFields = [];
+    const neighbors = [];
 
     for (const word of nearbyBaseWords) {
       const entry = this.wordToVideos[word]?.[0];
       if (!entry) continue;
-      if (entry.lexicalClass) neighborClasses.push(entry.lexicalClass);
       const field = entry.semanticField;
-      if (field && field !== "None" && field !== "-")
-        neighborFields.push(field);
+      neighbors.push({
+        word,
+        lexicalClass: entry.lexicalClass,
+        semanticField: field && field !== "None" && field !== "-" ? field : null,
+      });
     }
 
-    const scores = new Array(entries.length).fill(0);
-
     for (let i = 0; i < entries.length; i++) {
       const e = entries[i];
+      const v = variants[i];
 
-      for (const nc of neighborClasses) {
-        if (nc === e.lexicalClass) scores[i] += 1;
+      for (const n of neighbors) {
+        if (n.lexicalClass && n.lexicalClass === e.lexicalClass) {
+          v.lexicalClass.points += 1;
+          v.lexicalClass.neighbors.push(n.word);
+        }
       }
 
       const field = e.semanticField;
       if (field && field !== "None" && field !== "-") {
-        for (const nf of neighborFields) {
-          if (nf === field) scores[i] += 2;
+        for (const n of neighbors) {
+          if (n.semanticField === field) {
+            v.semanticField.points += 2;
+            v.semanticField.neighbors.push(n.word);
+          }
         }
       }
     }
 
-    // ── Layer 2: Lesk-style meanings matching from paragraph context ──
+    // ── Layer 2: Lesk-style meanings matching from surrounding context ──
     //
-    // Compare every word in the surrounding paragraph against each
-    // variant's "meanings" field. A direct synonym hit (e.g. "breeze"
-    // in cool_5's meanings) is the strongest disambiguation signal.
+    // Compare every word around the target against each variant's
+    // "meanings" field. A direct synonym hit (e.g. "breeze" in cool_5's
+    // meanings) is the strongest disambiguation signal — strongest of all
+    // right next to the word, when contextWeights says so.
 
     if (contextWords.length > 0) {
       // Build Set of context words, excluding the target word itself
@@ -137,24 +422,63 @@ export const VideoData = {
       for (let i = 0; i < entries.length; i++) {
         if (!entries[i].meanings) continue;
 
-        // Split "hit, hit stick, knock, strike, swing" → individual tokens
+        // Split "hit, hit stick, knock, strike, swing" → individual words,
+        // read the way the context words were, so quotes and brackets
+        // ("novel", (schedule)) don't stick to them.
         // Deduplicate so "hit" from "hit" and "hit stick" counts once
         const meaningTokens = new Set(
-          entries[i].meanings.toLowerCase()
-            .split(/,/)
-            .flatMap(phrase => phrase.trim().split(/\s+/))
+          tokenize(entries[i].meanings)
+            .map(t => t.word)
             .filter(t => t.length > 2 && t !== targetBaseWord)
         );
 
         for (const token of meaningTokens) {
           if (contextSet.has(token)) {
-            scores[i] += 3;
+            variants[i].lesk.points += 3 * (contextWeights?.get(token) ?? 1);
+            variants[i].lesk.tokens.push(token);
           }
         }
       }
     }
 
-    // Find the highest-scoring variant
+    // ── Layer 3: the user's past corrections for this word ──
+
+    const feedback = FeedbackStore.scoreVariants(targetBaseWord, entries, contextWords);
+
+    // ── Layer 4: the word's part of speech in its sentence ──
+    //
+    // Only when it tells the variants apart — "Noun" for a word whose
+    // variants are all nouns would just make the first one win.
+
+    const posSplits =
+      partOfSpeech &&
+      entries.some((e) => e.lexicalClass === partOfSpeech) &&
+      entries.some((e) => e.lexicalClass !== partOfSpeech);
+
+    for (let i = 0; i < entries.length; i++) {
+      const v = variants[i];
+      v.feedback.points = feedback[i];
+      if (posSplits && entries[i].lexicalClass === partOfSpeech) {
+        v.partOfSpeech.points = CONFIG.partOfSpeech.weight;
+      }
+
+      // ── Layer 5: glossary rules that fired around the word ──
+      if (forceVariants.includes(v.entryId)) v.rules.points += CONFIG.rules.variantWeight;
+      if (suppressVariants.includes(v.entryId)) v.rules.points -= CONFIG.rules.variantWeight;
+
+      v.lesk.points = round2(v.lesk.points);
+      v.score = round2(
+        v.lexicalClass.points + v.semanticField.points + v.lesk.points +
+        v.feedback.points + v.partOfSpeech.points + v.rules.points
+      );
+    }
+
+    return variants;
+  },
+
+  // Index of the highest score (first one wins a tie), or -1 when every
+  // score is 0 — no signal, so the caller should loop all variants.
+  pickVariant(scores) {
     let bestIndex = 0;
     let bestScore = 0;
 
@@ -165,7 +489,6 @@ export const VideoData = {
       }
     }
 
-    // No signal at all — return -1 so the caller can loop all variants
     if (bestScore <= 0) return -1;
 
     return bestIndex;
@@ -7,6 +7,7 @@
 
 import { LRUCache } from "../utils/LRUCache.js";
 import { CONFIG } from "../config.js";
+import { FingerspellingData } from "./fingerspelling-data.js";
 
 export const VideoService = {
   _cache: null,
@@ -39,9 +40,11 @@ export const VideoService = {
    * @param {Function} callbacks.onError - called when fetch fails
    */
   getVideo(word, bestIndex, entries, { onReady, onError }) {
+    // New word hovered — drop any queued background fetches from the old
+    // word. A variant picked for the same word keeps them: they are the
+    // word's other variants, still to come.
+    if (word !== this._loadingWord) this._fetchQueue = [];
     this._loadingWord = word;
-    // New word hovered — drop any queued background fetches from the old word
-    this._fetchQueue = [];
 
     // --- Cache hit: serve from memory ---
     const cached = this._cache.get(word);
@@ -60,6 +63,16 @@ export const VideoService = {
         if (this._loadingWord !== word) return;
 
         const blobUrl = URL.createObjectURL(blob);
+
+        // A variant picked before its background fetch finished — add it
+        // to the word's existing entry rather than dropping the others
+        if (cached) {
+          cached.blobUrls[bestIndex] = blobUrl;
+          cached.currentIndex = bestIndex;
+          onReady(blobUrl, cached.entries[bestIndex]);
+          return;
+        }
+
         const cacheEntry = {
           entries,
           blobUrls: [],
@@ -103,6 +116,42 @@ export const VideoService = {
     };
   },
 
+  /**
+   * Build the handshape sequence for fingerspelling a word.
+   * Characters without a handshape (apostrophes, hyphens, digits) are
+   * skipped; spaces become a blank frame so multi-word selections pause
+   * between words.
+   *
+   * Images are small and the browser caches them, so unlike sign videos
+   * they go through an <img> preload rather than the blob LRU cache.
+   *
+   * @param {string} word - the text to fingerspell
+   * @returns {{ char: string, src: string|null }[]} frames in playback order
+   */
+  getFingerspellFrames(word) {
+    const frames = [];
+    for (const char of word.trim()) {
+      if (/\s/.test(char)) {
+        // Collapse runs of whitespace into a single pause
+        if (frames.length && frames[frames.length - 1].src !== null) {
+          frames.push({ char: " ", src: null });
+        }
+        continue;
+      }
+      const asset = FingerspellingData.getAsset(char);
+      if (!asset) continue;
+      const src = CONFIG.fingerspell.basePath + asset;
+      frames.push({ char: char.toUpperCase(), src });
+
+      if (typeof Image !== "undefined") {
+        new Image().src = src;
+      }
+    }
+    // Drop a trailing pause left by an unspellable last word ("room 101")
+    if (frames.length && frames[frames.length - 1].src === null) frames.pop();
+    return frames;
+  },
+
   /**
    * Fetch remaining variant blobs in background and add to cache entry.
    * Skips the index that was already fetched eagerly.
@@ -132,7 +181,10 @@ export const VideoService = {
       fetch(path)
         .then((response) => response.blob())
         .then((blob) => {
-          cacheEntry.blobUrls[index] = URL.createObjectURL(blob);
+          // getVideo() may have fetched it on demand in the meantime
+          if (!cacheEntry.blobUrls[index]) {
+            cacheEntry.blobUrls[index] = URL.createObjectURL(blob);
+          }
         })
         .catch(() => {
           cacheEntry.blobUrls[index] = null;
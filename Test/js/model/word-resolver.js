@@ -1,48 +1,87 @@
+import { compileRules, ruleMatches, RULES_FORMAT, RULES_VERSION } from "./glossary-rules.js";
+import { tokenize, normalize } from "./tokenizer.js";
+
 export const wordResolver = {
   inflectionMap: {}, // inflected form → base word
   reverseMap: {}, // base word → [inflected forms]
   _glossary: null, // reference to VideoData.wordToVideos (set via init)
 
-  // Phrase support: glossary keys with underscores → space-separated forms
+  // Phrase support: glossary keys with underscores → space-separated
+  // forms, and keys the tokenizer splits ("well-known", "it's"), which
+  // can't be found token by token either
   _phraseMap: {}, // "high school" → "high_school"
-  _phrases: [], // ["high school", "i love you", ...]
+  _phrases: [], // ["high school", "i love you", "well-known", ...]
 
-  // Suppress patterns: collocations that indicate a word is NOT being used
-  // in the sign's sense. Checked against the text node surrounding a match.
+  // Collocation rules by base word, compiled from the glossary rules file
+  // (see model/glossary-rules.js): collocations that show a word is NOT
+  // being used in the sign's sense, or which sign variant it is.
   //
-  // Why pattern-based instead of Lesk?
+  // Why collocations instead of Lesk?
   //   Lesk requires positive evidence (meaning-token overlap with context).
   //   For single-variant words like "degree" (only the diploma sign exists),
   //   Lesk would suppress valid uses too ("she earned her degree" has no
   //   overlap with "diploma, education, major"). Collocations are more
   //   precise: "degree of" is almost always abstract, while "her degree"
   //   is almost always the diploma.
-  _suppressPatterns: {
-    degree: [
-      /\bdegrees?\s+of\b/i,     // "degree of X", "degrees of borrowing"
-      /\b\w+ing\s+degrees?\b/i, // "varying degree", "increasing degrees"
-    ],
-  },
+  _rules: {},
+
+  // Bumped whenever the words or rules change, so copies of this state
+  // (the match worker's, see getMatchData) know when to refresh
+  version: 0,
 
   // Called by VideoData.init() after loading the glossary
   init(glossary) {
     this._glossary = glossary;
+    this.version++;
 
-    // Build phrase lookup from underscore-keyed glossary entries
+    // Build phrase lookup from underscore-keyed and multi-token entries
     this._phraseMap = {};
     this._phrases = [];
     for (const key of Object.keys(glossary)) {
-      if (key.includes("_")) {
-        const spaced = key.replace(/_/g, " ");
+      const spaced = normalize(key.replace(/_/g, " "));
+      const tokens = tokenize(spaced);
+      if (tokens.length !== 1 || tokens[0].word !== spaced) {
         this._phraseMap[spaced] = key;
         this._phrases.push(spaced);
       }
     }
   },
 
+  // Install an inflection map (inflected form → base word) and rebuild
+  // reverseMap from it
+  setInflectionMap(inflectionMap) {
+    this.inflectionMap = inflectionMap;
+    this.reverseMap = {};
+    for (const [inflected, base] of Object.entries(inflectionMap)) {
+      if (!this.reverseMap[base]) {
+        this.reverseMap[base] = [];
+      }
+      this.reverseMap[base].push(inflected);
+    }
+  },
+
+  // Everything matching needs, without the glossary entries: glossary
+  // words, inflections and rules. Small enough to post to the match worker
+  // (worker/match-worker.js), which installs it with loadMatchData().
+  getMatchData() {
+    return {
+      words: Object.keys(this._glossary || {}),
+      inflectionMap: this.inflectionMap,
+      rules: this.getRulesFile(Object.keys(this._rules)),
+    };
+  },
+
+  // Install getMatchData() output. Words map to `true` instead of their
+  // entries — matching only ever checks that a word is in the glossary.
+  loadMatchData({ words, inflectionMap, rules }) {
+    this.setInflectionMap(inflectionMap);
+    this.init(Object.fromEntries(words.map((word) => [word, true])));
+    this.setRules(rules);
+  },
+
   // Find the base/stem word in glossary via inflection map lookup
   findBaseWord(word) {
-    const normalized = word.toLowerCase();
+    const normalized = normalize(word);
 
     // Exact match in glossary
     if (this._glossary[normalized]) {
@@ -84,15 +123,15 @@ export const wordResolver = {
 
   // Find all glossary words that appear in a text string.
   //
-  // HOW: tokenizes with /\b[a-z]+\b/g, then deduplicates into a Set so
+  // HOW: tokenizes with model/tokenizer.js, then deduplicates into a Set so
   // repeated words (e.g. "for" appearing 50x) become a single O(1) lookup.
   // Each unique token is checked against the glossary and inflectionMap.
   //
   // A 20,000-word article has far fewer unique words, so the Set shrinks
   // the work dramatically. The result can't exceed the glossary size (~2,350).
   getWordsInText(text) {
-    const lowerText = text.toLowerCase();
-    const textWords = new Set(lowerText.match(/\b[a-z]+\b/g) || []);
+    const normalizedText = normalize(text);
+    const textWords = new Set(tokenize(text).map((token) => token.word));
     const matchedBaseWords = new Set();
 
     // Single-word matching (existing logic)
@@ -112,9 +151,9 @@ export const wordResolver = {
     // Phrase scanning: check if any known phrase appears in the text.
     // With ~255 phrases this is a simple substring search — under 1ms
     // even on long articles. False positives are harmless because the
-    // regex's \b boundaries filter them out during the highlight pass.
+    // matcher's word boundaries filter them out during the highlight pass.
     for (const phrase of this._phrases) {
-      if (lowerText.includes(phrase)) {
+      if (normalizedText.includes(phrase)) {
         matchedBaseWords.add(this._phraseMap[phrase]);
       }
     }
@@ -146,22 +185,81 @@ export const wordResolver = {
     return [...allForms];
   },
 
+  // Install a glossary rules file (see model/glossary-rules.js), replacing
+  // the current rules. An invalid file is rejected whole and the current
+  // rules stay. Returns compileRules()'s { valid, error } result.
+  setRules(data) {
+    const result = compileRules(data);
+    if (result.valid) {
+      this._rules = result.rules;
+      this.version++;
+    }
+    return result;
+  },
+
+  // Add rules for words that have none yet, e.g. those shipped with a
+  // glossary subset (VideoData.merge).
+  addRules(data) {
+    const result = compileRules(data);
+    if (!result.valid) return result;
+    for (const [word, rules] of Object.entries(result.rules)) {
+      if (!this._rules[word]) this._rules[word] = rules;
+    }
+    this.version++;
+    return result;
+  },
+
+  // The installed rules for these base words, as a rules file — what a
+  // glossary subset needs to carry (VideoData.getSubsetForText).
+  getRulesFile(baseWords) {
+    const rules = [];
+    for (const word of baseWords) {
+      for (const rule of this._rules[word] || []) rules.push(rule.source);
+    }
+    return { format: RULES_FORMAT, version: RULES_VERSION, rules };
+  },
+
+  // Run every rule for baseWord against the match at text[start, end).
+  //
+  // Returns:
+  //   suppressed       — a suppress rule fired and no force rule did
+  //   forceVariants    — entryIds a variant force rule picked
+  //   suppressVariants — entryIds a variant suppress rule ruled out
+  //   fired            — the rules that fired, as written in the file
+  evaluateRules(baseWord, text, start, end) {
+    const result = { suppressed: false, forceVariants: [], suppressVariants: [], fired: [] };
+    const rules = this._rules[baseWord];
+    if (!rules) return result;
+
+    let suppress = false;
+    let force = false;
+    for (const rule of rules) {
+      if (!ruleMatches(rule, text, start, end)) continue;
+      result.fired.push(rule.source);
+
+      if (rule.variant) {
+        const list = rule.action === "force" ? result.forceVariants : result.suppressVariants;
+        if (!list.includes(rule.variant)) list.push(rule.variant);
+      } else if (rule.action === "force") {
+        force = true;
+      } else {
+        suppress = true;
+      }
+    }
+
+    result.suppressed = suppress && !force;
+    return result;
+  },
+
   // Check whether a highlight match should be suppressed based on
   // surrounding text. Returns true if the word appears in a collocation
   // that indicates a different sense than the glossary sign.
   //
-  // Called per-match during highlighting. We test a ±30-char window
-  // around the match so patterns like "varying degrees of" are caught
-  // even when the matched text is just "degrees".
+  // Called per-match during highlighting, so words without rules return
+  // before any tokenizing.
   shouldSuppressMatch(baseWord, textContent, matchIndex, matchLength) {
-    const patterns = this._suppressPatterns[baseWord];
-    if (!patterns) return false;
-
-    const windowStart = Math.max(0, matchIndex - 30);
-    const windowEnd = Math.min(textContent.length, matchIndex + matchLength + 30);
-    const window = textContent.substring(windowStart, windowEnd);
-
-    return patterns.some(p => p.test(window));
+    if (!this._rules[baseWord]) return false;
+    return this.evaluateRules(baseWord, textContent, matchIndex, matchIndex + matchLength).suppressed;
   },
 
   // Check if word exists in glossary (with inflection map)
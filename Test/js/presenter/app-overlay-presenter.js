@@ -5,39 +5,103 @@
  *   - Uses HighlightOverlayPresenter (CSS Highlight API, no <mark> elements)
  *   - Uses PopupOverlayPresenter (Shadow DOM, mousemove hover detection)
  *   - Populates word chips from matched base words
+ *   - Scopes highlighting to the main article (Readability), so nav bars,
+ *     footers and comment sections stay unhighlighted
+ *   - Keeps highlights and chips current as the page changes
+ *     (LiveHighlightPresenter)
+ *
+ * Entry points: main.js (test page) and extension/content.js (any page).
  */
 
-import { VideoData } from "../model/video-data.js";
 import { AppState } from "../model/state.js";
 import { HighlightOverlayPresenter } from "./highlight-overlay-presenter.js";
 import { PopupOverlayPresenter } from "./popup-overlay-presenter.js";
+import { LiveHighlightPresenter } from "./live-highlight-presenter.js";
+import { SettingsPresenter } from "./settings-presenter.js";
 import { WordChipsView } from "../view/word-chips-view.js";
+import { ResultView } from "../view/result-view.js";
+import { findMainContent } from "../utils/Readability.js";
 
 const AppOverlayPresenter = {
-  // Reference to the article container
+  // Reference to the content container (what gets highlighted)
   container: null,
 
+  // Main-content element inside the container (what actually gets
+  // highlighted). Falls back to the container when Readability finds no
+  // article, e.g. on pages that are all navigation.
+  scope: null,
+
+  // Optional control-panel elements. The test page passes all of them;
+  // the extension content script passes none, so every use is guarded.
+  wordChipsEl: null,
+  toggleBtn: null,
+
+  // async (text) hook that loads glossary entries for text (see init)
+  prepareText: null,
+
   /**
    * Initialize the application
+   *
+   * Host-page agnostic: nothing here looks up test-page ids. Callers hand
+   * in whichever elements they have; missing ones are skipped.
+   *
+   * @param {object}      [elements]
+   * @param {HTMLElement} [elements.container] - element to highlight within
+   * @param {HTMLElement} [elements.wordChips] - word chips panel
+   * @param {HTMLElement} [elements.toggleBtn] - highlight-all / clear toggle
+   * @param {HTMLElement} [elements.result]    - match count / navigation display
+   * @param {HTMLElement} [elements.settings]  - settings panel
+   * @param {Function}    [elements.prepareText] - async (text) hook run before
+   *                        text is highlighted — the page's, and text added
+   *                        later; it fetches the glossary entries for that
+   *                        text (the extension's lookup, or glossary shards)
    */
-  init() {
+  init({
+    container = null,
+    wordChips = null,
+    toggleBtn = null,
+    result = null,
+    settings = null,
+    prepareText = null,
+  } = {}) {
+    this.container = container;
+    this.wordChipsEl = wordChips;
+    this.toggleBtn = toggleBtn;
+    this.prepareText = prepareText;
+    ResultView.setElement(result);
+
     // Initialize presenters
     HighlightOverlayPresenter.init();
     PopupOverlayPresenter.init();
 
-    // Load article content
-    this.loadArticle();
+    // Stored preferences load async; defaults apply until they arrive
+    SettingsPresenter.init(settings);
 
     // Bind UI events
     this.bindEvents();
+
+    if (container) {
+      // Keep the hover index in step with layout changes
+      HighlightOverlayPresenter.watchLayout(container);
+
+      // Re-highlight content that appears or changes later
+      LiveHighlightPresenter.start(container, {
+        getScope: () => this.scope,
+        onChange: () => this.handleLiveChange(),
+        onScopeLost: () => this.handleScopeLost(),
+        beforeHighlight: prepareText,
+      });
+    }
   },
 
   /**
-   * Load the test article
+   * Load an article into the container, then highlight it (test page only).
+   *
+   * @param {string} url - HTML page to load
    */
-  async loadArticle() {
+  async loadArticle(url) {
     try {
-      const response = await fetch("asl_article.html");
+      const response = await fetch(url);
       const html = await response.text();
 
       const parser = new DOMParser();
@@ -46,24 +110,52 @@ const AppOverlayPresenter = {
       // Remove embedded videos/audio to prevent console errors
       doc.querySelectorAll("video, audio, source").forEach((el) => el.remove());
 
-      this.container = document.getElementById("article-container");
       this.container.innerHTML = doc.body.innerHTML;
 
-      // Highlight all glossary words and get matched base words
-      const matchedWords = HighlightOverlayPresenter.highlightAllGlossaryWords(
-        this.container
-      );
-
-      // Populate word chips from matched base words
-      this.populateWordChips(matchedWords);
-      this.updateToggleButton();
+      await this.highlightPage();
     } catch (err) {
-      document.getElementById("article-container").innerHTML =
+      this.container.innerHTML =
         '<p style="color:red;">Error loading article.</p>';
       console.error(err);
     }
   },
 
+  /**
+   * Highlight every glossary word in the main content and refresh the chips.
+   * Big pages are matched in a worker, so this resolves once the last
+   * highlight is in; chips stay as they are if another pass replaced it.
+   * If prepareText fails (no glossary for the page) the page is left
+   * unhighlighted; this never rejects, so callers needn't catch.
+   */
+  async highlightPage() {
+    // Re-detect each time: loadArticle() replaces the container's content
+    this.scope = findMainContent(this.container) || this.container;
+    if (this.prepareText) {
+      // The text as highlighting reads it, without <script>/<style> contents
+      const { text } = HighlightOverlayPresenter.view.flatten(this.scope);
+      try {
+        await this.prepareText(text);
+      } catch (err) {
+        console.error("Glossary lookup failed, page not highlighted:", err);
+        return;
+      }
+    }
+
+    // Highlight all glossary words and get matched base words
+    const pass = HighlightOverlayPresenter.highlightAllGlossaryWordsInWorker(this.scope);
+
+    // The pass has read the page by now, so it covers any mutations still
+    // queued; later ones are caught by live highlighting as usual
+    LiveHighlightPresenter.discardPending();
+
+    const matchedWords = await pass;
+    if (!matchedWords) return;
+
+    // Populate word chips from matched base words
+    this.populateWordChips(matchedWords);
+    this.updateToggleButton();
+  },
+
   /**
    * Populate word chips from matched base words.
    *
@@ -73,24 +165,60 @@ const AppOverlayPresenter = {
    * @param {Set<string>} matchedWords - Set of base words that were matched
    */
   populateWordChips(matchedWords) {
+    if (!this.wordChipsEl) return;
+
     const words = [...matchedWords].sort();
 
-    WordChipsView.setContainer(document.getElementById("word-chips"));
+    WordChipsView.setContainer(this.wordChipsEl);
     WordChipsView.render(words, (word) => {
       // Highlight just this word (and its inflections)
-      HighlightOverlayPresenter.highlightWord(this.container, word);
+      HighlightOverlayPresenter.highlightWord(this.scope, word);
+      LiveHighlightPresenter.discardPending();
       this.updateToggleButton();
     });
   },
 
+  /**
+   * Matches changed after a live update: refresh whatever shows them.
+   */
+  handleLiveChange() {
+    const presenter = HighlightOverlayPresenter;
+
+    if (AppState.highlightMode === "all") {
+      this.populateWordChips(presenter.matchedBaseWords);
+    } else if (AppState.highlightMode === "word") {
+      const count = presenter.matches.length;
+      AppState.setMatchCount(count);
+      ResultView.showCount(count, presenter);
+      if (presenter.currentMatchIndex >= 0) {
+        ResultView.updatePosition(presenter.currentMatchIndex + 1, count);
+      }
+    }
+  },
+
+  /**
+   * The main-content element left the page (SPA route change replaced
+   * the article): re-detect it and redo the current highlight mode.
+   */
+  handleScopeLost() {
+    if (AppState.highlightMode === "all") {
+      this.highlightPage();
+      return;
+    }
+
+    this.scope = findMainContent(this.container) || this.container;
+    if (AppState.highlightMode === "word") {
+      HighlightOverlayPresenter.highlightWord(this.scope, HighlightOverlayPresenter.activeWord);
+      LiveHighlightPresenter.discardPending();
+    }
+  },
+
   /**
    * Bind UI event handlers
    */
   bindEvents() {
-    const clearBtn = document.getElementById("clear-btn");
-
-    if (clearBtn) {
-      clearBtn.addEventListener("click", () => this.handleToggle());
+    if (this.toggleBtn) {
+      this.toggleBtn.addEventListener("click", () => this.handleToggle());
     }
   },
 
@@ -100,21 +228,18 @@ const AppOverlayPresenter = {
   handleToggle() {
     if (AppState.highlightMode === "all") {
       HighlightOverlayPresenter.clearHighlights();
+      this.updateToggleButton();
     } else {
-      const matchedWords = HighlightOverlayPresenter.highlightAllGlossaryWords(
-        this.container
-      );
-      // Refresh word chips in case they were cleared
-      this.populateWordChips(matchedWords);
+      // Also refreshes word chips in case they were cleared
+      this.highlightPage();
     }
-    this.updateToggleButton();
   },
 
   /**
    * Update the toggle button text and style based on current highlight mode
    */
   updateToggleButton() {
-    const btn = document.getElementById("clear-btn");
+    const btn = this.toggleBtn;
     if (!btn) return;
 
     if (AppState.highlightMode === "all") {
@@ -127,13 +252,4 @@ const AppOverlayPresenter = {
   }
 };
 
-// Start app when DOM is ready
-document.addEventListener("DOMContentLoaded", async () => {
-  await VideoData.init();
-  AppOverlayPresenter.init();
-
-  // Expose for DevTools console access
-  window.highlightPresenter = HighlightOverlayPresenter;
-});
-
 export { AppOverlayPresenter };
@@ -3,16 +3,70 @@
  *
  * Uses HighlightOverlayView (CSS Custom Highlight API) for non-DOM-mutating highlights.
  *   - Tracks matches via onEachMatch callback (stores ranges, not elements)
- *   - Navigation scrolls to range positions
+ *   - Navigation scrolls to range positions and draws the current match
+ *     with a second "asl-focus" highlight (ResultView buttons and the
+ *     keyboard next/prev shortcuts share it)
  *   - Hover detection is handled by PopupOverlayPresenter (via mousemove)
+ *   - Content that changes after the first pass is patched in via
+ *     highlightTextNodes()/pruneDetached() (driven by LiveHighlightPresenter)
+ *   - Point lookups (hover) go through a SpatialIndex of cached match rects,
+ *     rebuilt lazily after matches or layout change
+ *   - Full passes over big pages match text in a Web Worker
+ *     (highlightAllGlossaryWordsInWorker) and build Ranges in idle time
  */
 
+import { CONFIG } from "../config.js";
 import { VideoData } from "../model/video-data.js";
+import { ContextWindow } from "../model/context-window.js";
+import { PosTagger } from "../model/pos-tagger.js";
 import { wordResolver } from "../model/word-resolver.js";
 import { AppState } from "../model/state.js";
 import { HighlightOverlayView } from "../view/highlight-overlay-view.js";
 import { ResultView } from "../view/result-view.js";
 import { PerfLogger } from "../utils/PerfLogger.js";
+import { SpatialIndex } from "../utils/SpatialIndex.js";
+import { MatchWorker } from "../utils/MatchWorker.js";
+import { FlatText, BLOCK_SELECTOR } from "../utils/FlatText.js";
+
+// Grid cell size for the hover index (px) — a few words wide
+const SPATIAL_CELL_SIZE = 100;
+
+/**
+ * The element whose text a context window is cut from: the nearest block
+ * around the word, or for "section" windows the whole body (headings
+ * anywhere above the word can start its section). "paragraph" keeps the
+ * original <p>-or-parent scope.
+ */
+function contextScope(textNode, mode) {
+  const parent = textNode.parentElement;
+  if (mode === "paragraph") return parent?.closest("p") || parent;
+  if (mode === "section") return document.body || parent;
+  return parent?.closest(BLOCK_SELECTOR) || parent;
+}
+
+/**
+ * Whether `node` is inside a position: fixed or sticky element, so it moves
+ * with the viewport (or its scroll container) rather than the document.
+ * `cache` keeps the answer per element for the rest of one index build.
+ */
+function isPinned(node, cache) {
+  const checked = [];
+  let pinned = false;
+  for (let el = node?.parentElement; el; el = el.parentElement) {
+    if (cache.has(el)) {
+      pinned = cache.get(el);
+      break;
+    }
+    checked.push(el);
+    const { position } = getComputedStyle(el);
+    if (position === "fixed" || position === "sticky") {
+      pinned = true;
+      break;
+    }
+  }
+  for (const el of checked) cache.set(el, pinned);
+  return pinned;
+}
 
 export const HighlightOverlayPresenter = {
   // The view instance
@@ -25,6 +79,29 @@ export const HighlightOverlayPresenter = {
   // Track which base words were found (for word chips)
   matchedBaseWords: new Set(),
 
+  // The word passed to highlightWord() while in "word" mode, so newly
+  // added content can be searched for the same word
+  activeWord: null,
+
+  // Match rects in document coordinates, for hover hit-testing.
+  // null = stale; rebuilt on the next point lookup.
+  _spatialIndex: null,
+
+  // Matches inside fixed / sticky elements, left out of the index: page
+  // scrolling moves them, so they are hit-tested with live rects
+  _pinnedMatches: [],
+
+  // Removes the layout listeners added by watchLayout()
+  _unwatchLayout: null,
+
+  // The match worker (utils/MatchWorker.js): null until the first big
+  // page needs it, false once it turned out not to work here
+  _matchWorker: null,
+
+  // Bumped by every highlight pass and clear, so a worker pass that
+  // finishes after something else replaced it is dropped
+  _pass: 0,
+
   /**
    * Initialize the presenter
    */
@@ -47,10 +124,12 @@ export const HighlightOverlayPresenter = {
    * glossary, the matches are always ≤ glossary size.
    *
    * @param {HTMLElement} container - The element whose text to scan
+   * @param {string} [text] - Its text, if already read; highlight passes
+   *   pass the flattened text (view.flatten()), so a phrase split by a <br>
+   *   is found and one split across paragraphs isn't
    * @returns {string[]} - Only the words (base + inflections) that appear on page
    */
-  prefilterWords(container) {
-    const text = container.textContent;            // DOM concern (presenter's job)
+  prefilterWords(container, text = container.textContent) {
     return wordResolver.getMatchingFormsInText(text); // word logic (resolver's job)
   },
 
@@ -58,18 +137,20 @@ export const HighlightOverlayPresenter = {
    * Highlight all words from the glossary in a single pass.
    *
    * @param {HTMLElement} container - The element to highlight within
+   * @param {FlatText} [flat] - view.flatten(container), if already built
    * @returns {Set<string>} - Set of base words that were matched
    */
-  highlightAllGlossaryWords(container) {
+  highlightAllGlossaryWords(container, flat = null) {
     PerfLogger.time("TOTAL highlight pipeline");
 
-    this.matches = [];
-    this.currentMatchIndex = -1;
-    this.matchedBaseWords.clear();
-    AppState.setHighlightMode("all");
+    this._startPass("all");
+
+    PerfLogger.time("flattenText");
+    flat = flat || this.view.flatten(container);
+    PerfLogger.timeEnd("flattenText", { textNodes: flat.nodes.length, chars: flat.text.length });
 
     PerfLogger.time("prefilterWords");
-    const allWords = this.prefilterWords(container);
+    const allWords = this.prefilterWords(container, flat.text);
     PerfLogger.timeEnd("prefilterWords", { words: allWords.length });
 
     // Guard against empty words array (causes infinite loop)
@@ -79,24 +160,12 @@ export const HighlightOverlayPresenter = {
     }
 
     PerfLogger.time("view.highlightAll");
-    this.view.highlightAll(container, allWords, (matchedText, textNode, offset) => {
-      // Find the base word for this match
-      const baseWord = wordResolver.findBaseWord(matchedText) || matchedText.toLowerCase();
-
-      // Suppress matches in collocations that indicate a different sense
-      // (e.g. "degree of" → abstract, not diploma). Pop the range the view
-      // just pushed so it won't be registered with CSS.highlights.
-      if (wordResolver.shouldSuppressMatch(baseWord, textNode.textContent, offset, matchedText.length)) {
-        this.view._ranges.pop();
-        return;
-      }
-
-      this.matchedBaseWords.add(baseWord);
-
-      // Store the range for potential navigation
-      const range = this.view._ranges[this.view._ranges.length - 1];
-      this.matches.push({ word: matchedText, baseWord, range, textNode, offset });
-    });
+    this.view.highlightAll(
+      container,
+      allWords,
+      (matchedText, textNode, offset) => this._recordMatch(matchedText, textNode, offset),
+      flat
+    );
     PerfLogger.timeEnd("view.highlightAll", {
       matches: this.matches.length,
       uniqueBaseWords: this.matchedBaseWords.size,
@@ -110,16 +179,107 @@ export const HighlightOverlayPresenter = {
   },
 
   /**
-   * Highlight a specific word and its inflections.
+   * highlightAllGlossaryWords() with the text work — tokenizing, the
+   * prefilter and the regex — done in a Web Worker (worker/match-worker.js).
+   * The main thread only collects text nodes, then turns the worker's
+   * (nodeIndex, offset, length, baseWord) tuples into Ranges in idle-time
+   * slices, so a huge page never stalls input.
+   *
+   * Pages with less than CONFIG.matchWorker.minChars of text, and pages
+   * where the worker can't start or fails, get the inline pass instead.
    *
    * @param {HTMLElement} container - The element to highlight within
-   * @param {string} word - The word to highlight
+   * @returns {Promise<Set<string>|null>} - Matched base words, or null if
+   *   another pass or clearHighlights() replaced this one before it finished
    */
-  highlightWord(container, word) {
+  async highlightAllGlossaryWordsInWorker(container) {
+    const flat = this.view.flatten(container);
+    const texts = flat.texts;
+
+    const worker = flat.text.length >= CONFIG.matchWorker.minChars ? this._getMatchWorker() : null;
+    if (!worker) return this.highlightAllGlossaryWords(container, flat);
+
+    PerfLogger.time("TOTAL worker highlight pipeline");
+    const pass = this._startPass("all");
+    this.view.clear();
+
+    let result;
+    try {
+      PerfLogger.time("worker.findMatches");
+      if (worker.glossaryVersion !== wordResolver.version) {
+        worker.glossaryVersion = wordResolver.version;
+        await worker.send("glossary", wordResolver.getMatchData());
+      }
+      result = await worker.send("match", { texts, separators: flat.separators });
+      PerfLogger.timeEnd("worker.findMatches", { textNodes: texts.length, matches: result.matches.length });
+    } catch (error) {
+      console.warn("Match worker failed, highlighting inline: ", error);
+      worker.terminate();
+      this._matchWorker = false;
+      return pass === this._pass ? this.highlightAllGlossaryWords(container, flat) : null;
+    }
+    if (pass !== this._pass) return null;
+
+    PerfLogger.time("view.highlightMatches");
+    const finished = await this.view.highlightMatches(
+      flat.nodes,
+      texts,
+      result.matches,
+      (matchedText, textNode, offset, baseWord) => {
+        this._recordMatch(matchedText, textNode, offset, baseWord);
+        this.invalidateSpatialIndex();
+      },
+      flat
+    );
+    if (!finished || pass !== this._pass) return null;
+    PerfLogger.timeEnd("view.highlightMatches", {
+      matches: this.matches.length,
+      uniqueBaseWords: this.matchedBaseWords.size,
+    });
+
+    // Live updates may have added matches between slices
+    this._sortMatches();
+    ResultView.clear();
+
+    PerfLogger.timeEnd("TOTAL worker highlight pipeline");
+    return this.matchedBaseWords;
+  },
+
+  /**
+   * The match worker, started on first use. null where workers can't run.
+   */
+  _getMatchWorker() {
+    if (this._matchWorker === null && CONFIG.matchWorker.enabled) {
+      this._matchWorker =
+        MatchWorker.create(new URL("../worker/match-worker.js", import.meta.url)) || false;
+    }
+    return this._matchWorker || null;
+  },
+
+  /**
+   * Reset the matches for a new highlight pass in `mode`.
+   *
+   * @returns {number} - the pass id (see _pass)
+   */
+  _startPass(mode) {
     this.matches = [];
     this.currentMatchIndex = -1;
     this.matchedBaseWords.clear();
-    AppState.setHighlightMode("word");
+    this.activeWord = null;
+    this.invalidateSpatialIndex();
+    AppState.setHighlightMode(mode);
+    return ++this._pass;
+  },
+
+  /**
+   * Highlight a specific word and its inflections.
+   *
+   * @param {HTMLElement} container - The element to highlight within
+   * @param {string} word - The word to highlight
+   */
+  highlightWord(container, word) {
+    this._startPass("word");
+    this.activeWord = word;
 
     const allForms = wordResolver.getAllForms(word);
 
@@ -130,28 +290,186 @@ export const HighlightOverlayPresenter = {
       return;
     }
 
-    this.view.highlightAll(container, allForms, (matchedText, textNode, offset) => {
-      const baseWord = wordResolver.findBaseWord(matchedText) || matchedText.toLowerCase();
+    this.view.highlightAll(container, allForms, (matchedText, textNode, offset) =>
+      this._recordMatch(matchedText, textNode, offset)
+    );
+
+    const count = this.matches.length;
+    AppState.setMatchCount(count);
+    ResultView.showCount(count, this);
+
+    // Navigate to first match
+    if (this.matches.length > 0) {
+      this.goToMatch(0);
+    }
+  },
+
+  /**
+   * onEachMatch handler shared by every highlight pass: resolves the base
+   * word, applies collocation suppression and records the match.
+   * Worker matches arrive with their base word, already checked.
+   */
+  _recordMatch(matchedText, textNode, offset, baseWord = null) {
+    if (!baseWord) {
+      // Find the base word for this match
+      baseWord = wordResolver.findBaseWord(matchedText) || matchedText.toLowerCase();
 
+      // Suppress matches in collocations that indicate a different sense
+      // (e.g. "degree of" → abstract, not diploma). Pop the range the view
+      // just pushed so it won't be registered with CSS.highlights.
       if (wordResolver.shouldSuppressMatch(baseWord, textNode.textContent, offset, matchedText.length)) {
         this.view._ranges.pop();
         return;
       }
+    }
 
-      this.matchedBaseWords.add(baseWord);
+    this.matchedBaseWords.add(baseWord);
 
-      const range = this.view._ranges[this.view._ranges.length - 1];
-      this.matches.push({ word: matchedText, baseWord, range, textNode, offset });
-    });
+    // Store the range for potential navigation
+    const range = this.view._ranges[this.view._ranges.length - 1];
+    this.matches.push({ word: matchedText, baseWord, range, textNode, offset });
+  },
 
-    const count = this.matches.length;
-    AppState.setMatchCount(count);
-    ResultView.showCount(count, this);
+  // ─── INCREMENTAL UPDATES ──────────────────────────────────────────
 
-    // Navigate to first match
-    if (this.matches.length > 0) {
-      this.goToMatch(0);
+  /**
+   * Highlight text that appeared after the last full pass, in the current
+   * mode: every glossary word for "all", the active word for "word".
+   * Nothing happens while highlights are cleared.
+   *
+   * Runs the same prefilter → regex pipeline as highlightAllGlossaryWords()
+   * over the nearest block around each of `textNodes`, flattened, so a
+   * phrase that now runs across nodes (`<a>high</a> school`, or "high"
+   * edited in front of a "school" node) is found. Matches in the block
+   * that are still there are kept as they are; ones the re-scan no longer
+   * finds (e.g. "high" now inside "high school") are dropped.
+   *
+   * @param {Text[]} textNodes - Added or changed text nodes
+   * @param {HTMLElement} [scope] - Element highlighting is limited to; a
+   *   block reaching outside it is cut down to the scope
+   * @returns {{ added: number, removed: number }} - How many matches changed
+   */
+  highlightTextNodes(textNodes, scope = null) {
+    const mode = AppState.highlightMode;
+    if (textNodes.length === 0 || (mode !== "all" && mode !== "word")) return { added: 0, removed: 0 };
+
+    const flats = this.blocksAround(textNodes, scope).map((block) => this.view.flatten(block));
+    const words = mode === "word"
+      ? wordResolver.getAllForms(this.activeWord)
+      : wordResolver.getMatchingFormsInText(flats.map((flat) => flat.text).join("\n"));
+
+    // Where each match starts and ends, per text node in the blocks
+    const nodeIds = new Map();
+    for (const flat of flats) {
+      for (const node of flat.nodes) nodeIds.set(node, nodeIds.size);
+    }
+    const keyOf = (match) => `${nodeIds.get(match.textNode)}:${match.offset}:${match.word.length}`;
+    const previous = this.matches.filter((match) => nodeIds.has(match.textNode));
+
+    const before = this.matches.length;
+    this.view.highlightFlats(flats, words, (matchedText, textNode, offset) =>
+      this._recordMatch(matchedText, textNode, offset)
+    );
+    const found = new Map(this.matches.slice(before).map((match) => [keyOf(match), match]));
+
+    // A match found again keeps its old object (and with it the navigation
+    // position); the new copy goes, and so does a match not found again
+    const doomed = new Set();
+    for (const match of previous) {
+      const key = keyOf(match);
+      doomed.add(found.get(key) ?? match);
+      found.delete(key);
+    }
+    const removed = previous.length - (this.matches.length - before - found.size);
+    if (doomed.size > 0) this._removeMatches(doomed);
+
+    if (found.size > 0) {
+      this._sortMatches();
+      this.invalidateSpatialIndex();
+    }
+    return { added: found.size, removed };
+  },
+
+  /**
+   * The elements highlightTextNodes() re-scans for `textNodes`: each one's
+   * nearest block (what a phrase can't run out of), within `scope`, with
+   * blocks inside another one left to it.
+   *
+   * @param {Text[]} textNodes
+   * @param {HTMLElement} [scope]
+   * @returns {HTMLElement[]}
+   */
+  blocksAround(textNodes, scope = null) {
+    const blocks = new Set();
+    for (const node of textNodes) {
+      let block = node.parentElement?.closest(BLOCK_SELECTOR);
+      if (!block || (scope && !scope.contains(block))) block = scope || node.parentElement;
+      if (block) blocks.add(block);
     }
+    return [...blocks].filter((block) => ![...blocks].some((other) => other !== block && other.contains(block)));
+  },
+
+  /**
+   * Drop matches whose text node left the page, and (optionally) matches
+   * in text nodes whose text changed — their offsets are stale, so the
+   * caller re-scans those nodes with highlightTextNodes(). A phrase
+   * matched across text nodes goes if its first or last node does.
+   *
+   * Keeps matchedBaseWords and the current navigation position in sync.
+   *
+   * @param {Iterable<Text>} [changedTextNodes]
+   * @returns {number} - How many matches were removed
+   */
+  pruneDetached(changedTextNodes = []) {
+    const changed = new Set(changedTextNodes);
+    const stale = (node) => !node.isConnected || changed.has(node);
+
+    const removed = new Set();
+    for (const match of this.matches) {
+      const endNode = match.range.endContainer;
+      if (stale(match.textNode) || (endNode && endNode !== match.textNode && stale(endNode))) {
+        removed.add(match);
+      }
+    }
+    if (removed.size > 0) this._removeMatches(removed);
+
+    return removed.size;
+  },
+
+  /**
+   * Remove `doomed` matches and their ranges, keeping matchedBaseWords and
+   * the current navigation position in sync.
+   *
+   * @param {Set<object>} doomed
+   */
+  _removeMatches(doomed) {
+    const current = this.matches[this.currentMatchIndex];
+
+    this.view.removeRanges([...doomed].map((m) => m.range));
+    this.matches = this.matches.filter((m) => !doomed.has(m));
+    this.currentMatchIndex = this.matches.indexOf(current);
+    if (current && this.currentMatchIndex === -1) {
+      this.view.setFocusedRange(null);
+    }
+    this.matchedBaseWords.clear();
+    for (const match of this.matches) this.matchedBaseWords.add(match.baseWord);
+    this.invalidateSpatialIndex();
+  },
+
+  /**
+   * Keep matches in document order after an incremental pass, so
+   * next/prev navigation walks the page top to bottom.
+   */
+  _sortMatches() {
+    const current = this.matches[this.currentMatchIndex];
+
+    this.matches.sort((a, b) => {
+      if (a.textNode === b.textNode) return a.offset - b.offset;
+      const position = a.textNode.compareDocumentPosition(b.textNode);
+      return position & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+
+    this.currentMatchIndex = current ? this.matches.indexOf(current) : -1;
   },
 
   /**
@@ -159,8 +477,13 @@ export const HighlightOverlayPresenter = {
    *
    * Since we don't have <mark> elements, we scroll the range into view
    * by creating a temporary element or using range.getBoundingClientRect().
+   *
+   * @param {number} index - wraps around at either end
+   * @param {object} [options]
+   * @param {string} [options.behavior] - scroll behavior; "instant" when
+   *        the caller needs the range's final rect right after
    */
-  goToMatch(index) {
+  goToMatch(index, { behavior = "smooth" } = {}) {
     if (this.matches.length === 0) return;
 
     // Update index (wrap around)
@@ -174,29 +497,62 @@ export const HighlightOverlayPresenter = {
     // Get the range for this match
     const match = this.matches[this.currentMatchIndex];
     const range = match.range;
+    this.view.setFocusedRange(range);
 
     // Scroll range into view
     // Note: Range doesn't have scrollIntoView, so we use getBoundingClientRect
     const rect = range.getBoundingClientRect();
     const scrollY = window.scrollY + rect.top - window.innerHeight / 2;
-    window.scrollTo({ top: scrollY, behavior: "smooth" });
+    window.scrollTo({ top: scrollY, behavior });
 
     // Update result view with current position
     ResultView.updatePosition(this.currentMatchIndex + 1, this.matches.length);
   },
 
   /**
-   * Go to next match
+   * Go to next match. With no current match, starts at the first one
+   * on screen rather than the top of the page.
+   *
+   * @param {object} [options] - passed to goToMatch()
    */
-  nextMatch() {
-    this.goToMatch(this.currentMatchIndex + 1);
+  nextMatch(options) {
+    const from = this.currentMatchIndex >= 0 ? this.currentMatchIndex : this._firstMatchInView() - 1;
+    this.goToMatch(from + 1, options);
   },
 
   /**
-   * Go to previous match
+   * Go to previous match. With no current match, starts at the last one
+   * above the viewport's first match.
+   *
+   * @param {object} [options] - passed to goToMatch()
    */
-  prevMatch() {
-    this.goToMatch(this.currentMatchIndex - 1);
+  prevMatch(options) {
+    const from = this.currentMatchIndex >= 0 ? this.currentMatchIndex : this._firstMatchInView();
+    this.goToMatch(from - 1, options);
+  },
+
+  /**
+   * The match navigation is on, or null.
+   */
+  getCurrentMatch() {
+    return this.matches[this.currentMatchIndex] || null;
+  },
+
+  /**
+   * Hide the focus highlight. The position is kept, so the next step
+   * continues from the same match.
+   */
+  clearFocus() {
+    this.view.setFocusedRange(null);
+  },
+
+  /**
+   * Index of the first match whose text is at or below the top of the
+   * viewport (0 if every match is above it).
+   */
+  _firstMatchInView() {
+    const index = this.matches.findIndex((m) => m.range.getBoundingClientRect().bottom >= 0);
+    return index === -1 ? 0 : index;
   },
 
   /**
@@ -220,7 +576,6 @@ export const HighlightOverlayPresenter = {
 
   /**
    * Check if a point is over a highlight for a SPECIFIC word.
-   * Much faster than checking all ranges - only checks ranges for the given word.
    *
    * @param {number} clientX - Mouse x position
    * @param {number} clientY - Mouse y position
@@ -228,23 +583,7 @@ export const HighlightOverlayPresenter = {
    * @returns {boolean} - True if point is over a highlight of this word
    */
   isPointOverWordHighlight(clientX, clientY, baseWord) {
-    for (const match of this.matches) {
-      // Only check ranges for this specific word
-      if (match.baseWord !== baseWord) continue;
-
-      const rects = match.range.getClientRects();
-      for (const rect of rects) {
-        if (
-          clientX >= rect.left &&
-          clientX <= rect.right &&
-          clientY >= rect.top &&
-          clientY <= rect.bottom
-        ) {
-          return true;
-        }
-      }
-    }
-    return false;
+    return this._matchesAtPoint(clientX, clientY).some((m) => m.baseWord === baseWord);
   },
 
   /**
@@ -258,95 +597,226 @@ export const HighlightOverlayPresenter = {
    * @returns {string|null} — The base word if cursor is over a match, null otherwise
    */
   findMatchAtPoint(clientX, clientY) {
-    for (const match of this.matches) {
-      const rects = match.range.getClientRects();
-      for (const rect of rects) {
-        if (
-          clientX >= rect.left &&
-          clientX <= rect.right &&
-          clientY >= rect.top &&
-          clientY <= rect.bottom
-        ) {
-          return match.baseWord;
-        }
-      }
-    }
-    return null;
+    return this.getMatchAtPoint(clientX, clientY)?.baseWord || null;
+  },
+
+  /**
+   * Like findMatchAtPoint(), but the whole match ({ baseWord, range, ... }).
+   *
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {object|null}
+   */
+  getMatchAtPoint(clientX, clientY) {
+    return this._matchesAtPoint(clientX, clientY)[0] || null;
   },
 
   /**
    * Extract disambiguation context for a hovered word.
    *
-   * Finds the match at the given point, then collects two types of context
-   * from the same paragraph:
-   *   1. nearbyBaseWords — other highlighted glossary words (for lexicalClass/
-   *      semanticField scoring in VideoData.disambiguate Layer 1)
-   *   2. contextWords — ALL tokenized words (for Lesk-style meanings matching
-   *      in Layer 2)
+   * Finds the match at the given point, flattens the text around it (see
+   * utils/FlatText.js) and cuts a ContextWindow — by default the match's
+   * sentence — from which it collects:
+   *   1. nearbyBaseWords — other highlighted glossary words in the window
+   *      (for lexicalClass/semanticField scoring in VideoData.disambiguate
+   *      Layer 1)
+   *   2. contextWords — ALL tokenized words in the window (for Lesk-style
+   *      meanings matching in Layer 2, and FeedbackStore)
+   *   3. contextWeights — each word's weight, decaying with its distance
+   *      from the hovered word (scales the Layer 2 points)
+   *   4. partOfSpeech — the hovered word's PosTagger tag in its sentence
+   *      (Layer 4)
+   *   5. forceVariants / suppressVariants — entryIds the glossary rules
+   *      pick or rule out around the word (Layer 5)
    *
    * @param {number} clientX — Mouse x position
    * @param {number} clientY — Mouse y position
    * @param {string} targetBaseWord — The word being disambiguated (excluded from neighbors)
-   * @returns {{ nearbyBaseWords: string[], contextWords: string[] }}
+   * @returns {{ nearbyBaseWords: string[], contextWords: string[],
+   *             contextWeights: Map<string, number>, partOfSpeech: string|null,
+   *             forceVariants: string[], suppressVariants: string[] }}
    */
   getContextForWord(clientX, clientY, targetBaseWord) {
     // Find which match the cursor is over
-    let targetMatch = null;
-    for (const match of this.matches) {
-      const rects = match.range.getClientRects();
-      for (const rect of rects) {
-        if (
-          clientX >= rect.left &&
-          clientX <= rect.right &&
-          clientY >= rect.top &&
-          clientY <= rect.bottom
-        ) {
-          targetMatch = match;
-          break;
-        }
-      }
-      if (targetMatch) break;
-    }
+    const targetMatch = this._matchesAtPoint(clientX, clientY)[0] || null;
 
     if (!targetMatch) {
-      return { nearbyBaseWords: [], contextWords: [] };
+      return {
+        nearbyBaseWords: [],
+        contextWords: [],
+        contextWeights: new Map(),
+        partOfSpeech: null,
+        forceVariants: [],
+        suppressVariants: [],
+      };
     }
 
-    // Find the paragraph containing this match
-    const paragraph =
-      targetMatch.textNode.parentElement?.closest("p") ||
-      targetMatch.textNode.parentElement;
+    const mode = CONFIG.context.window;
+    const flat = new FlatText(contextScope(targetMatch.textNode, mode));
+    const { text, headings } = flat;
+
+    // The match's position in the flattened text
+    const { range } = targetMatch;
+    const start = (flat.startOf(targetMatch.textNode) ?? 0) + range.startOffset;
+    const endStart = flat.startOf(range.endContainer);
+    const end = endStart !== undefined ? endStart + range.endOffset : start;
 
-    // Collect other highlighted base words in the same paragraph
+    const context = ContextWindow.extract(text, start, end, { window: mode, headings });
+
+    // Collect other highlighted base words inside the window
     const nearbySet = new Set();
     for (const match of this.matches) {
-      if (match.baseWord === targetBaseWord) continue;
-      if (paragraph?.contains(match.textNode)) {
+      const nodeStart = flat.startOf(match.textNode);
+      if (match.baseWord === targetBaseWord || nodeStart === undefined) continue;
+      const offset = nodeStart + match.range.startOffset;
+      if (offset >= context.start && offset < context.end) {
         nearbySet.add(match.baseWord);
       }
     }
 
-    // Tokenize the full paragraph text for Lesk matching
-    const paragraphText =
-      paragraph?.textContent || targetMatch.textNode.textContent;
-    const contextWords =
-      paragraphText.toLowerCase().match(/\b[a-z]+\b/g) || [];
-
-    return { nearbyBaseWords: [...nearbySet], contextWords };
+    const { forceVariants, suppressVariants } =
+      wordResolver.evaluateRules(targetBaseWord, text, start, end);
+
+    return {
+      nearbyBaseWords: [...nearbySet],
+      contextWords: context.contextWords,
+      contextWeights: context.contextWeights,
+      partOfSpeech: PosTagger.tagWordAt(text, start),
+      forceVariants,
+      suppressVariants,
+    };
   },
 
   /**
    * Clear all highlights
    */
   clearHighlights() {
+    this._pass++;
     this.matches = [];
     this.currentMatchIndex = -1;
     this.matchedBaseWords.clear();
+    this.activeWord = null;
+    this.invalidateSpatialIndex();
     this.view.clear();
     AppState.reset();
     ResultView.showCleared();
   },
 
+  // ─── HOVER HIT-TESTING ─────────────────────────────────────────────
+
+  /**
+   * Mark the hover index stale. Needed whenever matches change, or text
+   * moves relative to the document (resize, reflow, inner scrolling).
+   * Page scrolling alone doesn't count — the index is in document coords,
+   * and text in fixed / sticky elements isn't in it.
+   */
+  invalidateSpatialIndex() {
+    this._spatialIndex = null;
+  },
+
+  /**
+   * Invalidate the hover index when layout changes around `container`.
+   * Call once after init; calling again replaces the previous listeners.
+   *
+   * @param {HTMLElement} container - The element being highlighted
+   */
+  watchLayout(container) {
+    this.unwatchLayout();
+
+    const invalidate = () => this.invalidateSpatialIndex();
+
+    // Page scrolls target the document itself and are harmless; a
+    // scrolled inner element (overflow: auto) moves its text
+    const onScroll = (e) => {
+      if (e.target !== document) invalidate();
+    };
+
+    window.addEventListener("resize", invalidate);
+    document.addEventListener("scroll", onScroll, { capture: true, passive: true });
+    document.fonts?.addEventListener("loadingdone", invalidate);
+
+    // Reflow: images loading, sections expanding, late CSS
+    const resizeObserver = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(invalidate);
+    resizeObserver?.observe(container);
+    if (document.body && document.body !== container) resizeObserver?.observe(document.body);
+
+    this._unwatchLayout = () => {
+      window.removeEventListener("resize", invalidate);
+      document.removeEventListener("scroll", onScroll, { capture: true });
+      document.fonts?.removeEventListener("loadingdone", invalidate);
+      resizeObserver?.disconnect();
+    };
+  },
+
+  /**
+   * Remove the listeners added by watchLayout().
+   */
+  unwatchLayout() {
+    this._unwatchLayout?.();
+    this._unwatchLayout = null;
+  },
+
+  /**
+   * Matches whose rects contain the point, in match order.
+   */
+  _matchesAtPoint(clientX, clientY) {
+    if (this.matches.length === 0) return [];
+    const index = this._getSpatialIndex();
+    const hits = index.query(clientX + window.scrollX, clientY + window.scrollY);
+    if (this._pinnedMatches.length === 0) return hits;
+
+    let pinnedHit = false;
+    for (const match of this._pinnedMatches) {
+      for (const rect of match.range.getClientRects()) {
+        if (clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom) {
+          hits.push(match);
+          pinnedHit = true;
+        }
+      }
+    }
+    if (pinnedHit) hits.sort((a, b) => this.matches.indexOf(a) - this.matches.indexOf(b));
+    return hits;
+  },
+
+  /**
+   * The hover index, rebuilt from the current matches if stale.
+   * One getClientRects() per match, instead of per match per mousemove.
+   * Matches in fixed / sticky elements go to _pinnedMatches instead.
+   */
+  _getSpatialIndex() {
+    if (this._spatialIndex) return this._spatialIndex;
+
+    PerfLogger.time("spatialIndex.build");
+    const index = new SpatialIndex(SPATIAL_CELL_SIZE);
+    const { scrollX, scrollY } = window;
+    const pinned = [];
+    const pinnedCache = new Map();
+    const canCheckPosition = typeof getComputedStyle === "function";
+
+    for (const match of this.matches) {
+      if (canCheckPosition && isPinned(match.textNode, pinnedCache)) {
+        pinned.push(match);
+        continue;
+      }
+      for (const rect of match.range.getClientRects()) {
+        index.insert(
+          {
+            left: rect.left + scrollX,
+            top: rect.top + scrollY,
+            right: rect.right + scrollX,
+            bottom: rect.bottom + scrollY,
+          },
+          match
+        );
+      }
+    }
+    PerfLogger.timeEnd("spatialIndex.build", { matches: this.matches.length, rects: index.size, pinned: pinned.length });
+
+    this._pinnedMatches = pinned;
+    this._spatialIndex = index;
+    return index;
+  },
+
   /**
    * Get the set of matched base words (for word chips)
    */
@@ -0,0 +1,258 @@
+/**
+ * Live Highlight Presenter
+ *
+ * Keeps highlights in sync with a page that keeps changing after load
+ * (infinite scroll, SPA route changes, "show more comments").
+ *   - A MutationObserver queues added nodes, edited text nodes and removals
+ *   - Bursts are batched (CONFIG.liveHighlight) so hover stays responsive
+ *     while a page streams in content
+ *   - Each batch prunes matches whose text left the page, then re-runs
+ *     prefilter + regex on ONLY the blocks holding new/changed text via
+ *     HighlightOverlayPresenter.highlightTextNodes(), so phrases across
+ *     inline elements are found there too
+ *
+ * Started by AppOverlayPresenter.init() when there is a container.
+ */
+
+import { CONFIG } from "../config.js";
+import { HighlightOverlayPresenter } from "./highlight-overlay-presenter.js";
+
+export const LiveHighlightPresenter = {
+  observer: null,
+
+  // Element being observed, and the callbacks handed to start()
+  root: null,
+  options: {},
+
+  // Queued since the last flush
+  _addedNodes: new Set(),
+  _changedTextNodes: new Set(),
+  _hasRemovals: false,
+
+  // Debounce state: timer id, and when the current burst started
+  _timer: null,
+  _burstStart: 0,
+
+  // Bumped by discardPending(); an async flush that sees a different
+  // value after awaiting beforeHighlight drops its (now stale) batch
+  _generation: 0,
+  _isFlushing: false,
+
+  /**
+   * Start observing `root` for content changes.
+   *
+   * @param {HTMLElement} root
+   * @param {object}   [options]
+   * @param {Function} [options.getScope]        - () => element highlighting is limited
+   *                                              to (defaults to root)
+   * @param {Function} [options.onChange]        - ({ added, removed }) after a batch
+   *                                              changed the matches
+   * @param {Function} [options.onScopeLost]     - () when the scope element left the
+   *                                              page (e.g. SPA route change)
+   * @param {Function} [options.beforeHighlight] - async (text) hook run before new
+   *                                              text is highlighted (e.g. to load
+   *                                              glossary entries for it)
+   */
+  start(root, options = {}) {
+    this.stop();
+
+    this.root = root;
+    this.options = options;
+    this.observer = new MutationObserver((records) => this.handleMutations(records));
+    this.observer.observe(root, { childList: true, subtree: true, characterData: true });
+  },
+
+  /**
+   * Stop observing and drop anything queued.
+   */
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    this._reset();
+    this.root = null;
+  },
+
+  /**
+   * Forget queued mutations, including records the observer hasn't
+   * delivered yet. Call right after a full highlight pass — it already
+   * covered everything, and re-scanning would duplicate matches.
+   */
+  discardPending() {
+    this.observer?.takeRecords();
+    this._reset();
+  },
+
+  /**
+   * MutationObserver callback: queue the interesting parts of each record.
+   *
+   * @param {MutationRecord[]} records
+   */
+  handleMutations(records) {
+    let layoutChanged = false;
+
+    for (const record of records) {
+      if (this._isIgnored(record.target)) continue;
+      layoutChanged = true;
+
+      if (record.type === "characterData") {
+        this._changedTextNodes.add(record.target);
+        continue;
+      }
+
+      for (const node of record.addedNodes) {
+        if (!this._isIgnored(node)) this._addedNodes.add(node);
+      }
+      if (record.removedNodes.length > 0) this._hasRemovals = true;
+    }
+
+    // Any change to the page can reflow text under existing matches, so
+    // the cached hover rects are stale right away (not after the debounce)
+    if (layoutChanged) HighlightOverlayPresenter.invalidateSpatialIndex();
+
+    if (this._addedNodes.size > 0 || this._changedTextNodes.size > 0 || this._hasRemovals) {
+      this._schedule();
+    }
+  },
+
+  /**
+   * Process everything queued: prune stale matches, then highlight new
+   * and changed text. Normally called by the debounce timer.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._burstStart = 0;
+
+    // One batch at a time; anything queued meanwhile waits for the next
+    if (this._isFlushing) {
+      this._schedule();
+      return;
+    }
+
+    const scope = this.options.getScope?.() || this.root;
+    if (!scope) return;
+
+    if (!scope.isConnected) {
+      this._reset();
+      this.options.onScopeLost?.();
+      return;
+    }
+
+    const changed = [...this._changedTextNodes].filter((node) => node.isConnected);
+    const addedRoots = this._topmostConnected(this._addedNodes, scope);
+    this._reset();
+
+    const textNodes = new Set();
+    for (const node of addedRoots) {
+      for (const textNode of HighlightOverlayPresenter.view.collectTextNodes(node)) {
+        textNodes.add(textNode);
+      }
+    }
+    for (const node of changed) {
+      if (scope.contains(node)) textNodes.add(node);
+    }
+
+    // Removals detach text nodes; edits make stored offsets stale; a moved
+    // node shows up as "added" but keeps its old matches. Drop all of
+    // those before re-scanning so nothing is matched twice.
+    let removed = HighlightOverlayPresenter.pruneDetached([...changed, ...textNodes]);
+
+    let added = 0;
+    if (textNodes.size > 0) {
+      const rescan = await this._highlight([...textNodes], scope);
+      added = rescan.added;
+      removed += rescan.removed;
+    }
+
+    if (added > 0 || removed > 0) {
+      this.options.onChange?.({ added, removed });
+    }
+  },
+
+  // ─── PRIVATE ──────────────────────────────────────────────────────
+
+  async _highlight(textNodes, scope) {
+    const { beforeHighlight } = this.options;
+    if (beforeHighlight) {
+      const generation = this._generation;
+      this._isFlushing = true;
+      // The text of the blocks that get re-scanned, so entries for a
+      // phrase running into unchanged text are loaded too
+      const text = HighlightOverlayPresenter.blocksAround(textNodes, scope)
+        .map((block) => HighlightOverlayPresenter.view.flatten(block).text)
+        .join("\n");
+      try {
+        await beforeHighlight(text);
+      } catch (err) {
+        // No glossary entries for the new text: leave it unhighlighted
+        console.error("Glossary lookup failed, new text not highlighted:", err);
+        return { added: 0, removed: 0 };
+      } finally {
+        this._isFlushing = false;
+      }
+      if (generation !== this._generation) return { added: 0, removed: 0 };
+      textNodes = textNodes.filter((node) => node.isConnected);
+    }
+
+    return HighlightOverlayPresenter.highlightTextNodes(textNodes, scope);
+  },
+
+  /**
+   * Debounce: flush after a quiet period, but no later than maxWaitMs
+   * after the burst started, so a page that never stops mutating
+   * still gets highlighted.
+   */
+  _schedule() {
+    const { debounceMs, maxWaitMs } = CONFIG.liveHighlight;
+    const now = Date.now();
+    if (!this._burstStart) this._burstStart = now;
+
+    const delay = Math.max(0, Math.min(debounceMs, this._burstStart + maxWaitMs - now));
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.flush(), delay);
+  },
+
+  /**
+   * Added nodes still on the page and inside `scope`, without nodes
+   * whose ancestor was also added (the ancestor's walk covers them).
+   */
+  _topmostConnected(nodes, scope) {
+    const result = [];
+    for (const node of nodes) {
+      if (!node.isConnected || !scope.contains(node)) continue;
+
+      let covered = false;
+      for (let p = node.parentNode; p && p !== scope; p = p.parentNode) {
+        if (nodes.has(p)) {
+          covered = true;
+          break;
+        }
+      }
+      if (!covered) result.push(node);
+    }
+    return result;
+  },
+
+  /**
+   * True for nodes inside our own UI (the popup host), which must never
+   * be highlighted or trigger a re-scan.
+   */
+  _isIgnored(node) {
+    const element = node.nodeType === 1 ? node : node.parentElement;
+    return Boolean(element?.closest(CONFIG.liveHighlight.ignoreSelector));
+  },
+
+  _reset() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._burstStart = 0;
+    this._addedNodes.clear();
+    this._changedTextNodes.clear();
+    this._hasRemovals = false;
+    this._generation++;
+  },
+};
@@ -5,19 +5,58 @@
  *   - Uses mousemove + caretPositionFromPoint for hover detection
  *   - Receives word + coordinates instead of element
  *   - Checks with HighlightOverlayPresenter if word is highlighted
- *   - Uses paragraph context for Lesk-style video disambiguation
+ *   - Uses the context window around a word for Lesk-style video disambiguation
+ *   - Falls back to fingerspelling for selected words with no ASL-LEX sign
+ *   - Click on a highlight (or the pin shortcut) pins + enlarges the popup
+ *   - Next/prev shortcuts step through highlights without a mouse, opening
+ *     the popup beside each one
+ *   - Playback controls (speed, pause, frame step, replay) for sign videos;
+ *     the chosen speed carries over to the next word via AppState
+ *   - Variant strip for multi-sign words: shows disambiguation's scores and
+ *     pick, plays the variant the user clicks, and can lock that choice for
+ *     the word on this page. Choosing a variant other than the pick is
+ *     remembered (FeedbackStore) and shifts future picks in similar contexts
  */
 
+import { CONFIG } from "../config.js";
 import { VideoData } from "../model/video-data.js";
+import { wordResolver } from "../model/word-resolver.js";
 import { AppState } from "../model/state.js";
 import { PopupOverlayView } from "../view/popup-overlay-view.js";
 import { VideoService } from "../model/video-service.js";
+import { FeedbackStore } from "../model/feedback-store.js";
 import { HighlightOverlayPresenter } from "./highlight-overlay-presenter.js";
+import { KeyboardShortcut } from "../utils/KeyboardShortcut.js";
 
 export const PopupOverlayPresenter = {
   // The view instance
   view: null,
 
+  // Pins the popup for the word at the caret / selection
+  pinShortcut: new KeyboardShortcut(CONFIG.shortcuts.pinWord),
+
+  // Step through highlighted words (keyboard navigation)
+  nextShortcut: new KeyboardShortcut(CONFIG.shortcuts.nextWord),
+  prevShortcut: new KeyboardShortcut(CONFIG.shortcuts.prevWord),
+
+  // True while the popup was opened by next/prev, so Esc also drops
+  // the focus highlight
+  _keyboardNav: false,
+
+  // Bumped to stop _loadAllVariants() cycling (late fetches check it)
+  _cycleId: 0,
+
+  // Paragraph words the current word's variants were scored against, and
+  // the correction recorded for it (replaced if the user picks again)
+  _variantContext: [],
+  _correction: null,
+
+  // Fingerspelling sequencer state
+  fingerspellSpeed: 1, // playback multiplier (1 = CONFIG.fingerspell.letterMs per letter)
+  _fingerspellFrames: [],
+  _fingerspellIndex: 0,
+  _fingerspellTimer: null,
+
   /**
    * Initialize presenter - create view and set up hover detection
    */
@@ -26,6 +65,7 @@ export const PopupOverlayPresenter = {
 
     this.view = new PopupOverlayView();
     this.view.create();
+    this.view.setDebug(CONFIG.debug.disambiguation);
 
     // Set up hover detection
     this.view.startHoverDetection(
@@ -35,6 +75,35 @@ export const PopupOverlayPresenter = {
       (word) => this.handleLeaveWord(word)
     );
 
+    // Explicit selection works for any word, not just highlighted ones
+    this.view.startSelectionDetection((text, clientX, clientY) =>
+      this.handleSelectWord(text, clientX, clientY)
+    );
+
+    // Highlights aren't elements, so clicks are hit-tested against ranges
+    this.view.startClickDetection((clientX, clientY) =>
+      this.handleClick(clientX, clientY)
+    );
+
+    this.view.bindPlaybackControls({
+      rate: AppState.playbackRate,
+      onRateChange: (rate) => this.setPlaybackRate(rate),
+      onTogglePause: () => this.togglePause(),
+      onStep: (direction) => this.stepFrame(direction),
+      onReplay: () => this.replay(),
+    });
+
+    this.view.bindVariantControls({
+      onSelect: (index) => this.selectVariant(index),
+      onToggleLock: () => this.toggleVariantLock(),
+    });
+
+    this.view.bindFingerspellControls({
+      speed: this.fingerspellSpeed,
+      onStart: () => this.fingerspell(AppState.currentWord),
+      onSpeedChange: (speed) => this.setFingerspellSpeed(speed),
+    });
+
     // Close button
     const closeBtn = this.view._shadow.querySelector(".asl-popup-close");
     if (closeBtn) {
@@ -43,10 +112,26 @@ export const PopupOverlayPresenter = {
       });
     }
 
-    // Esc key collapses the expanded popup
     document.addEventListener("keydown", (e) => {
-      if (e.key === "Escape" && this.view._isPinned) {
-        this.collapsePopup();
+      // Esc key collapses the expanded popup and leaves keyboard navigation
+      if (e.key === "Escape") {
+        if (this._keyboardNav) {
+          this._keyboardNav = false;
+          HighlightOverlayPresenter.clearFocus();
+        }
+        if (this.view._isPinned) this.collapsePopup();
+        return;
+      }
+
+      if (this.pinShortcut.matches(e)) {
+        e.preventDefault();
+        this.pinWordAtCaret();
+      } else if (this.nextShortcut.matches(e)) {
+        e.preventDefault();
+        this.stepMatch(1);
+      } else if (this.prevShortcut.matches(e)) {
+        e.preventDefault();
+        this.stepMatch(-1);
       }
     });
   },
@@ -65,7 +150,8 @@ export const PopupOverlayPresenter = {
     // Prefer phrase match — cursor inside a highlighted phrase range.
     // If hovering over "school" in highlighted "high school", single-word
     // lookup returns "school" but range lookup returns "high_school".
-    let baseWord = HighlightOverlayPresenter.findMatchAtPoint(clientX, clientY);
+    const match = HighlightOverlayPresenter.getMatchAtPoint(clientX, clientY);
+    let baseWord = match?.baseWord;
 
     // Fall back to single-word lookup
     if (!baseWord) {
@@ -81,6 +167,7 @@ export const PopupOverlayPresenter = {
 
     // Cancel any pending hide
     this.view.cancelHide();
+    this.view.setMatchedText(match ? match.range.toString() : word);
 
     // Same word already loaded — just reposition and show
     if (AppState.currentWord === baseWord && AppState.hasVideo) {
@@ -88,6 +175,8 @@ export const PopupOverlayPresenter = {
       return;
     }
 
+    this.stopFingerspelling();
+
     // Update model
     AppState.setCurrentWord(baseWord);
     AppState.setLoading(true);
@@ -100,6 +189,44 @@ export const PopupOverlayPresenter = {
     this.loadVideo(baseWord, clientX, clientY);
   },
 
+  /**
+   * Handle an explicit text selection.
+   *
+   * Selected words get a pinned popup whether or not they're highlighted.
+   * If ASL-LEX has a sign, load it as usual; if findBaseWord() comes back
+   * null (proper nouns, technical terms), render the no-video state, which
+   * offers "Fingerspell it".
+   *
+   * @param {string} text — the selected word or short phrase
+   * @param {number} clientX — anchor x (left edge of the selection)
+   * @param {number} clientY — anchor y (bottom edge of the selection)
+   */
+  handleSelectWord(text, clientX, clientY) {
+    const baseWord = wordResolver.findBaseWord(text);
+
+    this.stopFingerspelling();
+    this.view.cancelHide();
+    this.view.setMatchedText(text);
+
+    if (baseWord) {
+      AppState.setCurrentWord(baseWord);
+      AppState.setLoading(true);
+      this.view.render(AppState);
+      this.view.show(clientX, clientY);
+      this.view.pin();
+      this.loadVideo(baseWord, clientX, clientY);
+      return;
+    }
+
+    AppState.setCurrentWord(text);
+    AppState.setCurrentEntry(null);
+    AppState.setVariants([]);
+    AppState.setHasVideo(false);
+    this.view.render(AppState);
+    this.view.show(clientX, clientY);
+    this.view.pin();
+  },
+
   /**
    * Handle leaving a word (mouse moved away).
    */
@@ -111,19 +238,111 @@ export const PopupOverlayPresenter = {
    * Hide the popup
    */
   hidePopup() {
+    // A pinned popup stays put — don't clobber its state either
+    if (this.view._isPinned) return;
+
+    this.stopFingerspelling();
     AppState.setHasVideo(false);
     this.view.hide();
   },
 
   /**
-   * Expand popup (pin + enlarge) - called on click
+   * Handle a click on the page.
    *
-   * Note: With CSS Highlight API, we don't have click events on highlights.
-   * This method is available if you want to add click detection separately.
+   * On a highlight: expand the popup for it. Anywhere else: dismiss a
+   * pinned popup.
+   */
+  handleClick(clientX, clientY) {
+    const baseWord = HighlightOverlayPresenter.findMatchAtPoint(clientX, clientY);
+
+    if (baseWord) {
+      this.expandPopup(baseWord, clientX, clientY);
+    } else if (this.view._isPinned) {
+      this.collapsePopup();
+    }
+  },
+
+  /**
+   * Keyboard activation: pin the popup for the word at the text caret or
+   * the current selection. Works for any word, like mouse selection —
+   * unhighlighted words get the fingerspelling fallback.
+   */
+  pinWordAtCaret() {
+    const target = this.view.getWordAtCaret();
+    if (!target) return;
+
+    const { text, clientX, clientY } = target;
+
+    // Inside a highlighted phrase, pin the phrase ("high school"), not
+    // just the word the caret touches
+    const baseWord = HighlightOverlayPresenter.findMatchAtPoint(clientX, clientY);
+    if (baseWord) {
+      this.expandPopup(baseWord, clientX, clientY);
+      return;
+    }
+
+    this.handleSelectWord(text, clientX, clientY);
+  },
+
+  /**
+   * Keyboard navigation: move to the next/previous highlighted word (any
+   * mode, not just the single-word search) and open its popup beside it.
+   *
+   * @param {number} direction — 1 = next, -1 = previous
+   */
+  stepMatch(direction) {
+    const highlights = HighlightOverlayPresenter;
+    if (highlights.matches.length === 0) return;
+
+    // Instant scroll, so the range's rect is final when we anchor to it
+    if (direction > 0) {
+      highlights.nextMatch({ behavior: "instant" });
+    } else {
+      highlights.prevMatch({ behavior: "instant" });
+    }
+
+    this._keyboardNav = true;
+    this.openForMatch(highlights.getCurrentMatch());
+  },
+
+  /**
+   * Open a pinned popup anchored to a match's range (no mouse involved).
+   *
+   * @param {{ baseWord: string, range: Range }} match
+   */
+  openForMatch(match) {
+    const rect = match.range.getBoundingClientRect();
+
+    this.stopFingerspelling();
+    this.view.cancelHide();
+    this.view.unpin(); // leave any expanded state from a click
+    this.view.setMatchedText(match.range.toString());
+
+    AppState.setCurrentWord(match.baseWord);
+    AppState.setLoading(true);
+    this.view.render(AppState);
+    this.view.showAtRect(rect);
+    this.view.pin();
+
+    // Context lookup hit-tests a point — use the middle of the word
+    this.loadVideo(
+      match.baseWord,
+      rect.left + rect.width / 2,
+      rect.top + rect.height / 2
+    );
+  },
+
+  /**
+   * Expand popup (pin + enlarge) — called on click and by the pin shortcut.
+   *
+   * @param {string} word — hovered/selected word or a base word
+   * @param {number} clientX — click x (phrase hit-testing + context)
+   * @param {number} clientY — click y
    */
   expandPopup(word, clientX, clientY) {
-    // Check if this word is highlighted
-    const baseWord = HighlightOverlayPresenter.isWordHighlighted(word);
+    // Check if this word is highlighted (phrase range first, as on hover)
+    const match = HighlightOverlayPresenter.getMatchAtPoint(clientX, clientY);
+    const baseWord = match?.baseWord || HighlightOverlayPresenter.isWordHighlighted(word);
     if (!baseWord) return;
 
     // If already pinned on same word, collapse instead (toggle)
@@ -132,12 +351,16 @@ export const PopupOverlayPresenter = {
       return;
     }
 
+    this.stopFingerspelling();
+    this.view.cancelHide();
+    this.view.setMatchedText(match ? match.range.toString() : word);
+
     // Update model and load video
     AppState.setCurrentWord(baseWord);
     AppState.setLoading(true);
     this.view.render(AppState);
     this.view.show(clientX, clientY);
-    this.view._isPinned = true;
+    this.view.expand();
     this.loadVideo(baseWord, clientX, clientY);
   },
 
@@ -145,27 +368,36 @@ export const PopupOverlayPresenter = {
    * Collapse the expanded popup
    */
   collapsePopup() {
+    this.stopFingerspelling();
     AppState.setHasVideo(false);
-    this.view._isPinned = false;
+    this.view.unpin();
     this.view.hide();
   },
 
   /**
    * Load video for current word.
    *
-   * For multi-variant words, extracts paragraph context via
-   * HighlightOverlayPresenter and runs Lesk-style disambiguation.
-   * If a confident pick is found, loops that single variant.
-   * If no signal, falls back to cycling all variants.
+   * For multi-variant words, extracts context-window words via
+   * HighlightOverlayPresenter and scores each variant Lesk-style.
+   * A variant the user locked for this word wins; otherwise a confident
+   * pick loops that single variant, and with no signal we cycle all
+   * variants.
    *
    * @param {string} word — base word to load
-   * @param {number} clientX — mouse x (for locating paragraph context)
+   * @param {number} clientX — mouse x (for locating the context window)
    * @param {number} clientY — mouse y
    */
   loadVideo(word, clientX, clientY) {
     const entries = VideoData.getAllEntriesForWord(word);
 
+    // Pause is per word; the playback rate carries over
+    if (AppState.isPaused) {
+      AppState.setPaused(false);
+      this.view.setPaused(false);
+    }
+
     if (!entries.length) {
+      AppState.setVariants([]);
       AppState.setCurrentEntry(null);
       AppState.setHasVideo(false);
       AppState.setLoading(false);
@@ -173,50 +405,56 @@ export const PopupOverlayPresenter = {
       return;
     }
 
-    // Multiple variants — try context-based disambiguation
-    if (entries.length > 1) {
-      const { nearbyBaseWords, contextWords } =
-        HighlightOverlayPresenter.getContextForWord(clientX, clientY, word);
-
-      const bestIndex = VideoData.disambiguate(
-        entries, nearbyBaseWords, contextWords, word
-      );
-
-      if (bestIndex >= 0) {
-        // Confident pick — play this single variant on loop
-        AppState.setCurrentEntry(entries[bestIndex]);
-        this.view.render(AppState);
-
-        VideoService.getVideo(word, bestIndex, entries, {
-          onReady: (blobUrl, entry) => {
-            AppState.setCurrentEntry(entry);
-            AppState.setHasVideo(true);
-            AppState.setLoading(false);
-            this.view.render(AppState);
-            this.view._video.loop = true;
-            this.view.loadVideo(blobUrl);
-          },
-          onError: () => {
-            AppState.setHasVideo(false);
-            AppState.setLoading(false);
-            this.view.render(AppState);
-          }
-        });
-        return;
-      }
+    // Single variant — play with loop
+    if (entries.length === 1) {
+      AppState.setVariants(entries);
+      this._playVariant(word, entries, 0);
+      return;
+    }
 
+    // Multiple variants — score them against the context. Scores are
+    // shown in the variant strip even when a lock decides the variant.
+    const { nearbyBaseWords, contextWords, ...signals } =
+      HighlightOverlayPresenter.getContextForWord(clientX, clientY, word);
+    this._variantContext = contextWords;
+    this._correction = null;
+
+    const { pick: bestIndex, variants: report } =
+      VideoData.explainDisambiguation(entries, nearbyBaseWords, contextWords, word, signals);
+    AppState.setVariants(entries, report.map((v) => v.score), bestIndex, report);
+
+    const locked = AppState.getLockedVariant(word);
+    if (locked >= 0 && locked < entries.length) {
+      this._playVariant(word, entries, locked);
+    } else if (bestIndex >= 0) {
+      // Confident pick — play this single variant on loop
+      this._playVariant(word, entries, bestIndex);
+    } else {
       // No signal — fall back to cycling all variants
       this._loadAllVariants(word, entries);
-      return;
     }
+  },
 
-    // Single variant — play with loop
-    AppState.setCurrentEntry(entries[0]);
+  /**
+   * Play one variant on loop, stopping any variant cycling.
+   *
+   * @param {string} word — base word
+   * @param {Array} entries — all entries for the word
+   * @param {number} index — variant to play
+   */
+  _playVariant(word, entries, index) {
+    const entry = entries[index];
+
+    this._stopCycling();
+    AppState.setCurrentEntry(entry);
     this.view.render(AppState);
 
-    VideoService.getVideo(word, 0, entries, {
-      onReady: (blobUrl, entry) => {
-        AppState.setCurrentEntry(entry);
+    VideoService.getVideo(word, index, entries, {
+      onReady: (blobUrl, readyEntry) => {
+        // Bail if the user moved on to another word or variant
+        if (AppState.currentEntry !== entry) return;
+
+        AppState.setCurrentEntry(readyEntry);
         AppState.setHasVideo(true);
         AppState.setLoading(false);
         this.view.render(AppState);
@@ -224,6 +462,8 @@ export const PopupOverlayPresenter = {
         this.view.loadVideo(blobUrl);
       },
       onError: () => {
+        if (AppState.currentEntry !== entry) return;
+
         AppState.setHasVideo(false);
         AppState.setLoading(false);
         this.view.render(AppState);
@@ -239,6 +479,9 @@ export const PopupOverlayPresenter = {
     let currentIndex = 0;
     const video = this.view._video;
 
+    this._stopCycling();
+    const cycleId = this._cycleId;
+
     AppState.setCurrentEntry(entries[0]);
     AppState.setLoading(true);
     this.view.render(AppState);
@@ -255,8 +498,8 @@ export const PopupOverlayPresenter = {
 
       VideoService.getVideo(word, index, entries, {
         onReady: (blobUrl, entry) => {
-          // Bail if user moved to a different word
-          if (AppState.currentWord !== word) return;
+          // Bail if user moved to a different word or picked a variant
+          if (AppState.currentWord !== word || this._cycleId !== cycleId) return;
 
           AppState.setCurrentEntry(entry);
           AppState.setHasVideo(true);
@@ -275,6 +518,8 @@ export const PopupOverlayPresenter = {
           video.addEventListener("ended", onEnded);
         },
         onError: () => {
+          if (AppState.currentWord !== word || this._cycleId !== cycleId) return;
+
           // Skip to next variant on error
           currentIndex = (currentIndex + 1) % entries.length;
           playVariant(currentIndex);
@@ -285,24 +530,219 @@ export const PopupOverlayPresenter = {
     playVariant(0);
   },
 
+  /**
+   * Stop _loadAllVariants() from advancing: drop the 'ended' listener and
+   * invalidate fetches still in flight.
+   */
+  _stopCycling() {
+    this._cycleId++;
+
+    const video = this.view._video;
+    if (video?._onEndedHandler) {
+      video.removeEventListener("ended", video._onEndedHandler);
+      delete video._onEndedHandler;
+    }
+  },
+
+  // ─── VARIANTS ────────────────────────────────────────────────────────
+
+  /**
+   * Play a specific variant of the current word (variant strip click).
+   * If the word is locked, the lock moves to the new choice.
+   *
+   * @param {number} index — index into AppState.variants
+   */
+  selectVariant(index) {
+    const word = AppState.currentWord;
+    const entries = AppState.variants;
+    if (!entries[index]) return;
+
+    if (AppState.getLockedVariant(word) >= 0) {
+      AppState.lockVariant(word, index);
+    }
+    this._recordCorrection(word, entries[index]);
+
+    AppState.setLoading(true);
+    this._playVariant(word, entries, index);
+  },
+
+  /**
+   * Lock the variant on screen for this word (for the rest of this page),
+   * or remove the lock. Locking mid-cycle keeps the current variant.
+   */
+  toggleVariantLock() {
+    const word = AppState.currentWord;
+
+    if (AppState.getLockedVariant(word) >= 0) {
+      AppState.unlockVariant(word);
+      this.view.render(AppState);
+      return;
+    }
+
+    const index = AppState.variants.indexOf(AppState.currentEntry);
+    if (index < 0) return;
+
+    AppState.lockVariant(word, index);
+    this._recordCorrection(word, AppState.currentEntry);
+    this._stopCycling();
+    this.view._video.loop = true;
+    this.view.render(AppState);
+  },
+
+  /**
+   * Remember the user's choice when it isn't what disambiguation picked
+   * (including choosing while it had no pick and cycled). One correction
+   * per word load: choosing again replaces it, and coming back to the
+   * pick withdraws it.
+   *
+   * @param {string} word — base word
+   * @param {object} entry — the variant the user chose
+   */
+  _recordCorrection(word, entry) {
+    if (this._correction) {
+      FeedbackStore.forget(this._correction);
+      this._correction = null;
+    }
+
+    if (entry === AppState.variants[AppState.pickedVariant]) return;
+    this._correction = FeedbackStore.record(word, entry.entryId, this._variantContext);
+  },
+
   /**
    * Cycle to next variant for the current word.
    */
   nextVariant() {
-    const word = AppState.currentWord;
-    const result = VideoService.nextVariant(word);
-    if (!result) return;
+    const count = AppState.variants.length;
+    if (count <= 1) return;
+
+    const current = AppState.variants.indexOf(AppState.currentEntry);
+    this.selectVariant((current + 1) % count);
+  },
+
+  // ─── PLAYBACK ────────────────────────────────────────────────────────
+  //
+  // These act on whatever clip is in the <video>, so they work the same
+  // for a looping single variant and for _loadAllVariants() cycling (a
+  // paused cycle stays on its variant: "ended" never fires).
+
+  /**
+   * Change sign video speed (clamped to CONFIG.playback.rates' range).
+   *
+   * @param {number} rate — playback multiplier, e.g. 0.5 = half speed
+   */
+  setPlaybackRate(rate) {
+    const { rates } = CONFIG.playback;
+    const clamped = Math.min(rates[rates.length - 1], Math.max(rates[0], rate));
+
+    AppState.setPlaybackRate(clamped);
+    this.view.setPlaybackRate(clamped);
+    this.view.render(AppState);
+  },
+
+  /**
+   * Pause or resume the current sign video.
+   */
+  togglePause() {
+    AppState.setPaused(!AppState.isPaused);
+    this.view.setPaused(AppState.isPaused);
+    this.view.render(AppState);
+  },
+
+  /**
+   * Show the next (1) or previous (-1) frame. Pauses first — stepping
+   * only makes sense on a still image.
+   *
+   * @param {number} direction
+   */
+  stepFrame(direction) {
+    if (!AppState.isPaused) {
+      AppState.setPaused(true);
+      this.view.setPaused(true);
+    }
+    this.view.stepFrame(direction);
+    this.view.render(AppState);
+  },
+
+  /**
+   * Play the current clip again from the start.
+   */
+  replay() {
+    AppState.setPaused(false);
+    this.view.replay();
+    this.view.render(AppState);
+  },
+
+  // ─── FINGERSPELLING ──────────────────────────────────────────────────
+
+  /**
+   * Play a word letter-by-letter as handshape images, looping with a
+   * longer pause between repetitions (the way the sign videos loop).
+   *
+   * @param {string} word — the text to fingerspell
+   */
+  fingerspell(word) {
+    this.stopFingerspelling();
+
+    const frames = VideoService.getFingerspellFrames(word);
+    if (frames.length === 0) return;
 
-    AppState.setCurrentEntry(result.entry);
+    this._fingerspellFrames = frames;
+    this._fingerspellIndex = 0;
+
+    AppState.setFingerspelling(true);
     this.view.render(AppState);
-    this.view.loadVideo(result.blobUrl);
+    this._showFingerspellFrame();
+  },
+
+  /**
+   * Show the current frame and schedule the next one.
+   * Reads fingerspellSpeed on every step, so speed changes apply
+   * from the next letter without restarting the word.
+   */
+  _showFingerspellFrame() {
+    const frames = this._fingerspellFrames;
+    const index = this._fingerspellIndex;
+    this.view.showFingerspellFrame(frames, index);
+
+    const isLast = index === frames.length - 1;
+    const { letterMs, wordGapMs } = CONFIG.fingerspell;
+    const delay = (isLast ? letterMs + wordGapMs : letterMs) / this.fingerspellSpeed;
+
+    this._fingerspellTimer = setTimeout(() => {
+      this._fingerspellIndex = (index + 1) % frames.length;
+      this._showFingerspellFrame();
+    }, delay);
+  },
+
+  /**
+   * Change fingerspelling speed (clamped to CONFIG.fingerspell min/max).
+   *
+   * @param {number} speed — playback multiplier, e.g. 0.5 = half speed
+   */
+  setFingerspellSpeed(speed) {
+    const { minSpeed, maxSpeed } = CONFIG.fingerspell;
+    this.fingerspellSpeed = Math.min(maxSpeed, Math.max(minSpeed, speed));
+  },
+
+  /**
+   * Stop the sequencer (safe to call when nothing is playing).
+   */
+  stopFingerspelling() {
+    clearTimeout(this._fingerspellTimer);
+    this._fingerspellTimer = null;
+    this._fingerspellFrames = [];
+    this._fingerspellIndex = 0;
+    AppState.setFingerspelling(false);
   },
 
   /**
    * Stop hover detection (cleanup)
    */
   destroy() {
+    this.stopFingerspelling();
     this.view.stopHoverDetection();
+    this.view.stopSelectionDetection();
+    this.view.stopClickDetection();
     this.view.destroy();
   }
 };
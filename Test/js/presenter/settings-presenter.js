@@ -0,0 +1,112 @@
+/**
+ * Settings Presenter
+ *
+ * Connects the Settings model to the settings panel and to the parts of
+ * the app each setting controls:
+ *   - highlightColor → the ::highlight(asl-words) rule
+ *   - popupWidth     → popup + video size
+ *   - hideDelay      → CONFIG.timing.hideDelay (read on every hide)
+ *
+ * Changes apply live through the model's subscribe(), so Settings.set()
+ * from the console re-styles the page the same way a panel edit does.
+ *
+ * Also loads the user's remembered variant corrections (FeedbackStore)
+ * and gives the panel export / import / clear controls for them.
+ */
+
+import { CONFIG } from "../config.js";
+import { Settings, SETTINGS_SCHEMA } from "../model/settings.js";
+import { FeedbackStore } from "../model/feedback-store.js";
+import { SettingsView } from "../view/settings-view.js";
+import { HighlightOverlayPresenter } from "./highlight-overlay-presenter.js";
+import { PopupOverlayPresenter } from "./popup-overlay-presenter.js";
+
+export const SettingsPresenter = {
+  _unsubscribe: null,
+  _unsubscribeFeedback: null,
+
+  /**
+   * Load stored settings, apply them, and render the panel if there is one.
+   * Call after the highlight and popup presenters are initialized.
+   *
+   * @param {HTMLElement|null} panel - element to render the settings form into
+   * @param {object} [storage]       - StorageAdapter override (tests)
+   * @param {object} [feedbackStorage] - StorageAdapter override for corrections
+   */
+  async init(panel = null, storage, feedbackStorage) {
+    await Promise.all([Settings.init(storage), FeedbackStore.init(feedbackStorage)]);
+
+    for (const [key, value] of Object.entries(Settings.values)) {
+      this.apply(key, value);
+    }
+
+    this._unsubscribe?.();
+    this._unsubscribe = Settings.subscribe((key, value) => {
+      this.apply(key, value);
+      SettingsView.update(key, value);
+    });
+
+    SettingsView.setContainer(panel);
+    SettingsView.render(SETTINGS_SCHEMA, Settings.values, {
+      onChange: (key, value) => this.handleChange(key, value),
+      onReset: () => Settings.reset(),
+    });
+
+    this._unsubscribeFeedback?.();
+    this._unsubscribeFeedback = FeedbackStore.subscribe((count) =>
+      SettingsView.updateFeedbackCount(count)
+    );
+
+    SettingsView.renderFeedback(FeedbackStore.records.length, {
+      onExport: () =>
+        SettingsView.download("asl-variant-feedback.json", FeedbackStore.exportJSON()),
+      onImport: (text) => this.importFeedback(text),
+      onClear: () => FeedbackStore.clear(),
+    });
+  },
+
+  /**
+   * Push one setting out to whatever it controls.
+   */
+  apply(key, value) {
+    switch (key) {
+      case "highlightColor":
+        HighlightOverlayPresenter.view?.setColor(value);
+        break;
+      case "popupWidth":
+        PopupOverlayPresenter.view?.setSize(value);
+        break;
+      case "hideDelay":
+        CONFIG.timing.hideDelay = value;
+        break;
+    }
+  },
+
+  /**
+   * Merge an exported corrections file and report how it went.
+   *
+   * @param {string} text - file contents
+   */
+  async importFeedback(text) {
+    const result = await FeedbackStore.importJSON(text);
+    SettingsView.showFeedbackStatus(
+      result.valid
+        ? `Imported ${result.imported} correction(s)` +
+            (result.skipped ? `, skipped ${result.skipped}` : "")
+        : result.error
+    );
+  },
+
+  /**
+   * Panel edit → model. Rejected values leave the setting as it was and
+   * show the reason under the control.
+   */
+  async handleChange(key, value) {
+    const result = await Settings.set(key, value);
+    SettingsView.showError(key, result.valid ? null : result.error);
+    if (!result.valid) {
+      // Put the control back on the value still in effect
+      SettingsView.update(key, Settings.get(key));
+    }
+  },
+};
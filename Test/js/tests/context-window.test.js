@@ -0,0 +1,307 @@
+/**
+ * ContextWindow Unit Tests
+ * Run with: node Test/js/tests/context-window.test.js
+ *
+ * Tests the words disambiguation reads around a hovered match:
+ *   - tokenize(), sentenceBounds(), sectionBounds(), decayWeight()
+ *   - ContextWindow.extract() for each window ("sentence", "tokens",
+ *     "section", "paragraph"), short sentences widening, and weights
+ *     decaying with distance (nearest occurrence wins)
+ *   - HighlightOverlayPresenter.getContextForWord() on real markup:
+ *     sentences running through <a>/<em>, words split by inline tags,
+ *     <br> and list items as boundaries, heading sections, pages
+ *     without <p>, and the hovered word's part of speech
+ */
+
+import { parseHTML, NodeFilter } from "./helpers/mini-dom.js";
+import { CONFIG } from "../config.js";
+import {
+  ContextWindow,
+  tokenize,
+  sentenceBounds,
+  sectionBounds,
+  decayWeight,
+} from "../model/context-window.js";
+import { HighlightOverlayPresenter } from "../presenter/highlight-overlay-presenter.js";
+
+// ─── BROWSER API MOCKS ──────────────────────────────────────────────
+
+globalThis.window = globalThis;
+globalThis.NodeFilter = NodeFilter;
+globalThis.scrollX = 0;
+globalThis.scrollY = 0;
+
+// Only the hovered match has a rect (at the origin), so a lookup at
+// (5, 5) always finds it
+class MockRange {
+  constructor(node, offset, length, hovered) {
+    this.startContainer = node;
+    this.startOffset = offset;
+    this.endContainer = node;
+    this.endOffset = offset + length;
+    this.hovered = hovered;
+  }
+  getClientRects() {
+    return this.hovered ? [{ left: 0, top: 0, right: 50, bottom: 20 }] : [];
+  }
+}
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+/**
+ * Highlight `words` in `html` (whole words, per text node, like the
+ * view) and return getContextForWord() for the first `target`.
+ */
+function hover(html, words, target, mode = "sentence") {
+  const doc = parseHTML(`<html><head></head><body>${html}</body></html>`);
+  globalThis.document = doc;
+
+  const matches = [];
+  let hovered = false;
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    for (const m of node.data.matchAll(/[a-z]+/gi)) {
+      const word = m[0].toLowerCase();
+      if (!words.includes(word)) continue;
+      const isTarget = word === target && !hovered;
+      if (isTarget) hovered = true;
+      matches.push({
+        word,
+        baseWord: word,
+        textNode: node,
+        range: new MockRange(node, m.index, m[0].length, isTarget),
+      });
+    }
+  }
+
+  HighlightOverlayPresenter.matches = matches;
+  HighlightOverlayPresenter.invalidateSpatialIndex();
+
+  const { window: saved } = CONFIG.context;
+  CONFIG.context.window = mode;
+  const context = HighlightOverlayPresenter.getContextForWord(5, 5, target);
+  CONFIG.context.window = saved;
+  return context;
+}
+
+/**
+ * extract() for the first occurrence of `word` in `text`.
+ */
+function extractAt(text, word, options) {
+  const start = text.indexOf(word);
+  return ContextWindow.extract(text, start, start + word.length, options);
+}
+
+const ContextWindowTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── TEXT ─────────────────────────────────────────────────────────
+
+  testTokenize() {
+    const tokens = tokenize("The Bat, flew.");
+    this.assert(tokens.map((t) => t.word).join() === "the,bat,flew", "tokenize: lowercase words");
+    this.assert(tokens[1].start === 4 && tokens[1].end === 7, "tokenize: offsets into the original text");
+  },
+
+  testSentenceBounds() {
+    const text = "He sat. The bat flew! Then it slept";
+    const bat = text.indexOf("bat");
+    const bounds = sentenceBounds(text, bat, bat + 3);
+    this.assert(text.slice(bounds.start, bounds.end).trim() === "The bat flew!", "sentence: . and ! end sentences");
+
+    const last = sentenceBounds(text, text.indexOf("slept"));
+    this.assert(text.slice(last.start).trim() === "Then it slept" && last.end === text.length, "sentence: runs to the end");
+
+    const quoted = 'She said "stop." Then the bat left';
+    const after = sentenceBounds(quoted, quoted.indexOf("bat"));
+    this.assert(quoted.slice(after.start).trim() === "Then the bat left", "sentence: closing quote stays with its sentence");
+
+    const lines = "first line\nthe bat flew";
+    const line = sentenceBounds(lines, lines.indexOf("bat"));
+    this.assert(lines.slice(line.start, line.end) === "the bat flew", "sentence: line breaks end sentences");
+
+    const version = "v1.2 is out";
+    this.assert(sentenceBounds(version, 0).end === version.length, "sentence: a dot without a space isn't an end");
+  },
+
+  testSectionBounds() {
+    // h2 at 0, h3 at 10, h2 at 20, text ends at 30
+    const headings = [{ start: 0, level: 2 }, { start: 10, level: 3 }, { start: 20, level: 2 }];
+    let b = sectionBounds(headings, 5, 30);
+    this.assert(b.start === 0 && b.end === 20, "section: an h2 section takes in its h3 subsections");
+    b = sectionBounds(headings, 15, 30);
+    this.assert(b.start === 10 && b.end === 20, "section: h3 section ends at the next h2");
+    b = sectionBounds([{ start: 10, level: 3 }, { start: 20, level: 4 }, { start: 25, level: 3 }], 12, 30);
+    this.assert(b.end === 25, "section: ends at the next heading of the same level");
+    b = sectionBounds(headings.slice(1), 5, 30);
+    this.assert(b.start === 0 && b.end === 10, "section: text before the first heading");
+    this.assert(sectionBounds([], 5, 30).end === 30, "section: no headings → everything");
+  },
+
+  testDecayWeight() {
+    const { halfLife, minWeight } = CONFIG.context;
+    this.assert(decayWeight(0) === 1 && decayWeight(1) === 1, "decay: the word and its neighbours count fully");
+    this.assert(decayWeight(halfLife + 1) === 0.5, "decay: half at halfLife + 1");
+    this.assert(decayWeight(3) > decayWeight(4), "decay: nearer counts more");
+    this.assert(decayWeight(1000) === minWeight, "decay: never below minWeight");
+
+    CONFIG.context.halfLife = Infinity;
+    this.assert(decayWeight(50) === 1, "decay: halfLife Infinity turns decay off");
+    CONFIG.context.halfLife = halfLife;
+  },
+
+  // ─── WINDOWS ──────────────────────────────────────────────────────
+
+  testSentenceWindow() {
+    const text = "Owls sleep all day in the barn. He swung the bat hard and hit the ball far. Rain fell.";
+    const context = extractAt(text, "bat");
+
+    this.assert(context.contextWords.includes("hit") && context.contextWords.includes("swung"), "sentence window: words of the sentence");
+    this.assert(!context.contextWords.includes("owls") && !context.contextWords.includes("rain"), "sentence window: other sentences left out");
+    this.assert(text.slice(context.start, context.end).trim().startsWith("He swung"), "sentence window: bounds returned");
+  },
+
+  testShortSentenceWidens() {
+    const text = "Swing hard now. Bat! The owls sleep all day in the old barn.";
+    const context = extractAt(text, "Bat");
+    this.assert(context.contextWords.includes("swing") && context.contextWords.includes("owls"), "sentence window: short sentence borrows its neighbours");
+  },
+
+  testTokenWindow() {
+    const { tokens } = CONFIG.context;
+    CONFIG.context.tokens = 2;
+    const text = "one two three four bat five six seven";
+    const context = extractAt(text, "bat", { window: "tokens" });
+    this.assert(context.contextWords.join(" ") === "three four bat five six", "tokens window: N words either side");
+    CONFIG.context.tokens = tokens;
+  },
+
+  testParagraphWindow() {
+    const text = "Owls sleep. He swung the bat. Rain fell.";
+    const context = extractAt(text, "bat", { window: "paragraph" });
+    this.assert(context.contextWords.length === 8 && context.start === 0 && context.end === text.length, "paragraph window: everything");
+  },
+
+  testSectionWindow() {
+    const text = "Animals\nOwls and bats sleep.\nSports\nHe swung the bat.";
+    const headings = [{ start: 0, level: 2 }, { start: text.indexOf("Sports"), level: 2 }];
+    const context = extractAt(text, "bat.", { window: "section", headings });
+    this.assert(context.contextWords.join(" ") === "sports he swung the bat", "section window: from the heading above");
+  },
+
+  testWeights() {
+    const text = "the bat flew past and the crowd began to swing wildly at the night";
+    const { contextWeights } = extractAt(text, "bat", { window: "paragraph" });
+
+    this.assert(contextWeights.get("flew") === 1, "weights: neighbour counts fully");
+    this.assert(contextWeights.get("swing") === decayWeight(8), "weights: decayed by word distance");
+    this.assert(contextWeights.get("flew") > contextWeights.get("swing"), "weights: nearer is heavier");
+    this.assert(contextWeights.get("the") === 1, "weights: a repeated word keeps its nearest occurrence");
+  },
+
+  // ─── MARKUP ───────────────────────────────────────────────────────
+
+  testSentenceAcrossInlineElements() {
+    const context = hover(
+      "<p>Owls sleep by day. He swung the <a href='#'>bat</a> and <em>hit</em> the <strong>ball</strong> far. Rain fell on the owl.</p>",
+      ["bat", "hit", "ball", "owl", "owls"],
+      "bat"
+    );
+
+    this.assert(context.contextWords.includes("hit") && context.contextWords.includes("ball"), "markup: sentence runs through <a>/<em>/<strong>");
+    this.assert(!context.contextWords.includes("rain"), "markup: next sentence left out");
+    this.assert(context.nearbyBaseWords.join() === "hit,ball", "markup: neighbours only from the window");
+    this.assert(context.contextWeights.get("and") === 1, "markup: weights measured in the flattened text");
+    this.assert(context.partOfSpeech === "Noun", "markup: part of speech tagged in the sentence (the bat)");
+
+    const verb = hover("<p>Owls sleep. She wants to <a href='#'>bat</a> first.</p>", ["bat"], "bat");
+    this.assert(verb.partOfSpeech === "Verb", "markup: tagging reads across the link (to bat)");
+  },
+
+  testWordSplitByInlineTag() {
+    const context = hover("<p>They watched a <b>base</b>ball game and the bat cracked loudly today.</p>", ["bat"], "bat");
+    this.assert(context.contextWords.includes("baseball"), "markup: a word split by an inline tag is rejoined");
+  },
+
+  testBlockBoundaries() {
+    let context = hover("<ul><li>The bat flew off.</li><li>Hit the ball hard.</li></ul>", ["bat", "hit", "ball"], "bat");
+    this.assert(!context.contextWords.includes("hit"), "markup: a list item doesn't bleed into the next");
+    this.assert(context.nearbyBaseWords.length === 0, "markup: no neighbours from other items");
+
+    context = hover("<div>Owls sleep by day in barns<br>the bat flew over the dark field at night</div>", ["bat"], "bat");
+    this.assert(!context.contextWords.includes("owls"), "markup: <br> ends a sentence");
+
+    context = hover("<div>Owls sleep by day in barns<br>the bat flew over the dark field</div>", ["bat"], "bat", "tokens");
+    this.assert(context.contextWords.includes("owls"), "markup: no <p> — the word window stays inside the <div>");
+  },
+
+  testSectionMarkup() {
+    const html =
+      "<h2>Animals</h2><p>Owls and bats sleep in barns.</p>" +
+      "<h2>Sports</h2><p>He swung the bat.</p><h3>Gear</h3><p>A ball and a glove.</p>" +
+      "<h2>Weather</h2><p>Rain fell.</p>";
+    const context = hover(html, ["bat", "ball", "owls"], "bat", "section");
+
+    this.assert(context.contextWords[0] === "sports", "section markup: starts at the heading above");
+    this.assert(!context.contextWords.includes("owls"), "section markup: earlier section left out");
+    this.assert(context.contextWords.includes("ball"), "section markup: takes in its subsections");
+    this.assert(!context.contextWords.includes("rain"), "section markup: ends at the next heading of its level");
+    this.assert(context.nearbyBaseWords.join() === "ball", "section markup: neighbours from the whole section");
+  },
+
+  testParagraphMode() {
+    const context = hover("<p>Owls sleep by day. He swung the bat.</p>", ["bat", "owls"], "bat", "paragraph");
+    this.assert(context.contextWords.includes("owls") && context.nearbyBaseWords.join() === "owls", "paragraph mode: the whole <p>, as before");
+  },
+
+  testNoMatch() {
+    const context = hover("<p>Nothing here.</p>", ["bat"], "bat");
+    this.assert(
+      context.contextWords.length === 0 && context.contextWeights.size === 0 && context.partOfSpeech === null,
+      "no match: empty context"
+    );
+  },
+
+  runAll() {
+    this.results = [];
+
+    this.testTokenize();
+    this.testSentenceBounds();
+    this.testSectionBounds();
+    this.testDecayWeight();
+    this.testSentenceWindow();
+    this.testShortSentenceWidens();
+    this.testTokenWindow();
+    this.testParagraphWindow();
+    this.testSectionWindow();
+    this.testWeights();
+    this.testSentenceAcrossInlineElements();
+    this.testWordSplitByInlineTag();
+    this.testBlockBoundaries();
+    this.testSectionMarkup();
+    this.testParagraphMode();
+    this.testNoMatch();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== ContextWindow Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+ContextWindowTests.runAll();
@@ -0,0 +1,209 @@
+/**
+ * CSV Reader Unit Tests
+ * Run with: node Test/js/tests/csv-reader.test.js
+ *
+ * Tests the streaming RFC 4180 reader the build scripts read the ASL-LEX
+ * CSV with (scripts/lib/csv-reader.js):
+ * - Quoting: commas, newlines and doubled quotes inside quoted fields
+ * - Line endings (\n, \r\n, \r), byte-order marks, blank lines
+ * - Malformed rows reported with their line numbers
+ * - The same records however the text is split into chunks
+ * - CsvReader: columns by exact header name and alias, optional and
+ *   missing columns, the report
+ * - Quoted meanings: doubled quotes stay in the glossary text and still
+ *   count for disambiguation
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { CsvParser, CsvReader, parseCsv, describeCsvReport } from "../../../scripts/lib/csv-reader.js";
+import { VideoData } from "../model/video-data.js";
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+// An ASL-LEX-like file: iframe HTML with doubled quotes, a multi-line
+// translation, a blank line and three malformed rows
+const SIGNDATA = [
+  "﻿Code,EntryID,LemmaID,YouTube Video,VimeoVideoHTML,VimeoVideo,SignBankEnglishTranslations",
+  'A1,book,book,"<iframe src=""https://www.youtube.com/embed/abc""></iframe>",,https://vimeo.com/111,"book, novel"',
+  'A2,bat_2,bat,,,https://vimeo.com/222,"hit, strike,\r\nswing"',
+  "",
+  'A3,broken,broken,,,"https://vimeo.com/333"x,',
+  "A4,short,short",
+  'A5,quote,quote,,,https://vimeo.com/"555",',
+  'A6,café,café,,,https://vimeo.com/666,"coffee ""shop"""',
+].join("\r\n") + "\r\n";
+
+function fields(text) {
+  return parseCsv(text).map((r) => r.fields);
+}
+
+async function readAll(reader) {
+  const rows = [];
+  for await (const row of reader) rows.push(row);
+  return rows;
+}
+
+const CsvReaderTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── PARSING ──────────────────────────────────────────────────────
+
+  testQuoting() {
+    const same = (text, expected, name) => this.assert(JSON.stringify(fields(text)) === JSON.stringify(expected), name);
+
+    same("a,b,c\n1,2,3\n", [["a", "b", "c"], ["1", "2", "3"]], "parse: plain rows");
+    same('"a,b",c', [["a,b", "c"]], "parse: comma in quotes");
+    same('"say ""hi""",x', [['say "hi"', "x"]], "parse: doubled quotes");
+    same('"""",""', [['"', ""]], "parse: just a quote, empty quoted");
+    same('"line 1\nline 2",x\ny,z', [["line 1\nline 2", "x"], ["y", "z"]], "parse: newline in quotes");
+    same('"a\r\nb",c\r\n', [["a\r\nb", "c"]], "parse: CRLF in quotes kept");
+    same("a,,\n,,", [["a", "", ""], ["", "", ""]], "parse: empty fields");
+    same(" a , b ", [[" a ", " b "]], "parse: spaces kept");
+    same("a\r\nb\rc\nd", [["a"], ["b"], ["c"], ["d"]], "parse: \\r\\n, \\r and \\n end rows");
+    same("﻿a,b", [["a", "b"]], "parse: byte-order mark dropped");
+    same("a\n\n\r\n\nb\n", [["a"], ["b"]], "parse: blank lines skipped");
+    same('""\n', [[""]], "parse: a quoted empty field isn't a blank line");
+    same("", [], "parse: nothing");
+  },
+
+  testMalformed() {
+    const records = parseCsv('a,b\n"x"y,1\nab"c,2\n"multi\nline",3\n"open,4\n');
+    const errors = records.map((r) => r.error && `${r.line}: ${r.error}`).filter(Boolean);
+
+    this.assert(errors[0] === "2: text after a closing quote in field 1", "malformed: text after a closing quote");
+    this.assert(errors[1] === "3: quote inside unquoted field 1", "malformed: stray quote");
+    this.assert(errors[2] === "6: unterminated quoted field 1", "malformed: unterminated quote, line after a multi-line field");
+    this.assert(records[3].error === null && records[3].line === 4, "malformed: good rows stay good");
+    this.assert(records.length === 5, "malformed: the rest still parsed");
+  },
+
+  testChunks() {
+    const whole = JSON.stringify(parseCsv(SIGNDATA));
+    let ok = true;
+    for (let split = 0; split <= SIGNDATA.length; split++) {
+      const parser = new CsvParser();
+      const records = [...parser.push(SIGNDATA.slice(0, split)), ...parser.push(SIGNDATA.slice(split)), ...parser.end()];
+      if (JSON.stringify(records) !== whole) ok = false;
+    }
+    this.assert(ok, "chunks: every split point parses the same");
+
+    const parser = new CsvParser();
+    const records = [];
+    for (const char of SIGNDATA) records.push(...parser.push(char));
+    records.push(...parser.end());
+    this.assert(JSON.stringify(records) === whole, "chunks: one character at a time");
+  },
+
+  // ─── READER ───────────────────────────────────────────────────────
+
+  async testReader() {
+    const dir = mkdtempSync(join(tmpdir(), "csv-reader-"));
+    const file = join(dir, "signdata.csv");
+    writeFileSync(file, SIGNDATA);
+
+    try {
+      const reader = new CsvReader(file, {
+        columns: {
+          entryId: "EntryID",
+          youtube: ["YouTubeVideo", "YouTube Video"],
+          vimeo: ["VimeoVideo", "VimeoVideoHTML"],
+          meanings: "SignBankEnglishTranslations",
+          field: "SignBankSemanticField",
+        },
+        optional: ["field"],
+      });
+      const rows = await readAll(reader);
+      const { report } = reader;
+
+      this.assert(rows.map((r) => r.entryId).join() === "book,bat_2,café", "reader: good rows only");
+      this.assert(rows[0].youtube === '<iframe src="https://www.youtube.com/embed/abc"></iframe>', "reader: quoted HTML");
+      this.assert(rows[0].vimeo === "https://vimeo.com/111", "reader: exact name, not a prefix (VimeoVideoHTML)");
+      this.assert(rows[1].meanings === "hit, strike,\r\nswing", "reader: multi-line field");
+      this.assert(rows[2].meanings === 'coffee "shop"', "reader: doubled quotes");
+      this.assert(rows.every((r) => r.field === ""), "reader: a missing optional column is empty");
+      this.assert(Object.keys(rows[0]).join() === "entryId,youtube,vimeo,meanings,field", "reader: only the asked-for columns");
+
+      this.assert(report.rows === 3 && report.columns.youtube === "YouTube Video" && report.missing.join() === "field", "report: rows and columns");
+      this.assert(
+        report.malformed.map((m) => `${m.line}: ${m.error}`).join(" | ") ===
+          "6: text after a closing quote in field 6 | 7: 3 fields, expected 7 | 8: quote inside unquoted field 6",
+        "report: malformed rows with their lines"
+      );
+      const description = describeCsvReport(report);
+      this.assert(description[0] === "Read 3 rows" && description.some((l) => l.includes("line 7: 3 fields, expected 7")), "report: described");
+
+      let error = null;
+      try {
+        await readAll(new CsvReader(file, { columns: { gloss: ["Gloss", "EnglishGloss"] } }));
+      } catch (e) {
+        error = e.message;
+      }
+      this.assert(error?.includes('no column "Gloss" or "EnglishGloss" (headers: Code, EntryID'), "reader: a missing column names the headers");
+
+      writeFileSync(file, "");
+      error = null;
+      try {
+        await readAll(new CsvReader(file, { columns: { entryId: "EntryID" } }));
+      } catch (e) {
+        error = e.message;
+      }
+      this.assert(error?.endsWith("no header row"), "reader: an empty file");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  // The reader keeps "" as a quote where the old hand-rolled parser dropped
+  // it, so built meanings now read 'book, "novel"'. The Lesk layer must
+  // still find "novel" in them.
+  async testQuotedMeaning() {
+    const dir = mkdtempSync(join(tmpdir(), "csv-reader-"));
+    const file = join(dir, "signdata.csv");
+    writeFileSync(file, 'EntryID,SignBankEnglishTranslations\nbook,"book, ""novel"""\nbook_2,"reserve, (schedule)"\n');
+
+    try {
+      const rows = await readAll(new CsvReader(file, { columns: { entryId: "EntryID", meanings: "SignBankEnglishTranslations" } }));
+      this.assert(rows[0].meanings === 'book, "novel"', "quoted meaning: the quotes are kept");
+
+      const entries = rows.map((r) => ({ entryId: r.entryId, meanings: r.meanings, lexicalClass: "Noun" }));
+      const [noun, verb] = VideoData.explainVariants(entries, [], ["novel", "schedule"], "book");
+      this.assert(noun.lesk.tokens.join() === "novel" && verb.lesk.tokens.join() === "schedule", "quoted meaning: still matches context words");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  async runAll() {
+    this.results = [];
+
+    this.testQuoting();
+    this.testMalformed();
+    this.testChunks();
+    await this.testReader();
+    await this.testQuotedMeaning();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== CsvReader Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+await CsvReaderTests.runAll();
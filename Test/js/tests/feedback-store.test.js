@@ -0,0 +1,255 @@
+/**
+ * FeedbackStore Unit Tests
+ * Run with: node Test/js/tests/feedback-store.test.js
+ *
+ * Tests remembered variant corrections and the scoring layer built on them:
+ *   - contextTokens(): the Lesk filter (lowercase, > 2 chars, not the
+ *     word) minus function words, deduplicated and capped
+ *   - record/forget/clear persist and notify subscribers; init drops
+ *     malformed stored records
+ *   - scoreVariants(): +similarWeight for a correction made in a similar
+ *     context, +wordWeight otherwise; other words and unknown entryIds
+ *     don't count
+ *   - VideoData.scoreVariants()/disambiguate(): corrections shift the
+ *     scores and overturn the Lesk pick in similar contexts
+ *   - exportJSON()/importJSON(): round trip, duplicates and malformed
+ *     records skipped, foreign or newer files rejected
+ */
+
+import { CONFIG } from "../config.js";
+import { FeedbackStore, contextTokens } from "../model/feedback-store.js";
+import { VideoData } from "../model/video-data.js";
+import { MemoryStorageAdapter } from "../utils/StorageAdapter.js";
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+// "book": Noun (the object) and Verb (to reserve)
+const BOOK = [
+  { entryId: "book", meanings: "book, novel", lexicalClass: "Noun" },
+  { entryId: "book_2", meanings: "book, reserve, reservation", lexicalClass: "Verb" },
+];
+
+// The Verb's meanings contain "reserve" → Lesk gives book_2 +3
+const HOTEL = "please reserve the hotel room book for the guests".split(" ");
+const HOTEL_AGAIN = "the hotel guests reserve a room".split(" ");
+const LIBRARY = "the library shelf had one old book".split(" ");
+
+const FeedbackStoreTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  async setup() {
+    const storage = new MemoryStorageAdapter();
+    await FeedbackStore.init(storage);
+    return storage;
+  },
+
+  // ─── TOKENS ───────────────────────────────────────────────────────
+
+  testContextTokens() {
+    const tokens = contextTokens(["Big", "Hotel", "hotel", "a", "to", "book", "room"], "book");
+    this.assert(tokens.join() === "big,hotel,room", "contextTokens: lowercased, deduped, short and target dropped");
+    this.assert(contextTokens(["the", "and", "with"]).length === 0, "contextTokens: function words dropped");
+
+    const many = Array.from({ length: 200 }, (_, i) => `word${i}`);
+    this.assert(
+      contextTokens(many).length === CONFIG.feedback.maxContextTokens,
+      "contextTokens: capped at maxContextTokens"
+    );
+  },
+
+  // ─── STORE ────────────────────────────────────────────────────────
+
+  async testInit() {
+    const storage = new MemoryStorageAdapter();
+    await storage.set("records", [
+      { word: "book", entryId: "book", context: ["library"], time: 1 },
+      { word: "book", entryId: "", context: [], time: 2 }, // no entryId
+      { word: "book", entryId: "book_2", context: "hotel", time: 3 }, // context not an array
+      null,
+    ]);
+
+    await FeedbackStore.init(storage);
+    this.assert(FeedbackStore.isLoaded, "init: isLoaded set");
+    this.assert(FeedbackStore.records.length === 1, "init: malformed stored records dropped");
+
+    const originalError = console.error;
+    console.error = () => {};
+    await FeedbackStore.init({
+      async get() {
+        throw new Error("quota");
+      },
+    });
+    console.error = originalError;
+    this.assert(FeedbackStore.isLoaded && FeedbackStore.records.length === 0, "init: storage failure → empty");
+  },
+
+  async testRecordAndForget() {
+    const storage = await this.setup();
+    const counts = [];
+    const unsubscribe = FeedbackStore.subscribe((count) => counts.push(count));
+
+    const record = FeedbackStore.record("book", "book", HOTEL);
+    this.assert(record.word === "book" && record.entryId === "book", "record: word and entryId stored");
+    this.assert(record.context.includes("hotel") && !record.context.includes("book"), "record: context tokenized");
+    this.assert((await storage.get("records")).length === 1, "record: persisted");
+
+    FeedbackStore.forget(record);
+    this.assert(FeedbackStore.records.length === 0, "forget: record removed");
+    this.assert((await storage.get("records")).length === 0, "forget: persisted");
+
+    FeedbackStore.forget(record);
+    this.assert(counts.join() === "1,0", "subscribe: notified with the count; unknown forget is a no-op");
+
+    FeedbackStore.record("book", "book", HOTEL);
+    await FeedbackStore.clear();
+    this.assert(FeedbackStore.records.length === 0, "clear: everything removed");
+
+    unsubscribe();
+  },
+
+  async testMaxRecords() {
+    await this.setup();
+    const { maxRecords } = CONFIG.feedback;
+    CONFIG.feedback.maxRecords = 3;
+
+    for (let i = 0; i < 5; i++) FeedbackStore.record(`word${i}`, "x", []);
+    this.assert(FeedbackStore.records.length === 3, "trim: capped at maxRecords");
+    this.assert(FeedbackStore.records[0].word === "word2", "trim: oldest dropped first");
+
+    CONFIG.feedback.maxRecords = maxRecords;
+  },
+
+  // ─── SCORING ──────────────────────────────────────────────────────
+
+  async testScoreVariants() {
+    await this.setup();
+    const { similarWeight, wordWeight } = CONFIG.feedback;
+
+    this.assert(
+      FeedbackStore.scoreVariants("book", BOOK, HOTEL).join() === "0,0",
+      "score: no corrections → zeros"
+    );
+
+    FeedbackStore.record("book", "book", HOTEL);
+    let scores = FeedbackStore.scoreVariants("book", BOOK, HOTEL_AGAIN);
+    this.assert(scores[0] === similarWeight && scores[1] === 0, "score: similar context → similarWeight");
+
+    scores = FeedbackStore.scoreVariants("book", BOOK, LIBRARY);
+    this.assert(scores[0] === wordWeight, "score: other context → wordWeight");
+
+    FeedbackStore.record("book", "book", HOTEL);
+    scores = FeedbackStore.scoreVariants("book", BOOK, HOTEL_AGAIN);
+    this.assert(scores[0] === 2 * similarWeight, "score: repeated corrections add up");
+
+    FeedbackStore.record("cool", "cool_2", HOTEL);
+    FeedbackStore.record("book", "book_9", HOTEL); // variant no longer in the glossary
+    scores = FeedbackStore.scoreVariants("book", BOOK, HOTEL_AGAIN);
+    this.assert(
+      scores[0] === 2 * similarWeight && scores[1] === 0,
+      "score: other words and unknown entryIds ignored"
+    );
+  },
+
+  async testCorrectionsShiftDisambiguation() {
+    await this.setup();
+
+    // Before: Lesk picks the Verb ("reserve" is in its meanings)
+    const before = VideoData.scoreVariants(BOOK, [], HOTEL, "book");
+    this.assert(before[0] === 0 && before[1] === 3, "before: Lesk scores the Verb");
+    this.assert(VideoData.disambiguate(BOOK, [], HOTEL, "book") === 1, "before: Verb picked");
+    this.assert(VideoData.disambiguate(BOOK, [], LIBRARY, "book") === -1, "before: no signal in library text");
+
+    // The user corrects it to the Noun in a hotel context
+    FeedbackStore.record("book", "book", HOTEL);
+    const after = VideoData.scoreVariants(BOOK, [], HOTEL_AGAIN, "book");
+    this.assert(after[0] > before[0] && after[1] === before[1], "after: correction adds to the chosen variant");
+    this.assert(VideoData.disambiguate(BOOK, [], HOTEL_AGAIN, "book") === 0, "after: similar context now picks the Noun");
+    this.assert(VideoData.disambiguate(BOOK, [], LIBRARY, "book") === 0, "after: weak preference elsewhere");
+
+    await FeedbackStore.clear();
+    this.assert(VideoData.disambiguate(BOOK, [], HOTEL_AGAIN, "book") === 1, "clear: back to the Lesk pick");
+  },
+
+  // ─── EXPORT / IMPORT ──────────────────────────────────────────────
+
+  async testExportImport() {
+    await this.setup();
+    FeedbackStore.record("book", "book", HOTEL);
+    FeedbackStore.record("cool", "cool_2", LIBRARY);
+    const json = FeedbackStore.exportJSON();
+
+    const data = JSON.parse(json);
+    this.assert(data.format === "asl-feedback" && data.version === 1, "export: format header");
+    this.assert(data.records.length === 2, "export: every record");
+
+    const storage = await this.setup();
+    let result = await FeedbackStore.importJSON(json);
+    this.assert(result.valid && result.imported === 2 && result.skipped === 0, "import: records added");
+    this.assert(
+      FeedbackStore.scoreVariants("book", BOOK, HOTEL_AGAIN)[0] === CONFIG.feedback.similarWeight,
+      "import: imported records score"
+    );
+    this.assert((await storage.get("records")).length === 2, "import: persisted");
+
+    result = await FeedbackStore.importJSON(json);
+    this.assert(result.imported === 0 && result.skipped === 2, "import: duplicates skipped");
+
+    data.records.push({ word: "book", entryId: 7, context: [], time: 1 });
+    result = await FeedbackStore.importJSON(JSON.stringify(data));
+    this.assert(result.valid && result.skipped === 3, "import: malformed records skipped");
+  },
+
+  async testImportRejects() {
+    await this.setup();
+
+    let result = await FeedbackStore.importJSON("{not json");
+    this.assert(!result.valid && result.error, "import: bad JSON rejected");
+
+    result = await FeedbackStore.importJSON(JSON.stringify({ records: [] }));
+    this.assert(!result.valid, "import: file without the format header rejected");
+
+    result = await FeedbackStore.importJSON(
+      JSON.stringify({ format: "asl-feedback", version: 99, records: [] })
+    );
+    this.assert(!result.valid && result.error.includes("99"), "import: newer version rejected");
+    this.assert(FeedbackStore.records.length === 0, "import: rejected file changes nothing");
+  },
+
+  async runAll() {
+    this.results = [];
+
+    this.testContextTokens();
+    await this.testInit();
+    await this.testRecordAndForget();
+    await this.testMaxRecords();
+    await this.testScoreVariants();
+    await this.testCorrectionsShiftDisambiguation();
+    await this.testExportImport();
+    await this.testImportRejects();
+
+    // Leave the store empty for suites that score variants
+    await this.setup();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== FeedbackStore Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+await FeedbackStoreTests.runAll();
@@ -0,0 +1,138 @@
+/**
+ * Fingerspelling Unit Tests
+ * Run with: node Test/js/tests/fingerspelling.test.js
+ *
+ * Tests the fingerspelling fallback used when a selected word has no
+ * ASL-LEX sign:
+ *   - FingerspellingData: the letter → handshape asset set
+ *   - VideoService.getFingerspellFrames(): turns a word into the frame
+ *     sequence the presenter's sequencer plays back
+ *
+ * Both are pure logic (no DOM), so no browser mocks are needed. `Image`
+ * doesn't exist in Node, which also checks that the preload step is
+ * skipped safely outside the browser.
+ */
+
+import { FingerspellingData } from "../model/fingerspelling-data.js";
+import { VideoService } from "../model/video-service.js";
+import { CONFIG } from "../config.js";
+
+const FingerspellingTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── FingerspellingData ─────────────────────────────────────────
+
+  /**
+   * Every letter of the alphabet needs a handshape — a gap here means
+   * some words silently drop letters when spelled.
+   */
+  testAllLettersHaveAssets() {
+    const alphabet = "abcdefghijklmnopqrstuvwxyz";
+    const missing = [...alphabet].filter((c) => !FingerspellingData.getAsset(c));
+    this.assert(missing.length === 0, "asset set covers a-z");
+  },
+
+  /**
+   * J and Z trace a path in the air, so they must be animated.
+   */
+  testMotionLettersAreAnimated() {
+    this.assert(FingerspellingData.getAsset("j").endsWith(".gif"), "'j' asset is animated");
+    this.assert(FingerspellingData.getAsset("z").endsWith(".gif"), "'z' asset is animated");
+    this.assert(FingerspellingData.getAsset("a").endsWith(".png"), "'a' asset is a still image");
+  },
+
+  testGetAssetCaseAndAccents() {
+    this.assert(FingerspellingData.getAsset("B") === FingerspellingData.getAsset("b"), "getAsset: case-insensitive");
+    this.assert(FingerspellingData.getAsset("é") === FingerspellingData.getAsset("e"), "getAsset: 'é' falls back to 'e'");
+    this.assert(FingerspellingData.getAsset("7") === null, "getAsset: null for digits");
+    this.assert(FingerspellingData.getAsset("-") === null, "getAsset: null for punctuation");
+  },
+
+  testCanFingerspell() {
+    this.assert(FingerspellingData.canFingerspell("Kubernetes") === true, "canFingerspell: proper noun");
+    this.assert(FingerspellingData.canFingerspell("42") === false, "canFingerspell: false for digits only");
+    this.assert(FingerspellingData.canFingerspell("") === false, "canFingerspell: false for empty string");
+  },
+
+  // ─── VideoService.getFingerspellFrames ──────────────────────────
+
+  testFramesForSimpleWord() {
+    const frames = VideoService.getFingerspellFrames("Kim");
+
+    this.assert(frames.length === 3, "frames: one per letter");
+    this.assert(frames.map((f) => f.char).join("") === "KIM", "frames: letters are uppercased for display");
+    this.assert(frames[0].src === CONFIG.fingerspell.basePath + "k.png", "frames: src built from basePath");
+  },
+
+  /**
+   * Apostrophes and hyphens have no handshape — they're skipped, not
+   * shown as broken images.
+   */
+  testFramesSkipPunctuation() {
+    const frames = VideoService.getFingerspellFrames("O'Neil-Smith");
+    const letters = frames.map((f) => f.char).join("");
+
+    this.assert(letters === "ONEILSMITH", "frames: punctuation skipped");
+    this.assert(frames.every((f) => f.src !== null), "frames: no blank frames for punctuation");
+  },
+
+  /**
+   * A multi-word selection pauses between words with a single blank
+   * frame, no matter how much whitespace separates them.
+   */
+  testFramesPauseBetweenWords() {
+    const frames = VideoService.getFingerspellFrames("New   York");
+    const blanks = frames.filter((f) => f.src === null);
+
+    this.assert(blanks.length === 1, "frames: one pause between words");
+    this.assert(frames[3].char === " ", "frames: pause sits between NEW and YORK");
+  },
+
+  testFramesNoTrailingPause() {
+    const frames = VideoService.getFingerspellFrames("room 101");
+
+    this.assert(frames.length === 4, "frames: unspellable last word dropped");
+    this.assert(frames[frames.length - 1].src !== null, "frames: no trailing pause");
+  },
+
+  testFramesEmpty() {
+    this.assert(VideoService.getFingerspellFrames("").length === 0, "frames: empty for empty string");
+    this.assert(VideoService.getFingerspellFrames("  ").length === 0, "frames: empty for whitespace");
+  },
+
+  // ─── RUN ALL ────────────────────────────────────────────────────
+
+  runAll() {
+    this.results = [];
+
+    this.testAllLettersHaveAssets();
+    this.testMotionLettersAreAnimated();
+    this.testGetAssetCaseAndAccents();
+    this.testCanFingerspell();
+    this.testFramesForSimpleWord();
+    this.testFramesSkipPunctuation();
+    this.testFramesPauseBetweenWords();
+    this.testFramesNoTrailingPause();
+    this.testFramesEmpty();
+
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== Fingerspelling Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+FingerspellingTests.runAll();
@@ -0,0 +1,327 @@
+/**
+ * FlatText / Cross-Node Phrase Unit Tests
+ * Run with: node Test/js/tests/flat-text.test.js
+ *
+ * Phrases like "high school" used to be matched one text node at a time,
+ * so <a>high</a> school or high<br>school never highlighted. Tests:
+ *   - FlatText: joined text, separators, offset → (node, offset), Ranges
+ *     across nodes
+ *   - findAcross()/mergeAcross(): phrase matches that run across texts,
+ *     and per-text matches inside them dropped
+ *   - HighlightOverlayView.highlightAll(): links, emphasis and line
+ *     breaks inside a phrase; block boundaries still split it
+ *   - the presenter: prefilter on the flattened text, the worker pass
+ *     matching the inline pass, pruneDetached() on a phrase's last node
+ */
+
+import { parseHTML, NodeFilter } from "./helpers/mini-dom.js";
+import { CONFIG } from "../config.js";
+import { VideoData } from "../model/video-data.js";
+import { wordResolver } from "../model/word-resolver.js";
+import {
+  buildWordMatcher,
+  findAcross,
+  findMatches,
+  joinTexts,
+  mergeAcross,
+} from "../model/text-matcher.js";
+import { FlatText } from "../utils/FlatText.js";
+import { MatchWorker } from "../utils/MatchWorker.js";
+import { HighlightOverlayView } from "../view/highlight-overlay-view.js";
+import { HighlightOverlayPresenter } from "../presenter/highlight-overlay-presenter.js";
+
+// ─── BROWSER API MOCKS ──────────────────────────────────────────────
+
+globalThis.window = globalThis;
+globalThis.NodeFilter = NodeFilter;
+globalThis.Node = { DOCUMENT_POSITION_FOLLOWING: 0x04 };
+globalThis.Range = class MockRange {
+  setStart(node, offset) {
+    this.startContainer = node;
+    this.startOffset = offset;
+  }
+  setEnd(node, offset) {
+    this.endContainer = node;
+    this.endOffset = offset;
+  }
+  getBoundingClientRect() {
+    return { top: 0, left: 0, right: 0, bottom: 0 };
+  }
+};
+globalThis.Highlight = class MockHighlight extends Set {
+  constructor(...ranges) {
+    super(ranges);
+  }
+};
+globalThis.CSS = { highlights: new Map() };
+globalThis.scrollY = 0;
+globalThis.innerHeight = 800;
+globalThis.scrollTo = () => {};
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+/**
+ * Parse `body` as the page and return the #app element.
+ */
+function page(body) {
+  globalThis.document = parseHTML(`<html><head></head><body><div id="app">${body}</div></body></html>`);
+  return document.getElementById("app");
+}
+
+/**
+ * What a Range covers: "start text@offset→end text@offset".
+ */
+function describe(range) {
+  return `${range.startContainer.data}@${range.startOffset}→${range.endContainer.data}@${range.endOffset}`;
+}
+
+function loadGlossary() {
+  VideoData.isLoaded = false;
+  VideoData.load({
+    high: [{ entryId: "high" }],
+    school: [{ entryId: "school" }],
+    high_school: [{ entryId: "high_school" }],
+    sign_language: [{ entryId: "sign_language" }],
+    book: [{ entryId: "book" }],
+    __inflectionMap: { books: "book" },
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const FlatTextTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── FLAT TEXT ────────────────────────────────────────────────────
+
+  testFlattening() {
+    const app = page(
+      `<p>At <a href="#">high</a> school<br>today.</p><p>Next <em>para</em>graph.</p><script>var x;</script>`
+    );
+
+    const context = new FlatText(app);
+    this.assert(context.text === "At high school\ntoday.\nNext paragraph.", "inline elements join, blocks and <br> break");
+    this.assert(context.nodes.length === 7, "script text skipped");
+
+    const matching = new FlatText(app, { lineBreak: " " });
+    this.assert(matching.text === "At high school today.\nNext paragraph.", "lineBreak: <br> as a space");
+    this.assert(
+      JSON.stringify(matching.separators) === JSON.stringify(["", "", " ", "\n", "", ""]),
+      "separators between the texts"
+    );
+    this.assert(matching.startOf(matching.nodes[2]) === 7 && matching.startOf(app) === undefined, "startOf()");
+
+    const joined = joinTexts(matching.texts, matching.separators);
+    this.assert(
+      joined.text === matching.text && joined.starts.join() === matching.starts.join(),
+      "joinTexts() rebuilds the same text"
+    );
+
+    // "\n" and " " separators are never doubled
+    const spaced = new FlatText(page(`<p>high <br>school</p>`), { lineBreak: " " });
+    this.assert(spaced.text === "high school", "<br> after a space adds nothing");
+  },
+
+  testPositions() {
+    const flat = new FlatText(page(`<p>A <b>high</b><i></i> school</p>`), { lineBreak: " " });
+    // Texts: "A " (0), "high" (2), " school" (6) — the empty <i> has no text node
+
+    this.assert(flat.indexAt(0) === 0 && flat.indexAt(2) === 1 && flat.indexAt(5) === 1, "indexAt(): node holding a character");
+    this.assert(flat.indexAt(6) === 2 && flat.indexAt(12) === 2, "indexAt(): next node from its first character");
+
+    const range = flat.range(2, 13);
+    this.assert(describe(range) === "high@0→ school@7", "range(): from the first node to the last");
+    this.assert(describe(flat.range(2, 6)) === "high@0→high@4", "range(): within one node");
+  },
+
+  // ─── ACROSS TEXTS ─────────────────────────────────────────────────
+
+  testFindAcross() {
+    const texts = ["At high", " school", ", high school, high", "", " school"];
+    const flat = joinTexts(texts, ["", "", " ", ""]);
+    const matcher = buildWordMatcher(["high school"]);
+
+    // The phrase inside texts[2] stays put; "high" + " " + " school" has two spaces
+    const across = findAcross(flat, matcher);
+    this.assert(
+      JSON.stringify(across) === JSON.stringify([[0, 3, 11, "high school"]]),
+      "findAcross(): only matches that leave their text"
+    );
+
+    // A <br> separator (" ") between the words, an empty text after it
+    const br = joinTexts(["high", "", "school"], [" ", ""]);
+    this.assert(JSON.stringify(findAcross(br, matcher)) === JSON.stringify([[0, 0, 11, "high school"]]), "findAcross(): over a separator");
+
+    const perText = [[0, 3, 4, "high"], [1, 1, 6, "school"], [2, 2, 4, "high"]];
+    const merged = mergeAcross(perText, [[0, 3, 11, "high school"]], flat.starts);
+    this.assert(
+      JSON.stringify(merged) === JSON.stringify([[0, 3, 11, "high school"], [2, 2, 4, "high"]]),
+      "mergeAcross(): words inside the phrase dropped, order kept"
+    );
+    this.assert(mergeAcross(perText, [], flat.starts) === perText, "mergeAcross(): nothing across, unchanged");
+  },
+
+  testFindMatchesAcross() {
+    loadGlossary();
+    const texts = ["At ", "high", " school, a book.", "Sign", "", "language"];
+    const separators = ["", "", "\n", " ", ""];
+
+    const perText = findMatches(texts);
+    this.assert(
+      perText.matches.map((m) => m[3]).join() === "high,school,book",
+      "findMatches(): without separators, text by text"
+    );
+
+    const joined = findMatches(texts, null, separators);
+    this.assert(
+      JSON.stringify(joined.matches) === JSON.stringify([[1, 0, 11, "high_school"], [2, 11, 4, "book"], [3, 0, 13, "sign_language"]]),
+      "findMatches(): phrases across texts, words inside them dropped"
+    );
+    this.assert(joined.words.includes("sign language"), "findMatches(): prefilter reads the joined text");
+  },
+
+  // ─── VIEW ─────────────────────────────────────────────────────────
+
+  testHighlightAllAcrossElements() {
+    const view = new HighlightOverlayView();
+    const words = ["high", "school", "high school"];
+    const run = (body) => {
+      const seen = [];
+      view.highlightAll(page(body), words, (word, node, offset) => seen.push(`${word}@${offset}`));
+      return { seen: seen.join(" "), ranges: view._ranges.map(describe).join(" ") };
+    };
+
+    const link = run(`<p>At <a href="#">high</a> school.</p>`);
+    this.assert(link.seen === "high school@0", "link: one phrase match");
+    this.assert(link.ranges === "high@0→ school.@7", "link: Range runs from the link into the next text");
+
+    const emphasis = run(`<p>At <em>high sch</em>ool.</p>`);
+    this.assert(emphasis.ranges === "high sch@0→ool.@3", "emphasis: phrase split mid-word");
+
+    const nested = run(`<p>At <a href="#"><strong>high</strong> </a>school today</p>`);
+    this.assert(nested.ranges === "high@0→school today@6", "nested inline elements");
+
+    const lineBreak = run(`<p>high<br>school</p>`);
+    this.assert(lineBreak.seen === "high school@0" && lineBreak.ranges === "high@0→school@6", "line break: phrase runs over <br>");
+
+    const blocks = run(`<p>high</p><p>school</p>`);
+    this.assert(blocks.seen === "high@0 school@0", "block boundary: phrase not matched, words are");
+
+    const within = run(`<p>A high school and <b>high</b> <i>school</i>.</p>`);
+    this.assert(within.seen === "high school@2 high school@0", "phrases within and across nodes, in order");
+
+    // Without a phrase in the words, no flattening: same per-node matches
+    view.highlightAll(page(`<p><a>high</a> school</p>`), ["high", "school"]);
+    this.assert(view._ranges.map(describe).join(" ") === "high@0→high@4  school@1→ school@7", "words only: per node");
+  },
+
+  // ─── PRESENTER ────────────────────────────────────────────────────
+
+  testPrefilterReadsFlatText() {
+    loadGlossary();
+    const app = page(`<p>high<br>school</p><p>sign</p><p>language</p>`);
+    const presenter = HighlightOverlayPresenter;
+    presenter.init();
+
+    // textContent says "highschoolsignlanguage"; the flattened text says
+    // "high school\nsign\nlanguage"
+    this.assert(!presenter.prefilterWords(app).includes("high school"), "textContent: <br> phrase missed");
+    const words = presenter.prefilterWords(app, presenter.view.flatten(app).text);
+    this.assert(words.includes("high school") && !words.includes("sign language"), "flattened: <br> phrase found, split blocks not");
+
+    const matched = presenter.highlightAllGlossaryWords(app);
+    this.assert(matched.has("high_school") && !matched.has("sign_language"), "highlightAllGlossaryWords(): matches what the prefilter claims");
+    this.assert(presenter.matches[0].range.endContainer.data === "school", "highlightAllGlossaryWords(): range ends in the second node");
+  },
+
+  async testWorkerPassAcross() {
+    loadGlossary();
+    const app = page(`<p>At <a href="#">high</a> school, a <em>book</em>.</p><p>high<br>school</p>`);
+    const presenter = HighlightOverlayPresenter;
+    presenter.init();
+
+    presenter.highlightAllGlossaryWords(app);
+    const inline = presenter.matches.map((m) => `${m.baseWord}:${describe(m.range)}`).join(" ");
+
+    // The real worker script, run in-process (run-all.js may have loaded
+    // it already, onto the same `self`)
+    let replyTo = null;
+    globalThis.self = globalThis.self || {};
+    self.postMessage = (message) => replyTo.onmessage({ data: structuredClone(message) });
+    await import("../worker/match-worker.js");
+    const fake = {
+      postMessage(message) {
+        setTimeout(() => {
+          replyTo = this;
+          self.onmessage({ data: structuredClone(message) });
+        }, 0);
+      },
+      terminate() {},
+    };
+
+    const minChars = CONFIG.matchWorker.minChars;
+    CONFIG.matchWorker.minChars = 0;
+    presenter._matchWorker = new MatchWorker(fake);
+    presenter._matchWorker.glossaryVersion = wordResolver.version;
+
+    const saved = globalThis.requestIdleCallback;
+    globalThis.requestIdleCallback = (callback) => setTimeout(() => callback({ timeRemaining: () => 50 }), 0);
+    await presenter.highlightAllGlossaryWordsInWorker(app);
+    await sleep(10);
+    globalThis.requestIdleCallback = saved;
+    CONFIG.matchWorker.minChars = minChars;
+
+    const worker = presenter.matches.map((m) => `${m.baseWord}:${describe(m.range)}`).join(" ");
+    this.assert(worker === inline && presenter.matches.length === 3, "worker pass: same cross-node matches as inline");
+    presenter._matchWorker = null;
+  },
+
+  testPruneLastNode() {
+    loadGlossary();
+    const app = page(`<p>At <a href="#">high</a> school.</p><p>A book.</p>`);
+    const presenter = HighlightOverlayPresenter;
+    presenter.init();
+    presenter.highlightAllGlossaryWords(app);
+    this.assert(presenter.matches.length === 2, "prune: phrase and word matched");
+
+    const last = presenter.matches[0].range.endContainer;
+    const removed = presenter.pruneDetached([last]);
+    this.assert(removed === 1 && presenter.matches.map((m) => m.baseWord).join() === "book", "prune: phrase goes with its last node");
+    this.assert(!presenter.matchedBaseWords.has("high_school"), "prune: base word dropped");
+  },
+
+  async runAll() {
+    this.results = [];
+
+    this.testFlattening();
+    this.testPositions();
+    this.testFindAcross();
+    this.testFindMatchesAcross();
+    this.testHighlightAllAcrossElements();
+    this.testPrefilterReadsFlatText();
+    await this.testWorkerPassAcross();
+    this.testPruneLastNode();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== FlatText Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+await FlatTextTests.runAll();
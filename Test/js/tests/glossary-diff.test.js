@@ -0,0 +1,213 @@
+/**
+ * Glossary Diff Unit Tests
+ * Run with: node Test/js/tests/glossary-diff.test.js
+ *
+ * Tests the comparison of two glossary builds (scripts/lib/glossary-diff.js)
+ * and the command around it (scripts/diff-glossary.js):
+ * - Base words added and removed
+ * - Variants matched by entryId: added, removed, changed fields, reordered
+ * - Inflections added, removed and moved to another base word
+ * - New collisions: an inflection that became a word, a form that is both
+ * - Text output, counts, and the exit codes that gate a glossary update
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { createGlossary } from "../model/glossary-format.js";
+import { diffGlossaries, countChanges, formatDiff } from "../../../scripts/lib/glossary-diff.js";
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+const SCRIPT = fileURLToPath(new URL("../../../scripts/diff-glossary.js", import.meta.url));
+
+function sign(entryId, fields = {}) {
+  return {
+    entryId,
+    meanings: `${entryId} meaning`,
+    lexicalClass: "Noun",
+    semanticField: "None",
+    videoFile: `${entryId}.mp4`,
+    ...fields,
+  };
+}
+
+// The release before: two bat signs, "saw" an inflection of "see"
+const OLD = createGlossary({
+  entries: {
+    bat: [sign("bat"), sign("bat_2", { lexicalClass: "Verb" })],
+    book: [sign("book")],
+    see: [sign("see", { lexicalClass: "Verb" })],
+    high_school: [sign("high_school")],
+  },
+  inflections: { bats: "bat", books: "book", saw: "see", seeing: "see" },
+  source: "signdata-2023.csv",
+});
+
+// The release after: a new default bat sign, "see" without a video, "saw"
+// its own word
+const NEW = createGlossary({
+  entries: {
+    bat: [sign("bat_2", { lexicalClass: "Verb", meanings: "hit, swing" }), sign("bat"), sign("bat_3")],
+    see: [sign("see", { lexicalClass: "Verb", videoFile: undefined })],
+    saw: [sign("saw", { lexicalClass: "Noun" })],
+    high_school: [sign("high_school")],
+    apple: [sign("apple")],
+  },
+  inflections: { bats: "bat", saw: "see", seeing: "see", batted: "bat", seen: "saw" },
+  source: "signdata-2024.csv",
+});
+
+function runScript(args) {
+  return spawnSync(process.execPath, [SCRIPT, ...args], { encoding: "utf-8", timeout: 30000 });
+}
+
+const GlossaryDiffTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── DIFF ─────────────────────────────────────────────────────────
+
+  testWords() {
+    const diff = diffGlossaries(OLD, NEW);
+    this.assert(diff.words.added.join() === "apple,saw", "words: added, sorted");
+    this.assert(diff.words.removed.join() === "book", "words: removed");
+
+    const same = diffGlossaries(OLD, OLD);
+    const counts = countChanges(same);
+    this.assert(Object.values(counts).every((n) => n === 0), "words: a glossary against itself has no changes");
+  },
+
+  testVariants() {
+    const { variants } = diffGlossaries(OLD, NEW);
+
+    this.assert(variants.added.length === 1 && variants.added[0].word === "bat" && variants.added[0].entryId === "bat_3", "variants: added by entryId");
+    this.assert(variants.removed.length === 0, "variants: a removed word isn't a removed variant");
+
+    const changed = Object.fromEntries(variants.changed.map((v) => [v.entryId, v.changes]));
+    this.assert(JSON.stringify(changed.bat_2) === JSON.stringify({ meanings: { old: "bat_2 meaning", new: "hit, swing" } }), "variants: changed meanings");
+    this.assert(JSON.stringify(changed.see) === JSON.stringify({ videoFile: { old: "see.mp4", new: null } }), "variants: changed videoFile, to none");
+    this.assert(!changed.bat && !changed.high_school, "variants: unchanged variants left out");
+
+    this.assert(
+      variants.reordered.length === 1 && variants.reordered[0].old.join() === "bat,bat_2" && variants.reordered[0].new.join() === "bat_2,bat",
+      "variants: a new default sign is a reorder"
+    );
+
+    const removed = diffGlossaries(NEW, OLD).variants.removed;
+    this.assert(removed.map((v) => `${v.word}/${v.entryId}`).join() === "bat/bat_3", "variants: removed by entryId");
+  },
+
+  testInflections() {
+    const { inflections } = diffGlossaries(OLD, NEW);
+
+    this.assert(inflections.added.map((i) => `${i.form}>${i.base}`).join() === "batted>bat,seen>saw", "inflections: added");
+    this.assert(inflections.removed.map((i) => `${i.form}>${i.base}`).join() === "books>book", "inflections: removed");
+    this.assert(inflections.changed.length === 0, "inflections: none moved");
+
+    const moved = createGlossary({ entries: OLD.entries, inflections: { ...OLD.inflections, seeing: "bat" } });
+    const changed = diffGlossaries(OLD, moved).inflections.changed;
+    this.assert(changed.length === 1 && changed[0].form === "seeing" && changed[0].old === "see" && changed[0].new === "bat", "inflections: moved to another base word");
+  },
+
+  testCollisions() {
+    const { collisions } = diffGlossaries(OLD, NEW);
+    this.assert(collisions.map((c) => `${c.form}:${c.kind}:${c.old}`).join() === "saw:conflict:see,saw:shadowed:see", "collisions: shadowed and conflicting forms");
+
+    const again = diffGlossaries(NEW, NEW).collisions;
+    this.assert(again.length === 0, "collisions: only new ones are reported");
+
+    const bare = createGlossary({ entries: { ...OLD.entries, seeing: [sign("seeing")] }, inflections: { saw: "see" } });
+    const shadowed = diffGlossaries(OLD, bare).collisions;
+    this.assert(shadowed.length === 1 && shadowed[0].form === "seeing" && shadowed[0].kind === "shadowed", "collisions: an inflection that became its own word");
+  },
+
+  testFormat() {
+    const diff = diffGlossaries(OLD, NEW);
+    const lines = formatDiff(diff);
+
+    this.assert(lines[0] === "Words: +2 -1", "format: word counts");
+    this.assert(lines.includes("    bat: bat_2 meanings \"bat_2 meaning\" → \"hit, swing\""), "format: changed field");
+    this.assert(lines.includes("    see: see videoFile \"see.mp4\" → (none)"), "format: a removed value");
+    this.assert(lines.includes("    saw: was an inflection of \"see\", now its own entry"), "format: collision");
+    this.assert(lines.includes("Inflections: +2 -1 ~0"), "format: inflection counts");
+
+    const limited = formatDiff(diff, { limit: 1 });
+    this.assert(limited.includes("    ... and 1 more") && !limited.includes("    saw"), "format: limit");
+
+    const counts = countChanges(diff);
+    this.assert(counts.words === 3 && counts.variants === 4 && counts.inflections === 3 && counts.collisions === 2, "format: counts per section");
+  },
+
+  // ─── COMMAND ──────────────────────────────────────────────────────
+
+  testScript() {
+    const dir = mkdtempSync(join(tmpdir(), "glossary-diff-"));
+    const oldFile = join(dir, "old.json");
+    const newFile = join(dir, "new.json");
+    const badFile = join(dir, "bad.json");
+
+    // The old release in the flat format of earlier builds
+    const flat = { ...OLD.entries, __inflectionMap: OLD.inflections };
+    writeFileSync(oldFile, JSON.stringify(flat));
+    writeFileSync(newFile, JSON.stringify(NEW));
+    writeFileSync(badFile, JSON.stringify({ ...NEW, entries: { book: [{}] } }));
+
+    try {
+      const text = runScript([oldFile, newFile]);
+      this.assert(text.status === 0 && text.stdout.includes("Words: +2 -1") && text.stdout.includes("signdata-2024.csv"), "script: text diff, flat and versioned");
+
+      const json = runScript([oldFile, newFile, "--json"]);
+      const report = JSON.parse(json.stdout);
+      this.assert(report.words.added.join() === "apple,saw" && report.counts.collisions === 2 && report.new.words === 5, "script: JSON diff");
+
+      const gated = runScript([oldFile, newFile, "--fail-on", "collisions"]);
+      this.assert(gated.status === 1 && gated.stderr.includes("collisions (2)"), "script: --fail-on exits 1 on changes");
+
+      const same = runScript([newFile, newFile, "--fail-on", "any"]);
+      this.assert(same.status === 0, "script: --fail-on passes without changes");
+
+      const bad = runScript([oldFile, badFile]);
+      this.assert(bad.status === 2 && bad.stderr.includes("Invalid glossary") && bad.stderr.includes("entryId"), "script: an invalid glossary exits 2");
+
+      const usage = runScript([oldFile, newFile, "--fail-on", "everything"]);
+      this.assert(usage.status === 2 && usage.stderr.includes('Unknown --fail-on kind "everything"'), "script: an unknown kind exits 2");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  runAll() {
+    this.results = [];
+
+    this.testWords();
+    this.testVariants();
+    this.testInflections();
+    this.testCollisions();
+    this.testFormat();
+    this.testScript();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== GlossaryDiff Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+GlossaryDiffTests.runAll();
@@ -0,0 +1,441 @@
+/**
+ * Glossary Format Unit Tests
+ * Run with: node Test/js/tests/glossary-format.test.js
+ *
+ * Tests the glossary file format (model/glossary-format.js):
+ * - The JsonSchema checker and the errors it names
+ * - Version 2 glossaries: built by createGlossary(), checked by
+ *   validateGlossary() — schema, cross-references, rules, newer versions
+ * - Reading flat (version 1) glossaries, as older builds wrote them
+ * - VideoData loading either format, and refusing a glossary that doesn't
+ *   check out (load, merge, init)
+ * - Sharded glossaries: the index and shards createShardedGlossary()
+ *   splits a glossary into, and VideoData answering from the index at once
+ *   while it loads entries shard by shard (loadIndex, ensureEntries)
+ */
+
+import { JsonSchema } from "../utils/JsonSchema.js";
+import {
+  GLOSSARY_VERSION,
+  GLOSSARY_SCHEMA,
+  createGlossary,
+  validateGlossary,
+  readGlossary,
+  createShardedGlossary,
+  validateIndex,
+  validateShard,
+  shardKey,
+} from "../model/glossary-format.js";
+import { RULES_FORMAT, RULES_VERSION } from "../model/glossary-rules.js";
+import { VideoData } from "../model/video-data.js";
+import { wordResolver } from "../model/word-resolver.js";
+import { CONFIG } from "../config.js";
+import { PerfLogger } from "../utils/PerfLogger.js";
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+function rulesFile(rules) {
+  return { format: RULES_FORMAT, version: RULES_VERSION, rules };
+}
+
+const ENTRIES = {
+  book: [
+    { entryId: "book", meanings: "book, novel", lexicalClass: "Noun", videoFile: "book.mp4" },
+    { entryId: "book_2", meanings: "reserve", lexicalClass: "Verb", videoFile: "book_2.mp4" },
+  ],
+  read: [{ entryId: "read", meanings: "read", lexicalClass: "Verb", videoFile: "read.mp4" }],
+  high_school: [{ entryId: "high_school", meanings: "high school", lexicalClass: "Noun", videoFile: "high_school.mp4" }],
+};
+
+// A fresh version 2 glossary, with `changes` applied on top
+function glossary(changes = {}) {
+  return {
+    ...createGlossary({
+      entries: structuredClone(ENTRIES),
+      inflections: { books: "book", reading: "read" },
+      rules: rulesFile([{ word: "book", action: "suppress", left: ["face"] }]),
+      source: "test",
+      builtAt: "2026-10-19T12:00:00.000Z",
+    }),
+    ...changes,
+  };
+}
+
+// fetch() answering from `files` (URL → parsed JSON; 404 for the rest),
+// with the URLs asked for in `fetched`
+function serveFiles(files, fetched = []) {
+  return (url) => {
+    fetched.push(url);
+    const body = files[url];
+    return Promise.resolve({
+      ok: body !== undefined,
+      status: body !== undefined ? 200 : 404,
+      json: () => Promise.resolve(structuredClone(body)),
+    });
+  };
+}
+
+// A sharded glossary() as served from glossary/
+function shardedFiles(changes = {}) {
+  const { index, shards } = createShardedGlossary(glossary(changes));
+  const files = { "glossary/index.json": index };
+  for (const [file, rows] of Object.entries(shards)) files[`glossary/${file}`] = rows;
+  return files;
+}
+
+// The same glossary the way older builds wrote it
+function flatGlossary() {
+  return { ...structuredClone(ENTRIES), __inflectionMap: { books: "book", reading: "read" } };
+}
+
+const GlossaryFormatTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── JSON SCHEMA ──────────────────────────────────────────────────
+
+  testJsonSchema() {
+    const schema = new JsonSchema({
+      type: "object",
+      required: ["id", "tags"],
+      additionalProperties: false,
+      properties: {
+        id: { type: "integer", minimum: 1 },
+        name: { type: ["string", "null"], minLength: 1 },
+        kind: { enum: ["a", "b"] },
+        tags: { type: "array", minItems: 1, uniqueItems: true, items: { $ref: "#/$defs/tag" } },
+        extra: {
+          type: "object",
+          propertyNames: { pattern: "^[a-z]+$" },
+          additionalProperties: { const: true },
+        },
+      },
+      $defs: { tag: { type: "string", pattern: "^\\p{Ll}+$" } },
+    });
+    const error = (value) => schema.validate(value).error;
+
+    this.assert(schema.validate({ id: 1, name: null, kind: "a", tags: ["é"], extra: { x: true } }).valid, "schema: valid value");
+    this.assert(error([]) === "$: must be object", "schema: type");
+    this.assert(error({ tags: ["a"] }) === '$: missing required property "id"', "schema: required");
+    this.assert(error({ id: 1.5, tags: ["a"] }) === "$.id: must be integer", "schema: integer");
+    this.assert(error({ id: 0, tags: ["a"] }) === "$.id: must be at least 1", "schema: minimum");
+    this.assert(error({ id: 1, tags: ["a"], name: 3 }) === "$.name: must be string or null", "schema: type list");
+    this.assert(error({ id: 1, tags: ["a"], name: "" }) === "$.name: must not be empty", "schema: minLength");
+    this.assert(error({ id: 1, tags: ["a"], kind: "c" }) === '$.kind: must be one of "a", "b"', "schema: enum");
+    this.assert(error({ id: 1, tags: [] }) === "$.tags: must have at least 1 item", "schema: minItems");
+    this.assert(error({ id: 1, tags: ["a", "a"] }) === "$.tags[1]: duplicate item", "schema: uniqueItems");
+    this.assert(error({ id: 1, tags: ["a", "B"] }) === "$.tags[1]: must match ^\\p{Ll}+$", "schema: $ref and unicode pattern");
+    this.assert(error({ id: 1, tags: ["a"], other: 1 }) === '$: unknown property "other"', "schema: additionalProperties false");
+    this.assert(error({ id: 1, tags: ["a"], extra: { x: false } }) === "$.extra.x: must be true", "schema: additionalProperties schema, const");
+    this.assert(
+      error({ id: 1, tags: ["a"], extra: { "two words": true } }) === '$.extra["two words"]: must match ^[a-z]+$ (property name)',
+      "schema: propertyNames, quoted path"
+    );
+
+    let threw = false;
+    try {
+      new JsonSchema({ $ref: "#/definitions/x" }).validate(1);
+    } catch {
+      threw = true;
+    }
+    this.assert(threw, "schema: unsupported $ref throws");
+  },
+
+  // ─── VERSION 2 ────────────────────────────────────────────────────
+
+  testCreateGlossary() {
+    const g = glossary();
+    this.assert(g.version === GLOSSARY_VERSION, "create: current version");
+    this.assert(g.phrases.join() === "high_school", "create: phrases from the entries");
+    this.assert(!("rules" in createGlossary({ entries: {} })), "create: no rules key without rules");
+    this.assert(!Number.isNaN(Date.parse(createGlossary({ entries: {} }).builtAt)), "create: builtAt defaults to now");
+    this.assert(validateGlossary(g).valid, "validate: a created glossary is valid");
+    this.assert(validateGlossary(JSON.parse(JSON.stringify(g))).valid, "validate: valid after a JSON round trip");
+    this.assert(GLOSSARY_SCHEMA.properties.rules.properties.format.const === RULES_FORMAT, "schema: names the rules format");
+  },
+
+  testValidateGlossary() {
+    const error = (g) => validateGlossary(g).error;
+
+    this.assert(error(glossary({ version: GLOSSARY_VERSION + 1 })) === `Glossary version ${GLOSSARY_VERSION + 1} is newer than this extension`, "validate: newer version");
+    const { phrases, ...noPhrases } = glossary();
+    this.assert(phrases && error(noPhrases) === '$: missing required property "phrases"', "validate: missing part");
+    this.assert(error(glossary({ extra: 1 })) === '$: unknown property "extra"', "validate: unknown part");
+    this.assert(error(glossary({ builtAt: 5 })) === "$.builtAt: must be string or null", "validate: builtAt");
+
+    const g = glossary();
+    g.entries.book[1].entryId = "";
+    this.assert(error(g) === "$.entries.book[1].entryId: must not be empty", "validate: names the bad entry");
+    this.assert(error(glossary({ entries: { ...ENTRIES, walk: [] } })) === "$.entries.walk: must have at least 1 item", "validate: a word with no signs");
+    this.assert(error(glossary({ entries: { ...ENTRIES, walk: [{ videoFile: "walk.mp4" }] } })) === '$.entries.walk[0]: missing required property "entryId"', "validate: entry without entryId");
+    this.assert(error(glossary({ entries: { ...ENTRIES, walk: [{ entryId: "walk", personCombinable: "yes" }] } })) === "$.entries.walk[0].personCombinable: must be boolean", "validate: entry field types");
+    this.assert(error(glossary({ entries: { ...ENTRIES, Walk: ENTRIES.read } })).startsWith("$.entries.Walk: must match"), "validate: keys are lowercase");
+    this.assert(error(glossary({ entries: { ...ENTRIES, "high school": ENTRIES.read } })).startsWith('$.entries["high school"]: must match'), "validate: phrase keys use underscores");
+    this.assert(error(glossary({ entries: { ...ENTRIES, __inflectionMap: ENTRIES.read } })).startsWith("$.entries.__inflectionMap: must match"), "validate: no flat-format keys");
+
+    this.assert(error(glossary({ inflections: { walked: "walk" } })) === '$.inflections.walked: "walk" is not in entries', "validate: inflection of a missing word");
+    this.assert(error(glossary({ phrases: ["high_school", "ice_cream"] })) === '$.phrases[1]: "ice_cream" is not in entries', "validate: missing phrase");
+    this.assert(error(glossary({ phrases: ["high_school", "high_school"] })) === "$.phrases[1]: duplicate item", "validate: duplicate phrase");
+    this.assert(error(glossary({ rules: { format: "other", version: 1, rules: [] } })) === '$.rules.format: must be "asl-glossary-rules"', "validate: rules format");
+    this.assert(error(glossary({ rules: rulesFile([{ word: "book", action: "hide" }]) })).startsWith("$.rules: "), "validate: rules that don't compile");
+  },
+
+  // ─── FLAT (VERSION 1) GLOSSARIES ──────────────────────────────────
+
+  testReadFlat() {
+    const flat = flatGlossary();
+    const before = JSON.stringify(flat);
+    const result = readGlossary(flat);
+    const g = result.glossary;
+
+    this.assert(result.valid, "flat: reads");
+    this.assert(g.version === GLOSSARY_VERSION && g.builtAt === null && g.source === "flat glossary", "flat: converted to the current version");
+    this.assert(Object.keys(g.entries).join() === "book,read,high_school", "flat: entries without the __ keys");
+    this.assert(g.inflections.books === "book" && g.phrases.join() === "high_school", "flat: inflections and phrases");
+    this.assert(!("rules" in g), "flat: no rules");
+    this.assert(JSON.stringify(flat) === before, "flat: input left as it was");
+
+    const withRules = readGlossary({ ...flatGlossary(), __rules: rulesFile([{ word: "read", action: "suppress", left: ["proof"] }]) });
+    this.assert(withRules.glossary.rules.rules[0].word === "read", "flat: a subset's __rules");
+    this.assert(readGlossary({ read: ENTRIES.read }).glossary.inflections.constructor === Object, "flat: no inflection map");
+    this.assert(readGlossary({ version: ENTRIES.read }).glossary.entries.version === ENTRIES.read, "flat: a word named \"version\"");
+    this.assert(readGlossary({ ...flatGlossary(), __inflectionMap: { walked: "walk" } }).error === '$.inflections.walked: "walk" is not in entries', "flat: checked like version 2");
+
+    this.assert(readGlossary(glossary()).glossary.source === "test", "read: version 2 as is");
+    this.assert(readGlossary(null).error === "Not an ASL glossary", "read: null");
+    this.assert(readGlossary([ENTRIES.book]).error === "Not an ASL glossary", "read: an array");
+    this.assert(readGlossary(glossary({ version: "2" })).error === "$.version: must be integer", "read: a version that isn't a number");
+  },
+
+  // ─── VIDEO DATA ───────────────────────────────────────────────────
+
+  testLoad() {
+    VideoData.isLoaded = false;
+    let result = VideoData.load(glossary());
+    this.assert(result.valid && VideoData.isLoaded, "load: version 2");
+    this.assert(VideoData.getEntryForWord("reading")?.entryId === "read", "load: inflections installed");
+    this.assert(wordResolver._rules.book?.length === 1, "load: rules installed");
+    this.assert(VideoData.info.source === "test" && VideoData.info.builtAt === "2026-10-19T12:00:00.000Z", "load: keeps where the glossary came from");
+
+    result = VideoData.load({ walk: [{ entryId: "walk" }], __inflectionMap: { walked: "run" } });
+    this.assert(!result.valid && result.error === '$.inflections.walked: "run" is not in entries', "load: refuses an invalid glossary");
+    this.assert(VideoData.getEntryForWord("books")?.entryId === "book" && !VideoData.getEntryForWord("walk"), "load: keeps what was loaded");
+
+    result = VideoData.merge(glossary({ entries: { walk: [{ entryId: 7 }] }, inflections: {}, phrases: [] }));
+    this.assert(!result.valid && !VideoData.getEntryForWord("walk"), "merge: refuses an invalid glossary");
+    result = VideoData.merge({ walk: [{ entryId: "walk" }], __inflectionMap: { walked: "walk" } });
+    this.assert(result.valid && VideoData.getEntryForWord("walked")?.entryId === "walk", "merge: a flat glossary");
+
+    VideoData.isLoaded = false;
+    VideoData.load(flatGlossary());
+    this.assert(VideoData.getEntryForWord("books")?.entryId === "book" && VideoData.info.builtAt === null, "load: a flat glossary");
+
+    wordResolver.setRules(rulesFile([]));
+  },
+
+  testSubset() {
+    VideoData.isLoaded = false;
+    VideoData.load(glossary());
+    const subset = VideoData.getSubsetForText("Reading a book in high school");
+
+    this.assert(validateGlossary(subset).valid, "subset: a valid version 2 glossary");
+    this.assert(Object.keys(subset.entries).sort().join() === "book,high_school,read", "subset: the text's words");
+    this.assert(subset.inflections.books === "book" && subset.phrases.join() === "high_school", "subset: their inflections and phrases");
+    this.assert(subset.rules.rules.length === 1 && subset.source === "test", "subset: rules and source carried over");
+
+    const empty = VideoData.getSubsetForText("nothing here");
+    this.assert(validateGlossary(empty).valid && Object.keys(empty.entries).length === 0, "subset: valid with no words");
+
+    wordResolver.setRules(rulesFile([]));
+  },
+
+  async testInit() {
+    const fetch = globalThis.fetch;
+    const consoleError = console.error;
+    const fetched = [];
+    const errors = [];
+    const serve = (body) => (url) => {
+      fetched.push(url);
+      return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(structuredClone(body)) });
+    };
+    console.error = (...args) => errors.push(args.join(" "));
+
+    try {
+      VideoData.isLoaded = false;
+      globalThis.fetch = serve(glossary({ version: GLOSSARY_VERSION + 1 }));
+      await VideoData.init();
+      this.assert(!VideoData.isLoaded, "init: a newer glossary isn't loaded");
+      this.assert(errors.join() === `Glossary not loaded: Glossary version ${GLOSSARY_VERSION + 1} is newer than this extension`, "init: says why");
+      this.assert(fetched.length === 1, "init: no rules fetched for a glossary not loaded");
+
+      fetched.length = 0;
+      globalThis.fetch = serve(glossary());
+      await VideoData.init();
+      this.assert(VideoData.isLoaded && fetched.length === 1, "init: a glossary with rules needs no rules file");
+    } finally {
+      globalThis.fetch = fetch;
+      console.error = consoleError;
+      wordResolver.setRules(rulesFile([]));
+    }
+  },
+
+  // ─── SHARDED GLOSSARIES ───────────────────────────────────────────
+
+  testShardedFormat() {
+    const { index, shards } = createShardedGlossary(glossary());
+
+    this.assert(index.shards.join() === "b.json,h.json,r.json", "shards: one per initial letter");
+    this.assert(
+      index.entries.book.join() === "0,0,2" && index.entries.high_school.join() === "1,0,1" && index.entries.read.join() === "2,0,1",
+      "shards: index says where each word's entries are"
+    );
+    this.assert(shards["b.json"].map((e) => e.entryId).join() === "book,book_2", "shards: the entries, in order");
+    this.assert(index.inflections.books === "book" && index.phrases.join() === "high_school" && index.rules.rules.length === 1, "index: inflections, phrases and rules");
+    this.assert(validateIndex(index).valid && validateIndex(JSON.parse(JSON.stringify(index))).valid, "index: valid");
+    this.assert(Object.values(shards).every((rows) => validateShard(rows).valid), "shards: valid");
+    this.assert(shardKey("2nd") === "other" && shardKey("élan") === "other" && shardKey("bat") === "b", "shards: keys");
+
+    const error = (changes) => validateIndex({ ...index, ...changes }).error;
+    this.assert(error({ entries: { ...index.entries, book: [5, 0, 2] } }) === "$.entries.book: no shard 5", "index: a missing shard");
+    this.assert(error({ entries: { ...index.entries, book: [0, 0] } }) === "$.entries.book: must have at least 3 items", "index: a short location");
+    this.assert(error({ entries: { ...index.entries, book: [0, 0, 0] } }) === "$.entries.book: no entries", "index: no entries");
+    this.assert(error({ entries: { ...index.entries, book: [0, -1, 2] } }) === "$.entries.book[1]: must be at least 0", "index: a negative offset");
+    this.assert(error({ shards: ["../b.json"] }) === "$.shards[0]: must match ^[\\w-]+\\.json$", "index: shard files beside the index");
+    this.assert(error({ inflections: { walked: "walk" } }) === '$.inflections.walked: "walk" is not in entries', "index: inflections checked");
+    this.assert(error({ version: GLOSSARY_VERSION + 1 }) === `Glossary version ${GLOSSARY_VERSION + 1} is newer than this extension`, "index: newer version");
+    this.assert(validateShard([{ entryId: "" }]).error === "$[0].entryId: must not be empty", "shard: names the bad entry");
+  },
+
+  async testShardedLoad() {
+    const fetch = globalThis.fetch;
+    const consoleError = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args.join(" "));
+
+    try {
+      let files = shardedFiles();
+      let fetched = [];
+      globalThis.fetch = serveFiles(files, fetched);
+
+      const result = VideoData.loadIndex(files["glossary/index.json"], "glossary/index.json");
+      this.assert(result.valid && VideoData.isLoaded, "loadIndex: loads");
+      this.assert(wordResolver.findBaseWord("books") === "book", "loadIndex: base words known at once");
+      this.assert(wordResolver.getWordsInText("Reading in high school").sort().join() === "high_school,read", "loadIndex: words and phrases found at once");
+      this.assert(wordResolver._rules.book?.length === 1, "loadIndex: rules installed");
+      this.assert(VideoData.getEntryForWord("books") === null && VideoData.getAllEntriesForWord("book").length === 0, "loadIndex: no entries yet");
+      this.assert(fetched.length === 0, "loadIndex: no shards fetched");
+
+      await VideoData.ensureEntriesForText("Reading books");
+      this.assert(fetched.sort().join() === "glossary/b.json,glossary/r.json", "ensure: fetches the text's shards");
+      this.assert(VideoData.getEntryForWord("books")?.entryId === "book" && VideoData.getAllEntriesForWord("book").length === 2, "ensure: entries loaded");
+      this.assert(VideoData.getEntryForWord("reading")?.entryId === "read", "ensure: each word's own rows");
+      this.assert(VideoData.getEntryForWord("high_school") === null, "ensure: other shards not loaded");
+
+      fetched.length = 0;
+      await VideoData.ensureEntries(["book", "read"]);
+      await Promise.all([VideoData.ensureEntries(["high_school"]), VideoData.ensureEntries(["high_school"])]);
+      this.assert(fetched.join() === "glossary/h.json", "ensure: each shard fetched once");
+
+      const subset = VideoData.getSubsetForText("books in high school");
+      this.assert(validateGlossary(subset).valid && Object.keys(subset.entries).sort().join() === "book,high_school", "subset: from loaded shards");
+
+      // A shard that fails loads again next time
+      files = shardedFiles();
+      delete files["glossary/h.json"];
+      fetched = [];
+      globalThis.fetch = serveFiles(files, fetched);
+      VideoData.loadIndex(files["glossary/index.json"], "glossary/index.json");
+      await VideoData.ensureEntries(["high_school"]);
+      this.assert(VideoData.getEntryForWord("high_school") === null, "ensure: a missing shard loads nothing");
+      this.assert(errors.length === 1 && errors[0].startsWith("Failed to load glossary shard h.json"), "ensure: a missing shard is logged");
+      files["glossary/h.json"] = shardedFiles()["glossary/h.json"];
+      await VideoData.ensureEntries(["high_school"]);
+      this.assert(fetched.length === 2 && VideoData.getEntryForWord("high_school")?.entryId === "high_school", "ensure: tried again");
+
+      files["glossary/b.json"] = files["glossary/b.json"].slice(0, 1);
+      errors.length = 0;
+      await VideoData.ensureEntries(["book"]);
+      this.assert(VideoData.getEntryForWord("book") === null && errors[0]?.includes('No entries for "book" at row 0'), "ensure: a short shard loads nothing");
+
+      VideoData.load(glossary());
+      this.assert(VideoData.index === null && VideoData.getEntryForWord("book")?.entryId === "book", "load: replaces a sharded glossary");
+      fetched.length = 0;
+      await VideoData.ensureEntriesForText("books");
+      this.assert(fetched.length === 0, "ensure: nothing to do for a full glossary");
+    } finally {
+      globalThis.fetch = fetch;
+      console.error = consoleError;
+      wordResolver.setRules(rulesFile([]));
+    }
+  },
+
+  async testShardedInit() {
+    const fetch = globalThis.fetch;
+    const { sharded, indexPath } = CONFIG.video;
+    const fetched = [];
+    const files = shardedFiles();
+    globalThis.fetch = serveFiles(files, fetched);
+    CONFIG.video.sharded = true;
+    CONFIG.video.indexPath = "glossary/index.json";
+    PerfLogger.enable();
+    PerfLogger.clear();
+
+    try {
+      VideoData.isLoaded = false;
+      await VideoData.init();
+      this.assert(VideoData.isLoaded && VideoData.index !== null, "init: loads the index");
+      this.assert(fetched.join() === "glossary/index.json", "init: only the index (its rules included)");
+
+      const [load] = PerfLogger._entries;
+      this.assert(load?.label === "glossary load" && load.mode === "index" && load.words === 3 && load.entries === 0, "init: load logged");
+      this.assert(typeof load?.heapBeforeMB === "number" && typeof load?.heapMB === "number", "init: heap logged before and after");
+
+      await VideoData.ensureEntries(["book"]);
+      const shard = PerfLogger._entries[1];
+      this.assert(shard?.label === "glossary shard b.json" && shard.words === 1 && shard.entries === 2, "ensure: shard load logged");
+    } finally {
+      globalThis.fetch = fetch;
+      CONFIG.video.sharded = sharded;
+      CONFIG.video.indexPath = indexPath;
+      PerfLogger.clear();
+      PerfLogger.disable();
+      wordResolver.setRules(rulesFile([]));
+    }
+  },
+
+  async runAll() {
+    this.results = [];
+
+    this.testJsonSchema();
+    this.testCreateGlossary();
+    this.testValidateGlossary();
+    this.testReadFlat();
+    this.testLoad();
+    this.testSubset();
+    await this.testInit();
+    this.testShardedFormat();
+    await this.testShardedLoad();
+    await this.testShardedInit();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== GlossaryFormat Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+await GlossaryFormatTests.runAll();
@@ -0,0 +1,258 @@
+/**
+ * Glossary Rules Unit Tests
+ * Run with: node Test/js/tests/glossary-rules.test.js
+ *
+ * Tests the data-driven collocation rules that replaced the hard-coded
+ * suppress patterns:
+ *   - compileRules()/compileRule(): file header and per-rule validation
+ *   - ruleMatches(): left/right collocations (adjacent, same clause),
+ *     "near" token windows, alternatives and * wildcards, phrases
+ *   - wordResolver.evaluateRules(): suppress vs force, per-variant
+ *     targeting, setRules()/addRules()
+ *   - VideoData: rules shipped with glossary subsets (load/merge) and the
+ *     rules disambiguation layer
+ */
+
+import { CONFIG } from "../config.js";
+import {
+  compileRule,
+  compileRules,
+  ruleMatches,
+  RULES_FORMAT,
+  RULES_VERSION,
+} from "../model/glossary-rules.js";
+import { wordResolver } from "../model/word-resolver.js";
+import { VideoData } from "../model/video-data.js";
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+function rulesFile(rules) {
+  return { format: RULES_FORMAT, version: RULES_VERSION, rules };
+}
+
+/**
+ * Does `raw` fire for the first occurrence of `word` in `text`?
+ */
+function fires(raw, text, word = raw.word) {
+  const { rule } = compileRule(raw);
+  const start = text.indexOf(word);
+  return ruleMatches(rule, text, start, start + word.length);
+}
+
+const BAT = [
+  { entryId: "bat_1", meanings: "bat, flying mammal", lexicalClass: "Noun" },
+  { entryId: "bat_3", meanings: "hit, strike, swing", lexicalClass: "Verb" },
+];
+
+const BAT_RULES = [
+  { word: "bat", action: "force", variant: "bat_3", near: ["swing|swung", "hit"], within: 4 },
+  { word: "bat", action: "suppress", variant: "bat_1", left: ["baseball|cricket"] },
+];
+
+const GlossaryRulesTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── VALIDATION ───────────────────────────────────────────────────
+
+  testCompileRules() {
+    const result = compileRules(rulesFile([
+      { word: "degree", action: "suppress", right: ["of"] },
+      { word: "degree", action: "suppress", left: ["*ing"] },
+      ...BAT_RULES,
+    ]));
+    this.assert(result.valid, "compile: valid file accepted");
+    this.assert(result.rules.degree.length === 2 && result.rules.bat.length === 2, "compile: rules grouped by word");
+    this.assert(result.rules.bat[0].within === 4 && result.rules.bat[0].variant === "bat_3", "compile: within and variant kept");
+    this.assert(result.rules.degree[0].source.right[0] === "of", "compile: source rule kept");
+
+    this.assert(!compileRules({ rules: [] }).valid, "compile: file without the format header rejected");
+    const newer = compileRules({ format: RULES_FORMAT, version: RULES_VERSION + 1, rules: [] });
+    this.assert(!newer.valid && newer.error.includes(String(RULES_VERSION + 1)), "compile: newer version rejected");
+
+    const bad = compileRules(rulesFile([{ word: "degree", action: "suppress", right: ["of"] }, { word: "bat" }]));
+    this.assert(!bad.valid && bad.error.startsWith("rules[1]"), "compile: error names the bad rule");
+  },
+
+  testCompileRule() {
+    const error = (raw) => compileRule(raw).error || "";
+
+    this.assert(error(null).includes("object"), "rule: must be an object");
+    this.assert(error({ action: "suppress", right: ["of"] }).includes("word"), "rule: needs a word");
+    this.assert(error({ word: "x", action: "hide", right: ["of"] }).includes("action"), "rule: unknown action");
+    this.assert(error({ word: "x", action: "suppress" }).includes("left, right or near"), "rule: needs a condition");
+    this.assert(error({ word: "x", action: "suppress", right: "of" }).includes("right"), "rule: word list must be an array");
+    this.assert(error({ word: "x", action: "suppress", left: ["o f"] }).includes("left"), "rule: patterns are single words");
+    this.assert(error({ word: "x", action: "force", near: ["a"], within: 0 }).includes("within"), "rule: within must be positive");
+    this.assert(error({ word: "x", action: "force", variant: 3, near: ["a"] }).includes("variant"), "rule: variant must be an entry id");
+    this.assert(compileRule({ word: "x", action: "force", near: ["a"] }).rule.within === 3, "rule: within defaults to 3");
+  },
+
+  // ─── MATCHING ─────────────────────────────────────────────────────
+
+  testLeftRight() {
+    const of = { word: "degree", action: "suppress", right: ["of"] };
+    this.assert(fires(of, "the higher degree of iconicity"), "right: degree of");
+    this.assert(fires(of, "varying DEGREES Of change", "DEGREES"), "right: case-insensitive");
+    this.assert(!fires(of, "she earned her degree last year"), "right: no collocation → no fire");
+    this.assert(!fires(of, "a degree, of course", "degree"), "right: a comma breaks the collocation");
+    this.assert(!fires(of, "a degree. Of the rest", "degree"), "right: so does a period");
+
+    const ing = { word: "degree", action: "suppress", left: ["*ing"] };
+    this.assert(fires(ing, "with varying degree in quality"), "left: *ing wildcard");
+    this.assert(!fires(ing, "her degree"), "left: wildcard needs the suffix");
+    this.assert(!fires(ing, "degree at the start"), "left: nothing before the word");
+
+    const two = { word: "school", action: "force", left: ["a|the", "high"] };
+    this.assert(fires(two, "went to the high school here"), "left: several words, nearest last");
+    this.assert(!fires(two, "went to high the school here"), "left: order matters");
+  },
+
+  testNear() {
+    const [force] = BAT_RULES;
+    this.assert(fires(force, "he swung the heavy bat at the ball"), "near: word within the window (before)");
+    this.assert(fires(force, "the bat was used to hit it"), "near: word within the window (after)");
+    this.assert(!fires(force, "the bat slept all day long and then at last began to swing"), "near: too far away");
+    this.assert(!fires(force, "a bat flew by"), "near: none of the words");
+  },
+
+  testPhraseAndEdges() {
+    const rule = { word: "high_school", action: "suppress", right: ["reunion"] };
+    this.assert(fires(rule, "our high school reunion was fun", "high school"), "phrase: collocation after the whole phrase");
+
+    // The window is sliced around the match — a word cut at the slice edge
+    // must not count as a collocate
+    const padding = "x".repeat(200);
+    const ing = { word: "degree", action: "suppress", left: ["*ing"] };
+    this.assert(!fires(ing, `${padding}ing degree`), "edge: a word cut by the slice is dropped");
+    this.assert(fires(ing, `${padding} rising degree`), "edge: long text still matches near the word");
+  },
+
+  // ─── RESOLVER ─────────────────────────────────────────────────────
+
+  testEvaluateRules() {
+    wordResolver.setRules(rulesFile([
+      { word: "degree", action: "suppress", right: ["of"] },
+      { word: "degree", action: "force", left: ["her|his|my"] },
+      ...BAT_RULES,
+    ]));
+
+    const at = (word, text, target = word) => {
+      const start = text.indexOf(target);
+      return wordResolver.evaluateRules(word, text, start, start + target.length);
+    };
+
+    let result = at("degree", "a degree of doubt");
+    this.assert(result.suppressed && result.fired.length === 1, "evaluate: suppress rule fires");
+    result = at("degree", "her degree of choice");
+    this.assert(!result.suppressed && result.fired.length === 2, "evaluate: a force rule overrides suppression");
+
+    result = at("bat", "the baseball bat he swung");
+    this.assert(!result.suppressed, "evaluate: variant rules never suppress the match");
+    this.assert(result.forceVariants.join() === "bat_3" && result.suppressVariants.join() === "bat_1", "evaluate: variant ids collected");
+
+    this.assert(at("cat", "the cat of doom").fired.length === 0, "evaluate: word without rules");
+    this.assert(!wordResolver.shouldSuppressMatch("cat", "cat of", 0, 3), "shouldSuppressMatch: no rules → false");
+    this.assert(wordResolver.shouldSuppressMatch("degree", "a degree of doubt", 2, 6), "shouldSuppressMatch: uses the rules");
+  },
+
+  testSetAndAddRules() {
+    wordResolver.setRules(rulesFile([{ word: "degree", action: "suppress", right: ["of"] }]));
+
+    const bad = wordResolver.setRules({ rules: [] });
+    this.assert(!bad.valid && wordResolver._rules.degree, "setRules: invalid file keeps the current rules");
+
+    wordResolver.addRules(rulesFile([{ word: "degree", action: "suppress", left: ["*ing"] }, ...BAT_RULES]));
+    this.assert(wordResolver._rules.degree.length === 1, "addRules: words with rules keep them");
+    this.assert(wordResolver._rules.bat.length === 2, "addRules: new words added");
+
+    const file = wordResolver.getRulesFile(["bat", "cat"]);
+    this.assert(file.format === RULES_FORMAT && file.rules.length === 2, "getRulesFile: rules for the given words");
+    this.assert(file.rules[0] === BAT_RULES[0], "getRulesFile: rules as written");
+
+    wordResolver.setRules(rulesFile([]));
+    this.assert(Object.keys(wordResolver._rules).length === 0, "setRules: replaces everything");
+  },
+
+  // ─── VIDEO DATA ───────────────────────────────────────────────────
+
+  testSubsetCarriesRules() {
+    const glossary = () => ({
+      bat: BAT,
+      degree: [{ entryId: "degree", meanings: "diploma", lexicalClass: "Noun" }],
+      __inflectionMap: { bats: "bat" },
+    });
+    VideoData.isLoaded = false;
+    VideoData.load(glossary());
+    wordResolver.setRules(rulesFile([{ word: "degree", action: "suppress", right: ["of"] }, ...BAT_RULES]));
+
+    const subset = VideoData.getSubsetForText("two bats");
+    this.assert(subset.rules.rules.length === 2 && subset.rules.rules.every((r) => r.word === "bat"), "subset: rules for the text's words only");
+
+    wordResolver.setRules(rulesFile([]));
+    VideoData.isLoaded = false;
+    VideoData.load(subset);
+    this.assert(wordResolver._rules.bat?.length === 2 && !VideoData.wordToVideos.rules, "load: subset rules installed, not kept as a word");
+
+    VideoData.merge({ ...glossary(), __rules: rulesFile([{ word: "degree", action: "suppress", right: ["of"] }]) });
+    this.assert(wordResolver._rules.degree?.length === 1 && wordResolver._rules.bat.length === 2, "merge: new rules added");
+
+    wordResolver.setRules(rulesFile([]));
+  },
+
+  testRulesLayer() {
+    const { variantWeight } = CONFIG.rules;
+
+    let [animal, verb] = VideoData.explainVariants(BAT, [], [], "bat", { forceVariants: ["bat_3"] });
+    this.assert(verb.rules.points === variantWeight && animal.rules.points === 0, "layer: forced variant scores the weight");
+    this.assert(verb.score === variantWeight, "layer: counted in the score");
+
+    [animal] = VideoData.explainVariants(BAT, [], [], "bat", { suppressVariants: ["bat_1"] });
+    this.assert(animal.rules.points === -variantWeight, "layer: ruled-out variant loses the weight");
+
+    this.assert(VideoData.disambiguate(BAT, [], [], "bat", { forceVariants: ["bat_3"] }) === 1, "layer: force picks the variant");
+    this.assert(VideoData.disambiguate(BAT, [], [], "bat", { suppressVariants: ["bat_1"] }) === 1, "layer: ruling out all but one picks the rest");
+
+    const three = [...BAT, { entryId: "bat_5", meanings: "blink", lexicalClass: "Verb" }];
+    this.assert(VideoData.disambiguate(three, [], [], "bat", { suppressVariants: ["bat_1"] }) === -1, "layer: two left → still no pick");
+
+    // A forced variant beats a meanings hit for another one
+    const context = ["the", "flying", "bat"];
+    this.assert(VideoData.disambiguate(BAT, [], context, "bat", { forceVariants: ["bat_3"] }) === 1, "layer: rules outweigh Lesk");
+  },
+
+  runAll() {
+    this.results = [];
+
+    this.testCompileRules();
+    this.testCompileRule();
+    this.testLeftRight();
+    this.testNear();
+    this.testPhraseAndEdges();
+    this.testEvaluateRules();
+    this.testSetAndAddRules();
+    this.testSubsetCarriesRules();
+    this.testRulesLayer();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== GlossaryRules Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+GlossaryRulesTests.runAll();
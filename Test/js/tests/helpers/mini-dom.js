@@ -0,0 +1,594 @@
+/**
+ * Mini DOM — a tiny, dependency-free DOM for Node tests.
+ *
+ * WHY NOT JSDOM?
+ *   The test suite runs with plain `node` and no package.json, so there's
+ *   nothing to install jsdom into. Most tests only need a couple of fake
+ *   browser objects (see the mocks at the top of each *.test.js), but some
+ *   code walks real trees — Readability scores <p> parents and grandparents,
+ *   removes elements, clones documents. Hand-building those trees as object
+ *   literals would be unreadable, so this module parses HTML strings
+ *   (fixtures) into a small tree with just enough of the DOM API.
+ *
+ * WHAT'S SUPPORTED:
+ *   - parseHTML(html) → document with documentElement/head/body
+ *   - Elements: tagName, id, className, classList, style, attributes,
+ *     children/childNodes, parentNode/parentElement, textContent,
+ *     innerHTML (get + set), appendChild, remove, cloneNode, contains
+ *   - querySelector/querySelectorAll/matches with tag, *, .class, #id,
+ *     [attr] / [attr="value"], compound selectors, descendant combinators
+ *     and comma lists
+ *   - document.createTreeWalker (SHOW_TEXT / SHOW_ELEMENT, acceptNode
+ *     filters) and compareDocumentPosition (preceding/following only)
+ *   - Events: addEventListener/removeEventListener/dispatchEvent, bubbling
+ *     up through parents and out of shadow roots to their host (no capture
+ *     phase, no default actions)
+ *   - Focus: element.focus()/blur(), document.activeElement (the shadow
+ *     host when focus is inside a shadow root) and shadowRoot.activeElement
+ *
+ * NOT SUPPORTED: layout (offsetHeight etc. are always 0), CSS cascade,
+ * implicit tag closing. Keep fixture HTML well-formed.
+ */
+
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "source", "track", "wbr",
+]);
+
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title"]);
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X"
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] ?? whole;
+  });
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// ─── NODES ───────────────────────────────────────────────────────────
+
+// NodeFilter / Node constants, as in the browser
+export const NodeFilter = {
+  FILTER_ACCEPT: 1,
+  FILTER_REJECT: 2,
+  FILTER_SKIP: 3,
+  SHOW_ALL: 0xffffffff,
+  SHOW_ELEMENT: 0x1,
+  SHOW_TEXT: 0x4,
+};
+
+const DOCUMENT_POSITION_PRECEDING = 0x02;
+const DOCUMENT_POSITION_FOLLOWING = 0x04;
+
+// Path of child indexes from the root down to `node`
+function treePath(node) {
+  const path = [];
+  for (let n = node; n.parentNode; n = n.parentNode) {
+    path.unshift(n.parentNode.childNodes.indexOf(n));
+  }
+  return path;
+}
+
+// Only the preceding/following bits — enough for sorting in document order
+function compareDocumentPosition(a, b) {
+  if (a === b) return 0;
+  const pa = treePath(a);
+  const pb = treePath(b);
+  for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+    if (pa[i] !== pb[i]) {
+      return pa[i] < pb[i] ? DOCUMENT_POSITION_FOLLOWING : DOCUMENT_POSITION_PRECEDING;
+    }
+  }
+  // One contains the other: the ancestor comes first
+  return pa.length < pb.length ? DOCUMENT_POSITION_FOLLOWING : DOCUMENT_POSITION_PRECEDING;
+}
+
+class MiniText {
+  constructor(data) {
+    this.nodeType = 3;
+    this.nodeName = "#text";
+    this.data = data;
+    this.parentNode = null;
+  }
+
+  get textContent() { return this.data; }
+  set textContent(value) { this.data = String(value); }
+  get nodeValue() { return this.data; }
+
+  get parentElement() {
+    return this.parentNode?.nodeType === 1 ? this.parentNode : null;
+  }
+
+  get isConnected() {
+    let node = this;
+    while (node.parentNode || node.host) node = node.parentNode || node.host;
+    return node.nodeType === 9;
+  }
+
+  remove() {
+    this.parentNode?._removeChild(this);
+  }
+
+  compareDocumentPosition(other) {
+    return compareDocumentPosition(this, other);
+  }
+
+  cloneNode() {
+    return new MiniText(this.data);
+  }
+}
+
+class MiniComment {
+  constructor(data) {
+    this.nodeType = 8;
+    this.nodeName = "#comment";
+    this.data = data;
+    this.parentNode = null;
+  }
+
+  get textContent() { return ""; }
+
+  remove() {
+    this.parentNode?._removeChild(this);
+  }
+
+  cloneNode() {
+    return new MiniComment(this.data);
+  }
+}
+
+class MiniParent {
+  constructor() {
+    this.childNodes = [];
+    this.parentNode = null;
+    this._listeners = new Map();
+  }
+
+  addEventListener(type, listener) {
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this._listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * Bubble `event` from this node to the document, crossing shadow roots.
+   * Returns false if a listener called preventDefault(), like the DOM.
+   */
+  dispatchEvent(event) {
+    event.target ??= this;
+    event.defaultPrevented ??= false;
+    event.preventDefault ??= () => { event.defaultPrevented = true; };
+
+    for (let node = this; node; node = node.parentNode || node.host) {
+      for (const listener of node._listeners?.get(event.type) ?? []) {
+        listener.call(node, event);
+      }
+    }
+    return !event.defaultPrevented;
+  }
+
+  get children() {
+    return this.childNodes.filter((n) => n.nodeType === 1);
+  }
+
+  get firstChild() { return this.childNodes[0] || null; }
+  get lastChild() { return this.childNodes[this.childNodes.length - 1] || null; }
+
+  get textContent() {
+    let text = "";
+    for (const child of this.childNodes) {
+      if (child.nodeType === 3 || child.nodeType === 1) text += child.textContent;
+    }
+    return text;
+  }
+
+  set textContent(value) {
+    for (const child of this.childNodes) child.parentNode = null;
+    this.childNodes = [];
+    if (value !== "") this.appendChild(new MiniText(String(value)));
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(serialize).join("");
+  }
+
+  set innerHTML(html) {
+    for (const child of this.childNodes) child.parentNode = null;
+    this.childNodes = [];
+    parseInto(this, html);
+  }
+
+  appendChild(node) {
+    node.parentNode?._removeChild(node);
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  insertBefore(node, reference) {
+    if (!reference) return this.appendChild(node);
+    node.parentNode?._removeChild(node);
+    node.parentNode = this;
+    this.childNodes.splice(this.childNodes.indexOf(reference), 0, node);
+    return node;
+  }
+
+  removeChild(node) {
+    this._removeChild(node);
+    return node;
+  }
+
+  _removeChild(node) {
+    const i = this.childNodes.indexOf(node);
+    if (i !== -1) this.childNodes.splice(i, 1);
+    node.parentNode = null;
+  }
+
+  contains(node) {
+    for (let n = node; n; n = n.parentNode) {
+      if (n === this) return true;
+    }
+    return false;
+  }
+
+  compareDocumentPosition(other) {
+    return compareDocumentPosition(this, other);
+  }
+
+  // Descendant elements in document order
+  _descendants() {
+    const out = [];
+    const visit = (parent) => {
+      for (const child of parent.childNodes) {
+        if (child.nodeType !== 1) continue;
+        out.push(child);
+        visit(child);
+      }
+    };
+    visit(this);
+    return out;
+  }
+
+  querySelectorAll(selector) {
+    const groups = parseSelectorList(selector);
+    return this._descendants().filter((el) => groups.some((g) => matchesGroup(el, g, this)));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  getElementById(id) {
+    return this._descendants().find((el) => el.id === id) || null;
+  }
+}
+
+class MiniElement extends MiniParent {
+  constructor(tagName) {
+    super();
+    this.nodeType = 1;
+    this.localName = tagName.toLowerCase();
+    this.tagName = this.localName.toUpperCase();
+    this.nodeName = this.tagName;
+    this.attributes = new Map();
+    this.style = {};
+    this.shadowRoot = null;
+  }
+
+  get parentElement() {
+    return this.parentNode?.nodeType === 1 ? this.parentNode : null;
+  }
+
+  get isConnected() {
+    let node = this;
+    while (node.parentNode || node.host) node = node.parentNode || node.host;
+    return node.nodeType === 9;
+  }
+
+  focus() {
+    let root = this;
+    while (root.parentNode) root = root.parentNode;
+
+    if (root.nodeType === 11) {
+      // Inside a shadow root: the document sees the host as focused
+      root.host.focus();
+      root.activeElement = this;
+    } else if (root.nodeType === 9) {
+      const previous = root.activeElement;
+      if (previous?.shadowRoot) previous.shadowRoot.activeElement = null;
+      root.activeElement = this;
+    }
+  }
+
+  blur() {
+    let root = this;
+    while (root.parentNode) root = root.parentNode;
+    if (root.activeElement !== this) return;
+
+    if (root.nodeType === 11) {
+      root.activeElement = null;
+      root.host.blur();
+    } else if (root.nodeType === 9) {
+      root.activeElement = root.body;
+    }
+  }
+
+  get id() { return this.getAttribute("id") || ""; }
+  set id(value) { this.setAttribute("id", value); }
+
+  get className() { return this.getAttribute("class") || ""; }
+  set className(value) { this.setAttribute("class", value); }
+
+  get classList() {
+    const el = this;
+    const list = () => el.className.split(/\s+/).filter(Boolean);
+    return {
+      contains: (c) => list().includes(c),
+      add: (...cs) => { el.className = [...new Set([...list(), ...cs])].join(" "); },
+      remove: (...cs) => { el.className = list().filter((c) => !cs.includes(c)).join(" "); },
+      toggle: (c, force) => {
+        const on = force ?? !list().includes(c);
+        if (on) el.classList.add(c); else el.classList.remove(c);
+        return on;
+      },
+    };
+  }
+
+  get hidden() { return this.hasAttribute("hidden"); }
+  set hidden(value) {
+    if (value) this.setAttribute("hidden", "");
+    else this.removeAttribute("hidden");
+  }
+
+  getAttribute(name) {
+    const value = this.attributes.get(name.toLowerCase());
+    return value === undefined ? null : value;
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name.toLowerCase(), String(value));
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name.toLowerCase());
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name.toLowerCase());
+  }
+
+  matches(selector) {
+    return parseSelectorList(selector).some((g) => matchesGroup(this, g, null));
+  }
+
+  closest(selector) {
+    for (let el = this; el; el = el.parentElement) {
+      if (el.matches(selector)) return el;
+    }
+    return null;
+  }
+
+  remove() {
+    this.parentNode?._removeChild(this);
+  }
+
+  attachShadow() {
+    this.shadowRoot = new MiniShadowRoot(this);
+    return this.shadowRoot;
+  }
+
+  cloneNode(deep = false) {
+    const copy = new MiniElement(this.localName);
+    for (const [k, v] of this.attributes) copy.attributes.set(k, v);
+    if (deep) {
+      for (const child of this.childNodes) copy.appendChild(child.cloneNode(true));
+    }
+    return copy;
+  }
+}
+
+class MiniShadowRoot extends MiniParent {
+  constructor(host) {
+    super();
+    this.nodeType = 11;
+    this.host = host;
+    this.activeElement = null;
+  }
+}
+
+class MiniDocument extends MiniParent {
+  constructor() {
+    super();
+    this.nodeType = 9;
+    this.nodeName = "#document";
+    this._activeElement = null;
+  }
+
+  // Like the DOM: <body> when nothing else has focus
+  get activeElement() {
+    return this._activeElement?.isConnected ? this._activeElement : this.body;
+  }
+  set activeElement(element) {
+    this._activeElement = element;
+  }
+
+  get documentElement() {
+    return this.children.find((el) => el.localName === "html") || null;
+  }
+
+  get head() { return this.querySelector("head"); }
+  get body() { return this.querySelector("body"); }
+  get title() { return this.querySelector("title")?.textContent || ""; }
+
+  createElement(tag) { return new MiniElement(tag); }
+  createTextNode(data) { return new MiniText(data); }
+
+  // Pre-order walk under `root` (root itself excluded). FILTER_REJECT
+  // skips an element's whole subtree, FILTER_SKIP only the element.
+  createTreeWalker(root, whatToShow = NodeFilter.SHOW_ALL, filter = null) {
+    const nodes = [];
+    const visit = (parent) => {
+      for (const child of parent.childNodes ?? []) {
+        const shown = (whatToShow & (1 << (child.nodeType - 1))) !== 0;
+        const verdict = shown && filter ? filter.acceptNode(child) : NodeFilter.FILTER_ACCEPT;
+        if (verdict === NodeFilter.FILTER_REJECT && child.nodeType === 1) continue;
+        if (shown && verdict === NodeFilter.FILTER_ACCEPT) nodes.push(child);
+        visit(child);
+      }
+    };
+    visit(root);
+
+    let i = -1;
+    return {
+      root,
+      get currentNode() { return i < 0 ? root : nodes[i]; },
+      nextNode() {
+        if (i + 1 >= nodes.length) return null;
+        i++;
+        return nodes[i];
+      },
+    };
+  }
+
+  cloneNode(deep = false) {
+    const copy = new MiniDocument();
+    if (deep) {
+      for (const child of this.childNodes) copy.appendChild(child.cloneNode(true));
+    }
+    return copy;
+  }
+}
+
+// ─── SELECTORS ───────────────────────────────────────────────────────
+
+// "div.a, p #x" → [[compound, compound], [compound, compound]]
+function parseSelectorList(selector) {
+  return selector.split(",").map((group) =>
+    group.trim().split(/\s+/).map(parseCompound)
+  );
+}
+
+function parseCompound(text) {
+  const compound = { tag: null, ids: [], classes: [], attrs: [] };
+  const re = /([a-z0-9-]+|\*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:="?([^"\]]*)"?)?\]/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[1]) compound.tag = m[1] === "*" ? null : m[1].toLowerCase();
+    else if (m[2]) compound.ids.push(m[2]);
+    else if (m[3]) compound.classes.push(m[3]);
+    else if (m[4]) compound.attrs.push({ name: m[4], value: m[5] });
+  }
+  return compound;
+}
+
+function matchesCompound(el, c) {
+  if (c.tag && el.localName !== c.tag) return false;
+  if (c.ids.some((id) => el.id !== id)) return false;
+  if (c.classes.some((cls) => !el.classList.contains(cls))) return false;
+  return c.attrs.every(({ name, value }) =>
+    value === undefined ? el.hasAttribute(name) : el.getAttribute(name) === value
+  );
+}
+
+// Last compound must match `el`; earlier ones must match ancestors (in
+// order) without climbing past `scope`.
+function matchesGroup(el, group, scope) {
+  if (!matchesCompound(el, group[group.length - 1])) return false;
+  let i = group.length - 2;
+  for (let a = el.parentElement; a && i >= 0 && a !== scope; a = a.parentElement) {
+    if (matchesCompound(a, group[i])) i--;
+  }
+  return i < 0;
+}
+
+// ─── PARSER ──────────────────────────────────────────────────────────
+
+const TOKEN_RE = /<!--([\s\S]*?)-->|<!doctype[^>]*>|<\/([a-z][\w-]*)\s*>|<([a-z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/gi;
+const ATTR_RE = /([^\s=>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function parseInto(root, html) {
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  let last = 0;
+  let m;
+
+  const pushText = (text) => {
+    if (text) current().appendChild(new MiniText(decodeEntities(text)));
+  };
+
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(html)) !== null) {
+    pushText(html.slice(last, m.index));
+    last = TOKEN_RE.lastIndex;
+
+    if (m[1] !== undefined) {
+      current().appendChild(new MiniComment(m[1]));
+    } else if (m[2]) {
+      // End tag: pop to the matching open element, ignore strays
+      const tag = m[2].toLowerCase();
+      const i = stack.map((n) => n.localName).lastIndexOf(tag);
+      if (i > 0) stack.length = i;
+    } else if (m[3]) {
+      const el = new MiniElement(m[3]);
+      let a;
+      ATTR_RE.lastIndex = 0;
+      while ((a = ATTR_RE.exec(m[4])) !== null) {
+        el.setAttribute(a[1], decodeEntities(a[2] ?? a[3] ?? a[4] ?? ""));
+      }
+      current().appendChild(el);
+
+      if (RAW_TEXT_TAGS.has(el.localName)) {
+        // Everything up to the closing tag is text, even if it looks like markup
+        const close = html.toLowerCase().indexOf(`</${el.localName}`, last);
+        const end = close === -1 ? html.length : close;
+        const raw = html.slice(last, end);
+        if (raw) el.appendChild(new MiniText(el.localName === "title" ? decodeEntities(raw) : raw));
+        const closeEnd = html.indexOf(">", end);
+        last = closeEnd === -1 ? html.length : closeEnd + 1;
+        TOKEN_RE.lastIndex = last;
+      } else if (!m[5] && !VOID_TAGS.has(el.localName)) {
+        stack.push(el);
+      }
+    }
+  }
+  pushText(html.slice(last));
+}
+
+function serialize(node) {
+  if (node.nodeType === 3) {
+    return RAW_TEXT_TAGS.has(node.parentNode?.localName) ? node.data : escapeText(node.data);
+  }
+  if (node.nodeType === 8) return `<!--${node.data}-->`;
+  const attrs = [...node.attributes]
+    .map(([k, v]) => ` ${k}="${v.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`)
+    .join("");
+  if (VOID_TAGS.has(node.localName)) return `<${node.localName}${attrs}>`;
+  return `<${node.localName}${attrs}>${node.innerHTML}</${node.localName}>`;
+}
+
+/**
+ * Parse an HTML string into a mini document.
+ *
+ * @param {string} html
+ * @returns {MiniDocument}
+ */
+export function parseHTML(html) {
+  const doc = new MiniDocument();
+  parseInto(doc, html);
+  return doc;
+}
+
+export { MiniDocument, MiniElement, MiniText };
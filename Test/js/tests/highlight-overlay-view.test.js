@@ -51,11 +51,20 @@ globalThis.Range = class MockRange {
   }
 };
 
-// Mock Highlight — just stores the ranges it received
+// Mock Highlight — just stores the ranges it received.
+// The real Highlight is a set-like: add()/delete() mutate it in place.
 globalThis.Highlight = class MockHighlight {
   constructor(...ranges) {
     this._ranges = ranges;
   }
+  add(range) {
+    this._ranges.push(range);
+  }
+  delete(range) {
+    const i = this._ranges.indexOf(range);
+    if (i !== -1) this._ranges.splice(i, 1);
+    return i !== -1;
+  }
 };
 
 // CSS.highlights is a HighlightRegistry in the browser.
@@ -374,6 +383,54 @@ const HighlightOverlayViewTests = {
     this.assert(view._ranges.length === 1, "only 1 range (previous was cleared)");
   },
 
+  // ─── INCREMENTAL TESTS ──────────────────────────────────────────
+  //
+  // highlightNodes()/removeRanges() patch the existing highlight when
+  // page content changes after the first pass.
+
+  /**
+   * New text nodes are added to the SAME registered Highlight — the
+   * earlier ranges must survive.
+   */
+  testHighlightNodesAddsToExisting() {
+    const view = new HighlightOverlayView();
+    view.highlightAll(makeContainer("hello world"), ["hello"], () => {});
+    const highlight = CSS.highlights.get("asl-words");
+
+    const added = view.highlightNodes(makeContainer("hello again")._textNodes, ["hello"]);
+
+    this.assert(added.length === 1, "highlightNodes: returns the new range");
+    this.assert(view._ranges.length === 2, "highlightNodes: earlier range kept");
+    this.assert(CSS.highlights.get("asl-words") === highlight, "highlightNodes: same Highlight object");
+    this.assert(highlight._ranges.length === 2, "highlightNodes: range added to the Highlight");
+  },
+
+  /**
+   * Ranges the callback rejects (pops) must not reach the Highlight.
+   */
+  testHighlightNodesRespectsRejectedMatches() {
+    const view = new HighlightOverlayView();
+    view.clear();
+
+    const added = view.highlightNodes(makeContainer("cat and mat")._textNodes, ["cat", "mat"], (word) => {
+      if (word === "cat") view._ranges.pop();
+    });
+
+    this.assert(added.length === 1, "highlightNodes: rejected match not returned");
+    this.assert(CSS.highlights.get("asl-words")._ranges.length === 1, "highlightNodes: rejected match not registered");
+  },
+
+  testRemoveRanges() {
+    const view = new HighlightOverlayView();
+    view.highlightAll(makeContainer("cat and mat"), ["cat", "mat"], () => {});
+    const [cat, mat] = view._ranges;
+
+    view.removeRanges([cat]);
+
+    this.assert(view._ranges.length === 1 && view._ranges[0] === mat, "removeRanges: only the given range removed");
+    this.assert(CSS.highlights.get("asl-words")._ranges.length === 1, "removeRanges: range deleted from the Highlight");
+  },
+
   // ─── EDGE CASES ─────────────────────────────────────────────────
   //
   // These are scenarios you might not think of during normal development
@@ -480,6 +537,9 @@ const HighlightOverlayViewTests = {
     this.testEmptyWordsArray();
     this.testWordAtStartAndEnd();
     this.testCaseInsensitiveHighlight();
+    this.testHighlightNodesAddsToExisting();
+    this.testHighlightNodesRespectsRejectedMatches();
+    this.testRemoveRanges();
 
     // Report results
     const passed = this.results.filter((r) => r.passed).length;
@@ -0,0 +1,277 @@
+/**
+ * Keyboard Navigation Unit Tests
+ * Run with: node Test/js/tests/keyboard-navigation.test.js
+ *
+ * Tests stepping through highlighted words without a mouse:
+ *   - HighlightOverlayPresenter.nextMatch()/prevMatch() in "all" mode,
+ *     starting from the first match on screen and wrapping at the ends
+ *   - The "asl-focus" highlight: drawn on the current match, dropped when
+ *     that match's text goes away, cleared by clearFocus() and clear()
+ *   - PopupOverlayView.showAtRect(): the popup sits beside the word's
+ *     rect and stays inside the viewport
+ *
+ * Layout is faked: each <p> is 100px tall, so a match's rect is
+ * (paragraph index × 100 − scrollY). scrollTo() moves scrollY.
+ */
+
+import { parseHTML, NodeFilter } from "./helpers/mini-dom.js";
+import { CONFIG } from "../config.js";
+import { VideoData } from "../model/video-data.js";
+import { HighlightOverlayPresenter } from "../presenter/highlight-overlay-presenter.js";
+import { PopupOverlayView } from "../view/popup-overlay-view.js";
+
+// ─── BROWSER API MOCKS ──────────────────────────────────────────────
+
+globalThis.window = globalThis;
+globalThis.NodeFilter = NodeFilter;
+globalThis.Node = { DOCUMENT_POSITION_FOLLOWING: 0x04 };
+
+globalThis.Range = class MockRange {
+  setStart(node, offset) {
+    this.startContainer = node;
+    this.startOffset = offset;
+  }
+  setEnd(node, offset) {
+    this.endContainer = node;
+    this.endOffset = offset;
+  }
+  getBoundingClientRect() {
+    const top = this.startContainer._layoutTop - globalThis.scrollY;
+    const left = 10 + this.startOffset * 8;
+    const width = (this.endOffset - this.startOffset) * 8;
+    return { top, bottom: top + 20, left, right: left + width, width, height: 20 };
+  }
+};
+
+const scrollCalls = [];
+globalThis.scrollY = 0;
+globalThis.innerHeight = 300;
+globalThis.innerWidth = 1000;
+globalThis.scrollTo = (options) => {
+  scrollCalls.push(options);
+  globalThis.scrollY = Math.max(0, options.top);
+};
+
+globalThis.Highlight = class MockHighlight extends Set {
+  constructor(...ranges) {
+    super(ranges);
+  }
+};
+globalThis.CSS = { highlights: new Map() };
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+const PAGE = `
+  <html><head></head><body>
+    <div id="app">
+      <p>A book on the shelf.</p>
+      <p>Nothing to see here.</p>
+      <p>I love that book.</p>
+      <p>Time to read.</p>
+    </div>
+  </body></html>
+`;
+
+function glossary() {
+  const entry = (word) => [{ entryId: word, meanings: word, lexicalClass: "Noun", videoFile: `${word}.mp4` }];
+  return { book: entry("book"), love: entry("love"), read: entry("read"), __inflectionMap: {} };
+}
+
+const KeyboardNavigationTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  /**
+   * Fresh page, laid out 100px per paragraph, highlighted in "all" mode.
+   * Matches in order: book (p0), love (p2), book (p2), read (p3).
+   */
+  setup() {
+    const doc = parseHTML(PAGE);
+    globalThis.document = doc;
+    globalThis.scrollY = 0;
+    scrollCalls.length = 0;
+    CSS.highlights.clear();
+
+    doc.querySelectorAll("p").forEach((p, i) => {
+      p.firstChild._layoutTop = i * 100;
+    });
+
+    VideoData.isLoaded = false;
+    VideoData.load(glossary());
+
+    HighlightOverlayPresenter.init();
+    HighlightOverlayPresenter.highlightAllGlossaryWords(doc.getElementById("app"));
+    return doc;
+  },
+
+  focusedRange() {
+    const focus = CSS.highlights.get("asl-focus");
+    return focus ? [...focus][0] : null;
+  },
+
+  testStepsThroughAllMode() {
+    this.setup();
+    const presenter = HighlightOverlayPresenter;
+
+    this.assert(presenter.matches.length === 4, "setup: 4 matches in all mode");
+    this.assert(presenter.currentMatchIndex === -1, "setup: no current match");
+
+    presenter.nextMatch();
+    this.assert(presenter.currentMatchIndex === 0, "next: starts at first match on screen");
+    this.assert(presenter.getCurrentMatch().baseWord === "book", "next: current match is book");
+
+    presenter.nextMatch();
+    presenter.nextMatch();
+    presenter.nextMatch();
+    this.assert(presenter.getCurrentMatch().baseWord === "read", "next: reaches last match");
+
+    presenter.nextMatch();
+    this.assert(presenter.currentMatchIndex === 0, "next: wraps to first");
+
+    presenter.prevMatch();
+    this.assert(presenter.currentMatchIndex === 3, "prev: wraps to last");
+  },
+
+  testStartsFromViewport() {
+    this.setup();
+    const presenter = HighlightOverlayPresenter;
+
+    // Scrolled past the first paragraph
+    globalThis.scrollY = 150;
+    presenter.nextMatch();
+    this.assert(
+      presenter.currentMatchIndex === 1 && presenter.getCurrentMatch().baseWord === "love",
+      "next: skips matches above the viewport"
+    );
+
+    presenter.currentMatchIndex = -1;
+    globalThis.scrollY = 150;
+    presenter.prevMatch();
+    this.assert(presenter.currentMatchIndex === 0, "prev: last match above the viewport");
+  },
+
+  testScrollBehavior() {
+    this.setup();
+    HighlightOverlayPresenter.nextMatch();
+    this.assert(scrollCalls.at(-1).behavior === "smooth", "scroll: smooth by default");
+
+    HighlightOverlayPresenter.nextMatch({ behavior: "instant" });
+    this.assert(scrollCalls.at(-1).behavior === "instant", "scroll: behavior option passed through");
+  },
+
+  testFocusHighlight() {
+    this.setup();
+    const presenter = HighlightOverlayPresenter;
+
+    this.assert(!CSS.highlights.has("asl-focus"), "focus: none before navigating");
+
+    presenter.goToMatch(2);
+    const focus = CSS.highlights.get("asl-focus");
+    this.assert(focus && focus.size === 1, "focus: one range in asl-focus");
+    this.assert(this.focusedRange() === presenter.matches[2].range, "focus: on the current match");
+    this.assert(focus.priority === 1, "focus: painted above asl-words");
+    this.assert(CSS.highlights.get("asl-words").size === 4, "focus: asl-words untouched");
+
+    presenter.goToMatch(3);
+    this.assert(this.focusedRange() === presenter.matches[3].range, "focus: follows navigation");
+
+    presenter.clearFocus();
+    this.assert(!CSS.highlights.has("asl-focus"), "clearFocus: focus highlight removed");
+    this.assert(presenter.currentMatchIndex === 3, "clearFocus: position kept");
+  },
+
+  testFocusSurvivesUnrelatedPrune() {
+    const doc = this.setup();
+    const presenter = HighlightOverlayPresenter;
+    const paragraphs = doc.querySelectorAll("p");
+
+    presenter.goToMatch(3); // "read" in the last paragraph
+    paragraphs[0].remove(); // drops the first "book"
+    presenter.pruneDetached();
+
+    this.assert(presenter.getCurrentMatch()?.baseWord === "read", "prune: current match kept");
+    this.assert(this.focusedRange() === presenter.getCurrentMatch().range, "prune: focus kept");
+
+    paragraphs[3].remove();
+    presenter.pruneDetached();
+    this.assert(presenter.currentMatchIndex === -1, "prune: focused match removed → no current");
+    this.assert(!CSS.highlights.has("asl-focus"), "prune: focus highlight removed with it");
+  },
+
+  testClearRemovesFocus() {
+    this.setup();
+    HighlightOverlayPresenter.goToMatch(0);
+    HighlightOverlayPresenter.view.clear();
+    this.assert(!CSS.highlights.has("asl-focus"), "view.clear: focus highlight removed");
+  },
+
+  testSetColorKeepsFocusRule() {
+    this.setup();
+    const view = HighlightOverlayPresenter.view;
+    view.setColor("#123456");
+    const css = view._styleEl.textContent;
+    this.assert(css.includes("::highlight(asl-words)") && css.includes("#123456"), "setColor: match color updated");
+    this.assert(css.includes("::highlight(asl-focus)"), "setColor: focus rule kept");
+    view.setColor("yellow");
+  },
+
+  testPopupShowAtRect() {
+    const view = new PopupOverlayView();
+    view._popup = { style: {} };
+    const { offset, height, width, minLeft } = CONFIG.popup;
+    globalThis.innerHeight = 800;
+
+    view.showAtRect({ left: 100, top: 50, bottom: 70, right: 140 });
+    this.assert(view._popup.style.display === "block", "showAtRect: popup shown");
+    this.assert(view._popup.style.left === "100px", "showAtRect: left-aligned with the word");
+    this.assert(view._popup.style.top === `${70 + offset}px`, "showAtRect: below the word");
+
+    view.showAtRect({ left: 100, top: 700, bottom: 720, right: 140 });
+    this.assert(view._popup.style.top === `${700 - height - offset}px`, "showAtRect: flips above near the bottom");
+
+    view.showAtRect({ left: 990, top: 50, bottom: 70, right: 1000 });
+    this.assert(
+      view._popup.style.left === `${innerWidth - width - minLeft}px`,
+      "showAtRect: shifted left to stay on screen"
+    );
+
+    view.showAtRect({ left: -30, top: 50, bottom: 70, right: 0 });
+    this.assert(view._popup.style.left === `${minLeft}px`, "showAtRect: never past the left edge");
+
+    globalThis.innerHeight = 300;
+  },
+
+  runAll() {
+    this.results = [];
+
+    this.testStepsThroughAllMode();
+    this.testStartsFromViewport();
+    this.testScrollBehavior();
+    this.testFocusHighlight();
+    this.testFocusSurvivesUnrelatedPrune();
+    this.testClearRemovesFocus();
+    this.testSetColorKeepsFocusRule();
+    this.testPopupShowAtRect();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== KeyboardNavigation Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+KeyboardNavigationTests.runAll();
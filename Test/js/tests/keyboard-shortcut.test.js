@@ -0,0 +1,141 @@
+/**
+ * KeyboardShortcut Unit Tests
+ * Run with: node Test/js/tests/keyboard-shortcut.test.js
+ *
+ * Tests parsing "Alt+Shift+A"-style strings and matching keydown events:
+ *   - Modifiers must match exactly (no extra Ctrl, no missing Shift)
+ *   - Letters/digits match by physical key (event.code), so macOS Option
+ *     turning "a" into "å" doesn't break Alt shortcuts
+ *   - Named keys ("Escape", "]") match event.key, case-insensitively
+ *   - Malformed specs throw instead of silently never matching
+ */
+
+import { KeyboardShortcut } from "../utils/KeyboardShortcut.js";
+
+/**
+ * Minimal keydown event: no modifiers unless given.
+ */
+function keyEvent(key, code, modifiers = {}) {
+  return {
+    key,
+    code,
+    altKey: false,
+    ctrlKey: false,
+    shiftKey: false,
+    metaKey: false,
+    ...modifiers,
+  };
+}
+
+const KeyboardShortcutTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  testParse() {
+    const shortcut = new KeyboardShortcut("Alt+Shift+A");
+    this.assert(shortcut.altKey && shortcut.shiftKey, "parse: modifiers set");
+    this.assert(!shortcut.ctrlKey && !shortcut.metaKey, "parse: other modifiers unset");
+    this.assert(shortcut.key === "A", "parse: key kept");
+    this.assert(String(shortcut) === "Alt+Shift+A", "parse: toString returns spec");
+
+    const aliases = new KeyboardShortcut("cmd+option+k");
+    this.assert(aliases.metaKey && aliases.altKey, "parse: cmd/option aliases, any case");
+
+    const plus = new KeyboardShortcut("Ctrl++");
+    this.assert(plus.ctrlKey && plus.key === "+", "parse: trailing + is the key");
+  },
+
+  testParseErrors() {
+    let threw = false;
+    try {
+      new KeyboardShortcut("Alt+Shift");
+    } catch {
+      threw = true;
+    }
+    this.assert(threw, "parse: no key throws");
+
+    threw = false;
+    try {
+      new KeyboardShortcut("A+B");
+    } catch {
+      threw = true;
+    }
+    this.assert(threw, "parse: two keys throws");
+  },
+
+  testLetterMatch() {
+    const shortcut = new KeyboardShortcut("Alt+Shift+A");
+
+    this.assert(
+      shortcut.matches(keyEvent("A", "KeyA", { altKey: true, shiftKey: true })),
+      "letter: exact match"
+    );
+    this.assert(
+      shortcut.matches(keyEvent("Å", "KeyA", { altKey: true, shiftKey: true })),
+      "letter: matches by code when Option changes key"
+    );
+    this.assert(
+      !shortcut.matches(keyEvent("a", "KeyQ", { altKey: true, shiftKey: true })),
+      "letter: different physical key doesn't match"
+    );
+    this.assert(
+      shortcut.matches({ key: "a", altKey: true, shiftKey: true, ctrlKey: false, metaKey: false }),
+      "letter: falls back to key when code is missing"
+    );
+  },
+
+  testModifiersExact() {
+    const shortcut = new KeyboardShortcut("Alt+Shift+A");
+
+    this.assert(!shortcut.matches(keyEvent("A", "KeyA", { shiftKey: true })), "modifiers: missing Alt");
+    this.assert(
+      !shortcut.matches(keyEvent("A", "KeyA", { altKey: true, shiftKey: true, ctrlKey: true })),
+      "modifiers: extra Ctrl"
+    );
+    this.assert(!shortcut.matches(keyEvent("a", "KeyA")), "modifiers: bare key");
+  },
+
+  testDigitAndNamedKeys() {
+    const digit = new KeyboardShortcut("Alt+1");
+    this.assert(digit.matches(keyEvent("¡", "Digit1", { altKey: true })), "digit: matches by code");
+
+    const escape = new KeyboardShortcut("Escape");
+    this.assert(escape.matches(keyEvent("Escape", "Escape")), "named: Escape");
+    this.assert(escape.matches(keyEvent("escape", "")), "named: case-insensitive");
+    this.assert(!escape.matches(keyEvent("Enter", "Enter")), "named: other key doesn't match");
+
+    const bracket = new KeyboardShortcut("]");
+    this.assert(bracket.matches(keyEvent("]", "BracketRight")), "named: punctuation by key");
+  },
+
+  runAll() {
+    this.results = [];
+
+    this.testParse();
+    this.testParseErrors();
+    this.testLetterMatch();
+    this.testModifiersExact();
+    this.testDigitAndNamedKeys();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== KeyboardShortcut Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+KeyboardShortcutTests.runAll();
@@ -0,0 +1,536 @@
+/**
+ * Live Highlight Unit Tests
+ * Run with: node Test/js/tests/live-highlight.test.js
+ *
+ * Tests incremental re-highlighting when the page changes after load:
+ *   - LiveHighlightPresenter: batching of MutationObserver records,
+ *     ignoring our own popup, scope loss, the beforeHighlight hook
+ *   - HighlightOverlayPresenter.highlightTextNodes()/pruneDetached():
+ *     new text gets matched, removed text is pruned, matchedBaseWords
+ *     stays in sync, nothing is ever matched twice, and edited or
+ *     inserted text forms phrases with the text around it
+ *
+ * The page is a real (mini) DOM from helpers/mini-dom.js so that
+ * isConnected, contains() and TreeWalker behave like a browser.
+ * MutationObserver is mocked: tests mutate the DOM, then hand the
+ * matching records to handleMutations() — exactly what the browser
+ * would deliver — and await flush() instead of the debounce timer.
+ */
+
+import { parseHTML, NodeFilter } from "./helpers/mini-dom.js";
+import { CONFIG } from "../config.js";
+import { AppState } from "../model/state.js";
+import { VideoData } from "../model/video-data.js";
+import { HighlightOverlayPresenter } from "../presenter/highlight-overlay-presenter.js";
+import { LiveHighlightPresenter } from "../presenter/live-highlight-presenter.js";
+
+// ─── BROWSER API MOCKS ──────────────────────────────────────────────
+
+globalThis.window = globalThis;
+globalThis.NodeFilter = NodeFilter;
+globalThis.Node = { DOCUMENT_POSITION_FOLLOWING: 0x04 };
+
+globalThis.Range = class MockRange {
+  setStart(node, offset) {
+    this.startContainer = node;
+    this.startOffset = offset;
+  }
+  setEnd(node, offset) {
+    this.endContainer = node;
+    this.endOffset = offset;
+  }
+  getBoundingClientRect() {
+    return { top: 0, left: 0, right: 0, bottom: 0 };
+  }
+};
+
+// goToMatch() scrolls the match into view
+globalThis.scrollY = 0;
+globalThis.innerHeight = 800;
+globalThis.scrollTo = () => {};
+
+// The real Highlight is set-like: new Highlight(...ranges)
+globalThis.Highlight = class MockHighlight extends Set {
+  constructor(...ranges) {
+    super(ranges);
+  }
+};
+globalThis.CSS = { highlights: new Map() };
+
+// Records observe()/takeRecords() calls; records are fed in by hand
+globalThis.MutationObserver = class MockMutationObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.takeRecordsCalls = 0;
+  }
+  observe(root, options) {
+    this.root = root;
+    this.options = options;
+  }
+  disconnect() {}
+  takeRecords() {
+    this.takeRecordsCalls++;
+    return [];
+  }
+};
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+const PAGE = `
+  <html><head></head><body>
+    <div id="app">
+      <p id="first">I love to read a good book.</p>
+    </div>
+    <div id="outside"><p>Another book outside the article.</p></div>
+  </body></html>
+`;
+
+function glossary() {
+  const entry = (word) => [{ entryId: word, meanings: word, lexicalClass: "Noun", videoFile: `${word}.mp4` }];
+  return {
+    book: entry("book"),
+    love: entry("love"),
+    read: entry("read"),
+    high: entry("high"),
+    school: entry("school"),
+    high_school: entry("high_school"),
+    __inflectionMap: { books: "book", loved: "love" },
+  };
+}
+
+// MutationRecord shapes, as the browser would deliver them
+function added(target, ...nodes) {
+  return { type: "childList", target, addedNodes: nodes, removedNodes: [] };
+}
+function removed(target, ...nodes) {
+  return { type: "childList", target, addedNodes: [], removedNodes: nodes };
+}
+function edited(textNode) {
+  return { type: "characterData", target: textNode, addedNodes: [], removedNodes: [] };
+}
+
+function paragraph(doc, text) {
+  const p = doc.createElement("p");
+  p.appendChild(doc.createTextNode(text));
+  return p;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ─── TESTS ───────────────────────────────────────────────────────────
+
+const LiveHighlightTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  /**
+   * Fresh page + glossary + full highlight pass, observing #app.
+   * Returns the document, the #app scope and the onChange call log.
+   */
+  setup(options = {}) {
+    const doc = parseHTML(PAGE);
+    globalThis.document = doc;
+
+    VideoData.isLoaded = false;
+    VideoData.load(glossary());
+
+    HighlightOverlayPresenter.init();
+    const app = doc.getElementById("app");
+    HighlightOverlayPresenter.highlightAllGlossaryWords(app);
+
+    const changes = [];
+    LiveHighlightPresenter.start(doc.body, {
+      getScope: () => app,
+      onChange: (change) => changes.push(change),
+      ...options,
+    });
+
+    return { doc, app, changes };
+  },
+
+  words() {
+    return HighlightOverlayPresenter.matches.map((m) => m.word.toLowerCase());
+  },
+
+  // ─── ADDED CONTENT ──────────────────────────────────────────────
+
+  async testAddedParagraphIsHighlighted() {
+    const { doc, app, changes } = this.setup();
+    const p = paragraph(doc, "Two more books loved by everyone.");
+    app.appendChild(p);
+
+    LiveHighlightPresenter.handleMutations([added(app, p)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(this.words().includes("books"), "added: new paragraph highlighted");
+    this.assert(HighlightOverlayPresenter.matchedBaseWords.has("book"), "added: matchedBaseWords updated");
+    this.assert(changes.length === 1 && changes[0].added === 2, "added: onChange reports 2 new matches");
+    this.assert(
+      HighlightOverlayPresenter.view._ranges.length === HighlightOverlayPresenter.matches.length,
+      "added: view ranges match presenter matches"
+    );
+  },
+
+  /**
+   * An added subtree and a node inside it are both reported; the inner
+   * one must not be scanned a second time.
+   */
+  async testNestedAddedNodesNotDoubled() {
+    const { doc, app } = this.setup();
+    const wrapper = doc.createElement("div");
+    const p = paragraph(doc, "A book.");
+    wrapper.appendChild(p);
+    app.appendChild(wrapper);
+
+    LiveHighlightPresenter.handleMutations([added(app, wrapper), added(wrapper, p)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(this.words().filter((w) => w === "book").length === 2, "nested: one match per occurrence");
+  },
+
+  async testContentOutsideScopeIgnored() {
+    const { doc } = this.setup();
+    const outside = doc.getElementById("outside");
+    const p = paragraph(doc, "Yet another book.");
+    outside.appendChild(p);
+
+    LiveHighlightPresenter.handleMutations([added(outside, p)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(HighlightOverlayPresenter.matches.length === 3, "scope: text outside the article not highlighted");
+  },
+
+  async testPopupHostIgnored() {
+    const { doc, app } = this.setup();
+    const host = doc.createElement("div");
+    host.id = "asl-video-popup-host";
+    host.appendChild(doc.createTextNode("book book book"));
+    app.appendChild(host);
+
+    LiveHighlightPresenter.handleMutations([added(app, host)]);
+
+    this.assert(LiveHighlightPresenter._addedNodes.size === 0, "popup: own UI never queued");
+    this.assert(LiveHighlightPresenter._timer === null, "popup: no flush scheduled");
+  },
+
+  /**
+   * Content inserted ABOVE existing text must come first in matches,
+   * so next/prev navigation still walks the page top to bottom.
+   */
+  async testMatchesStayInDocumentOrder() {
+    const { doc, app } = this.setup();
+    const p = paragraph(doc, "Read this book.");
+    app.insertBefore(p, doc.getElementById("first"));
+
+    LiveHighlightPresenter.handleMutations([added(app, p)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(this.words().join(",") === "read,book,love,read,book", "order: matches sorted in document order");
+  },
+
+  async testClearedModeNotHighlighted() {
+    const { doc, app } = this.setup();
+    HighlightOverlayPresenter.clearHighlights();
+    const p = paragraph(doc, "A book.");
+    app.appendChild(p);
+
+    LiveHighlightPresenter.handleMutations([added(app, p)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(HighlightOverlayPresenter.matches.length === 0, "cleared: new content stays unhighlighted");
+  },
+
+  /**
+   * In "word" mode only the chosen word is picked up from new content.
+   */
+  async testWordModeHighlightsActiveWordOnly() {
+    const { doc, app } = this.setup();
+    HighlightOverlayPresenter.highlightWord(app, "book");
+    const p = paragraph(doc, "I love books.");
+    app.appendChild(p);
+
+    LiveHighlightPresenter.handleMutations([added(app, p)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(this.words().join(",") === "book,books", "word mode: only the active word added");
+    AppState.reset();
+  },
+
+  // ─── REMOVED / CHANGED CONTENT ─────────────────────────────────
+
+  async testRemovedTextIsPruned() {
+    const { doc, app, changes } = this.setup();
+    const first = doc.getElementById("first");
+    first.remove();
+
+    LiveHighlightPresenter.handleMutations([removed(app, first)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(HighlightOverlayPresenter.matches.length === 0, "removed: matches pruned");
+    this.assert(HighlightOverlayPresenter.matchedBaseWords.size === 0, "removed: matchedBaseWords emptied");
+    this.assert(HighlightOverlayPresenter.view._ranges.length === 0, "removed: ranges dropped from view");
+    this.assert(changes[0]?.removed === 3, "removed: onChange reports 3 removed");
+  },
+
+  async testEditedTextIsRescanned() {
+    const { doc } = this.setup();
+    const text = doc.getElementById("first").firstChild;
+    text.data = "Now I read two books.";
+
+    LiveHighlightPresenter.handleMutations([edited(text)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(this.words().join(",") === "read,books", "edited: old matches replaced by new ones");
+    this.assert(!HighlightOverlayPresenter.matchedBaseWords.has("love"), "edited: vanished word leaves matchedBaseWords");
+    this.assert(HighlightOverlayPresenter.matches[1].offset === 15, "edited: offsets refer to the new text");
+  },
+
+  /**
+   * Moving a node (remove + re-insert) reports it as added, but its text
+   * still has matches from before — they must not double up.
+   */
+  async testMovedNodeNotDuplicated() {
+    const { doc, app } = this.setup();
+    const first = doc.getElementById("first");
+    app.appendChild(first);
+
+    LiveHighlightPresenter.handleMutations([removed(app, first), added(app, first)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(HighlightOverlayPresenter.matches.length === 3, "moved: still one match per occurrence");
+    this.assert(HighlightOverlayPresenter.view._ranges.length === 3, "moved: no duplicate ranges");
+  },
+
+  /**
+   * Pruning keeps the navigation position on the same match.
+   */
+  async testPruneKeepsCurrentMatch() {
+    const { doc, app } = this.setup();
+    const p = paragraph(doc, "Read it.");
+    app.insertBefore(p, doc.getElementById("first"));
+    LiveHighlightPresenter.handleMutations([added(app, p)]);
+    await LiveHighlightPresenter.flush();
+
+    HighlightOverlayPresenter.currentMatchIndex = 2; // "read" in #first
+    p.remove();
+    LiveHighlightPresenter.handleMutations([removed(app, p)]);
+    await LiveHighlightPresenter.flush();
+
+    const current = HighlightOverlayPresenter.matches[HighlightOverlayPresenter.currentMatchIndex];
+    this.assert(current?.word === "read" && current.offset === 10, "prune: current match index follows the match");
+  },
+
+  // ─── PHRASES ACROSS NODES ───────────────────────────────────────
+
+  /**
+   * Editing the link text of `At <a>low</a> school` to "high" makes a
+   * phrase across the link and the unchanged text after it.
+   */
+  async testEditedPhraseAcrossNodes() {
+    const { doc, app, changes } = this.setup();
+    const p = doc.createElement("p");
+    const link = doc.createElement("a");
+    link.appendChild(doc.createTextNode("low"));
+    for (const node of [doc.createTextNode("At "), link, doc.createTextNode(" school.")]) p.appendChild(node);
+    app.appendChild(p);
+    LiveHighlightPresenter.handleMutations([added(app, p)]);
+    await LiveHighlightPresenter.flush();
+    this.assert(this.words().includes("school"), "phrase edit: word matched before the edit");
+
+    link.firstChild.data = "high";
+    LiveHighlightPresenter.handleMutations([edited(link.firstChild)]);
+    await LiveHighlightPresenter.flush();
+
+    const phrase = HighlightOverlayPresenter.matches.find((m) => m.baseWord === "high_school");
+    this.assert(
+      phrase?.range.startContainer === link.firstChild && phrase.range.endContainer === p.lastChild && phrase.range.endOffset === 7,
+      "phrase edit: one match from the link into the text after it"
+    );
+    this.assert(!this.words().includes("school") && !this.words().includes("high"), "phrase edit: the single words it covers are gone");
+    this.assert(changes.at(-1)?.added === 1 && changes.at(-1)?.removed === 1, "phrase edit: onChange reports the swap");
+  },
+
+  /**
+   * Inserting `<a>high</a>` in front of " school" makes a phrase; the
+   * paragraph's other matches stay the same objects, so navigation keeps
+   * its place.
+   */
+  async testInsertedPhraseAcrossNodes() {
+    const { doc, app } = this.setup();
+    const p = paragraph(doc, "A book at ");
+    const tail = doc.createTextNode(" school.");
+    p.appendChild(tail);
+    app.appendChild(p);
+    LiveHighlightPresenter.handleMutations([added(app, p)]);
+    await LiveHighlightPresenter.flush();
+
+    const book = HighlightOverlayPresenter.matches.find((m) => m.textNode === p.firstChild);
+    HighlightOverlayPresenter.currentMatchIndex = HighlightOverlayPresenter.matches.indexOf(book);
+
+    const link = doc.createElement("a");
+    link.appendChild(doc.createTextNode("high"));
+    p.insertBefore(link, tail);
+    LiveHighlightPresenter.handleMutations([added(p, link)]);
+    await LiveHighlightPresenter.flush();
+
+    const phrases = HighlightOverlayPresenter.matches.filter((m) => m.baseWord === "high_school");
+    this.assert(phrases.length === 1 && phrases[0].textNode === link.firstChild && !this.words().includes("school"), "phrase insert: phrase found from the inserted link");
+    this.assert(HighlightOverlayPresenter.getCurrentMatch() === book, "phrase insert: unchanged match kept, navigation in place");
+    this.assert(
+      HighlightOverlayPresenter.view._ranges.length === HighlightOverlayPresenter.matches.length,
+      "phrase insert: no duplicate ranges"
+    );
+  },
+
+  // ─── BATCHING / LIFECYCLE ───────────────────────────────────────
+
+  /**
+   * A burst of mutations becomes one flush after the quiet period.
+   */
+  async testBurstIsBatched() {
+    const { debounceMs, maxWaitMs } = CONFIG.liveHighlight;
+    CONFIG.liveHighlight.debounceMs = 10;
+    CONFIG.liveHighlight.maxWaitMs = 100;
+
+    const { doc, app, changes } = this.setup();
+    for (let i = 0; i < 5; i++) {
+      const p = paragraph(doc, "One more book.");
+      app.appendChild(p);
+      LiveHighlightPresenter.handleMutations([added(app, p)]);
+    }
+
+    this.assert(HighlightOverlayPresenter.matches.length === 3, "batch: nothing highlighted synchronously");
+    await sleep(40);
+    this.assert(changes.length === 1 && changes[0].added === 5, "batch: one flush for the whole burst");
+
+    CONFIG.liveHighlight.debounceMs = debounceMs;
+    CONFIG.liveHighlight.maxWaitMs = maxWaitMs;
+  },
+
+  testDiscardPending() {
+    const { doc, app } = this.setup();
+    const p = paragraph(doc, "A book.");
+    app.appendChild(p);
+    LiveHighlightPresenter.handleMutations([added(app, p)]);
+
+    LiveHighlightPresenter.discardPending();
+
+    this.assert(LiveHighlightPresenter._addedNodes.size === 0, "discard: queue emptied");
+    this.assert(LiveHighlightPresenter._timer === null, "discard: timer cancelled");
+    this.assert(LiveHighlightPresenter.observer.takeRecordsCalls === 1, "discard: undelivered records taken");
+  },
+
+  async testScopeLost() {
+    let lost = 0;
+    const { doc, app } = this.setup({ onScopeLost: () => lost++ });
+    app.remove();
+
+    LiveHighlightPresenter.handleMutations([removed(doc.body, app)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(lost === 1, "scope lost: onScopeLost called");
+  },
+
+  /**
+   * beforeHighlight runs first, with the new text — the extension uses
+   * it to fetch glossary entries the page didn't have at load.
+   */
+  async testBeforeHighlightHook() {
+    let seenText = null;
+    const { doc, app } = this.setup({
+      beforeHighlight: async (text) => {
+        seenText = text;
+        VideoData.merge({
+          cat: [{ entryId: "cat", meanings: "cat", lexicalClass: "Noun", videoFile: "cat.mp4" }],
+          __inflectionMap: {},
+        });
+      },
+    });
+    const p = paragraph(doc, "A cat appeared.");
+    app.appendChild(p);
+
+    LiveHighlightPresenter.handleMutations([added(app, p)]);
+    await LiveHighlightPresenter.flush();
+
+    this.assert(seenText === "A cat appeared.", "hook: receives the new text");
+    this.assert(this.words().includes("cat"), "hook: glossary loaded by the hook is used");
+  },
+
+  /**
+   * A failed glossary lookup leaves the new text unhighlighted instead of
+   * rejecting flush() (which the debounce timer calls unhandled).
+   */
+  async testBeforeHighlightFailure() {
+    const { doc, app } = this.setup({
+      beforeHighlight: async () => {
+        throw new Error("Glossary not loaded");
+      },
+    });
+    const p = paragraph(doc, "Another book appeared.");
+    app.appendChild(p);
+
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args.join(" "));
+    let rejected = false;
+    try {
+      LiveHighlightPresenter.handleMutations([added(app, p)]);
+      await LiveHighlightPresenter.flush();
+    } catch {
+      rejected = true;
+    } finally {
+      console.error = consoleError;
+    }
+
+    this.assert(!rejected && errors.length === 1, "hook failure: flush resolves, error logged");
+    this.assert(!HighlightOverlayPresenter.matches.some((m) => m.textNode.parentNode === p), "hook failure: new text not highlighted");
+  },
+
+  // ─── RUN ALL ────────────────────────────────────────────────────
+
+  async runAll() {
+    this.results = [];
+
+    await this.testAddedParagraphIsHighlighted();
+    await this.testNestedAddedNodesNotDoubled();
+    await this.testContentOutsideScopeIgnored();
+    await this.testPopupHostIgnored();
+    await this.testMatchesStayInDocumentOrder();
+    await this.testClearedModeNotHighlighted();
+    await this.testWordModeHighlightsActiveWordOnly();
+    await this.testRemovedTextIsPruned();
+    await this.testEditedTextIsRescanned();
+    await this.testMovedNodeNotDuplicated();
+    await this.testPruneKeepsCurrentMatch();
+    await this.testEditedPhraseAcrossNodes();
+    await this.testInsertedPhraseAcrossNodes();
+    await this.testBurstIsBatched();
+    this.testDiscardPending();
+    await this.testScopeLost();
+    await this.testBeforeHighlightHook();
+    await this.testBeforeHighlightFailure();
+
+    LiveHighlightPresenter.stop();
+
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== LiveHighlight Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Top-level await: run-all.js imports suites one by one, and the next suite
+// must not reset shared globals while these async tests are still running
+await LiveHighlightTests.runAll();
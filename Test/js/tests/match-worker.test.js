@@ -0,0 +1,492 @@
+/**
+ * Match Worker Unit Tests
+ * Run with: node Test/js/tests/match-worker.test.js
+ *
+ * Tests highlighting with the text work moved into a Web Worker:
+ *   - findMatches(): prefilter + regex over plain strings, returning
+ *     [textIndex, offset, length, baseWord] tuples, rules applied
+ *   - wordResolver.getMatchData()/loadMatchData(): the glossary copy the
+ *     worker matches with gives the same results
+ *   - worker/match-worker.js message handling, and the MatchWorker
+ *     promise client (replies, error replies, a worker that dies, blob:
+ *     workers for scripts on another origin)
+ *   - HighlightOverlayView.highlightMatches(): tuples → Ranges in idle
+ *     slices, stale nodes skipped, cancelled by clear()
+ *   - HighlightOverlayPresenter.highlightAllGlossaryWordsInWorker(): same
+ *     matches as the inline pass, inline fallback, superseded passes
+ *
+ * Node has no Web Worker, so the real worker script runs in-process: a
+ * FakeWorker delivers messages to its self.onmessage asynchronously, and
+ * flushWorkers() waits until nothing is left in flight.
+ */
+
+import { parseHTML, NodeFilter } from "./helpers/mini-dom.js";
+import { CONFIG } from "../config.js";
+import { AppState } from "../model/state.js";
+import { VideoData } from "../model/video-data.js";
+import { wordResolver } from "../model/word-resolver.js";
+import { findMatches, buildWordRegex } from "../model/text-matcher.js";
+import { RULES_FORMAT, RULES_VERSION } from "../model/glossary-rules.js";
+import { MatchWorker } from "../utils/MatchWorker.js";
+import { HighlightOverlayPresenter } from "../presenter/highlight-overlay-presenter.js";
+
+// ─── BROWSER API MOCKS ──────────────────────────────────────────────
+
+globalThis.window = globalThis;
+globalThis.NodeFilter = NodeFilter;
+globalThis.Node = { DOCUMENT_POSITION_FOLLOWING: 0x04 };
+
+globalThis.Range = class MockRange {
+  setStart(node, offset) {
+    this.startContainer = node;
+    this.startOffset = offset;
+  }
+  setEnd(node, offset) {
+    this.endContainer = node;
+    this.endOffset = offset;
+  }
+  getBoundingClientRect() {
+    return { top: 0, left: 0, right: 0, bottom: 0 };
+  }
+};
+
+// highlightWord() scrolls to its first match
+globalThis.scrollY = 0;
+globalThis.innerHeight = 800;
+globalThis.scrollTo = () => {};
+
+globalThis.Highlight = class MockHighlight extends Set {
+  constructor(...ranges) {
+    super(ranges);
+  }
+};
+globalThis.CSS = { highlights: new Map() };
+
+// Idle callbacks queue up until runIdle() hands them a deadline
+const idleQueue = [];
+globalThis.requestIdleCallback = (callback) => idleQueue.push(callback);
+
+/**
+ * Run queued idle callbacks (and any they queue) with `ms` left each.
+ * Returns how many ran.
+ */
+async function runIdle(ms = 0) {
+  let slices = 0;
+  while (idleQueue.length > 0) {
+    idleQueue.shift()({ timeRemaining: () => ms, didTimeout: ms === 0 });
+    slices++;
+    await null;
+  }
+  return slices;
+}
+
+// The worker script talks to `self`; replies go to whichever FakeWorker
+// sent the message being handled. (Reuse `self` if another test file
+// loaded the script first — it stays bound to that object.)
+let replyTo = null;
+globalThis.self = globalThis.self || {};
+self.postMessage = (message) => replyTo?.deliver(message);
+await import("../worker/match-worker.js");
+
+// Messages and replies FakeWorkers have scheduled but not delivered yet
+let inFlight = 0;
+
+class FakeWorker {
+  constructor() {
+    this.posted = [];
+    this.terminated = false;
+  }
+  postMessage(message) {
+    this.posted.push(message.type);
+    const copy = structuredClone(message);
+    this._later(() => {
+      if (this.terminated) return;
+      replyTo = this;
+      self.onmessage({ data: copy });
+    });
+  }
+  deliver(message) {
+    this._later(() => this.onmessage({ data: structuredClone(message) }));
+  }
+  terminate() {
+    this.terminated = true;
+  }
+  _later(callback) {
+    inFlight++;
+    setTimeout(() => {
+      inFlight--;
+      callback();
+    }, 0);
+  }
+}
+
+/**
+ * Deliver everything FakeWorkers have in flight, including messages the
+ * main thread only sends once an earlier reply arrived ("glossary", then
+ * "match"). Each check comes after a task, so pending promise callbacks
+ * have run and posted whatever they were going to.
+ */
+async function flushWorkers() {
+  do {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  } while (inFlight > 0);
+}
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+const PAGE = `
+  <html><head></head><body>
+    <div id="app">
+      <p>I love to read a good book.</p>
+      <p>Two <em>books</em> and a degree of doubt. She loved her degree.</p>
+      <script>var book = "not prose";</script>
+      <p>High school reading, read aloud.</p>
+    </div>
+  </body></html>
+`;
+
+function glossary() {
+  const entry = (word) => [{ entryId: word, meanings: word, lexicalClass: "Noun", videoFile: `${word}.mp4` }];
+  return {
+    book: entry("book"),
+    love: entry("love"),
+    read: entry("read"),
+    degree: entry("degree"),
+    high_school: entry("high_school"),
+    __inflectionMap: { books: "book", loved: "love", reading: "read" },
+    __rules: {
+      format: RULES_FORMAT,
+      version: RULES_VERSION,
+      rules: [{ word: "degree", action: "suppress", right: ["of"] }],
+    },
+  };
+}
+
+function loadGlossary() {
+  VideoData.isLoaded = false;
+  VideoData.load(glossary());
+}
+
+function setupPage() {
+  const doc = parseHTML(PAGE);
+  globalThis.document = doc;
+  loadGlossary();
+  HighlightOverlayPresenter.init();
+  HighlightOverlayPresenter._matchWorker = null;
+  return { doc, app: doc.getElementById("app") };
+}
+
+// What a pass matched, comparable across passes
+function summary(matches) {
+  return matches.map((m) => `${m.baseWord}:${m.word}@${m.offset}`).join(" ");
+}
+
+
+const MatchWorkerTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── TEXT MATCHER ─────────────────────────────────────────────────
+
+  testFindMatches() {
+    loadGlossary();
+    const texts = ["I love reading books.", "", "A degree of doubt, her degree."];
+    const { words, matches } = findMatches(texts);
+
+    this.assert(words.includes("books") && words.includes("reading"), "findMatches: prefilter picks the forms");
+    this.assert(
+      JSON.stringify(matches) ===
+        JSON.stringify([[0, 2, 4, "love"], [0, 7, 7, "read"], [0, 15, 5, "book"], [2, 23, 6, "degree"]]),
+      "findMatches: [textIndex, offset, length, baseWord] tuples"
+    );
+    this.assert(!matches.some((m) => m[1] === 2 && m[0] === 2), "findMatches: rule-suppressed match dropped");
+
+    const only = findMatches(texts, ["book", "books"]);
+    this.assert(only.matches.length === 1 && only.matches[0][3] === "book", "findMatches: given words only");
+    this.assert(findMatches(["nothing here"]).matches.length === 0, "findMatches: no glossary words");
+    this.assert(findMatches(["x"], []).matches.length === 0, "findMatches: empty word list");
+
+    const phrase = findMatches(["At high school."]);
+    this.assert(phrase.matches[0]?.[3] === "high_school" && phrase.matches[0][2] === 11, "findMatches: phrases");
+
+    const regex = buildWordRegex(["run", "running"]);
+    this.assert("running".match(regex)[0] === "running", "buildWordRegex: longest form first");
+  },
+
+  testMatchDataRoundTrip() {
+    loadGlossary();
+    const texts = ["I love reading books. A degree of doubt. High school."];
+    const before = JSON.stringify(findMatches(texts));
+    const data = structuredClone(wordResolver.getMatchData());
+
+    this.assert(data.words.length === 5 && data.inflectionMap.books === "book", "getMatchData: words and inflections");
+    this.assert(data.rules.rules.length === 1 && data.rules.format === RULES_FORMAT, "getMatchData: rules file");
+
+    const version = wordResolver.version;
+    wordResolver.loadMatchData(data);
+    this.assert(JSON.stringify(findMatches(texts)) === before, "loadMatchData: same matches from the copy");
+    this.assert(wordResolver.reverseMap.book.includes("books"), "loadMatchData: reverse map rebuilt");
+    this.assert(wordResolver.version > version, "loadMatchData: version bumped");
+  },
+
+  // ─── WORKER + CLIENT ──────────────────────────────────────────────
+
+  async testWorkerMessages() {
+    loadGlossary();
+    const client = new MatchWorker(new FakeWorker());
+    const data = wordResolver.getMatchData();
+
+    this.assert((await client.send("glossary", data)) === null, "worker: glossary acknowledged");
+    const result = await client.send("match", { texts: ["She loved two books."] });
+    this.assert(result.matches.map((m) => m[3]).join() === "love,book", "worker: match replies with tuples");
+
+    const both = await Promise.all([
+      client.send("match", { texts: ["book"] }),
+      client.send("match", { texts: ["love love"] }),
+    ]);
+    this.assert(both[0].matches.length === 1 && both[1].matches.length === 2, "client: replies paired by id");
+
+    let error = null;
+    await client.send("resize", {}).catch((e) => (error = e));
+    this.assert(error?.message.includes("resize") && !client.failed, "client: error reply rejects that request only");
+  },
+
+  async testWorkerFailure() {
+    const fake = new FakeWorker();
+    fake.postMessage = () => {};
+    const client = new MatchWorker(fake);
+
+    const pending = client.send("match", { texts: [] }).catch((e) => e);
+    fake.onerror({ message: "SyntaxError in worker" });
+    this.assert((await pending).message === "SyntaxError in worker", "client: worker error rejects pending requests");
+    this.assert(client.failed, "client: marked failed");
+
+    const later = await client.send("match", { texts: [] }).catch((e) => e);
+    this.assert(later instanceof Error, "client: later requests reject");
+
+    this.assert(MatchWorker.create("x.js") === null, "create: null without Worker support");
+  },
+
+  /**
+   * A worker script on another origin than the page (an extension content
+   * script's files) is started through a blob: module importing it.
+   */
+  async testCreateAcrossOrigins() {
+    const created = [];
+    globalThis.Worker = class {
+      constructor(url, options) {
+        created.push({ url, options });
+      }
+      postMessage() {}
+      terminate() {}
+    };
+    globalThis.location = { origin: "https://example.com", href: "https://example.com/article" };
+    const createObjectURL = URL.createObjectURL;
+    let blob = null;
+    URL.createObjectURL = (b) => {
+      blob = b;
+      return "blob:https://example.com/1";
+    };
+
+    try {
+      MatchWorker.create("/js/worker/match-worker.js");
+      this.assert(created[0]?.url === "https://example.com/js/worker/match-worker.js" && !blob, "create: same-origin script started directly");
+
+      const script = "chrome-extension://abc/Test/js/worker/match-worker.js";
+      MatchWorker.create(new URL(script));
+      this.assert(
+        created[1]?.url === "blob:https://example.com/1" && created[1].options.type === "module",
+        "create: other origin started as a blob: module"
+      );
+      this.assert((await blob?.text()) === `import "${script}";\n`, "create: the blob imports the worker script");
+    } finally {
+      delete globalThis.Worker;
+      delete globalThis.location;
+      URL.createObjectURL = createObjectURL;
+    }
+  },
+
+  // ─── VIEW ─────────────────────────────────────────────────────────
+
+  async testHighlightMatchesSlices() {
+    const { app } = setupPage();
+    const view = HighlightOverlayPresenter.view;
+    const textNodes = view.collectTextNodes(app);
+    const texts = textNodes.map((n) => n.data);
+    const index = texts.findIndex((t) => t.includes("good book"));
+
+    // 60 matches of "book" in one node
+    const matches = Array.from({ length: 60 }, () => [index, texts[index].indexOf("book"), 4, "book"]);
+    const seen = [];
+    const done = view.highlightMatches(textNodes, texts, matches, (...args) => seen.push(args));
+
+    this.assert(view._ranges.length === 0, "slices: nothing built before idle time");
+    const slices = await runIdle(0);
+    this.assert(await done, "slices: resolves true when finished");
+    this.assert(slices === 3, "slices: at least 25 per slice with no time left (60 → 3 slices)");
+    this.assert(view._ranges.length === 60 && CSS.highlights.get("asl-words").size === 60, "slices: every range registered");
+    this.assert(
+      seen[0][0] === "book" && seen[0][1] === textNodes[index] && seen[0][3] === "book",
+      "slices: onEachMatch(matchedText, textNode, offset, baseWord)"
+    );
+
+    view.clear();
+    view.highlightMatches(textNodes, texts, matches, null);
+    this.assert((await runIdle(50)) === 1, "slices: one slice while time remains");
+  },
+
+  async testHighlightMatchesStaleAndCancelled() {
+    const { app } = setupPage();
+    const view = HighlightOverlayPresenter.view;
+    const textNodes = view.collectTextNodes(app);
+    const texts = textNodes.map((n) => n.data);
+    const { matches } = findMatches(texts);
+
+    // One node edited, one removed since the texts were read
+    const edited = matches[0][0];
+    textNodes[edited].data = "changed";
+    const removed = matches[matches.length - 1][0];
+    textNodes[removed].parentElement.removeChild(textNodes[removed]);
+
+    const done = view.highlightMatches(textNodes, texts, matches, null);
+    await runIdle(50);
+    await done;
+    const expected = matches.filter(([i]) => i !== edited && i !== removed).length;
+    this.assert(view._ranges.length === expected, "stale: matches in changed or removed nodes skipped");
+
+    view.clear();
+    const cancelled = view.highlightMatches(textNodes, texts, matches, null);
+    view.clear();
+    await runIdle(50);
+    this.assert((await cancelled) === false && view._ranges.length === 0, "cancel: clear() stops a pending pass");
+  },
+
+  // ─── PRESENTER ────────────────────────────────────────────────────
+
+  async testPresenterMatchesInlinePass() {
+    const { app } = setupPage();
+    const presenter = HighlightOverlayPresenter;
+    presenter.highlightAllGlossaryWords(app);
+    const inline = summary(presenter.matches);
+    const inlineWords = [...presenter.matchedBaseWords].sort().join();
+
+    const minChars = CONFIG.matchWorker.minChars;
+    CONFIG.matchWorker.minChars = 0;
+    const fake = new FakeWorker();
+    presenter._matchWorker = new MatchWorker(fake);
+
+    const pending = presenter.highlightAllGlossaryWordsInWorker(app);
+    this.assert(presenter.matches.length === 0 && AppState.highlightMode === "all", "worker pass: starts cleared, in all mode");
+    await flushWorkers();
+    await runIdle(50);
+    const matched = await pending;
+
+    this.assert(fake.posted.join() === "glossary,match", "worker pass: glossary sent before the first match");
+    this.assert(summary(presenter.matches) === inline, "worker pass: same matches as the inline pass");
+    this.assert([...matched].sort().join() === inlineWords, "worker pass: same base words");
+    this.assert(!summary(presenter.matches).includes("script"), "worker pass: script text skipped");
+    this.assert(presenter.view._ranges.length === presenter.matches.length, "worker pass: one range per match");
+
+    // In-process, the worker's loadMatchData() shares (and bumps) this
+    // realm's resolver version — a real worker has its own copy
+    const pass = async () => {
+      fake.posted.length = 0;
+      const next = presenter.highlightAllGlossaryWordsInWorker(app);
+      await flushWorkers();
+      await runIdle(50);
+      return next;
+    };
+    presenter._matchWorker.glossaryVersion = wordResolver.version;
+    await pass();
+    this.assert(fake.posted.join() === "match", "worker pass: unchanged glossary not resent");
+
+    presenter._matchWorker.glossaryVersion = wordResolver.version;
+    VideoData.merge({ aloud: [{ entryId: "aloud" }], __inflectionMap: {} });
+    const merged = await pass();
+    this.assert(fake.posted.join() === "glossary,match", "worker pass: merged glossary resent");
+    this.assert(merged.has("aloud"), "worker pass: merged words matched");
+
+    CONFIG.matchWorker.minChars = minChars;
+  },
+
+  async testPresenterFallbacks() {
+    const { app } = setupPage();
+    const presenter = HighlightOverlayPresenter;
+
+    // Small page: inline, no worker started
+    const small = await presenter.highlightAllGlossaryWordsInWorker(app);
+    this.assert(small.has("book") && presenter._matchWorker === null, "fallback: small pages matched inline");
+
+    const minChars = CONFIG.matchWorker.minChars;
+    CONFIG.matchWorker.minChars = 0;
+
+    // No Worker support: inline
+    const inline = await presenter.highlightAllGlossaryWordsInWorker(app);
+    this.assert(inline.has("book") && presenter._matchWorker === false, "fallback: inline without Worker support");
+
+    // A worker that dies: inline, and not tried again
+    const fake = new FakeWorker();
+    fake.postMessage = () => setTimeout(() => fake.onerror({ message: "boom" }), 0);
+    presenter._matchWorker = new MatchWorker(fake);
+    const warn = console.warn;
+    console.warn = () => {};
+    const recovered = await presenter.highlightAllGlossaryWordsInWorker(app);
+    console.warn = warn;
+    this.assert(recovered.has("book") && presenter.matches.length > 0, "fallback: failed worker → inline pass");
+    this.assert(presenter._matchWorker === false && fake.terminated, "fallback: failed worker dropped");
+
+    // Superseded by clearHighlights() while the worker runs
+    presenter._matchWorker = new MatchWorker(new FakeWorker());
+    const pending = presenter.highlightAllGlossaryWordsInWorker(app);
+    presenter.clearHighlights();
+    await flushWorkers();
+    await runIdle(50);
+    this.assert((await pending) === null && presenter.matches.length === 0, "superseded: cleared pass dropped");
+
+    // Superseded by a word pass while ranges are being built
+    const slow = presenter.highlightAllGlossaryWordsInWorker(app);
+    await flushWorkers();
+    presenter.highlightWord(app, "love");
+    await runIdle(50);
+    this.assert((await slow) === null, "superseded: word pass wins");
+    this.assert(presenter.matches.every((m) => m.baseWord === "love"), "superseded: only the word pass's matches");
+
+    CONFIG.matchWorker.minChars = minChars;
+    AppState.reset();
+  },
+
+  async runAll() {
+    this.results = [];
+
+    this.testFindMatches();
+    this.testMatchDataRoundTrip();
+    await this.testWorkerMessages();
+    await this.testWorkerFailure();
+    await this.testCreateAcrossOrigins();
+    await this.testHighlightMatchesSlices();
+    await this.testHighlightMatchesStaleAndCancelled();
+    await this.testPresenterMatchesInlinePass();
+    await this.testPresenterFallbacks();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== MatchWorker Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+await MatchWorkerTests.runAll();
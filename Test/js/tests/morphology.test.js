@@ -0,0 +1,209 @@
+/**
+ * Morphology Unit Tests
+ * Run with: node Test/js/tests/morphology.test.js
+ *
+ * Tests how the glossary build finds inflections (scripts/lib/morphology.js):
+ * - Lexicon files: UniMorph, Penn Treebank and plain part-of-speech tags,
+ *   comments, malformed lines
+ * - Attested forms replace the suffix rules for words the lexicon lists,
+ *   class by class, and the rules still cover the words it doesn't
+ * - Irregular forms, collisions with glossary words, phrases
+ * - Rule-generated forms the lexicon doesn't attest
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  Lexicon,
+  lexicalClassOf,
+  buildInflectionMap,
+  unattestedForms,
+  generateVerbInflections,
+  generateNounInflections,
+  generateAdjectiveInflections,
+} from "../../../scripts/lib/morphology.js";
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+// A few lines of UniMorph's English data, a Penn-tagged and a plain one
+const WORD_FORMS = [
+  "# lemma\tform\tpart of speech",
+  "make\tmakes\tV;PRS;3;SG",
+  "make\tmade\tV;PST",
+  "make\tmade\tV;V.PTCP;PST",
+  "make\tmaking\tV;V.PTCP;PRS",
+  "child\tchildren\tN;PL",
+  "big\tbigger\tADJ;CMPR",
+  "big\tbiggest\tADJ;SPRL",
+  "cut\tcut\tV;PST",
+  "cut\tcutting\tVBG",
+  "run\tran\tverb",
+  "",
+  "give up\tgave up\tV;PST",
+  "quickly\tquickly\tADV",
+  "broken line",
+  "\tempty\tN;PL",
+].join("\n");
+
+function lexicon(text = WORD_FORMS) {
+  const result = new Lexicon();
+  for (const line of text.split("\n")) result.addLine(line);
+  return result;
+}
+
+function entries(lexicalClass) {
+  return [{ entryId: "x", lexicalClass }];
+}
+
+const GLOSSARY = {
+  make: entries("Verb"),
+  child: entries("Noun"),
+  big: entries("Adjective"),
+  cut: entries("Verb"),
+  run: entries("Verb"),
+  walk: entries("Verb"),
+  happy: entries("Adjective"),
+  go: entries("Verb"),
+  high_school: entries("Noun"),
+  // "makes" is its own sign here
+  makes: entries("Noun"),
+};
+
+const MorphologyTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── LEXICON ──────────────────────────────────────────────────────
+
+  testTags() {
+    this.assert(lexicalClassOf("V;PST") === "Verb" && lexicalClassOf("V;V.PTCP;PRS") === "Verb", "tags: UniMorph verbs");
+    this.assert(lexicalClassOf("N;PL") === "Noun" && lexicalClassOf("ADJ;CMPR") === "Adjective", "tags: UniMorph nouns and adjectives");
+    this.assert(lexicalClassOf("VBD") === "Verb" && lexicalClassOf("NNS") === "Noun" && lexicalClassOf("JJR") === "Adjective", "tags: Penn Treebank");
+    this.assert(lexicalClassOf("verb") === "Verb" && lexicalClassOf(" Adjective ") === "Adjective" && lexicalClassOf("adj") === "Adjective", "tags: words");
+    this.assert(lexicalClassOf("ADV") === null && lexicalClassOf("RB") === null && lexicalClassOf("V.PTCP;X") === null, "tags: other parts of speech");
+  },
+
+  testLexicon() {
+    const lex = lexicon();
+
+    this.assert([...lex.formsOf("make", ["Verb"])].join() === "makes,made,making", "lexicon: forms, once each");
+    this.assert(lex.formsOf("make", ["Noun"]) === null, "lexicon: not listed for the class");
+    this.assert(lex.formsOf("walk", ["Verb"]) === null, "lexicon: not listed at all");
+    this.assert([...lex.formsOf("cut", ["Verb"])].join() === "cutting", "lexicon: a form like its lemma is left out");
+    this.assert(lex.formsOf("run", ["Noun", "Verb"]).has("ran"), "lexicon: any of several classes");
+    this.assert(lex.has("children") && lex.has("child") && !lex.has("childs"), "lexicon: known words");
+    this.assert(!lex.has("gave up") && !lex.has("quickly"), "lexicon: multi-word forms and other parts of speech ignored");
+
+    const { report } = lex;
+    this.assert(report.lines === 16 && report.forms === 8 && report.ignored === 2, "lexicon: report counts");
+    this.assert(
+      report.malformed.map((m) => `${m.line}: ${m.error}`).join(" | ") ===
+        "15: 1 fields, expected 3 (lemma, form, part of speech) | 16: empty lemma or form",
+      "lexicon: malformed lines with their numbers"
+    );
+  },
+
+  async testLoad() {
+    const dir = mkdtempSync(join(tmpdir(), "morphology-"));
+    const file = join(dir, "word-forms.tsv");
+    writeFileSync(file, "\uFEFF" + WORD_FORMS.replace(/\n/g, "\r\n"));
+
+    try {
+      const lex = await Lexicon.load(file);
+      this.assert(
+        [...lex.formsOf("make", ["Verb"])].join() === "makes,made,making" && lex.report.lines === 16,
+        "load: file with a byte-order mark and CRLF line ends"
+      );
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  // ─── INFLECTION MAP ───────────────────────────────────────────────
+
+  testRulesOnly() {
+    const { inflections, sources, stats } = buildInflectionMap(GLOSSARY);
+
+    this.assert(inflections.walked === "walk" && inflections.running === "run" && inflections.happier === "happy", "rules: regular forms");
+    this.assert(inflections.maked === "make" && inflections.bigness === "big", "rules: and their bogus ones");
+    this.assert(inflections.ran === "run" && sources.ran === "irregular" && inflections.went === "go", "rules: irregular forms");
+    this.assert(!inflections.makes && stats.collisions > 0, "rules: a glossary word is never an inflection");
+    this.assert(stats.multiWord === 1 && !Object.values(inflections).includes("high_school"), "rules: phrases skipped");
+    this.assert(stats.lexicon === 0 && Object.values(sources).every((s) => s !== "lexicon"), "rules: no lexicon, no lexicon forms");
+  },
+
+  testLexiconForms() {
+    const lex = lexicon();
+    const { inflections, sources, stats } = buildInflectionMap(GLOSSARY, { lexicon: lex });
+
+    this.assert(inflections.made === "make" && inflections.making === "make" && sources.made === "lexicon", "lexicon forms: attested");
+    this.assert(!inflections.maked && !inflections.makings, "lexicon forms: no rule forms for listed words");
+    this.assert(inflections.children === "child" && sources.children === "lexicon" && !inflections.childs, "lexicon forms: irregular plural from the lexicon");
+    this.assert(inflections.bigger === "big" && !inflections.bigness && !inflections.bigly, "lexicon forms: no -ness / -ly for adjectives it lists");
+    this.assert(inflections.ran === "run" && sources.ran === "lexicon" && !inflections.running, "lexicon forms: only what it attests");
+    this.assert(inflections.cutting === "cut" && !inflections.cuts, "lexicon forms: a lemma listed for the class");
+    this.assert(inflections.walked === "walk" && sources.walked === "rules" && inflections.happiness === "happy", "lexicon forms: rules for unlisted words");
+    this.assert(inflections.went === "go" && sources.went === "irregular", "lexicon forms: irregular table still applies");
+    this.assert(!inflections.makes, "lexicon forms: a glossary word is never an inflection");
+    this.assert(stats.lexiconWords === 5 && stats.ruleWords === 4, "lexicon forms: words per source");
+
+    // A noun in ASL-LEX still gets the verb forms the lexicon lists
+    const nounMake = buildInflectionMap({ make: entries("Noun") }, { lexicon: lex }).inflections;
+    this.assert(nounMake.making === "make" && !nounMake.maked, "lexicon forms: noun and verb forms together");
+  },
+
+  testUnattested() {
+    const lex = lexicon("walk\twalked\tV;PST\nhappy\thappier\tADJ;CMPR");
+    const glossary = { walk: entries("Noun"), happy: entries("Adjective"), go: entries("Verb") };
+    const { inflections, sources } = buildInflectionMap(glossary, { lexicon: lex });
+    const unattested = unattestedForms(inflections, sources, lex);
+
+    this.assert(unattested.length > 0 && unattested.every((u) => sources[u.form] === "rules"), "unattested: rule forms only");
+    this.assert(unattested.some((u) => u.form === "goed" && u.base === "go"), "unattested: a bogus form and its base word");
+    this.assert(!unattested.some((u) => u.form === "went" || u.form === "walked"), "unattested: lexicon and irregular forms aren't checked");
+
+    const forms = unattested.map((u) => u.form);
+    this.assert(forms.join() === [...forms].sort().join(), "unattested: sorted");
+  },
+
+  testRules() {
+    this.assert([...generateVerbInflections("stop")].join() === "stops,stopped,stopping", "rules: doubling");
+    this.assert([...generateVerbInflections("die")].join() === "dies,died,dying", "rules: -ie verbs");
+    this.assert([...generateNounInflections("knife")].join() === "knives,knifes", "rules: -fe nouns");
+    this.assert([...generateAdjectiveInflections("happy")].join() === "happier,happiest,happily,happiness", "rules: -y adjectives");
+  },
+
+  async runAll() {
+    this.results = [];
+
+    this.testTags();
+    this.testLexicon();
+    await this.testLoad();
+    this.testRulesOnly();
+    this.testLexiconForms();
+    this.testUnattested();
+    this.testRules();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== Morphology Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+await MorphologyTests.runAll();
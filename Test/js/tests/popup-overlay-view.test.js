@@ -0,0 +1,611 @@
+/**
+ * PopupOverlayView Tests
+ * Run with: node Test/js/tests/popup-overlay-view.test.js
+ *
+ * Tests what assistive technology sees of the Shadow DOM popup:
+ *   - Roles and relations: tooltip while hovering, modal dialog when
+ *     pinned; named by the word, described by meanings + matched text
+ *   - Per-state attributes for loading, has-video, no-video and no-sign
+ *     renders (aria-busy, the video's label / aria-hidden)
+ *   - The live region: what gets announced, and that repeated renders of
+ *     the same word don't re-announce
+ *   - Focus: pin() moves focus in, Tab is trapped, unpin() restores it
+ *
+ * And the playback controls: rate menu, pause/resume (including clips
+ * loaded while paused), frame stepping and replay. The <video> gets a
+ * small fake media API (play/pause/load, currentTime, duration).
+ *
+ * And the variant strip: one button per sign variant with its id, class,
+ * meanings and score; the playing, picked and locked variants marked.
+ * With debugging on, the "Why this sign?" panel lists each variant's
+ * score breakdown.
+ *
+ * The popup is built from the real template in a mini DOM (with a mini
+ * shadow root), so the tests see the same markup the browser does.
+ */
+
+import { parseHTML } from "./helpers/mini-dom.js";
+import { CONFIG } from "../config.js";
+import { PopupOverlayView } from "../view/popup-overlay-view.js";
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+const PAGE = `
+  <html><head></head><body>
+    <button id="page-button">Somewhere on the page</button>
+  </body></html>
+`;
+
+const BOOK = { meanings: "a set of printed pages", lexicalClass: "Noun" };
+
+const BOOK_VARIANTS = [
+  { entryId: "book", meanings: "book, novel", lexicalClass: "Noun" },
+  { entryId: "book_2", meanings: "reserve, <b>reservation</b>", lexicalClass: "Verb" },
+];
+
+/**
+ * AppState-shaped object for render().
+ */
+function state(overrides = {}) {
+  return {
+    currentWord: "book",
+    currentEntry: BOOK,
+    isLoading: false,
+    hasVideo: false,
+    isFingerspelling: false,
+    ...overrides,
+  };
+}
+
+/**
+ * Give the mini-DOM <video> the bits of HTMLMediaElement the view uses.
+ * load() resets playbackRate to defaultPlaybackRate, as in the browser.
+ */
+function fakeMedia(video) {
+  Object.assign(video, {
+    paused: true,
+    currentTime: 0,
+    duration: 2,
+    playbackRate: 1,
+    defaultPlaybackRate: 1,
+    calls: [],
+    play() {
+      this.calls.push("play");
+      this.paused = false;
+      return Promise.resolve();
+    },
+    pause() {
+      this.calls.push("pause");
+      this.paused = true;
+    },
+    load() {
+      this.calls.push("load");
+      this.playbackRate = this.defaultPlaybackRate;
+      this.currentTime = 0;
+    },
+  });
+  Object.defineProperty(video, "src", {
+    get() { return this.getAttribute("src") || ""; },
+    set(value) { this.setAttribute("src", value); },
+  });
+  return video;
+}
+
+function tab(view, shiftKey = false) {
+  const event = { type: "keydown", key: "Tab", shiftKey };
+  view._popup.dispatchEvent(event);
+  return event;
+}
+
+const PopupOverlayViewTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  setup() {
+    const doc = parseHTML(PAGE);
+    globalThis.document = doc;
+
+    const view = new PopupOverlayView();
+    view.create();
+    return { doc, view, shadow: view._shadow, popup: view._popup };
+  },
+
+  liveText(view) {
+    return view._shadow.querySelector(".asl-popup-live").textContent;
+  },
+
+  // ─── STRUCTURE ────────────────────────────────────────────────────
+
+  testStaticStructure() {
+    const { shadow, popup } = this.setup();
+
+    this.assert(popup.getAttribute("role") === "tooltip", "structure: tooltip role by default");
+    this.assert(!popup.hasAttribute("aria-modal"), "structure: not modal by default");
+
+    const labelId = popup.getAttribute("aria-labelledby");
+    this.assert(
+      shadow.getElementById(labelId)?.classList.contains("asl-popup-word"),
+      "structure: labelled by the word"
+    );
+
+    const describedBy = popup.getAttribute("aria-describedby").split(" ");
+    this.assert(
+      describedBy.every((id) => shadow.getElementById(id)),
+      "structure: every aria-describedby id exists in the shadow root"
+    );
+    this.assert(describedBy.includes("asl-popup-meanings"), "structure: described by meanings");
+
+    const live = shadow.querySelector(".asl-popup-live");
+    this.assert(live.getAttribute("role") === "status", "structure: live region has status role");
+    this.assert(live.getAttribute("aria-live") === "polite", "structure: live region is polite");
+    this.assert(!popup.contains(live), "structure: live region outside the hideable popup");
+
+    const close = shadow.querySelector(".asl-popup-close");
+    this.assert(close.getAttribute("aria-label") === "Close", "structure: close button has a text label");
+  },
+
+  testMatchedText() {
+    const { view, shadow } = this.setup();
+
+    view.setMatchedText("high school");
+    this.assert(
+      shadow.getElementById("asl-popup-matched").textContent === "Matched text: high school",
+      "setMatchedText: copy of page text in the description"
+    );
+
+    view.setMatchedText("");
+    this.assert(shadow.getElementById("asl-popup-matched").textContent === "", "setMatchedText: cleared");
+  },
+
+  // ─── RENDER STATES ────────────────────────────────────────────────
+
+  testLoadingState() {
+    const { view, popup } = this.setup();
+
+    view.render(state({ currentEntry: null, isLoading: true }));
+    this.assert(popup.classList.contains("loading"), "loading: class set");
+    this.assert(popup.getAttribute("aria-busy") === "true", "loading: aria-busy true");
+    this.assert(view._video.getAttribute("aria-hidden") === "true", "loading: video hidden from AT");
+    this.assert(this.liveText(view) === "", "loading: nothing announced before the entry is known");
+
+    view.render(state({ isLoading: true }));
+    this.assert(
+      this.liveText(view) === "book, Noun: a set of printed pages",
+      "loading: announced once the entry is known"
+    );
+  },
+
+  testHasVideoState() {
+    const { view, popup } = this.setup();
+
+    view.render(state({ hasVideo: true }));
+    this.assert(popup.classList.contains("has-video"), "has-video: class set");
+    this.assert(popup.getAttribute("aria-busy") === "false", "has-video: not busy");
+    this.assert(!view._video.hasAttribute("aria-hidden"), "has-video: video exposed to AT");
+    this.assert(
+      view._video.getAttribute("aria-label") === 'ASL sign for "book"',
+      "has-video: video has a text alternative"
+    );
+    this.assert(
+      this.liveText(view) === "book, Noun: a set of printed pages",
+      "has-video: word, lexical class and meanings announced"
+    );
+  },
+
+  testNoVideoState() {
+    const { view, popup } = this.setup();
+
+    view.render(state({ hasVideo: true }));
+    view.render(state({ hasVideo: false }));
+    this.assert(popup.classList.contains("no-video"), "no-video: class set");
+    this.assert(popup.getAttribute("aria-busy") === "false", "no-video: not busy");
+    this.assert(view._video.getAttribute("aria-hidden") === "true", "no-video: video hidden again");
+    this.assert(!view._video.hasAttribute("aria-label"), "no-video: stale video label removed");
+  },
+
+  testNoSignState() {
+    const { view } = this.setup();
+
+    view.render(state({ currentWord: "Kubernetes", currentEntry: null }));
+    this.assert(
+      this.liveText(view) === "Kubernetes: no ASL-LEX sign. Fingerspelling available.",
+      "no-sign: fallback announced"
+    );
+  },
+
+  testAnnouncementDedupe() {
+    const { view } = this.setup();
+
+    view.render(state({ isLoading: true }));
+    const live = view._shadow.querySelector(".asl-popup-live");
+    live.textContent = "(sentinel)";
+
+    view.render(state({ hasVideo: true }));
+    this.assert(live.textContent === "(sentinel)", "announce: same word not re-announced");
+
+    view.render(state({ currentWord: "read", currentEntry: { meanings: "to look at text", lexicalClass: "" } }));
+    this.assert(live.textContent === "read: to look at text", "announce: new word announced, no empty class");
+  },
+
+  // ─── FOCUS ────────────────────────────────────────────────────────
+
+  testPinMovesFocusAndRole() {
+    const { doc, view, shadow, popup } = this.setup();
+    const pageButton = doc.getElementById("page-button");
+    pageButton.focus();
+
+    view.pin();
+    this.assert(popup.getAttribute("role") === "dialog", "pin: dialog role");
+    this.assert(popup.getAttribute("aria-modal") === "true", "pin: aria-modal");
+    this.assert(
+      shadow.activeElement === shadow.querySelector(".asl-popup-close"),
+      "pin: focus moved to the close button"
+    );
+    this.assert(doc.activeElement === view._host, "pin: document sees the popup host focused");
+
+    view.unpin();
+    this.assert(popup.getAttribute("role") === "tooltip", "unpin: back to tooltip");
+    this.assert(!popup.hasAttribute("aria-modal"), "unpin: aria-modal removed");
+    this.assert(doc.activeElement === pageButton, "unpin: focus restored");
+    this.assert(shadow.activeElement === null, "unpin: nothing focused in the popup");
+  },
+
+  testRepinKeepsReturnTarget() {
+    const { doc, view } = this.setup();
+    const pageButton = doc.getElementById("page-button");
+    pageButton.focus();
+
+    view.pin();
+    view.pin(); // next word while already pinned: focus is inside now
+    view.unpin();
+    this.assert(doc.activeElement === pageButton, "re-pin: focus still restored to the page");
+  },
+
+  testUnpinAfterFocusMovedAway() {
+    const { doc, view } = this.setup();
+    const pageButton = doc.getElementById("page-button");
+
+    view.pin();
+    pageButton.focus(); // user clicked/tabbed out before closing
+    view.unpin();
+    this.assert(doc.activeElement === pageButton, "unpin: focus elsewhere is left alone");
+  },
+
+  testFocusTrap() {
+    const { view, shadow } = this.setup();
+    const close = shadow.querySelector(".asl-popup-close");
+    const fingerspell = shadow.querySelector(".asl-popup-fingerspell-btn");
+    const speed = shadow.querySelector(".asl-popup-fingerspell-speed-input");
+
+    view.render(state({ currentWord: "Kubernetes", currentEntry: null })); // shows fingerspell button
+    view.pin();
+
+    speed.focus();
+    let event = tab(view);
+    this.assert(event.defaultPrevented && shadow.activeElement === close, "trap: Tab from last wraps to first");
+
+    event = tab(view, true);
+    this.assert(event.defaultPrevented && shadow.activeElement === speed, "trap: Shift+Tab from first wraps to last");
+
+    close.focus();
+    event = tab(view);
+    this.assert(!event.defaultPrevented, "trap: Tab between controls left to the browser");
+
+    view.render(state()); // entry found → fingerspell button hidden
+    this.assert(!view._focusables().includes(fingerspell), "trap: hidden controls skipped");
+
+    view.unpin();
+    event = tab(view);
+    this.assert(!event.defaultPrevented, "trap: inactive when not pinned");
+  },
+
+  // ─── PLAYBACK CONTROLS ────────────────────────────────────────────
+
+  setupPlayback(rate = 1) {
+    const context = this.setup();
+    const handlers = { rates: [], toggles: 0, steps: [], replays: 0 };
+    fakeMedia(context.view._video);
+
+    context.view.bindPlaybackControls({
+      rate,
+      onRateChange: (r) => handlers.rates.push(r),
+      onTogglePause: () => handlers.toggles++,
+      onStep: (direction) => handlers.steps.push(direction),
+      onReplay: () => handlers.replays++,
+    });
+    return { ...context, handlers };
+  },
+
+  testRateMenu() {
+    const { view, shadow, handlers } = this.setupPlayback(0.5);
+    const select = shadow.querySelector(".asl-popup-rate");
+    const options = select.querySelectorAll("option").map((o) => Number(o.getAttribute("value")));
+
+    this.assert(
+      options.join() === CONFIG.playback.rates.join(),
+      "rate menu: one option per CONFIG.playback.rates entry"
+    );
+    this.assert(select.value === "0.5", "rate menu: starts at the given rate");
+
+    select.value = "0.25";
+    select.dispatchEvent({ type: "change" });
+    this.assert(handlers.rates[0] === 0.25, "rate menu: change reports a number");
+
+    view.render(state({ hasVideo: true, playbackRate: 1.5 }));
+    this.assert(select.value === "1.5", "rate menu: render shows the state's rate");
+  },
+
+  testRateAppliesToEveryClip() {
+    const { view } = this.setupPlayback(0.5);
+    const video = view._video;
+
+    this.assert(video.playbackRate === 0.5, "rate: applied to the current video");
+
+    view.loadVideo("blob:one");
+    this.assert(video.playbackRate === 0.5, "rate: kept when the next clip loads");
+
+    view.setPlaybackRate(0.75);
+    view.loadVideo("blob:two");
+    this.assert(video.playbackRate === 0.75, "rate: new rate kept across loads");
+  },
+
+  testPauseResume() {
+    const { view } = this.setupPlayback();
+    const video = view._video;
+
+    view.loadVideo("blob:one");
+    this.assert(!video.paused, "pause: clip plays after loading");
+
+    view.setPaused(true);
+    this.assert(video.paused, "pause: setPaused(true) pauses");
+
+    // Next variant in a cycle arrives while paused
+    video.calls = [];
+    view.loadVideo("blob:two");
+    this.assert(video.paused && !video.calls.includes("play"), "pause: clips loaded while paused stay paused");
+
+    view.setPaused(false);
+    this.assert(!video.paused, "pause: setPaused(false) resumes");
+  },
+
+  testPauseButton() {
+    const { view, shadow, handlers } = this.setupPlayback();
+    const button = shadow.querySelector(".asl-popup-pause");
+
+    button.dispatchEvent({ type: "click" });
+    this.assert(handlers.toggles === 1, "pause button: click reports toggle");
+
+    view.render(state({ hasVideo: true, isPaused: true }));
+    this.assert(button.getAttribute("aria-pressed") === "true", "pause button: pressed while paused");
+    this.assert(button.title === "Resume", "pause button: offers resume");
+
+    view.render(state({ hasVideo: true, isPaused: false }));
+    this.assert(button.getAttribute("aria-pressed") === "false", "pause button: not pressed while playing");
+  },
+
+  testFrameStep() {
+    const { view, shadow, handlers } = this.setupPlayback();
+    const video = view._video;
+    const { frameSeconds } = CONFIG.playback;
+
+    const [back, forward] = shadow.querySelectorAll(".asl-popup-step");
+    forward.dispatchEvent({ type: "click" });
+    back.dispatchEvent({ type: "click" });
+    this.assert(handlers.steps.join() === "1,-1", "step buttons: report direction");
+
+    video.currentTime = 1;
+    view.stepFrame(1);
+    this.assert(Math.abs(video.currentTime - (1 + frameSeconds)) < 1e-9, "step: forward one frame");
+
+    view.stepFrame(-1);
+    view.stepFrame(-1);
+    this.assert(Math.abs(video.currentTime - (1 - frameSeconds)) < 1e-9, "step: back one frame");
+
+    video.currentTime = 0;
+    view.stepFrame(-1);
+    this.assert(video.currentTime === 0, "step: clamped at the start");
+
+    video.currentTime = video.duration;
+    view.stepFrame(1);
+    this.assert(video.currentTime === video.duration, "step: clamped at the end");
+  },
+
+  testReplay() {
+    const { view, shadow, handlers } = this.setupPlayback();
+    const video = view._video;
+
+    shadow.querySelector(".asl-popup-replay").dispatchEvent({ type: "click" });
+    this.assert(handlers.replays === 1, "replay button: click reports replay");
+
+    view.loadVideo("blob:one");
+    view.setPaused(true);
+    video.currentTime = 1.2;
+    view.replay();
+    this.assert(video.currentTime === 0, "replay: back to the first frame");
+    this.assert(!video.paused, "replay: playing again, even if paused");
+  },
+
+  // ─── VARIANT STRIP ────────────────────────────────────────────────
+
+  variantButtons(view) {
+    return view._shadow.querySelectorAll(".asl-popup-variant");
+  },
+
+  testVariantStripContent() {
+    const { view, popup } = this.setup();
+
+    view.render(state({ variants: [BOOK_VARIANTS[0]], currentEntry: BOOK_VARIANTS[0] }));
+    this.assert(!popup.classList.contains("has-variants"), "variants: hidden for a single sign");
+    this.assert(this.variantButtons(view).length === 0, "variants: no buttons for a single sign");
+
+    view.render(state({ variants: BOOK_VARIANTS, currentEntry: BOOK_VARIANTS[0] }));
+    const buttons = this.variantButtons(view);
+    this.assert(popup.classList.contains("has-variants"), "variants: shown when there's a choice");
+    this.assert(buttons.length === 2, "variants: one button per variant");
+
+    const text = (btn, part) => btn.querySelector(`.asl-popup-variant-${part}`).textContent;
+    this.assert(text(buttons[1], "id") === "book_2", "variants: entryId shown");
+    this.assert(text(buttons[1], "class") === "Verb", "variants: lexicalClass shown");
+    this.assert(
+      text(buttons[1], "meanings") === "reserve, <b>reservation</b>" &&
+        !buttons[1].querySelector("b"),
+      "variants: meanings shown as text, not markup"
+    );
+  },
+
+  testVariantStripState() {
+    const { view } = this.setup();
+    const locks = new Map([["book", 1]]);
+
+    view.render(state({
+      variants: BOOK_VARIANTS,
+      variantScores: [0, 4],
+      pickedVariant: 1,
+      currentEntry: BOOK_VARIANTS[0],
+    }));
+    const buttons = this.variantButtons(view);
+    const score = (btn) => btn.querySelector(".asl-popup-variant-score").textContent;
+
+    this.assert(buttons[0].getAttribute("aria-pressed") === "true", "variants: playing variant pressed");
+    this.assert(buttons[1].getAttribute("aria-pressed") === "false", "variants: others not pressed");
+    this.assert(buttons[1].classList.contains("picked"), "variants: disambiguation pick marked");
+    this.assert(score(buttons[1]) === "picked \u00B7 score 4", "variants: pick shows its score");
+    this.assert(score(buttons[0]) === "score 0", "variants: every variant shows its score");
+
+    const lock = view._shadow.querySelector(".asl-popup-variant-lock");
+    this.assert(lock.getAttribute("aria-pressed") === "false", "lock: not pressed without a lock");
+
+    view.render(state({
+      variants: BOOK_VARIANTS,
+      currentEntry: BOOK_VARIANTS[1],
+      variantLocks: locks,
+    }));
+    this.assert(this.variantButtons(view)[0] === buttons[0], "variants: same entries → buttons reused");
+    this.assert(buttons[1].classList.contains("locked"), "lock: locked variant marked");
+    this.assert(lock.getAttribute("aria-pressed") === "true", "lock: pressed for a locked word");
+    this.assert(score(buttons[1]) === "", "variants: no scores → no score text");
+
+    view.render(state({ currentWord: "cool", variants: BOOK_VARIANTS, variantLocks: locks }));
+    this.assert(lock.getAttribute("aria-pressed") === "false", "lock: other words unaffected");
+
+    view.render(state({ variants: [...BOOK_VARIANTS] }));
+    this.assert(this.variantButtons(view)[0] !== buttons[0], "variants: new entries → buttons rebuilt");
+  },
+
+  testVariantStripEvents() {
+    const { view, shadow } = this.setup();
+    const selected = [];
+    let toggles = 0;
+
+    view.bindVariantControls({
+      onSelect: (index) => selected.push(index),
+      onToggleLock: () => toggles++,
+    });
+    view.render(state({ variants: BOOK_VARIANTS, currentEntry: BOOK_VARIANTS[0] }));
+
+    const idSpan = this.variantButtons(view)[1].querySelector(".asl-popup-variant-id");
+    idSpan.dispatchEvent({ type: "click" });
+    this.assert(selected[0] === 1, "variants: click (on inner text) selects that variant");
+
+    shadow.querySelector(".asl-popup-variant-lock").dispatchEvent({ type: "click" });
+    this.assert(toggles === 1, "lock: click reports toggle");
+  },
+
+  // ─── DEBUG PANEL ──────────────────────────────────────────────────
+
+  testDebugPanel() {
+    const { view, popup, shadow } = this.setup();
+    const layers = (points, matched = []) => ({ points, neighbors: matched, tokens: matched });
+    const report = [
+      { entryId: "book", score: 6, lexicalClass: layers(1, ["shelf"]), semanticField: layers(0),
+        lesk: layers(0), feedback: { points: 0 }, partOfSpeech: { points: 5, tag: "Noun" } },
+      { entryId: "book_2", score: 7, lexicalClass: layers(0), semanticField: layers(2, ["hotel"]),
+        lesk: layers(3, ["reserve"]), feedback: { points: 2 }, rules: { points: 0 } },
+    ];
+    const panel = shadow.querySelector(".asl-popup-debug");
+    const withReport = state({ variants: BOOK_VARIANTS, variantReport: report, pickedVariant: 1 });
+
+    view.render(withReport);
+    this.assert(!popup.classList.contains("has-report") && panel.hidden, "debug: off by default");
+
+    view.setDebug(true);
+    view.render(withReport);
+    const items = panel.querySelectorAll("li");
+    this.assert(popup.classList.contains("debug") && !panel.hidden, "debug: panel shown when enabled");
+    this.assert(items.length === 2, "debug: one line per variant");
+    this.assert(
+      items[1].textContent ===
+        "book_2 = 7: class +0, field +2 (hotel), meanings +3 (reserve), feedback +2",
+      "debug: line lists every layer and what it matched"
+    );
+    this.assert(
+      items[0].textContent ===
+        "book = 6: class +1 (shelf), field +0, meanings +0, feedback +0, grammar +5 (Noun)",
+      "debug: part of speech listed when the sentence was tagged"
+    );
+    this.assert(items[1].className === "picked" && items[0].className === "", "debug: pick marked");
+
+    view.render(state({
+      variants: BOOK_VARIANTS,
+      variantReport: [{ ...report[0], rules: { points: -10 } }, { ...report[1], rules: { points: 10 } }],
+      pickedVariant: 1,
+    }));
+    const ruled = panel.querySelectorAll("li");
+    this.assert(ruled[1].textContent.endsWith(", feedback +2, rules +10"), "debug: forcing rule listed");
+    this.assert(ruled[0].textContent.endsWith("grammar +5 (Noun), rules -10"), "debug: ruling-out rule listed");
+
+    view.pin();
+    this.assert(view._focusables().includes(panel.querySelector("summary")), "debug: summary in the focus trap");
+
+    view.render(state({ variants: [BOOK_VARIANTS[0]], variantReport: [report[0]] }));
+    this.assert(panel.hidden, "debug: hidden for a single sign");
+    this.assert(!view._focusables().includes(panel.querySelector("summary")), "debug: hidden summary skipped");
+  },
+
+  runAll() {
+    this.results = [];
+
+    this.testStaticStructure();
+    this.testMatchedText();
+    this.testLoadingState();
+    this.testHasVideoState();
+    this.testNoVideoState();
+    this.testNoSignState();
+    this.testAnnouncementDedupe();
+    this.testPinMovesFocusAndRole();
+    this.testRepinKeepsReturnTarget();
+    this.testUnpinAfterFocusMovedAway();
+    this.testFocusTrap();
+    this.testRateMenu();
+    this.testRateAppliesToEveryClip();
+    this.testPauseResume();
+    this.testPauseButton();
+    this.testFrameStep();
+    this.testReplay();
+    this.testVariantStripContent();
+    this.testVariantStripState();
+    this.testVariantStripEvents();
+    this.testDebugPanel();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== PopupOverlayView Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+PopupOverlayViewTests.runAll();
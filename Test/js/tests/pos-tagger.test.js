@@ -0,0 +1,151 @@
+/**
+ * PosTagger Unit Tests
+ * Run with: node Test/js/tests/pos-tagger.test.js
+ *
+ * Tests the lexicon + rules part-of-speech tagger and the disambiguation
+ * layer built on it:
+ *   - tag(): function words from the lexicon, suffix guesses, and open
+ *     words settled by their neighbours ("the bat flew" vs "bat the ball")
+ *   - tagWordAt(): only the word's own sentence is read
+ *   - VideoData: +CONFIG.partOfSpeech.weight to variants with the tagged
+ *     lexicalClass, only when the tag tells the variants apart
+ */
+
+import { CONFIG } from "../config.js";
+import { PosTagger } from "../model/pos-tagger.js";
+import { VideoData } from "../model/video-data.js";
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+/**
+ * Tag of `word` in `sentence`.
+ */
+function tagOf(sentence, word) {
+  const words = sentence.toLowerCase().match(/\b[a-z]+\b/g);
+  return PosTagger.tag(words)[words.indexOf(word)];
+}
+
+const BAT = [
+  { entryId: "bat_1", meanings: "bat, flying mammal", lexicalClass: "Noun" },
+  { entryId: "bat_3", meanings: "hit, strike, swing", lexicalClass: "Verb" },
+];
+
+const PosTaggerTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── TAGGING ──────────────────────────────────────────────────────
+
+  testLexicon() {
+    const tags = PosTagger.tag(["the", "old", "owl", "will", "not", "fly", "very", "far"]);
+    this.assert(tags[0] === "Minor" && tags[3] === "Minor", "lexicon: function words are Minor");
+    this.assert(tags[1] === "Adjective", "lexicon: common adjective");
+    this.assert(tags[4] === "Adverb" && tags[6] === "Adverb", "lexicon: not/very are adverbs");
+    this.assert(tags[5] === "Verb", "lexicon: common verb");
+    this.assert(PosTagger.tag(["two"])[0] === "Number", "lexicon: numbers");
+  },
+
+  testSuffixes() {
+    this.assert(tagOf("he ran quickly", "quickly") === "Adverb", "suffix: -ly → Adverb");
+    this.assert(tagOf("make a reservation", "reservation") === "Noun", "suffix: -tion → Noun");
+    this.assert(tagOf("a famous bat", "famous") === "Adjective", "suffix: -ous → Adjective");
+    this.assert(tagOf("we booked early", "booked") === "Verb", "suffix: -ed → Verb when no rule fires");
+    this.assert(tagOf("the booking failed", "booking") === "Noun", "suffix: a rule beats -ing");
+  },
+
+  testNounContexts() {
+    this.assert(tagOf("The bat flew out of the cave", "bat") === "Noun", "noun: the bat flew");
+    this.assert(tagOf("He found a book about birds", "book") === "Noun", "noun: after an article");
+    this.assert(tagOf("My book is red", "book") === "Noun", "noun: after a possessive");
+    this.assert(tagOf("John's book is red", "book") === "Noun", "noun: after 's");
+    this.assert(tagOf("The old bat slept", "bat") === "Noun", "noun: after an adjective");
+    this.assert(tagOf("He hit it with great force", "force") === "Noun", "noun: after a preposition + adjective");
+    this.assert(tagOf("The baseball bat broke", "bat") === "Noun", "noun: second noun of a noun phrase");
+    this.assert(tagOf("Two bats hung there", "bats") === "Noun", "noun: after a number");
+  },
+
+  testVerbContexts() {
+    this.assert(tagOf("Bat the ball to me", "bat") === "Verb", "verb: bat the ball");
+    this.assert(tagOf("Please book a room", "book") === "Verb", "verb: before an article, after please");
+    this.assert(tagOf("Book it now", "book") === "Verb", "verb: before an object pronoun");
+    this.assert(tagOf("I book flights online", "book") === "Verb", "verb: after a subject pronoun");
+    this.assert(tagOf("She wants to bat first", "bat") === "Verb", "verb: after to");
+    this.assert(tagOf("They will not book early", "book") === "Verb", "verb: after a modal, skipping not");
+    this.assert(tagOf("Don't bat at flies", "bat") === "Verb", "verb: after don't");
+    this.assert(tagOf("The dog bats the ball", "bats") === "Verb", "verb: between subject and object");
+  },
+
+  testUnknown() {
+    this.assert(PosTagger.tag(["bat"])[0] === null, "unknown: a lone open word is untagged");
+    this.assert(tagOf("Bats fly", "bats") === null, "unknown: no rule fires → null");
+  },
+
+  testTagWordAt() {
+    const text = "Bat the ball. The bat flew away.";
+    this.assert(PosTagger.tagWordAt(text, 0) === "Verb", "tagWordAt: first sentence");
+    this.assert(PosTagger.tagWordAt(text, text.lastIndexOf("bat") + 1) === "Noun", "tagWordAt: only its own sentence");
+    this.assert(PosTagger.tagWordAt("...", 1) === null, "tagWordAt: no word → null");
+  },
+
+  // ─── DISAMBIGUATION ───────────────────────────────────────────────
+
+  testDisambiguationLayer() {
+    const { weight } = CONFIG.partOfSpeech;
+
+    let [noun, verb] = VideoData.explainVariants(BAT, [], [], "bat", { partOfSpeech: "Verb" });
+    this.assert(verb.partOfSpeech.points === weight && noun.partOfSpeech.points === 0, "layer: matching class scores the weight");
+    this.assert(verb.score === weight && verb.partOfSpeech.tag === "Verb", "layer: counted in the score, tag kept");
+
+    this.assert(VideoData.disambiguate(BAT, [], [], "bat", { partOfSpeech: "Noun" }) === 0, "layer: Noun tag picks the noun");
+    this.assert(VideoData.disambiguate(BAT, [], [], "bat", { partOfSpeech: "Verb" }) === 1, "layer: Verb tag picks the verb");
+    this.assert(VideoData.disambiguate(BAT, [], [], "bat", {}) === -1, "layer: untagged → no signal");
+
+    // One meaning word for the animal doesn't beat the grammar
+    const context = ["bat", "the", "flying", "ball"];
+    this.assert(
+      VideoData.disambiguate(BAT, [], context, "bat", { partOfSpeech: "Verb" }) === 1,
+      "layer: grammar outweighs a single meanings hit"
+    );
+
+    const nouns = [BAT[0], { ...BAT[0], entryId: "bat_2" }];
+    [noun] = VideoData.explainVariants(nouns, [], [], "bat", { partOfSpeech: "Noun" });
+    this.assert(noun.partOfSpeech.points === 0, "layer: no points when every variant has the class");
+    this.assert(VideoData.disambiguate(nouns, [], [], "bat", { partOfSpeech: "Noun" }) === -1, "layer: ...so still no pick");
+
+    [noun, verb] = VideoData.explainVariants(BAT, [], [], "bat", { partOfSpeech: "Adjective" });
+    this.assert(noun.score === 0 && verb.score === 0, "layer: a class no variant has scores nothing");
+  },
+
+  runAll() {
+    this.results = [];
+
+    this.testLexicon();
+    this.testSuffixes();
+    this.testNounContexts();
+    this.testVerbContexts();
+    this.testUnknown();
+    this.testTagWordAt();
+    this.testDisambiguationLayer();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== PosTagger Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+PosTaggerTests.runAll();
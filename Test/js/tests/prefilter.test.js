@@ -91,19 +91,28 @@ const mockResultView = {
 
 // We need to mock the modules that the presenter imports.
 // Since we're in Node with ES modules, we set up wordResolver directly.
+import { readFileSync } from "node:fs";
 import { wordResolver } from "../model/word-resolver.js";
 import { HighlightOverlayPresenter } from "../presenter/highlight-overlay-presenter.js";
 
+// The curated rules file the glossary build ships — the suppress tests
+// below check its "degree" collocations
+const GLOSSARY_RULES = JSON.parse(
+  readFileSync(new URL("../../../scripts/data/glossary-rules.json", import.meta.url), "utf-8")
+);
+
 // ─── TEST HELPERS ───────────────────────────────────────────────────
 
 /**
- * Sets up wordResolver with a fake glossary and inflection map.
+ * Sets up wordResolver with a fake glossary and inflection map, plus the
+ * curated glossary rules.
  *
  * @param {Object} glossary - e.g. { "run": true, "ball": true, "throw": true }
  * @param {Object} inflectionMap - e.g. { "running": "run", "threw": "throw" }
  */
 function setupWordResolver(glossary, inflectionMap = {}) {
   wordResolver.init(glossary);
+  wordResolver.setRules(GLOSSARY_RULES);
   wordResolver.inflectionMap = inflectionMap;
 
   // Build the reverse map (base → [inflected forms])
@@ -342,8 +351,8 @@ const PrefilterTests = {
   /**
    * Tests that words adjacent to punctuation still match.
    *
-   * The regex /\b[a-z]+\b/g uses word boundaries, so "ball," and
-   * "(run)" should tokenize to "ball" and "run".
+   * The tokenizer (model/tokenizer.js) splits on punctuation, so "ball,"
+   * and "(run)" should tokenize to "ball" and "run".
    */
   testPunctuationAdjacent() {
     this.setup();
@@ -519,8 +528,8 @@ const PrefilterTests = {
   },
 
   /**
-   * Numeric phrase: "1 dollar" should be detected via substring search
-   * even though the tokenizer /\b[a-z]+\b/g won't catch "1".
+   * Numeric phrase: "1 dollar" should be detected via substring search,
+   * like any phrase, now that "1" is a token of its own too.
    */
   testPhraseNumeric() {
     this.setup();
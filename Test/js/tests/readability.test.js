@@ -0,0 +1,208 @@
+/**
+ * Readability Unit Tests
+ * Run with: node Test/js/tests/readability.test.js
+ *
+ * Tests the main-content detection that scopes highlighting to the
+ * article body (so nav bars, sidebars, footers and comment sections
+ * aren't highlighted).
+ *
+ * WHAT WE'RE TESTING:
+ *   - Readability.parse() on fixture pages (fixtures/readability/*.html)
+ *   - The scoring helpers in isolation (_getNameScore, _scoreParagraph)
+ *   - Title extraction
+ *   - findMainContent(): returns the LIVE element and never mutates the page
+ *
+ * No jsdom: fixtures are parsed with the tiny DOM in helpers/mini-dom.js.
+ */
+
+import { readFileSync } from "node:fs";
+import { Readability, findMainContent } from "../utils/Readability.js";
+import { parseHTML } from "./helpers/mini-dom.js";
+
+function loadFixture(name) {
+  const url = new URL(`./fixtures/readability/${name}`, import.meta.url);
+  return parseHTML(readFileSync(url, "utf8"));
+}
+
+const ReadabilityTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── FIXTURE PAGES ──────────────────────────────────────────────
+
+  /**
+   * A typical blog: the post must beat the sidebar (link-heavy), the
+   * comments (negative class name) and a hidden promo block that has
+   * more commas than anything else on the page.
+   */
+  testBlogPicksPostBody() {
+    const article = new Readability(loadFixture("blog-with-nav.html")).parse();
+
+    this.assert(article !== null, "blog: article found");
+    this.assert(article.element.id === "post", "blog: winner is the post body");
+    this.assert(article.content.includes("Hartford, Connecticut"), "blog: content includes article text");
+    this.assert(!article.content.includes("Limited offer"), "blog: hidden promo excluded");
+    this.assert(!article.content.includes("Great article"), "blog: comments excluded");
+    this.assert(!article.content.includes("Popular posts"), "blog: sidebar excluded");
+  },
+
+  /**
+   * Post-processing drops link-only wrappers inside the winner.
+   */
+  testBlogStripsShareLinks() {
+    const article = new Readability(loadFixture("blog-with-nav.html")).parse();
+    this.assert(!article.content.includes("Tweet"), "blog: share links removed from content");
+  },
+
+  /**
+   * One <section> per heading: each section scores on its own, but the
+   * article is their common parent — not whichever section won.
+   */
+  testSectionedArticleClimbsToParent() {
+    const article = new Readability(loadFixture("sectioned-article.html")).parse();
+
+    this.assert(article !== null, "sectioned: article found");
+    this.assert(article.element.id === "article", "sectioned: winner is <article>, not one section");
+    this.assert(article.content.includes("Marked handshapes"), "sectioned: last section kept");
+    this.assert(!article.content.includes("See also"), "sectioned: <aside> excluded");
+  },
+
+  testNoContentReturnsNull() {
+    const article = new Readability(loadFixture("no-content.html")).parse();
+    this.assert(article === null, "no-content: parse() returns null");
+  },
+
+  // ─── TITLE ──────────────────────────────────────────────────────
+
+  testTitleKeepsLongerHalf() {
+    const article = new Readability(loadFixture("blog-with-nav.html")).parse();
+    this.assert(
+      article.title === "How Deaf Schools Shaped American Sign Language",
+      "title: site name after ' | ' dropped"
+    );
+  },
+
+  testTitleFallsBackToH1() {
+    const article = new Readability(loadFixture("sectioned-article.html")).parse();
+    this.assert(
+      article.title === "Handshape in Sign Language Phonology",
+      "title: one-word <title> falls back to <h1>"
+    );
+  },
+
+  testTitleDashSeparator() {
+    const doc = parseHTML("<html><head><title>Signs for Colors in ASL - Lessons</title></head><body></body></html>");
+    this.assert(new Readability(doc)._getTitle() === "Signs for Colors in ASL", "title: ' - ' separator handled");
+  },
+
+  // ─── SCORING HELPERS ────────────────────────────────────────────
+
+  testNameScore() {
+    const doc = parseHTML(
+      '<div id="a" class="post-content"></div>' +
+      '<div id="b" class="sidebar"></div>' +
+      '<div id="c" class="comment-body"></div>' +
+      '<div id="d" class="header shadow"></div>'
+    );
+    const reader = new Readability(doc);
+
+    this.assert(reader._getNameScore(doc.getElementById("a")) === 25, "nameScore: positive class +25");
+    this.assert(reader._getNameScore(doc.getElementById("b")) === -25, "nameScore: negative class -25");
+    this.assert(reader._getNameScore(doc.getElementById("c")) === 0, "nameScore: positive + negative cancel out");
+    this.assert(reader._getNameScore(doc.getElementById("d")) === 0, "nameScore: 'header'/'shadow' aren't ads");
+  },
+
+  testNameScoreAds() {
+    const doc = parseHTML(
+      '<div id="a" class="ad-slot"></div>' +
+      '<div id="b" class="wrapper top_ad"></div>' +
+      '<div id="c" class="ad"></div>' +
+      '<div id="d" class="thread-list"></div>' +
+      '<div id="e" class="read-more load-more"></div>' +
+      '<div id="f" class="head-line"></div>'
+    );
+    const reader = new Readability(doc);
+    const score = (id) => reader._getNameScore(doc.getElementById(id));
+
+    this.assert(score("a") === -25 && score("b") === -25 && score("c") === -25, "nameScore: 'ad' as a name part is an ad");
+    this.assert(score("d") === 0 && score("e") === 0 && score("f") === 0, "nameScore: thread-/read-/load-/head- aren't ads");
+  },
+
+  testScoreParagraph() {
+    const reader = new Readability(parseHTML(""));
+
+    this.assert(reader._scoreParagraph("short") === 1, "scoreParagraph: base point");
+    this.assert(reader._scoreParagraph("a, b, c") === 3, "scoreParagraph: +1 per comma");
+    this.assert(reader._scoreParagraph("x".repeat(250)) === 3, "scoreParagraph: +1 per 100 chars");
+    this.assert(reader._scoreParagraph("x".repeat(5000)) === 4, "scoreParagraph: length bonus capped at 3");
+  },
+
+  // ─── findMainContent ────────────────────────────────────────────
+
+  testFindMainContentReturnsLiveElement() {
+    const doc = loadFixture("blog-with-nav.html");
+    const main = findMainContent(doc.body);
+
+    this.assert(main === doc.getElementById("post"), "findMainContent: returns the live element");
+    this.assert(main.isConnected, "findMainContent: element is in the live page");
+  },
+
+  testFindMainContentLeavesPageUntouched() {
+    const doc = loadFixture("blog-with-nav.html");
+    const before = doc.body.innerHTML;
+    findMainContent(doc.body);
+
+    this.assert(doc.body.innerHTML === before, "findMainContent: live page not mutated");
+    this.assert(doc.querySelector("nav") !== null, "findMainContent: live nav still present");
+  },
+
+  testFindMainContentAcceptsDocument() {
+    const doc = loadFixture("sectioned-article.html");
+    this.assert(findMainContent(doc) === doc.getElementById("article"), "findMainContent: accepts a Document");
+  },
+
+  testFindMainContentNullFallback() {
+    const doc = loadFixture("no-content.html");
+    this.assert(findMainContent(doc.body) === null, "findMainContent: null when no article (caller falls back)");
+  },
+
+  // ─── RUN ALL ────────────────────────────────────────────────────
+
+  runAll() {
+    this.results = [];
+
+    this.testBlogPicksPostBody();
+    this.testBlogStripsShareLinks();
+    this.testSectionedArticleClimbsToParent();
+    this.testNoContentReturnsNull();
+    this.testTitleKeepsLongerHalf();
+    this.testTitleFallsBackToH1();
+    this.testTitleDashSeparator();
+    this.testNameScore();
+    this.testNameScoreAds();
+    this.testScoreParagraph();
+    this.testFindMainContentReturnsLiveElement();
+    this.testFindMainContentLeavesPageUntouched();
+    this.testFindMainContentAcceptsDocument();
+    this.testFindMainContentNullFallback();
+
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== Readability Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+ReadabilityTests.runAll();
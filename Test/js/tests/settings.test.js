@@ -0,0 +1,310 @@
+/**
+ * Settings Unit Tests
+ * Run with: node Test/js/tests/settings.test.js
+ *
+ * Tests the user settings model and the storage it persists to:
+ *   - validateSetting(): colors (presets, hex, rgb/hsl) and numbers
+ *     (range, step snapping). Color values end up inside a <style> rule,
+ *     so anything that could break out of the declaration must be rejected.
+ *   - Settings: defaults, loading stored values (invalid ones fall back),
+ *     set/reset persist and notify subscribers, unsubscribe
+ *   - StorageAdapter: memory, localStorage and chrome.storage backends,
+ *     and createStorage() picking the right one
+ */
+
+import { CONFIG } from "../config.js";
+import { Settings, SETTINGS_SCHEMA, validateSetting } from "../model/settings.js";
+import {
+  MemoryStorageAdapter,
+  LocalStorageAdapter,
+  ChromeStorageAdapter,
+  createStorage,
+} from "../utils/StorageAdapter.js";
+
+// ─── BROWSER API MOCKS ──────────────────────────────────────────────
+
+function createMockLocalStorage() {
+  const data = new Map();
+  return {
+    data,
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+}
+
+function createMockChromeArea() {
+  const data = {};
+  return {
+    data,
+    async get(key) {
+      return key in data ? { [key]: data[key] } : {};
+    },
+    async set(items) {
+      Object.assign(data, items);
+    },
+    async remove(key) {
+      delete data[key];
+    },
+  };
+}
+
+const SettingsTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── VALIDATION ───────────────────────────────────────────────────
+
+  testValidateColor() {
+    const preset = Object.keys(CONFIG.highlight.presets)[0];
+    this.assert(validateSetting("highlightColor", preset).valid, "color: preset name accepted");
+    this.assert(validateSetting("highlightColor", "#ff0").valid, "color: short hex accepted");
+    this.assert(validateSetting("highlightColor", "#ffcc0080").valid, "color: hex with alpha accepted");
+    this.assert(
+      validateSetting("highlightColor", "rgba(255, 200, 0, 0.5)").valid,
+      "color: rgba() accepted"
+    );
+    this.assert(validateSetting("highlightColor", "hsl(50 100% 50%)").valid, "color: hsl() accepted");
+    this.assert(
+      validateSetting("highlightColor", "  #abcdef ").value === "#abcdef",
+      "color: value is trimmed"
+    );
+
+    this.assert(!validateSetting("highlightColor", "#ggg").valid, "color: bad hex rejected");
+    this.assert(!validateSetting("highlightColor", 42).valid, "color: non-string rejected");
+    this.assert(
+      !validateSetting("highlightColor", "red; } body { display: none").valid,
+      "color: CSS injection rejected"
+    );
+    this.assert(!validateSetting("highlightColor", "toString").valid, "color: prototype key rejected");
+  },
+
+  testValidateNumber() {
+    this.assert(validateSetting("hideDelay", 300).value === 300, "number: in-range value kept");
+    this.assert(validateSetting("hideDelay", "450").value === 450, "number: numeric string parsed");
+    this.assert(validateSetting("hideDelay", 320).value === 300, "number: snapped to step");
+    this.assert(validateSetting("popupWidth", 470).value === 480, "number: snapping stays within max");
+
+    this.assert(!validateSetting("hideDelay", -1).valid, "number: below min rejected");
+    this.assert(!validateSetting("popupWidth", 1000).valid, "number: above max rejected");
+    this.assert(!validateSetting("hideDelay", NaN).valid, "number: NaN rejected");
+    this.assert(!validateSetting("hideDelay", "").valid, "number: empty string rejected");
+    this.assert(!validateSetting("hideDelay", null).valid, "number: null rejected");
+  },
+
+  testValidateUnknownKey() {
+    const result = validateSetting("fontSize", 12);
+    this.assert(!result.valid && result.error.includes("fontSize"), "unknown key rejected with message");
+  },
+
+  testSchemaDefaultsAreValid() {
+    for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+      this.assert(validateSetting(key, rule.default).valid, `schema: default for ${key} is valid`);
+    }
+  },
+
+  // ─── MODEL ────────────────────────────────────────────────────────
+
+  async testInitDefaults() {
+    await Settings.init(new MemoryStorageAdapter());
+
+    this.assert(Settings.isLoaded, "init: isLoaded set");
+    this.assert(
+      Settings.get("hideDelay") === SETTINGS_SCHEMA.hideDelay.default,
+      "init: empty storage gives defaults"
+    );
+  },
+
+  async testInitLoadsStored() {
+    const storage = new MemoryStorageAdapter();
+    await storage.set("values", {
+      highlightColor: "#123456",
+      popupWidth: 9999, // out of range → default
+      hideDelay: 500,
+      removedSetting: true, // no longer in the schema → dropped
+    });
+
+    await Settings.init(storage);
+
+    this.assert(Settings.get("highlightColor") === "#123456", "init: stored color loaded");
+    this.assert(Settings.get("hideDelay") === 500, "init: stored number loaded");
+    this.assert(
+      Settings.get("popupWidth") === SETTINGS_SCHEMA.popupWidth.default,
+      "init: invalid stored value falls back to default"
+    );
+    this.assert(!("removedSetting" in Settings.values), "init: unknown stored key dropped");
+  },
+
+  async testInitStorageError() {
+    const broken = {
+      async get() {
+        throw new Error("quota");
+      },
+    };
+    const originalError = console.error;
+    console.error = () => {};
+    await Settings.init(broken);
+    console.error = originalError;
+
+    this.assert(Settings.isLoaded, "init: storage failure still loads");
+    this.assert(
+      Settings.get("hideDelay") === SETTINGS_SCHEMA.hideDelay.default,
+      "init: storage failure gives defaults"
+    );
+  },
+
+  async testSetPersistsAndNotifies() {
+    const storage = new MemoryStorageAdapter();
+    await Settings.init(storage);
+
+    const calls = [];
+    const unsubscribe = Settings.subscribe((key, value) => calls.push([key, value]));
+
+    const result = await Settings.set("hideDelay", 800);
+    this.assert(result.valid && Settings.get("hideDelay") === 800, "set: value updated");
+    this.assert(calls.length === 1 && calls[0][1] === 800, "set: subscriber notified");
+    this.assert((await storage.get("values")).hideDelay === 800, "set: value persisted");
+
+    await Settings.set("hideDelay", 800);
+    this.assert(calls.length === 1, "set: same value doesn't notify again");
+
+    const bad = await Settings.set("hideDelay", 99999);
+    this.assert(!bad.valid && bad.error, "set: invalid value returns error");
+    this.assert(Settings.get("hideDelay") === 800, "set: invalid value leaves setting unchanged");
+    this.assert(calls.length === 1, "set: invalid value doesn't notify");
+
+    unsubscribe();
+    await Settings.set("hideDelay", 100);
+    this.assert(calls.length === 1, "subscribe: unsubscribe stops notifications");
+  },
+
+  async testReset() {
+    const storage = new MemoryStorageAdapter();
+    await Settings.init(storage);
+    await Settings.set("highlightColor", "#abcdef");
+    await Settings.set("popupWidth", 400);
+
+    const changed = [];
+    const unsubscribe = Settings.subscribe((key) => changed.push(key));
+    await Settings.reset();
+    unsubscribe();
+
+    this.assert(
+      Settings.get("popupWidth") === SETTINGS_SCHEMA.popupWidth.default,
+      "reset: values back to defaults"
+    );
+    this.assert(
+      changed.length === 2 && changed.includes("highlightColor") && changed.includes("popupWidth"),
+      "reset: only changed settings notify"
+    );
+    this.assert(
+      (await storage.get("values")).popupWidth === SETTINGS_SCHEMA.popupWidth.default,
+      "reset: defaults persisted"
+    );
+  },
+
+  // ─── STORAGE ADAPTERS ─────────────────────────────────────────────
+
+  async testMemoryAdapter() {
+    const storage = new MemoryStorageAdapter("ns:");
+    this.assert((await storage.get("missing")) === null, "memory: missing key → null");
+
+    const value = { a: 1 };
+    await storage.set("k", value);
+    value.a = 2;
+    this.assert((await storage.get("k")).a === 1, "memory: stored value is a copy");
+
+    await storage.remove("k");
+    this.assert((await storage.get("k")) === null, "memory: remove deletes");
+  },
+
+  async testLocalStorageAdapter() {
+    const backing = createMockLocalStorage();
+    const storage = new LocalStorageAdapter("asl:settings:", backing);
+
+    await storage.set("values", { hideDelay: 300 });
+    this.assert(backing.data.has("asl:settings:values"), "localStorage: key is namespaced");
+    this.assert((await storage.get("values")).hideDelay === 300, "localStorage: round-trips JSON");
+
+    backing.setItem("asl:settings:values", "{not json");
+    this.assert((await storage.get("values")) === null, "localStorage: corrupt JSON → null");
+
+    await storage.remove("values");
+    this.assert(!backing.data.has("asl:settings:values"), "localStorage: remove deletes");
+  },
+
+  async testChromeStorageAdapter() {
+    const area = createMockChromeArea();
+    const storage = new ChromeStorageAdapter("asl:settings:", area);
+
+    this.assert((await storage.get("values")) === null, "chrome: missing key → null");
+    await storage.set("values", { popupWidth: 320 });
+    this.assert(area.data["asl:settings:values"].popupWidth === 320, "chrome: key is namespaced");
+    this.assert((await storage.get("values")).popupWidth === 320, "chrome: round-trips value");
+
+    await storage.remove("values");
+    this.assert(!("asl:settings:values" in area.data), "chrome: remove deletes");
+  },
+
+  testCreateStorage() {
+    this.assert(createStorage() instanceof MemoryStorageAdapter, "createStorage: nothing available → memory");
+
+    globalThis.localStorage = createMockLocalStorage();
+    this.assert(createStorage() instanceof LocalStorageAdapter, "createStorage: localStorage when usable");
+
+    globalThis.localStorage = {
+      setItem() {
+        throw new Error("SecurityError");
+      },
+    };
+    this.assert(
+      createStorage() instanceof MemoryStorageAdapter,
+      "createStorage: throwing localStorage → memory"
+    );
+
+    globalThis.chrome = { storage: { local: createMockChromeArea() } };
+    this.assert(createStorage() instanceof ChromeStorageAdapter, "createStorage: chrome.storage preferred");
+
+    delete globalThis.chrome;
+    delete globalThis.localStorage;
+  },
+
+  async runAll() {
+    this.results = [];
+
+    this.testValidateColor();
+    this.testValidateNumber();
+    this.testValidateUnknownKey();
+    this.testSchemaDefaultsAreValid();
+    await this.testInitDefaults();
+    await this.testInitLoadsStored();
+    await this.testInitStorageError();
+    await this.testSetPersistsAndNotifies();
+    await this.testReset();
+    await this.testMemoryAdapter();
+    await this.testLocalStorageAdapter();
+    await this.testChromeStorageAdapter();
+    this.testCreateStorage();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== Settings Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+await SettingsTests.runAll();
@@ -0,0 +1,357 @@
+/**
+ * SpatialIndex Unit Tests
+ * Run with: node Test/js/tests/spatial-index.test.js
+ *
+ * Tests the grid that backs hover hit-testing:
+ *   - SpatialIndex on its own (insert/query/clear, cell-spanning rects)
+ *   - HighlightOverlayPresenter point lookups (findMatchAtPoint,
+ *     isPointOverWordHighlight, getContextForWord) against the old
+ *     linear scan, including page scrolling, invalidation and text in
+ *     fixed / sticky elements
+ *   - The same answers over a synthetic 5,000-match document (timed
+ *     against the linear scan by scripts/benchmark-hover.js)
+ *
+ * Ranges are mocked: each one has a fixed rect in DOCUMENT coordinates and
+ * reports client rects relative to the current window.scrollX/scrollY,
+ * like a real Range on a scrolled page.
+ */
+
+import { parseHTML, NodeFilter } from "./helpers/mini-dom.js";
+import { SpatialIndex } from "../utils/SpatialIndex.js";
+import { HighlightOverlayPresenter } from "../presenter/highlight-overlay-presenter.js";
+
+// ─── BROWSER API MOCKS ──────────────────────────────────────────────
+
+globalThis.window = globalThis;
+globalThis.NodeFilter = NodeFilter;
+globalThis.scrollX = 0;
+globalThis.scrollY = 0;
+
+let getClientRectsCalls = 0;
+
+class MockRange {
+  /**
+   * @param {Array<{left, top, right, bottom}>} docRects — document coords
+   */
+  constructor(docRects) {
+    this.docRects = docRects;
+  }
+  getClientRects() {
+    getClientRectsCalls++;
+    return this.docRects.map((r) => ({
+      left: r.left - window.scrollX,
+      top: r.top - window.scrollY,
+      right: r.right - window.scrollX,
+      bottom: r.bottom - window.scrollY,
+    }));
+  }
+}
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+const LINE_HEIGHT = 20;
+const WORD_WIDTH = 60;
+const WORD_GAP = 20;
+const WORDS_PER_LINE = 10;
+const MARGIN = 40; // leaves room at line start for the tail of a wrapped match
+
+/**
+ * Synthetic article: `count` matches laid out 10 per line. Every 50th
+ * match wraps onto the start of the next line (two rects), like a phrase
+ * at a line end.
+ */
+function makeMatches(count) {
+  const matches = [];
+  for (let i = 0; i < count; i++) {
+    const line = Math.floor(i / WORDS_PER_LINE);
+    const left = MARGIN + (i % WORDS_PER_LINE) * (WORD_WIDTH + WORD_GAP);
+    const top = line * LINE_HEIGHT;
+    const rects = [{ left, top, right: left + WORD_WIDTH, bottom: top + LINE_HEIGHT - 4 }];
+    if (i % 50 === 49) {
+      rects.push({ left: 0, top: top + LINE_HEIGHT, right: 30, bottom: top + 2 * LINE_HEIGHT - 4 });
+    }
+    matches.push({ word: `w${i}`, baseWord: `word${i % 200}`, range: new MockRange(rects) });
+  }
+  return matches;
+}
+
+function usePresenterMatches(matches) {
+  HighlightOverlayPresenter.matches = matches;
+  HighlightOverlayPresenter.invalidateSpatialIndex();
+}
+
+/**
+ * The pre-index implementation of findMatchAtPoint(): every match,
+ * every rect, every call. Used as the reference for correctness.
+ */
+function linearFindMatchAtPoint(matches, clientX, clientY) {
+  for (const match of matches) {
+    for (const rect of match.range.getClientRects()) {
+      if (clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom) {
+        return match.baseWord;
+      }
+    }
+  }
+  return null;
+}
+
+// Deterministic pseudo-random points (so failures are reproducible)
+function makePoints(count, width, height) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  return Array.from({ length: count }, () => [random() * width, random() * height]);
+}
+
+// ─── TESTS ───────────────────────────────────────────────────────────
+
+const SpatialIndexTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── SpatialIndex ───────────────────────────────────────────────
+
+  testInsertAndQuery() {
+    const index = new SpatialIndex(100);
+    index.insert({ left: 10, top: 10, right: 50, bottom: 30 }, "a");
+    index.insert({ left: 60, top: 10, right: 90, bottom: 30 }, "b");
+
+    this.assert(index.query(20, 20)[0] === "a", "query: finds the containing rect");
+    this.assert(index.query(55, 20).length === 0, "query: gap between rects is empty");
+    this.assert(index.query(500, 500).length === 0, "query: empty cell returns []");
+    this.assert(index.size === 2, "size: counts inserted rects");
+  },
+
+  testEdgesInclusive() {
+    const index = new SpatialIndex(100);
+    index.insert({ left: 10, top: 10, right: 50, bottom: 30 }, "a");
+
+    this.assert(index.query(10, 10)[0] === "a", "edges: top-left corner counts");
+    this.assert(index.query(50, 30)[0] === "a", "edges: bottom-right corner counts");
+  },
+
+  /**
+   * A rect crossing a cell boundary must be found from either side.
+   */
+  testRectSpanningCells() {
+    const index = new SpatialIndex(100);
+    index.insert({ left: 80, top: 190, right: 220, bottom: 210 }, "wide");
+
+    this.assert(index.query(90, 195)[0] === "wide", "spanning: found in first cell");
+    this.assert(index.query(150, 205)[0] === "wide", "spanning: found in middle cell");
+    this.assert(index.query(215, 205)[0] === "wide", "spanning: found in last cell");
+  },
+
+  testNegativeCoordinates() {
+    const index = new SpatialIndex(100);
+    index.insert({ left: -40, top: -20, right: 20, bottom: 10 }, "offscreen");
+
+    this.assert(index.query(-30, -10)[0] === "offscreen", "negative: coords left/above origin work");
+  },
+
+  testEmptyRectsSkippedAndClear() {
+    const index = new SpatialIndex(100);
+    index.insert({ left: 10, top: 10, right: 10, bottom: 30 }, "collapsed");
+    this.assert(index.size === 0, "empty: zero-width rect not stored");
+
+    index.insert({ left: 10, top: 10, right: 50, bottom: 30 }, "a");
+    index.clear();
+    this.assert(index.size === 0 && index.query(20, 20).length === 0, "clear: removes everything");
+  },
+
+  // ─── PRESENTER LOOKUPS ──────────────────────────────────────────
+
+  testPresenterMatchesLinearScan() {
+    const matches = makeMatches(500);
+    usePresenterMatches(matches);
+
+    const points = makePoints(500, 800, 1100);
+    const mismatches = points.filter(
+      ([x, y]) => HighlightOverlayPresenter.findMatchAtPoint(x, y) !== linearFindMatchAtPoint(matches, x, y)
+    );
+
+    this.assert(mismatches.length === 0, "presenter: findMatchAtPoint agrees with the linear scan");
+    this.assert(
+      HighlightOverlayPresenter.findMatchAtPoint(10, LINE_HEIGHT * 5 + 5) === "word49",
+      "presenter: wrapped match found by its second rect"
+    );
+  },
+
+  testIsPointOverWordHighlight() {
+    usePresenterMatches(makeMatches(20));
+
+    this.assert(HighlightOverlayPresenter.isPointOverWordHighlight(50, 5, "word0"), "isPointOver: true for the word under the cursor");
+    this.assert(!HighlightOverlayPresenter.isPointOverWordHighlight(50, 5, "word1"), "isPointOver: false for other words");
+    this.assert(!HighlightOverlayPresenter.isPointOverWordHighlight(110, 5, "word0"), "isPointOver: false in the gap");
+  },
+
+  /**
+   * getContextForWord() finds its target match through the index too.
+   */
+  testGetContextForWord() {
+    globalThis.document = parseHTML("<html><body><p>The bat hit the ball</p></body></html>");
+    const textNode = document.querySelector("p").firstChild;
+
+    const matches = makeMatches(3).map((m) => ({ ...m, textNode }));
+    [["bat", 4], ["hit", 8], ["ball", 16]].forEach(([word, offset], i) => {
+      matches[i].baseWord = word;
+      Object.assign(matches[i].range, {
+        startContainer: textNode,
+        startOffset: offset,
+        endContainer: textNode,
+        endOffset: offset + word.length,
+      });
+    });
+    usePresenterMatches(matches);
+
+    const context = HighlightOverlayPresenter.getContextForWord(50, 5, "bat");
+    this.assert(context.nearbyBaseWords.join(",") === "hit,ball", "context: neighbors from the hovered match's sentence");
+    this.assert(context.contextWords.length === 5, "context: paragraph tokenized");
+
+    const miss = HighlightOverlayPresenter.getContextForWord(50, 500, "bat");
+    this.assert(miss.nearbyBaseWords.length === 0, "context: empty when not over a match");
+  },
+
+  /**
+   * The index is in document coordinates: scrolling the page must not
+   * require a rebuild.
+   */
+  testScrollDoesNotInvalidate() {
+    usePresenterMatches(makeMatches(5000));
+    HighlightOverlayPresenter.findMatchAtPoint(0, 0); // build
+
+    window.scrollY = 4000;
+    getClientRectsCalls = 0;
+    const word = HighlightOverlayPresenter.findMatchAtPoint(50, 5); // doc y = 4005 → line 200
+
+    this.assert(word === "word0", "scroll: lookup still correct after scrolling (match 2000)");
+    this.assert(getClientRectsCalls === 0, "scroll: no rebuild needed");
+    window.scrollY = 0;
+  },
+
+  /**
+   * After a reflow the cached rects are wrong until invalidated.
+   */
+  testInvalidateRebuilds() {
+    const matches = makeMatches(20);
+    usePresenterMatches(matches);
+    HighlightOverlayPresenter.findMatchAtPoint(50, 5);
+
+    // Reflow: everything shifts down one line
+    for (const m of matches) {
+      for (const r of m.range.docRects) {
+        r.top += LINE_HEIGHT;
+        r.bottom += LINE_HEIGHT;
+      }
+    }
+    HighlightOverlayPresenter.invalidateSpatialIndex();
+
+    this.assert(HighlightOverlayPresenter.findMatchAtPoint(50, 5) === null, "invalidate: old position no longer hits");
+    this.assert(HighlightOverlayPresenter.findMatchAtPoint(50, 25) === "word0", "invalidate: new position hits");
+  },
+
+  /**
+   * Text in a fixed header or sticky element stays put on screen while the
+   * page scrolls: it is hit-tested at its live rects, never the cached ones.
+   */
+  testPinnedMatchesFollowScroll() {
+    globalThis.document = parseHTML(`<html><body>
+      <header data-position="fixed"><span>book</span></header>
+      <h2 data-position="sticky">bat</h2>
+      <p>ball</p>
+    </body></html>`);
+    globalThis.getComputedStyle = (el) => ({ position: el.getAttribute("data-position") || "static" });
+
+    // Pinned ranges report the same client rect however far the page scrolls
+    const pinnedRange = (rect) => ({ getClientRects: () => [rect] });
+    const matches = [
+      { baseWord: "book", textNode: document.querySelector("span").firstChild, range: pinnedRange({ left: 0, top: 0, right: 60, bottom: 16 }) },
+      { baseWord: "bat", textNode: document.querySelector("h2").firstChild, range: pinnedRange({ left: 100, top: 0, right: 160, bottom: 16 }) },
+      { baseWord: "ball", textNode: document.querySelector("p").firstChild, range: new MockRange([{ left: 0, top: 40, right: 60, bottom: 56 }]) },
+    ];
+
+    try {
+      usePresenterMatches(matches);
+      HighlightOverlayPresenter.findMatchAtPoint(0, 0); // build
+
+      window.scrollY = 30;
+      getClientRectsCalls = 0;
+      this.assert(HighlightOverlayPresenter.findMatchAtPoint(30, 8) === "book", "pinned: fixed text found where it is after scrolling");
+      this.assert(HighlightOverlayPresenter.findMatchAtPoint(130, 8) === "bat", "pinned: sticky text found where it is after scrolling");
+      this.assert(HighlightOverlayPresenter.findMatchAtPoint(30, 18) === "ball", "pinned: page text still from the index");
+      this.assert(getClientRectsCalls === 0, "pinned: no rebuild for page text");
+      this.assert(HighlightOverlayPresenter._pinnedMatches.length === 2, "pinned: only fixed / sticky matches left out of the index");
+    } finally {
+      window.scrollY = 0;
+      delete globalThis.getComputedStyle;
+    }
+  },
+
+  testNoMatches() {
+    usePresenterMatches([]);
+    this.assert(HighlightOverlayPresenter.findMatchAtPoint(50, 5) === null, "empty: no match, no crash");
+  },
+
+  // ─── LARGE DOCUMENT ─────────────────────────────────────────────
+
+  /**
+   * 5,000 matches, 2,000 hover lookups: the same answers as the linear
+   * scan, with getClientRects() called once per match to build the index
+   * and never again until invalidated. (Timings: scripts/benchmark-hover.js)
+   */
+  testManyMatches() {
+    const matches = makeMatches(5000);
+    usePresenterMatches(matches);
+    const points = makePoints(2000, 800, 5000 / WORDS_PER_LINE * LINE_HEIGHT);
+
+    const expected = points.map(([x, y]) => linearFindMatchAtPoint(matches, x, y));
+
+    getClientRectsCalls = 0;
+    const actual = points.map(([x, y]) => HighlightOverlayPresenter.findMatchAtPoint(x, y));
+
+    this.assert(actual.every((word, i) => word === expected[i]), "5000 matches: same answers as the linear scan");
+    this.assert(actual.some((word) => word !== null), "5000 matches: lookups actually hit matches");
+    this.assert(getClientRectsCalls === matches.length, "5000 matches: getClientRects once per match (build only)");
+  },
+
+  // ─── RUN ALL ────────────────────────────────────────────────────
+
+  runAll() {
+    this.results = [];
+
+    this.testInsertAndQuery();
+    this.testEdgesInclusive();
+    this.testRectSpanningCells();
+    this.testNegativeCoordinates();
+    this.testEmptyRectsSkippedAndClear();
+    this.testPresenterMatchesLinearScan();
+    this.testIsPointOverWordHighlight();
+    this.testGetContextForWord();
+    this.testScrollDoesNotInvalidate();
+    this.testInvalidateRebuilds();
+    this.testPinnedMatchesFollowScroll();
+    this.testNoMatches();
+    this.testManyMatches();
+
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== SpatialIndex Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+SpatialIndexTests.runAll();
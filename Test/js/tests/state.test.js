@@ -6,7 +6,8 @@
  * - Setters store values correctly
  * - setLoading(true) has a side effect: resets hasVideo to false
  * - setHasVideo() has a side effect: sets isLoading to false
- * - reset() clears ALL fields back to defaults
+ * - reset() clears ALL fields back to defaults (except the playbackRate
+ *   preference and per-page variant locks, which deliberately survive)
  * - State doesn't leak between calls (no stale values)
  */
 
@@ -141,6 +142,11 @@ const AppStateTests = {
     AppState.hasVideo = true;
     AppState.setMatchCount(99);
     AppState.setHighlightMode('all');
+    AppState.setFingerspelling(true);
+    AppState.setPaused(true);
+    AppState.setPlaybackRate(0.5);
+    AppState.setVariants([{ entryId: 'dirty' }, { entryId: 'dirty_2' }], [0, 3], 1, [{}, {}]);
+    AppState.lockVariant('dirty', 1);
 
     AppState.reset();
 
@@ -150,6 +156,70 @@ const AppStateTests = {
     this.assert(AppState.hasVideo === false, 'reset: hasVideo is false');
     this.assert(AppState.matchCount === 0, 'reset: matchCount is 0');
     this.assert(AppState.highlightMode === 'none', 'reset: highlightMode is none');
+    this.assert(AppState.isFingerspelling === false, 'reset: isFingerspelling is false');
+    this.assert(AppState.isPaused === false, 'reset: isPaused is false');
+    this.assert(AppState.playbackRate === 0.5, 'reset: playbackRate preference kept');
+    this.assert(AppState.variants.length === 0, 'reset: variants is empty');
+    this.assert(AppState.variantScores.length === 0, 'reset: variantScores is empty');
+    this.assert(AppState.pickedVariant === -1, 'reset: pickedVariant is -1');
+    this.assert(AppState.variantReport === null, 'reset: variantReport is null');
+    this.assert(AppState.getLockedVariant('dirty') === 1, 'reset: variant locks kept');
+    AppState.setPlaybackRate(1);
+    AppState.unlockVariant('dirty');
+  },
+
+  // ── Playback ──────────────────────────────────────────────────────────
+
+  /**
+   * The preferred rate outlives the word it was chosen on; pause doesn't
+   * touch it (and vice versa).
+   */
+  testPlaybackState() {
+    this.setup();
+
+    AppState.setPlaybackRate(0.25);
+    AppState.setCurrentWord('book');
+    AppState.setLoading(true);
+    AppState.setHasVideo(true);
+    this.assert(AppState.playbackRate === 0.25, 'playbackRate: survives a new word loading');
+
+    AppState.setPaused(true);
+    this.assert(AppState.isPaused === true, 'setPaused: stores true');
+    this.assert(AppState.playbackRate === 0.25, 'setPaused: playbackRate untouched');
+
+    AppState.setPaused(false);
+    this.assert(AppState.isPaused === false, 'setPaused: stores false');
+    AppState.setPlaybackRate(1);
+  },
+
+  // ── Variants ──────────────────────────────────────────────────────────
+
+  /**
+   * Locks are keyed by base word and independent of what's on screen.
+   */
+  testVariantLocks() {
+    this.setup();
+
+    const entries = [{ entryId: 'book' }, { entryId: 'book_2' }];
+    AppState.setVariants(entries, [1, 4], 1);
+    this.assert(AppState.variants === entries, 'setVariants: stores entries');
+    this.assert(AppState.variantScores[1] === 4, 'setVariants: stores scores');
+    this.assert(AppState.pickedVariant === 1, 'setVariants: stores pick');
+
+    AppState.setVariants(entries);
+    this.assert(
+      AppState.variantScores.length === 0 && AppState.pickedVariant === -1,
+      'setVariants: scores and pick default to none'
+    );
+
+    this.assert(AppState.getLockedVariant('book') === -1, 'getLockedVariant: -1 when unlocked');
+    AppState.lockVariant('book', 0);
+    this.assert(AppState.getLockedVariant('book') === 0, 'lockVariant: index 0 is a real lock');
+    this.assert(AppState.getLockedVariant('cool') === -1, 'lockVariant: other words unaffected');
+    this.assert(AppState.getLockedVariant('constructor') === -1, 'getLockedVariant: ignores prototype keys');
+
+    AppState.unlockVariant('book');
+    this.assert(AppState.getLockedVariant('book') === -1, 'unlockVariant: lock removed');
   },
 
   // ── State isolation ───────────────────────────────────────────────────
@@ -197,6 +267,8 @@ const AppStateTests = {
     this.testSetLoadingSideEffect();
     this.testSetHasVideoSideEffect();
     this.testReset();
+    this.testPlaybackState();
+    this.testVariantLocks();
     this.testNoUnintendedSideEffects();
 
     const passed = this.results.filter(r => r.passed).length;
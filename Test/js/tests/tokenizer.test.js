@@ -0,0 +1,240 @@
+/**
+ * Tokenizer Unit Tests
+ * Run with: node Test/js/tests/tokenizer.test.js
+ *
+ * One matrix of texts — contractions with straight and curly apostrophes,
+ * possessives, hyphen compounds, accented and combining letters, digits,
+ * underscores, letters outside the BMP — run through every path that
+ * reads words, which must all agree with tokenize():
+ *   - isBoundary() against the BOUNDARY / END_BOUNDARY regex sources
+ *   - the highlighter's matchers: buildWordRegex, buildWordMatcher's
+ *     regex and TrieMatcher find exactly the tokens
+ *   - the prefilter (wordResolver.getWordsInText), hyphenated and
+ *     split-off glossary keys included
+ *   - hover word extraction (popup-overlay-view wordAt)
+ *   - context windows, glossary rules and the POS tagger
+ */
+
+import {
+  BOUNDARY,
+  END_BOUNDARY,
+  tokenize,
+  tokenAt,
+  isBoundary,
+  normalize,
+} from "../model/tokenizer.js";
+import { buildWordRegex, buildWordMatcher } from "../model/text-matcher.js";
+import { TrieMatcher } from "../utils/TrieMatcher.js";
+import { wordResolver } from "../model/word-resolver.js";
+import { ContextWindow, tokenize as contextTokenize } from "../model/context-window.js";
+import { compileRule, ruleMatches } from "../model/glossary-rules.js";
+import { PosTagger } from "../model/pos-tagger.js";
+import { wordAt } from "../view/popup-overlay-view.js";
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+// Each text and the words tokenize() must give for it
+const MATRIX = [
+  { text: "Don't stop", words: ["don't", "stop"] },
+  { text: "don’t DONʼT don`t", words: ["don't", "don't", "don", "t"] },
+  { text: "John's book, it’s JOHN'S", words: ["john", "s", "book", "it", "s", "john", "s"] },
+  { text: "o'clock rock'n'roll", words: ["o'clock", "rock'n'roll"] },
+  { text: "'quoted' words''", words: ["quoted", "words"] },
+  { text: "a well-known e‐mail", words: ["a", "well", "known", "e", "mail"] },
+  { text: "Café NAÏVE café", words: ["café", "naïve", "café"] },
+  { text: "2nd place, 10 cats", words: ["2nd", "place", "10", "cats"] },
+  { text: "snake_case x2_y", words: ["snake", "case", "x2", "y"] },
+  { text: "𝐀bc 😀ab ſtraße", words: ["𝐀bc", "ab", "straße"] },
+  { text: "Σίσυφος ΣΊΣΥΦΟΣ", words: ["σίσυφοσ", "σίσυφοσ"] },
+];
+
+// Positions between the two halves of a surrogate pair split no character
+// anyone reads (the matchers walk by code point), so they aren't compared
+function isMidPair(text, i) {
+  const high = text.charCodeAt(i - 1);
+  const low = text.charCodeAt(i);
+  return high >= 0xd800 && high <= 0xdbff && low >= 0xdc00 && low <= 0xdfff;
+}
+
+// Does the regex lookaround `source` hold at position i of `text`?
+function holdsAt(source, text, i) {
+  const regex = new RegExp(source, "uy");
+  regex.lastIndex = i;
+  return regex.test(text);
+}
+
+// The tokens as "offset:text" — what the matchers should report
+function expected(text) {
+  return tokenize(text)
+    .map((t) => `${t.start}:${text.slice(t.start, t.end)}`)
+    .join(" ");
+}
+
+function show(found) {
+  return found.map((m) => `${m.index}:${m.text}`).join(" ");
+}
+
+const TokenizerTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  // ─── TOKENIZER ────────────────────────────────────────────────────
+
+  testTokens() {
+    for (const { text, words } of MATRIX) {
+      const got = tokenize(text).map((t) => t.word);
+      const ok = got.join("|") === words.join("|");
+      if (!ok) console.log(`  ${JSON.stringify(text)}: ${got.join("|")}`);
+      this.assert(ok, `tokenize: ${text}`);
+    }
+  },
+
+  testNormalize() {
+    this.assert(normalize("DON’T Stop-ʼ‑") === "don't stop-'-", "normalize: case, apostrophes, hyphens");
+    this.assert(normalize("ſ K ẞ ς") === "s k ß σ", "normalize: folds ſ, Kelvin, capital ß, final sigma");
+    for (const text of ["İstanbul", "ǅ𐐀ﬀ", ...MATRIX.map((c) => c.text)]) {
+      this.assert(normalize(text).length === text.length, `normalize: keeps the length of ${text}`);
+    }
+  },
+
+  testBoundaries() {
+    for (const { text } of MATRIX) {
+      const normalized = normalize(text);
+      const mismatches = [];
+      for (let i = 0; i <= text.length; i++) {
+        if (isMidPair(text, i)) continue;
+        const boundary = isBoundary(text, i);
+        if (holdsAt(BOUNDARY, text, i) !== boundary) mismatches.push(`${i} BOUNDARY`);
+        if (isBoundary(normalized, i) !== boundary) mismatches.push(`${i} normalized`);
+        if (i > 0 && holdsAt(END_BOUNDARY, normalized, i) !== boundary) mismatches.push(`${i} END_BOUNDARY`);
+      }
+      if (mismatches.length > 0) console.log(`  ${JSON.stringify(text)}: ${mismatches.join(", ")}`);
+      this.assert(mismatches.length === 0, `boundaries agree: ${text}`);
+
+      // Words start and end on boundaries and have none inside
+      const inside = tokenize(text).every((t) => {
+        for (let i = t.start + 1; i < t.end; i++) if (isBoundary(text, i) && !isMidPair(text, i)) return false;
+        return isBoundary(text, t.start) && isBoundary(text, t.end);
+      });
+      this.assert(inside, `boundaries frame the tokens: ${text}`);
+    }
+  },
+
+  testTokenAt() {
+    const text = "Don't say it's well-known";
+    this.assert(tokenAt(text, 2).word === "don't", "tokenAt: inside a contraction");
+    this.assert(tokenAt(text, 5).word === "don't", "tokenAt: right after a word");
+    this.assert(tokenAt(text, 13).word === "s", "tokenAt: the split-off s");
+    this.assert(tokenAt(text, 19).word === "well", "tokenAt: a hyphen ends the word");
+    this.assert(tokenAt("a  b", 2) === null, "tokenAt: between words");
+  },
+
+  // ─── EVERY PATH AGREES ────────────────────────────────────────────
+
+  testMatchers() {
+    for (const { text } of MATRIX) {
+      const words = [...new Set(tokenize(text).map((t) => t.word))];
+      const want = expected(text);
+
+      const regex = buildWordRegex(words);
+      const viaRegex = [...text.matchAll(regex)].map((m) => ({ index: m.index, text: m[0] }));
+      const viaMatcher = buildWordMatcher(words, { trie: false }).findAll(text);
+      const viaTrie = new TrieMatcher(words).findAll(text);
+
+      const ok = show(viaRegex) === want && show(viaMatcher) === want && show(viaTrie) === want;
+      if (!ok) {
+        console.log(`  ${JSON.stringify(text)}\n    tokens:  ${want}\n    regex:   ${show(viaRegex)}` +
+          `\n    matcher: ${show(viaMatcher)}\n    trie:    ${show(viaTrie)}`);
+      }
+      this.assert(ok, `matchers find the tokens: ${text}`);
+    }
+  },
+
+  testPrefilter() {
+    for (const { text } of MATRIX) {
+      const words = [...new Set(tokenize(text).map((t) => t.word))];
+      wordResolver.init(Object.fromEntries(words.map((w) => [w, true])));
+      wordResolver.setInflectionMap({});
+      const found = wordResolver.getWordsInText(text).sort();
+      this.assert(found.join("|") === [...words].sort().join("|"), `prefilter finds the tokens: ${text}`);
+    }
+
+    // Keys the tokenizer splits are looked up like phrases, and the
+    // matchers find them whole
+    wordResolver.init({ "well-known": true, "it's": true, "don't": true, don: true });
+    const found = wordResolver.getMatchingFormsInText("A WELL‐KNOWN fact: it’s true, don’t you know").sort();
+    this.assert(found.join() === "don't,it's,well-known", "prefilter: hyphenated and split keys");
+    const matched = buildWordMatcher(found, { trie: false }).findAll("A WELL‐KNOWN fact: it’s true, don’t you know");
+    this.assert(show(matched) === "2:WELL‐KNOWN 19:it’s 30:don’t", "matcher: hyphenated and split keys whole");
+  },
+
+  testHover() {
+    for (const { text } of MATRIX) {
+      let ok = true;
+      for (const token of tokenize(text)) {
+        for (let offset = token.start; offset < token.end; offset++) {
+          const hovered = wordAt(text, offset);
+          if (hovered.start !== token.start || hovered.end !== token.end || normalize(hovered.word) !== token.word) {
+            ok = false;
+          }
+        }
+      }
+      this.assert(ok, `hover extracts the tokens: ${text}`);
+    }
+    this.assert(wordAt("a  b", 2).word === "", "hover: nothing between words");
+  },
+
+  testContext() {
+    this.assert(contextTokenize === tokenize, "context windows use the shared tokenizer");
+
+    const text = "They don't bat at John's flies.";
+    const context = ContextWindow.extract(text, 11, 14, { window: "paragraph" });
+    this.assert(context.contextWords.join() === "they,don't,bat,at,john,s,flies", "context: words as tokenized");
+
+    const rule = (raw) => compileRule({ word: "bat", action: "suppress", ...raw }).rule;
+    this.assert(ruleMatches(rule({ left: ["don't"] }), text, 11, 14), "rules: a contraction is one word");
+    this.assert(ruleMatches(rule({ left: ["do*"] }), "They DON’T bat", 11, 14), "rules: curly apostrophes normalize");
+    this.assert(!ruleMatches(rule({ left: ["t"] }), text, 11, 14), "rules: no stray t");
+    this.assert(ruleMatches(rule({ right: ["well"] }), "a bat well-known", 2, 5), "rules: hyphen parts are words");
+    this.assert(ruleMatches(rule({ near: ["known"] }), "a bat well-known", 2, 5), "rules: hyphen parts are near");
+    this.assert(compileRule({ word: "x", action: "suppress", left: ["café"] }).valid, "rules: non-ASCII patterns");
+
+    this.assert(PosTagger.tagWordAt(text, 11) === "Verb", "tagger: bat after don't is a verb");
+    this.assert(PosTagger.tagWordAt("John's bat flew.", 7) === "Noun", "tagger: bat after a possessive is a noun");
+    this.assert(PosTagger.tagWordAt("They didn’t bat.", 12) === "Verb", "tagger: curly contraction");
+  },
+
+  runAll() {
+    this.results = [];
+
+    this.testTokens();
+    this.testNormalize();
+    this.testBoundaries();
+    this.testTokenAt();
+    this.testMatchers();
+    this.testPrefilter();
+    this.testHover();
+    this.testContext();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== Tokenizer Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+TokenizerTests.runAll();
@@ -0,0 +1,253 @@
+/**
+ * TrieMatcher Unit Tests
+ * Run with: node Test/js/tests/trie-matcher.test.js
+ *
+ * The trie must find exactly what the highlighter's alternation regex
+ * (buildWordMatcher with the trie off: tokenizer boundaries, normalized
+ * text, longest first) finds, so these tests compare the two rather than
+ * spelling out expected offsets:
+ *   - hand-picked cases: longest-first, boundaries next to digits,
+ *     underscores and punctuation, words that start or end with
+ *     punctuation, contractions, phrases, Unicode case folding, letters
+ *     outside the BMP
+ *   - a seeded fuzz over random words and texts
+ *   - the test articles against their own vocabulary
+ *   - the highlight pipeline (findMatches, HighlightOverlayView) with
+ *     CONFIG.matching.trie on and off
+ *
+ * Timing comparisons live in scripts/benchmark-matcher.js.
+ */
+
+import { readFileSync } from "fs";
+import { parseHTML, NodeFilter } from "./helpers/mini-dom.js";
+import { CONFIG } from "../config.js";
+import { VideoData } from "../model/video-data.js";
+import { buildWordMatcher, findMatches } from "../model/text-matcher.js";
+import { TrieMatcher } from "../utils/TrieMatcher.js";
+import { HighlightOverlayView } from "../view/highlight-overlay-view.js";
+
+// ─── BROWSER API MOCKS ──────────────────────────────────────────────
+
+globalThis.NodeFilter = NodeFilter;
+globalThis.Range = class MockRange {
+  setStart(node, offset) {
+    this.startContainer = node;
+    this.startOffset = offset;
+  }
+  setEnd(node, offset) {
+    this.endContainer = node;
+    this.endOffset = offset;
+  }
+};
+globalThis.Highlight = class MockHighlight extends Set {};
+globalThis.CSS = { highlights: new Map() };
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+/**
+ * The regex path's matches and the trie's, as comparable strings.
+ */
+function both(words, text) {
+  const show = (found) => found.map((m) => `${m.index}:${m.text}`).join(" ");
+  return {
+    regex: show(buildWordMatcher(words, { trie: false }).findAll(text)),
+    trie: show(new TrieMatcher(words).findAll(text)),
+  };
+}
+
+// Small deterministic PRNG (mulberry32), so fuzz failures reproduce
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// The article's text, tags dropped
+function articleText(file) {
+  const html = readFileSync(new URL(`../../${file}`, import.meta.url), "utf-8");
+  return html.replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ").replace(/<[^>]+>/g, " ");
+}
+
+const TrieMatcherTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  /**
+   * Assert the trie and the regex agree, and optionally on what.
+   */
+  assertSame(words, text, testName, expected = null) {
+    const { regex, trie } = both(words, text);
+    const ok = regex === trie && (expected === null || trie === expected);
+    if (!ok) console.log(`  ${testName}\n    regex: ${regex}\n    trie:  ${trie}`);
+    return this.assert(ok, testName);
+  },
+
+  // ─── HAND-PICKED CASES ────────────────────────────────────────────
+
+  testBasics() {
+    this.assertSame(["run", "running"], "Running late, run!", "longest form wins", "0:Running 14:run");
+    this.assertSame(["book"], "Book BOOK book", "case-insensitive", "0:Book 5:BOOK 10:book");
+    this.assertSame(["book"], "books rebook bookbook", "whole words only", "");
+    this.assertSame(["book"], "book2 book_ 2book _book book-end (book)", "digits are word characters, _ isn't", "6:book 19:book 24:book 34:book");
+    this.assertSame(["a", "a b", "b"], "a b b a", "phrases take priority at their start", "0:a b 4:b 6:a");
+    this.assertSame(["ab", "abc"], "abcd ab", "a longer word without a boundary falls back", "5:ab");
+    this.assertSame(["high school", "school"], "high schools and school", "phrase without its boundary", "17:school");
+    this.assertSame(["go"], "go go", "adjacent matches", "0:go 3:go");
+    this.assertSame([], "anything", "no words");
+    // (The regex can't be compared here: an empty alternative matches the
+    // empty string and exec() never advances)
+    const empty = new TrieMatcher(["", "x"]);
+    this.assert(empty.size === 1 && empty.findAll("x y").map((m) => m.index).join() === "0", "empty words ignored");
+    this.assertSame(["x", "x", "X"], "x", "duplicates", "0:x");
+    this.assertSame(["x"], "", "empty text");
+  },
+
+  testPunctuationInWords() {
+    this.assertSame(["U.S.A"], "The U.S.A is big", "dots are literal", "4:U.S.A");
+    this.assertSame(["U.S.A"], "The UXSXA is big", "dots are not wildcards", "");
+    // Punctuation at a word's edge only has to not cut into a word
+    this.assertSame(["c++"], "c++ and c++x", "trailing punctuation", "0:c++ 8:c++");
+    this.assertSame([".net"], "a .net app, x.net", "leading punctuation", "2:.net 13:.net");
+    this.assertSame(["rock'n'roll", "rock"], "rock'n'roll rock'n", "inner apostrophes", "0:rock'n'roll");
+    this.assertSame(["e-mail", "e"], "e-mail e-", "hyphen", "0:e-mail 7:e");
+  },
+
+  testContractions() {
+    this.assertSame(["don't", "don"], "don't don’t Don ʼt", "apostrophe variants", "0:don't 6:don’t 12:Don");
+    this.assertSame(["john", "s"], "John's JOHN’S johns", "a final 's splits off", "0:John 5:s 7:JOHN 12:S");
+    this.assertSame(["it's", "it"], "it's", "an entry spanning the split still matches whole", "0:it's");
+    this.assertSame(["well-known", "well", "known"], "well-known well‐known well known", "hyphen variants", "0:well-known 11:well‐known 22:well 27:known");
+    this.assertSame(["known"], "well-known", "compound parts are words", "5:known");
+  },
+
+  testCaseFolding() {
+    this.assertSame(["naïve"], "NAÏVE Naïve naïve", "non-ASCII letters fold", "0:NAÏVE 6:Naïve 12:naïve");
+    this.assertSame(["straße"], "STRASSE straße STRAẞE", "ß only matches itself");
+    this.assertSame(["s"], "ſ s S", "ſ folds to s", "0:ſ 2:s 4:S");
+    this.assertSame(["k"], "K k K", "Kelvin sign folds to k", "0:K 2:k 4:K");
+    this.assertSame(["ǆ"], "Ǆ ǅ ǆ", "title-case digraphs");
+    this.assertSame(["σ"], "Σ σ ς", "final sigma");
+    this.assertSame(["caf"], "café caf", "accented letters are word characters", "5:caf");
+    this.assertSame(["cafe"], "cafe\u0301 cafe", "combining marks are word characters", "6:cafe");
+  },
+
+  testAstral() {
+    this.assertSame(["𝐀b"], "𝐀b 𝐀bc x𝐀b", "letters outside the BMP", "0:𝐀b");
+    this.assertSame(["ab"], "𝐀ab ab😀 ab", "emoji are not letters", "5:ab 10:ab");
+    this.assertSame(["𐐨"], "𐐀 𐐨", "case folding outside the BMP", "0:𐐀 3:𐐨");
+  },
+
+  // ─── FUZZ ─────────────────────────────────────────────────────────
+
+  testFuzz() {
+    const next = random(20240607);
+    const alphabet = "abAB  .'’-_1éÉßſ";
+    const pick = (n) => {
+      let s = "";
+      for (let i = 0; i < n; i++) s += alphabet[Math.floor(next() * alphabet.length)];
+      return s;
+    };
+
+    let failures = 0;
+    for (let trial = 0; trial < 400; trial++) {
+      const words = Array.from({ length: 1 + Math.floor(next() * 8) }, () => pick(1 + Math.floor(next() * 4)));
+      const text = pick(Math.floor(next() * 60));
+      const { regex, trie } = both(words, text);
+      if (regex !== trie) {
+        failures++;
+        if (failures <= 3) console.log(`  fuzz: ${JSON.stringify(words)} in ${JSON.stringify(text)}\n    regex: ${regex}\n    trie:  ${trie}`);
+      }
+    }
+    this.assert(failures === 0, "fuzz: 400 random word lists and texts agree");
+  },
+
+  testArticles() {
+    for (const file of ["asl_article.html", "bat_article.html"]) {
+      const text = articleText(file);
+      const vocabulary = [...new Set(text.toLowerCase().match(/\b[a-z]+\b/g))];
+      // Every other word, plus two-word phrases and -s forms, so some
+      // candidates fail on boundaries
+      const words = vocabulary.filter((_, i) => i % 2 === 0);
+      const tokens = text.match(/\b[A-Za-z]+\b/g);
+      for (let i = 0; i + 1 < tokens.length; i += 37) words.push(`${tokens[i]} ${tokens[i + 1]}`.toLowerCase());
+      for (const w of words.slice(0, 200)) words.push(`${w}s`);
+
+      const { regex, trie } = both(words, text);
+      this.assert(regex === trie && trie.length > 0, `article: ${file} matches agree`);
+    }
+  },
+
+  // ─── PIPELINE ─────────────────────────────────────────────────────
+
+  testPipelineFlag() {
+    VideoData.isLoaded = false;
+    VideoData.load({
+      book: [{ entryId: "book" }],
+      read: [{ entryId: "read" }],
+      high_school: [{ entryId: "high_school" }],
+      __inflectionMap: { books: "book", reading: "read" },
+    });
+    const texts = ["Reading books at high school.", "A BOOK, a high schooler", "bookshelf"];
+
+    const saved = CONFIG.matching.trie;
+    CONFIG.matching.trie = false;
+    const viaRegex = JSON.stringify(findMatches(texts));
+    CONFIG.matching.trie = true;
+    const viaTrie = JSON.stringify(findMatches(texts));
+    this.assert(viaTrie === viaRegex && findMatches(texts).matches.length === 4, "findMatches: same tuples with the flag on");
+
+    globalThis.document = parseHTML(
+      `<html><head></head><body><div id="app"><p>Reading <em>books</em> at high school.</p><p>A BOOK.</p></div></body></html>`
+    );
+    const view = new HighlightOverlayView();
+    const app = document.getElementById("app");
+    const ranges = () => view._ranges.map((r) => `${r.startContainer.data}@${r.startOffset}-${r.endOffset}`).join(" ");
+
+    const words = ["book", "books", "read", "reading", "high school"];
+    CONFIG.matching.trie = false;
+    view.highlightAll(app, words);
+    const regexRanges = ranges();
+    CONFIG.matching.trie = true;
+    view.highlightAll(app, words);
+    this.assert(ranges() === regexRanges && view._ranges.length === 4, "highlightAll: same ranges with the flag on");
+
+    CONFIG.matching.trie = saved;
+  },
+
+  runAll() {
+    this.results = [];
+
+    this.testBasics();
+    this.testPunctuationInWords();
+    this.testContractions();
+    this.testCaseFolding();
+    this.testAstral();
+    this.testFuzz();
+    this.testArticles();
+    this.testPipelineFlag();
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== TrieMatcher Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+TrieMatcherTests.runAll();
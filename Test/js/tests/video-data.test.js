@@ -8,6 +8,9 @@
  * - Looking up entries by exact word or inflected form
  * - Building video paths from entry metadata
  * - Scanning text for matchable words (used by the highlighter)
+ * - Scoring a word's sign variants against nearby context (disambiguation),
+ *   including the per-layer breakdown behind each score and the
+ *   distance weights that scale the Lesk layer
  *
  * The mock data below simulates the two JSON files the build script produces:
  *   1. mockGlossary  — the ASL-LEX glossary keyed by base word
@@ -403,6 +406,176 @@ const VideoDataTests = {
     this.assert(!words7.includes("sign"), "getWordsInText: no 'sign' from 'signer'");
   },
 
+  /**
+   * Verifies merge() layers a second glossary slice on top of a loaded one.
+   *
+   * The extension loads the subset for the initial page text, then merges
+   * subsets for text that appears later (infinite scroll). Words from both
+   * slices — and their inflections — must resolve afterwards.
+   */
+  testMerge() {
+    this.setup();
+    VideoData.load({
+      "hello": this.mockGlossary.hello,
+      __inflectionMap: {},
+    });
+
+    VideoData.merge({
+      "book": this.mockGlossary.book,
+      "hello": [{ entryId: "hello_2", meanings: "hi", lexicalClass: "Interjection", videoFile: "hello_2.mp4" }],
+      __inflectionMap: { "books": "book", "booked": "book" },
+    });
+
+    this.assert(wordResolver.findBaseWord("hello") === "hello", "merge: earlier word still resolves");
+    this.assert(wordResolver.findBaseWord("books") === "book", "merge: merged inflection resolves");
+    this.assert(wordResolver.getAllForms("book").includes("booked"), "merge: reverse map updated");
+    this.assert(VideoData.wordToVideos.hello[0].entryId === "hello", "merge: loaded entries not overwritten");
+    this.assert(!("__inflectionMap" in VideoData.wordToVideos), "merge: __inflectionMap not stored as a word");
+
+    this.setupWithData();
+  },
+
+  /**
+   * Verifies variant scoring and the pick built on it.
+   *
+   * "book" has a Noun and a Verb variant:
+   * - A nearby Verb glossary word ("run") scores +1 for the Verb variant
+   * - A context word found in a variant's meanings ("novel") scores +3,
+   *   but the target word itself never counts
+   * - All-zero scores mean no signal: pickVariant() returns -1
+   */
+  testScoreVariants() {
+    this.setupWithData();
+    const entries = VideoData.wordToVideos.book;
+
+    const byNeighbor = VideoData.scoreVariants(entries, ["run"], [], "book");
+    this.assert(byNeighbor.length === 2, "scoreVariants: one score per variant");
+    this.assert(byNeighbor[0] === 0 && byNeighbor[1] === 1, "scoreVariants: neighbor lexicalClass +1");
+
+    const byMeaning = VideoData.scoreVariants(entries, [], ["a", "novel", "book"], "book");
+    this.assert(byMeaning[0] === 3 && byMeaning[1] === 0, "scoreVariants: meanings overlap +3, target ignored");
+
+    const none = VideoData.scoreVariants(entries, [], [], "book");
+    this.assert(none.every((s) => s === 0), "scoreVariants: no context → all zero");
+
+    this.assert(VideoData.pickVariant(byNeighbor) === 1, "pickVariant: highest score");
+    this.assert(VideoData.pickVariant([2, 2]) === 0, "pickVariant: tie → first");
+    this.assert(VideoData.pickVariant(none) === -1, "pickVariant: no signal → -1");
+
+    this.assert(VideoData.disambiguate(entries, ["run"], [], "book") === 1, "disambiguate: uses the scores");
+    this.assert(VideoData.disambiguate(entries, [], [], "book") === -1, "disambiguate: no signal → -1");
+    this.assert(VideoData.disambiguate(VideoData.wordToVideos.run, [], []) === 0, "disambiguate: single variant → 0");
+  },
+
+  /**
+   * Verifies the per-layer breakdown behind each variant's score.
+   *
+   * The expected numbers are written out rather than computed from the
+   * weights, so a change to any layer's weight fails here and has to be
+   * made on purpose.
+   *
+   * "bat" in "He swung the bat and hit the ball": bat_1 is the animal,
+   * bat_3 the verb. Nearby glossary words are "ball" (Noun, Sports),
+   * "run" (Verb) and "owl" (Noun, semanticField "None" — ignored).
+   */
+  testExplainDisambiguation() {
+    this.setupWithData();
+    VideoData.wordToVideos = {
+      ...this.mockGlossary,
+      ball: [{ entryId: "ball", lexicalClass: "Noun", semanticField: "Sports" }],
+      owl: [{ entryId: "owl", lexicalClass: "Noun", semanticField: "None" }],
+    };
+    const bat = [
+      { entryId: "bat_1", meanings: "bat, flying mammal", lexicalClass: "Noun", semanticField: "None" },
+      { entryId: "bat_3", meanings: "hit, strike, swing", lexicalClass: "Verb", semanticField: "Sports" },
+    ];
+    const context = ["he", "swing", "the", "bat", "and", "hit", "the", "ball"];
+
+    const { pick, variants } = VideoData.explainDisambiguation(bat, ["ball", "run", "owl"], context, "bat");
+    const [animal, verb] = variants;
+
+    this.assert(pick === 1, "explain: verb sense picked");
+    this.assert(verb.entryId === "bat_3", "explain: breakdown keeps entryId");
+
+    this.assert(
+      verb.lexicalClass.points === 1 && verb.lexicalClass.neighbors.join() === "run",
+      "explain: class +1 per neighbor with the same lexicalClass"
+    );
+    this.assert(
+      verb.semanticField.points === 2 && verb.semanticField.neighbors.join() === "ball",
+      "explain: field +2 per neighbor in the same semanticField"
+    );
+    this.assert(
+      verb.lesk.points === 6 && verb.lesk.tokens.join() === "hit,swing",
+      "explain: meanings +3 per token found in the text, with the tokens"
+    );
+    this.assert(verb.feedback.points === 0, "explain: no corrections → feedback +0");
+    this.assert(verb.score === 9, "explain: score is the sum of the layers");
+
+    this.assert(
+      animal.lexicalClass.points === 2 && animal.lexicalClass.neighbors.join() === "ball,owl",
+      "explain: every matching neighbor counted"
+    );
+    this.assert(
+      animal.semanticField.points === 0 && animal.lesk.points === 0,
+      "explain: \"None\" field and unmatched meanings score nothing"
+    );
+    this.assert(animal.score === 2, "explain: losing variant's total");
+
+    const scores = VideoData.scoreVariants(bat, ["ball", "run", "owl"], context, "bat");
+    this.assert(scores.join() === "2,9", "explain: scoreVariants() returns the same totals");
+
+    this.setupWithData();
+  },
+
+  testContextWeights() {
+    this.setupWithData();
+    const bat = [
+      { entryId: "bat_1", meanings: "bat, flying mammal", lexicalClass: "Noun" },
+      { entryId: "bat_3", meanings: "hit, strike, swing", lexicalClass: "Verb" },
+    ];
+    const context = ["the", "bat", "flying", "past", "made", "him", "swing"];
+
+    const flat = VideoData.explainVariants(bat, [], context, "bat");
+    this.assert(flat[0].lesk.points === 3 && flat[1].lesk.points === 3, "weights: none given → +3 per token");
+    this.assert(VideoData.disambiguate(bat, [], context, "bat") === 0, "weights: none given → tie goes to the first");
+
+    // "flying" is right next to the word, "swing" five words away
+    const weights = new Map([["flying", 1], ["swing", 0.65]]);
+    const [animal, verb] = VideoData.explainVariants(bat, [], context, "bat", { contextWeights: weights });
+    this.assert(animal.lesk.points === 3 && verb.lesk.points === 1.95, "weights: Lesk points scaled per token");
+    this.assert(verb.score === 1.95, "weights: score carries the scaled points");
+
+    const nearSwing = new Map([["flying", 0.4], ["swing", 1]]);
+    this.assert(
+      VideoData.disambiguate(bat, [], context, "bat", { contextWeights: nearSwing }) === 1,
+      "weights: the nearer meaning word wins"
+    );
+    this.assert(
+      VideoData.explainDisambiguation(bat, [], context, "bat", { contextWeights: nearSwing }).variants[0].lesk.points === 1.2,
+      "weights: explainDisambiguation() passes them through"
+    );
+  },
+
+  // Meanings are read with the tokenizer, like the context words, so quotes
+  // and brackets around a meaning don't hide it (the ASL-LEX CSV keeps "")
+  testPunctuatedMeanings() {
+    this.setupWithData();
+    const book = [
+      { entryId: "book", meanings: 'book, "novel"', lexicalClass: "Noun" },
+      { entryId: "book_2", meanings: "reserve, (schedule)", lexicalClass: "Verb" },
+    ];
+    const context = ["novel", "schedule", "reserve"];
+
+    const [noun, verb] = VideoData.explainVariants(book, [], context, "book");
+    this.assert(noun.lesk.points === 3 && noun.lesk.tokens.join() === "novel", "meanings: quoted meaning matches");
+    this.assert(verb.lesk.points === 6 && verb.lesk.tokens.join() === "reserve,schedule", "meanings: bracketed meaning matches");
+
+    const cased = [{ entryId: "cafe", meanings: "Café, Coffee-shop", lexicalClass: "Noun" }];
+    const [cafe] = VideoData.explainVariants(cased, [], ["café", "coffee", "shop"], "cafe");
+    this.assert(cafe.lesk.tokens.join() === "café,coffee,shop", "meanings: case-folded and split like context words");
+  },
+
   /**
    * Runs every test method in sequence and prints a summary report.
    *
@@ -420,6 +593,11 @@ const VideoDataTests = {
     this.testFindBaseWord();
     this.testGetAllForms();
     this.testGetWordsInText();
+    this.testMerge();
+    this.testScoreVariants();
+    this.testExplainDisambiguation();
+    this.testContextWeights();
+    this.testPunctuatedMeanings();
 
     // Report results
     const passed = this.results.filter(r => r.passed).length;
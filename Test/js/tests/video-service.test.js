@@ -0,0 +1,126 @@
+/**
+ * Video Service Unit Tests
+ * Run with: node Test/js/tests/video-service.test.js
+ *
+ * Tests how VideoService.getVideo() fetches a word's sign videos:
+ *   - The picked variant first, then the word's other variants in the
+ *     background, at most _MAX_BACKGROUND_FETCHES at a time
+ *   - Picking another variant of the same word keeps the background
+ *     queue; hovering another word drops it
+ *
+ * fetch() is mocked: each request waits until the test answers it, and
+ * blob URLs name the requested file.
+ */
+
+import { VideoService } from "../model/video-service.js";
+
+// ─── BROWSER API MOCKS ──────────────────────────────────────────────
+
+// Requested paths, and how to answer each one
+let requests = [];
+const fetch = globalThis.fetch;
+globalThis.fetch = (path) =>
+  new Promise((resolve) => {
+    requests.push({ path, answer: () => resolve({ blob: () => Promise.resolve(path) }) });
+  });
+
+const createObjectURL = URL.createObjectURL;
+URL.createObjectURL = (blob) => `blob:${blob.split("/").pop()}`;
+
+// ─── TEST HELPERS ────────────────────────────────────────────────────
+
+function variants(word, count) {
+  return Array.from({ length: count }, (_, i) => ({ entryId: `${word}_${i}`, videoFile: `${word}_${i}.mp4` }));
+}
+
+// Let answered fetches run their .then() chains
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function answer(path) {
+  requests.find((r) => r.path.endsWith(path))?.answer();
+  await settle();
+}
+
+const VideoServiceTests = {
+  results: [],
+
+  assert(condition, testName) {
+    const passed = Boolean(condition);
+    this.results.push({ testName, passed });
+    return passed;
+  },
+
+  reset() {
+    requests = [];
+    VideoService.init();
+    VideoService._loadingWord = null;
+    VideoService._fetchQueue = [];
+    VideoService._activeFetches = 0;
+  },
+
+  /**
+   * Picking a variant that is still queued fetches it right away, and the
+   * variants queued after it still arrive.
+   */
+  async testVariantPickKeepsQueue() {
+    this.reset();
+    const entries = variants("bat", 6);
+    const ready = [];
+    const callbacks = { onReady: (url) => ready.push(url), onError: () => {} };
+
+    VideoService.getVideo("bat", 0, entries, callbacks);
+    await answer("bat_0.mp4");
+    this.assert(ready.join() === "blob:bat_0.mp4", "hover: picked variant first");
+    this.assert(VideoService._fetchQueue.length === 2, "hover: 3 variants fetching, 2 queued");
+
+    VideoService.getVideo("bat", 5, entries, callbacks);
+    this.assert(VideoService._fetchQueue.length === 2, "variant pick: same word keeps the queue");
+    await answer("bat_5.mp4");
+    this.assert(ready.at(-1) === "blob:bat_5.mp4", "variant pick: picked variant played");
+
+    for (const i of [1, 2, 3]) await answer(`bat_${i}.mp4`);
+    await answer("bat_4.mp4");
+    const cached = VideoService._cache.get("bat");
+    this.assert(
+      [1, 2, 3, 4, 5].every((i) => cached.blobUrls[i] === `blob:bat_${i}.mp4`),
+      "variant pick: every other variant still fetched"
+    );
+  },
+
+  async testNewWordDropsQueue() {
+    this.reset();
+    const callbacks = { onReady: () => {}, onError: () => {} };
+
+    VideoService.getVideo("bat", 0, variants("bat", 6), callbacks);
+    await answer("bat_0.mp4");
+    VideoService.getVideo("ball", 0, variants("ball", 1), callbacks);
+
+    this.assert(VideoService._fetchQueue.length === 0, "new word: old word's queue dropped");
+  },
+
+  async runAll() {
+    this.results = [];
+
+    await this.testVariantPickKeepsQueue();
+    await this.testNewWordDropsQueue();
+
+    globalThis.fetch = fetch;
+    URL.createObjectURL = createObjectURL;
+
+    // Report results
+    const passed = this.results.filter((r) => r.passed).length;
+    const total = this.results.length;
+
+    console.log(`\n=== VideoService Tests: ${passed}/${total} passed ===\n`);
+
+    this.results.forEach((r) => {
+      const status = r.passed ? "PASS" : "FAIL";
+      console.log(`[${status}] ${r.testName}`);
+    });
+
+    return { passed, total, allPassed: passed === total };
+  },
+};
+
+// Run tests
+await VideoServiceTests.runAll();
@@ -0,0 +1,173 @@
+/**
+ * FlatText — the text under an element the way it reads, mapped back to
+ * the text nodes it came from.
+ *
+ * textContent runs every text node together: "high<br>school" reads as
+ * "highschool" and the last word of one paragraph sticks to the first
+ * word of the next. Here inline elements (<a>, <em>, …) still run
+ * together, but block boundaries become "\n" and <br>s become
+ * `lineBreak`. Each text node keeps its own span of the result, so an
+ * offset in the flat text converts back to a (node, offset) position, and
+ * a match anywhere in it to a Range — across as many text nodes as it
+ * covers.
+ *
+ * Usage:
+ *   const flat = new FlatText(paragraph, { lineBreak: " " });
+ *   // <p><a>high</a> school<br>day</p> → "high school day"
+ *   flat.range(0, 11); // Range from <a>'s text, offset 0, to " school", offset 7
+ */
+
+// Elements whose text starts on a new line — context sentences, word
+// windows and phrase matches never run across them
+export const BLOCK_SELECTOR =
+  "p, div, li, dd, dt, td, th, blockquote, pre, figcaption, caption, " +
+  "h1, h2, h3, h4, h5, h6, section, article, aside, header, footer, main, nav, " +
+  "ul, ol, dl, table, tr, form";
+const HEADING_SELECTOR = "h1, h2, h3, h4, h5, h6";
+
+// Text under these never renders as prose (or belongs to a form field)
+const UNREAD_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEXTAREA", "TEMPLATE"]);
+
+export class FlatText {
+  /**
+   * @param {Element} root
+   * @param {object} [options]
+   * @param {string} [options.lineBreak] — what a <br> reads as: "\n" (a
+   *        break, for context windows) or " " (a space, so a phrase can
+   *        run over it)
+   */
+  constructor(root, { lineBreak = "\n" } = {}) {
+    this.text = "";
+
+    // Parallel arrays, in document order: each text node, its text when
+    // flattened, and where that starts in this.text
+    this.nodes = [];
+    this.texts = [];
+    this.starts = [];
+
+    // Where each heading starts (for ContextWindow's "section" window)
+    this.headings = [];
+
+    // node → its index in the arrays above
+    this._index = new Map();
+
+    this._flatten(root, lineBreak);
+  }
+
+  /**
+   * What joins each text to the next one ("", "\n", " " …):
+   * separators[i] sits between texts[i] and texts[i + 1].
+   *
+   * @returns {string[]}
+   */
+  get separators() {
+    const separators = [];
+    for (let i = 0; i + 1 < this.nodes.length; i++) {
+      separators.push(this.text.slice(this.starts[i] + this.texts[i].length, this.starts[i + 1]));
+    }
+    return separators;
+  }
+
+  /**
+   * Where `node`'s text starts in this.text, or undefined if it isn't
+   * under the root.
+   *
+   * @param {Text} node
+   * @returns {number|undefined}
+   */
+  startOf(node) {
+    const i = this._index.get(node);
+    return i === undefined ? undefined : this.starts[i];
+  }
+
+  /**
+   * Index (into nodes/texts/starts) of the text node holding the
+   * character at `offset` — or, for a separator, the node before it.
+   *
+   * @param {number} offset
+   * @returns {number} -1 before the first text node
+   */
+  indexAt(offset) {
+    let low = 0;
+    let high = this.starts.length - 1;
+    let found = -1;
+    // The last node starting at or before offset (empty nodes share a
+    // start with the node after them, which is the one holding the text)
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.starts[mid] <= offset) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * A Range over this.text.slice(start, end), from the text node holding
+   * its first character to the one holding its last.
+   *
+   * @param {number} start
+   * @param {number} end — exclusive, > start
+   * @returns {Range}
+   */
+  range(start, end) {
+    const first = this.indexAt(start);
+    const last = this.indexAt(end - 1);
+
+    const range = new Range();
+    range.setStart(this.nodes[first], Math.min(start - this.starts[first], this.texts[first].length));
+    range.setEnd(this.nodes[last], Math.min(end - this.starts[last], this.texts[last].length));
+    return range;
+  }
+
+  _flatten(root, lineBreak) {
+    let block = null;
+    let heading = null;
+
+    const breakWith = (separator) => {
+      if (this.text && !this.text.endsWith("\n") && !this.text.endsWith(separator)) {
+        this.text += separator;
+      }
+    };
+
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) =>
+          node.nodeType === 1 && UNREAD_TAGS.has(node.tagName)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT,
+      }
+    );
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType === 1) {
+        if (node.tagName === "BR") breakWith(lineBreak);
+        continue;
+      }
+
+      const parent = node.parentElement;
+      const nodeBlock = parent?.closest(BLOCK_SELECTOR) ?? null;
+      if (nodeBlock !== block) {
+        breakWith("\n");
+        block = nodeBlock;
+      }
+
+      const nodeHeading = parent?.closest(HEADING_SELECTOR) ?? null;
+      if (nodeHeading && nodeHeading !== heading) {
+        this.headings.push({ start: this.text.length, level: Number(nodeHeading.tagName[1]) });
+      }
+      heading = nodeHeading;
+
+      this._index.set(node, this.nodes.length);
+      this.nodes.push(node);
+      this.texts.push(node.data);
+      this.starts.push(this.text.length);
+      this.text += node.data;
+    }
+  }
+}
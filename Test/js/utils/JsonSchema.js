@@ -0,0 +1,172 @@
+/**
+ * JsonSchema — checks a value against a JSON Schema, for the handful of
+ * keywords this project's schemas use. No dependencies, so the same check
+ * runs in the build scripts, the test page and the extension.
+ *
+ * Supported keywords:
+ *   type (one or a list; "integer" too), enum, const,
+ *   properties, required, additionalProperties (false or a schema),
+ *   propertyNames, items, minItems, maxItems, uniqueItems,
+ *   minLength, pattern, minimum,
+ *   $ref to "#/$defs/<name>"
+ * Anything else ($schema, $id, title, description, format …) is ignored.
+ *
+ * Stops at the first problem and names where it is, JSONPath-style.
+ *
+ * Usage:
+ *   const schema = new JsonSchema({ type: "object", required: ["version"] });
+ *   schema.validate({});
+ *   // → { valid: false, error: "$: missing required property \"version\"" }
+ */
+
+// JSON types by what typeof (and a couple of checks) say
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+// "$.entries", then ".book" or '["high school"]', then "[0]"
+function child(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+export class JsonSchema {
+  /**
+   * @param {object} schema — a JSON Schema (the subset above)
+   */
+  constructor(schema) {
+    this.schema = schema;
+    // pattern strings → RegExps, compiled on first use
+    this._patterns = new Map();
+  }
+
+  /**
+   * Check `value` against the schema.
+   *
+   * @param {*} value
+   * @returns {{ valid: true } | { valid: false, error: string }}
+   */
+  validate(value) {
+    const error = this._check(this.schema, value, "$");
+    return error ? { valid: false, error } : { valid: true };
+  }
+
+  // The first problem with `value` under `schema`, or null
+  _check(schema, value, path) {
+    if (schema.$ref) return this._check(this._resolve(schema.$ref), value, path);
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some((type) => matchesType(value, type))) {
+        return `${path}: must be ${types.join(" or ")}`;
+      }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+      return `${path}: must be ${JSON.stringify(schema.const)}`;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return `${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`;
+    }
+
+    switch (typeOf(value)) {
+      case "string":
+        return this._checkString(schema, value, path);
+      case "number":
+        if (schema.minimum !== undefined && value < schema.minimum) {
+          return `${path}: must be at least ${schema.minimum}`;
+        }
+        return null;
+      case "array":
+        return this._checkArray(schema, value, path);
+      case "object":
+        return this._checkObject(schema, value, path);
+      default:
+        return null;
+    }
+  }
+
+  _checkString(schema, value, path) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return schema.minLength === 1
+        ? `${path}: must not be empty`
+        : `${path}: must be at least ${schema.minLength} characters`;
+    }
+    if (schema.pattern !== undefined && !this._pattern(schema.pattern).test(value)) {
+      return `${path}: must match ${schema.pattern}`;
+    }
+    return null;
+  }
+
+  _checkArray(schema, value, path) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return `${path}: must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`;
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `${path}: must have at most ${schema.maxItems} item${schema.maxItems === 1 ? "" : "s"}`;
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      for (const [i, item] of value.entries()) {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) return `${child(path, i)}: duplicate item`;
+        seen.add(key);
+      }
+    }
+    if (schema.items) {
+      for (const [i, item] of value.entries()) {
+        const error = this._check(schema.items, item, child(path, i));
+        if (error) return error;
+      }
+    }
+    return null;
+  }
+
+  _checkObject(schema, value, path) {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) return `${path}: missing required property ${JSON.stringify(key)}`;
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.propertyNames) {
+        const error = this._check(schema.propertyNames, key, child(path, key));
+        if (error) return `${error} (property name)`;
+      }
+
+      let error = null;
+      if (Object.hasOwn(properties, key)) {
+        error = this._check(properties[key], item, child(path, key));
+      } else if (schema.additionalProperties === false) {
+        error = `${path}: unknown property ${JSON.stringify(key)}`;
+      } else if (schema.additionalProperties) {
+        error = this._check(schema.additionalProperties, item, child(path, key));
+      }
+      if (error) return error;
+    }
+    return null;
+  }
+
+  _resolve(ref) {
+    const name = ref.startsWith("#/$defs/") ? ref.slice("#/$defs/".length) : null;
+    const target = name !== null ? this.schema.$defs?.[name] : undefined;
+    if (!target) throw new Error(`Unsupported schema reference ${ref}`);
+    return target;
+  }
+
+  _pattern(source) {
+    let pattern = this._patterns.get(source);
+    if (!pattern) {
+      pattern = new RegExp(source, "u");
+      this._patterns.set(source, pattern);
+    }
+    return pattern;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * KeyboardShortcut — parse "Alt+Shift+A"-style strings and match them
+ * against keydown events.
+ *
+ * Letters and digits are matched by physical key (event.code), because
+ * Alt/Option changes event.key on macOS (Option+A → "å") and on some
+ * keyboard layouts. Everything else ("Escape", "ArrowDown", "]") is
+ * matched by event.key, case-insensitively.
+ *
+ * Modifiers must match exactly: "Alt+A" does not fire for Ctrl+Alt+A.
+ *
+ * Usage:
+ *   const pin = new KeyboardShortcut("Alt+Shift+A");
+ *   document.addEventListener("keydown", (e) => {
+ *     if (pin.matches(e)) { ... }
+ *   });
+ */
+
+const MODIFIERS = {
+  alt: "altKey",
+  option: "altKey",
+  ctrl: "ctrlKey",
+  control: "ctrlKey",
+  shift: "shiftKey",
+  meta: "metaKey",
+  cmd: "metaKey",
+};
+
+export class KeyboardShortcut {
+  /**
+   * @param {string} spec — modifiers and one key joined by "+",
+   *                        e.g. "Alt+Shift+A", "Escape", "Ctrl+]"
+   */
+  constructor(spec) {
+    this.spec = spec;
+    this.altKey = false;
+    this.ctrlKey = false;
+    this.shiftKey = false;
+    this.metaKey = false;
+    this.key = "";
+
+    // Split on "+" but keep a trailing "+" as the key ("Ctrl++")
+    const parts = spec.split(/\+(?!$)/).map((part) => part.trim());
+    for (const part of parts) {
+      const modifier = MODIFIERS[part.toLowerCase()];
+      if (modifier) {
+        this[modifier] = true;
+      } else if (this.key) {
+        throw new Error(`Shortcut "${spec}" has more than one key`);
+      } else {
+        this.key = part;
+      }
+    }
+
+    if (!this.key) throw new Error(`Shortcut "${spec}" has no key`);
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   * @returns {boolean}
+   */
+  matches(event) {
+    if (
+      event.altKey !== this.altKey ||
+      event.ctrlKey !== this.ctrlKey ||
+      event.shiftKey !== this.shiftKey ||
+      event.metaKey !== this.metaKey
+    ) {
+      return false;
+    }
+
+    if (/^[a-z]$/i.test(this.key)) {
+      return event.code
+        ? event.code === `Key${this.key.toUpperCase()}`
+        : event.key?.toLowerCase() === this.key.toLowerCase();
+    }
+    if (/^\d$/.test(this.key)) {
+      return event.code ? event.code === `Digit${this.key}` : event.key === this.key;
+    }
+    return event.key?.toLowerCase() === this.key.toLowerCase();
+  }
+
+  toString() {
+    return this.spec;
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * MatchWorker — promise API over the match Web Worker
+ * (worker/match-worker.js).
+ *
+ * Each send() posts { id, type, data } and resolves with the reply's data
+ * (or rejects with its error). The worker handles messages in order, so a
+ * "glossary" update sent before a "match" is always in place for it.
+ *
+ * If the worker script fails to load or throws, every pending and later
+ * request rejects and `failed` is set — callers fall back to matching on
+ * the main thread.
+ *
+ * Usage:
+ *   const worker = MatchWorker.create(new URL("../worker/match-worker.js", import.meta.url));
+ *   await worker.send("glossary", wordResolver.getMatchData());
+ *   const { matches } = await worker.send("match", { texts });
+ */
+
+/**
+ * `url`, or a blob: URL for a module importing it when it is on another
+ * origin than the page (see MatchWorker.create()).
+ */
+function workerUrl(url) {
+  const href = new URL(url, globalThis.location?.href).href;
+  if (typeof location === "undefined" || new URL(href).origin === location.origin) return href;
+
+  const source = `import ${JSON.stringify(href)};\n`;
+  return URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+}
+
+export class MatchWorker {
+  /**
+   * @param {Worker} worker — a started worker (or anything with
+   *                          postMessage/onmessage/onerror/terminate)
+   */
+  constructor(worker) {
+    this._worker = worker;
+    this._nextId = 1;
+    this._pending = new Map(); // id → { resolve, reject }
+
+    // wordResolver.version the worker's copy of the glossary matches
+    this.glossaryVersion = -1;
+    this.failed = false;
+
+    worker.onmessage = (event) => this._onMessage(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      this._fail(new Error(event.message || "Match worker failed"));
+    };
+  }
+
+  /**
+   * Start a module worker, or null where that isn't possible (no Worker
+   * support, or a page whose CSP won't start it right away).
+   *
+   * A page only starts workers from its own origin. For a script from
+   * another one — an extension content script, whose files are
+   * chrome-extension:// URLs — the worker is a blob: module that imports
+   * `url`, which must then be web-accessible. A CSP that blocks that
+   * import fails the worker on its first message instead, and callers
+   * match inline as when it didn't start.
+   *
+   * @param {URL|string} url
+   * @returns {MatchWorker|null}
+   */
+  static create(url) {
+    if (typeof Worker === "undefined") return null;
+    try {
+      return new MatchWorker(new Worker(workerUrl(url), { type: "module" }));
+    } catch (error) {
+      console.warn("Match worker unavailable: ", error);
+      return null;
+    }
+  }
+
+  /**
+   * Post a request.
+   *
+   * @param {string} type — "glossary" or "match"
+   * @param {*}      data
+   * @returns {Promise<*>} the reply's data
+   */
+  send(type, data) {
+    if (this.failed) return Promise.reject(new Error("Match worker failed"));
+
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject });
+      this._worker.postMessage({ id, type, data });
+    });
+  }
+
+  /**
+   * Stop the worker. Pending requests reject.
+   */
+  terminate() {
+    this._worker.terminate();
+    this._fail(new Error("Match worker terminated"));
+  }
+
+  _onMessage({ id, data, error }) {
+    const request = this._pending.get(id);
+    if (!request) return;
+    this._pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(data);
+  }
+
+  _fail(error) {
+    this.failed = true;
+    for (const { reject } of this._pending.values()) reject(error);
+    this._pending.clear();
+  }
+}
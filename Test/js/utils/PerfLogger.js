@@ -10,6 +10,9 @@
  *   // ... work ...
  *   PerfLogger.timeEnd("prefilterWords", { words: 500 });
  *
+ *   // Attach memory use to an entry (null where the runtime can't say):
+ *   PerfLogger.timeEnd("glossary load", { heapMB: PerfLogger.heapMB() });
+ *
  *   // Track mousemove (called on every move, logged in batches):
  *   PerfLogger.trackMouseMove(0.3);
  *
@@ -73,14 +76,39 @@ export const PerfLogger = {
     const ms = performance.now() - start;
     delete this._timers[label];
 
+    this.record(label, ms, meta);
+    return ms;
+  },
+
+  /**
+   * Log a duration measured elsewhere, e.g. with work between the end of
+   * the timed part and the meta being known.
+   * @param {string} label
+   * @param {number} ms
+   * @param {object} meta - Extra data to attach
+   */
+  record(label, ms, meta = {}) {
+    if (!this._enabled) return;
     this._entries.push({
       timestamp: new Date().toISOString(),
       label,
       ms: +ms.toFixed(2),
       ...meta,
     });
+  },
 
-    return ms;
+  /**
+   * JS heap in use, in MB (1 decimal): performance.memory in Chrome,
+   * process.memoryUsage() in Node, null elsewhere. Chrome rounds its
+   * figure unless the page is cross-origin isolated, so compare big
+   * differences only.
+   * @returns {number|null}
+   */
+  heapMB() {
+    const bytes =
+      globalThis.performance?.memory?.usedJSHeapSize ??
+      globalThis.process?.memoryUsage?.().heapUsed;
+    return bytes === undefined ? null : +(bytes / 1048576).toFixed(1);
   },
 
   // ─── MOUSEMOVE TRACKING ────────────────────────────────────────────
@@ -153,6 +181,10 @@ export const PerfLogger = {
       if (e.matches !== undefined) line += ` | matches: ${e.matches}`;
       if (e.ranges !== undefined)  line += ` | ranges: ${e.ranges}`;
       if (e.textNodes !== undefined) line += ` | textNodes: ${e.textNodes}`;
+      if (e.mode !== undefined)    line += ` | mode: ${e.mode}`;
+      if (e.entries !== undefined) line += ` | entries: ${e.entries}`;
+      if (e.heapBeforeMB != null)  line += ` | heap before: ${e.heapBeforeMB}MB`;
+      if (e.heapMB != null)        line += ` | heap: ${e.heapMB}MB`;
       return line;
     });
 
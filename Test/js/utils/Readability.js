@@ -11,32 +11,65 @@
  *   // article.content  = cleaned HTML string
  *   // article.title    = best-guess page title
  *   // article.element  = the winning container element
+ *
+ *   // Or, to get the winning element in the LIVE page (for highlighting):
+ *   const main = findMainContent(document.body); // null if nothing found
  */
 
 // Words that suggest an element IS article content
 const POSITIVE_NAMES = [
-  // TODO: add class/id substrings that signal article content
-  // e.g. "article", "body", "content", "entry", "post", "text", "story"
+  "article", "body", "content", "entry", "hentry", "main",
+  "page", "post", "text", "blog", "story",
 ];
 
 // Words that suggest an element is NOT article content
 const NEGATIVE_NAMES = [
-  // TODO: add class/id substrings that signal non-article content
-  // e.g. "sidebar", "comment", "footer", "nav", "banner", "ad", "widget"
+  "sidebar", "comment", "footer", "footnote", "masthead", "nav", "menu",
+  "banner", "advert", "promo", "sponsor", "related", "share",
+  "social", "widget", "popup", "cookie", "breadcrumb", "subscribe",
 ];
 
+// "ad" only as a name part of its own ("ad", "ad-slot", "top_ad"): as a
+// substring it would hit "header", "shadow", "thread-", "read-more"
+const AD_NAME = /(^|[\s_-])ad([\s_-]|$)/;
+
 // Tags to remove entirely during preprocessing
+// (Not <form>: some sites wrap the entire page in one.)
 const STRIP_TAGS = [
-  // TODO: list tag names that never contain article text
-  // e.g. "script", "style", "nav", "footer", "aside", "iframe"
+  "script", "style", "noscript", "template", "iframe", "object", "embed",
+  "nav", "footer", "aside", "button", "select", "svg", "canvas",
 ];
 
+// Initial container score by tag name (from Readability.js)
+const TAG_SCORES = {
+  article: 8,
+  section: 8,
+  div: 5,
+  pre: 3,
+  blockquote: 3,
+  td: 3,
+  form: -3,
+  address: -3,
+};
+
+// Elements that are meaningful even with no text inside
+const MEDIA_TAGS = "img, picture, video, audio, svg, canvas, iframe, object, embed, math, hr, br";
+
+// Tags that can be dropped as empty/link-heavy wrappers in post-processing
+const CLEANABLE_TAGS = new Set(["div", "section", "p", "span", "ul", "ol", "li", "table", "font"]);
+
 // Minimum text length (chars) for a paragraph to be worth scoring
 const MIN_PARAGRAPH_LENGTH = 25;
 
+// A sibling candidate holding at least this fraction of the winner's score
+// means the article was split across siblings (e.g. one <section> per
+// heading), so the common parent is the real article container.
+const SIBLING_SCORE_RATIO = 0.33;
+
 export class Readability {
   /**
-   * @param {Document} doc - a CLONED document (this algorithm modifies the DOM)
+   * @param {Document|Element} doc - a CLONED document or element
+   *                                 (this algorithm modifies the DOM)
    *
    * Why cloned? The preprocessing step removes elements. If you pass the live
    * document, you'd destroy the actual page. document.cloneNode(true) gives
@@ -83,12 +116,23 @@ export class Readability {
    * the longer half as the real title.
    */
   _getTitle() {
-    // TODO:
-    // 1. Get text from <title> tag
-    // 2. If it contains " | " or " - ", split and take the longer piece
-    // 3. If result is too short (< 3 words), fall back to first <h1>
-    // 4. Return the title string (or empty string if nothing found)
-    return "";
+    let title = this._doc.querySelector("title")?.textContent.trim() || "";
+
+    // "Article Title - Site Name" → keep the longer half
+    const separator = / [|\-\u2013\u2014] /;
+    if (separator.test(title)) {
+      title = title
+        .split(separator)
+        .map((part) => part.trim())
+        .reduce((a, b) => (b.length > a.length ? b : a));
+    }
+
+    if (title.split(/\s+/).filter(Boolean).length < 3) {
+      const h1 = this._doc.querySelector("h1")?.textContent.trim();
+      if (h1) title = h1;
+    }
+
+    return title;
   }
 
   // ── Step 2: Preprocessing ─────────────────────────────────────────────
@@ -99,20 +143,19 @@ export class Readability {
    *
    * Walk the DOM and remove:
    * - Elements with tags in STRIP_TAGS
-   * - Hidden elements (display:none, visibility:hidden, aria-hidden="true")
-   * - Elements with zero dimensions (common for tracking pixels)
+   * - Hidden elements (hidden, aria-hidden="true", inline display:none or
+   *   visibility:hidden)
    */
   _preprocess() {
-    // TODO:
-    // 1. For each tag in STRIP_TAGS, querySelectorAll and remove all matches
-    // 2. Walk remaining elements, remove any that are hidden
-    //    Hint: element.offsetHeight === 0 catches display:none
-    //    Hint: getComputedStyle(el).visibility === "hidden"
-    //    Hint: el.getAttribute("aria-hidden") === "true"
-    //
-    // Note: remove from bottom-up (convert NodeList to array first),
-    // otherwise removing a parent also removes children you haven't
-    // checked yet, which is fine but wastes iteration.
+    for (const el of this._doc.querySelectorAll(STRIP_TAGS.join(","))) {
+      el.remove();
+    }
+
+    // Bottom-up, so a hidden child is checked before its parent goes
+    const elements = [...this._doc.querySelectorAll("*")].reverse();
+    for (const el of elements) {
+      if (!this._isVisible(el)) el.remove();
+    }
   }
 
   // ── Step 3: Score candidates ──────────────────────────────────────────
@@ -154,10 +197,12 @@ export class Readability {
 
       const paragraphScore = this._scoreParagraph(text);
 
-      // TODO: Bubble the score up
-      // 1. Add full paragraphScore to parent's score
-      // 2. Add half paragraphScore to grandparent's score
-      // Hint: this._scores.get(el) and this._scores.set(el, newScore)
+      if (parent) {
+        this._scores.set(parent, this._scores.get(parent) + paragraphScore);
+      }
+      if (grandparent) {
+        this._scores.set(grandparent, this._scores.get(grandparent) + paragraphScore / 2);
+      }
     }
 
     return [...candidates];
@@ -180,14 +225,8 @@ export class Readability {
    *   -25 if class or id contains a NEGATIVE_NAMES word
    */
   _getInitialScore(element) {
-    let score = 0;
-
-    // TODO: Score by tag name
-    // Hint: element.tagName.toLowerCase()
-
-    // TODO: Adjust by class and id name
-    // Hint: use this._getNameScore(element) helper below
-
+    let score = TAG_SCORES[element.tagName.toLowerCase()] || 0;
+    score += this._getNameScore(element);
     return score;
   }
 
@@ -196,7 +235,8 @@ export class Readability {
    * Returns a score adjustment (+25, -25, or 0).
    *
    * Combine class and id into one string, lowercase it, then check if any
-   * positive/negative name appears as a substring.
+   * positive/negative name appears as a substring ("ad" as a name part,
+   * see AD_NAME).
    */
   _getNameScore(element) {
     const names = (
@@ -205,13 +245,10 @@ export class Readability {
       (element.id || "")
     ).toLowerCase();
 
-    // TODO:
-    // 1. Check if any POSITIVE_NAMES word is a substring of `names` → +25
-    // 2. Check if any NEGATIVE_NAMES word is a substring of `names` → -25
-    // 3. If both match, they cancel out (net 0)
-    // 4. Return the total adjustment
-
-    return 0;
+    let score = 0;
+    if (POSITIVE_NAMES.some((name) => names.includes(name))) score += 25;
+    if (NEGATIVE_NAMES.some((name) => names.includes(name)) || AD_NAME.test(names)) score -= 25;
+    return score;
   }
 
   /**
@@ -224,8 +261,9 @@ export class Readability {
    * - Cap the length bonus at 3 (so a 10,000-char paragraph doesn't dominate)
    */
   _scoreParagraph(text) {
-    // TODO: Implement the scoring formula above
-    return 0;
+    const commas = (text.match(/,/g) || []).length;
+    const lengthBonus = Math.min(Math.floor(text.length / 100), 3);
+    return 1 + commas + lengthBonus;
   }
 
   // ── Step 4: Pick the winner ───────────────────────────────────────────
@@ -233,19 +271,45 @@ export class Readability {
   /**
    * From scored candidates, return the element with the highest score.
    *
-   * Readability.js also checks: if the top candidate is very small,
-   * try its parent instead (the article might be one level up).
-   * For the boilerplate, just return the highest scorer.
+   * Scores are scaled by (1 - link density) first, as in Readability.js,
+   * so a comment list or link farm can't win on paragraph count alone.
+   *
+   * Then climb to the parent while it looks like the real article:
+   *   - a sibling candidate also holds substantial prose (articles split
+   *     into one <section> per heading score each section separately), or
+   *   - the winner has few direct <p> children and the parent scores
+   *     within 80% (the article might be one level up)
    */
   _pickWinner(candidates) {
-    // TODO:
-    // 1. Sort candidates by score (highest first)
-    //    Hint: candidates.sort((a, b) => this._scores.get(b) - this._scores.get(a))
-    // 2. Return the first element
-    //
-    // Stretch: if winner has very few direct <p> children (say < 3),
-    //          check if its parent scores within 80% — if so, prefer parent.
-    return candidates[0];
+    for (const el of candidates) {
+      const scaled = this._scores.get(el) * (1 - this._getLinkDensity(el));
+      this._scores.set(el, scaled);
+    }
+
+    candidates.sort((a, b) => this._scores.get(b) - this._scores.get(a));
+
+    let winner = candidates[0];
+    let parent = winner.parentElement;
+
+    while (parent && this._scores.has(parent)) {
+      const winnerScore = this._scores.get(winner);
+      const hasProseSibling = candidates.some(
+        (c) =>
+          c !== winner &&
+          c.parentElement === parent &&
+          this._scores.get(c) >= winnerScore * SIBLING_SCORE_RATIO
+      );
+      const directParagraphs = [...winner.children].filter((c) => c.tagName === "P").length;
+      const parentIsClose =
+        directParagraphs < 3 && this._scores.get(parent) >= winnerScore * 0.8;
+
+      if (!hasProseSibling && !parentIsClose) break;
+
+      winner = parent;
+      parent = parent.parentElement;
+    }
+
+    return winner;
   }
 
   // ── Step 5: Post-processing ───────────────────────────────────────────
@@ -264,12 +328,30 @@ export class Readability {
    * accidentally remove a paragraph of the article.
    */
   _postProcess(element) {
-    // TODO:
-    // 1. Remove empty elements (walk bottom-up)
-    // 2. Remove link-heavy elements
-    //    Hint: compare total textContent.length vs
-    //    combined textContent.length of all <a> descendants
-    // 3. Remove remaining non-content tags (aside, footer, header)
+    for (const el of element.querySelectorAll("aside, footer, header")) {
+      el.remove();
+    }
+
+    // Bottom-up so an emptied parent is seen after its children go
+    const elements = [...element.querySelectorAll("*")].reverse();
+    for (const el of elements) {
+      if (!CLEANABLE_TAGS.has(el.tagName.toLowerCase())) continue;
+
+      const text = el.textContent.trim();
+      if (!text) {
+        if (!el.querySelector(MEDIA_TAGS)) el.remove();
+        continue;
+      }
+
+      // Link-heavy AND little real prose — navigation, not article.
+      // Requiring both keeps prose paragraphs that happen to cite a lot.
+      if (
+        this._getLinkDensity(el) > 0.5 &&
+        this._getNonLinkTextLength(el) < MIN_PARAGRAPH_LENGTH
+      ) {
+        el.remove();
+      }
+    }
   }
 
   // ── Utilities ─────────────────────────────────────────────────────────
@@ -288,18 +370,57 @@ export class Readability {
     return totalText - linkText;
   }
 
+  /**
+   * Helper: fraction of an element's text that sits inside links (0–1).
+   */
+  _getLinkDensity(element) {
+    const total = element.textContent.length;
+    if (total === 0) return 0;
+    return (total - this._getNonLinkTextLength(element)) / total;
+  }
+
   /**
    * Helper: check if an element is probably visible.
    * Used during preprocessing to remove hidden tracking elements.
+   *
+   * Only attribute-level signals are checked. A cloned document has no
+   * layout, so offsetHeight is 0 and getComputedStyle() is empty for
+   * EVERY element — using them would strip the whole page.
    */
   _isVisible(element) {
-    // TODO:
-    // Return false if element has:
-    //   - display: none
-    //   - visibility: hidden
-    //   - aria-hidden="true"
-    //   - zero offsetHeight and offsetWidth
-    // Return true otherwise
+    if (element.hasAttribute("hidden")) return false;
+    if (element.getAttribute("aria-hidden") === "true") return false;
+
+    const style = (element.getAttribute("style") || "").replace(/\s+/g, "").toLowerCase();
+    if (style.includes("display:none")) return false;
+    if (style.includes("visibility:hidden")) return false;
+
     return true;
   }
 }
+
+/**
+ * Find the main-content element of a LIVE page without touching it.
+ *
+ * Readability needs a clone (it removes elements), but callers want to
+ * highlight the real element. Clone and live trees are paired up
+ * element-by-element BEFORE parse() mutates the clone, so the winning
+ * clone element maps straight back to its live counterpart.
+ *
+ * @param {Document|Element} root — live document or element to search
+ * @returns {Element|null} the live main-content element, or null if
+ *                         Readability found no article
+ */
+export function findMainContent(root) {
+  const clone = root.cloneNode(true);
+
+  const liveElements = root.querySelectorAll("*");
+  const cloneElements = clone.querySelectorAll("*");
+  const toLive = new Map([[clone, root]]);
+  for (let i = 0; i < cloneElements.length; i++) {
+    toLive.set(cloneElements[i], liveElements[i]);
+  }
+
+  const article = new Readability(clone).parse();
+  return article ? toLive.get(article.element) || null : null;
+}
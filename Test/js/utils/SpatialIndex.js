@@ -0,0 +1,95 @@
+/**
+ * SpatialIndex — uniform grid for "which rects contain this point?" queries.
+ *
+ * Hover hit-testing used to loop over every match and call getClientRects()
+ * on each one, every mousemove frame. With the rects cached in a grid, a
+ * lookup only checks the handful of rects in the cursor's cell.
+ *
+ * Rects should be in DOCUMENT coordinates (client rect + scroll offset), so
+ * scrolling the page doesn't invalidate the index — only layout changes do.
+ *
+ * Usage:
+ *   const index = new SpatialIndex(100);
+ *   index.insert({ left: 10, top: 20, right: 60, bottom: 38 }, match);
+ *   index.query(30, 25); // → [match]
+ */
+
+export class SpatialIndex {
+  /**
+   * @param {number} cellSize — grid cell size in px. Roughly a few words
+   *                            wide: smaller cells mean fewer rects per
+   *                            lookup but more cells per long rect.
+   */
+  constructor(cellSize = 100) {
+    this.cellSize = cellSize;
+    this.size = 0;
+
+    // "col,row" → [{ rect, item }, ...]
+    this._cells = new Map();
+  }
+
+  /**
+   * Add an item covering `rect`. A rect spanning several cells is stored
+   * in each of them. Empty rects (zero width or height) are skipped —
+   * they can't contain the cursor.
+   *
+   * @param {{left: number, top: number, right: number, bottom: number}} rect
+   * @param {*} item
+   */
+  insert(rect, item) {
+    if (rect.right <= rect.left || rect.bottom <= rect.top) return;
+
+    const entry = { rect, item };
+    const [colStart, rowStart] = this._cellOf(rect.left, rect.top);
+    const [colEnd, rowEnd] = this._cellOf(rect.right, rect.bottom);
+
+    for (let row = rowStart; row <= rowEnd; row++) {
+      for (let col = colStart; col <= colEnd; col++) {
+        const key = `${col},${row}`;
+        let cell = this._cells.get(key);
+        if (!cell) {
+          cell = [];
+          this._cells.set(key, cell);
+        }
+        cell.push(entry);
+      }
+    }
+    this.size++;
+  }
+
+  /**
+   * Items whose rect contains (x, y), edges inclusive, in insertion order.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @returns {Array} — matching items (an item with several rects appears
+   *                    once per rect that contains the point)
+   */
+  query(x, y) {
+    const [col, row] = this._cellOf(x, y);
+    const cell = this._cells.get(`${col},${row}`);
+    if (!cell) return [];
+
+    const hits = [];
+    for (const { rect, item } of cell) {
+      if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+        hits.push(item);
+      }
+    }
+    return hits;
+  }
+
+  /**
+   * Remove everything.
+   */
+  clear() {
+    this._cells.clear();
+    this.size = 0;
+  }
+
+  // ─── PRIVATE ────────────────────────────────────────────────────────
+
+  _cellOf(x, y) {
+    return [Math.floor(x / this.cellSize), Math.floor(y / this.cellSize)];
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * StorageAdapter — one async get/set/remove API over whichever key-value
+ * store the page has.
+ *
+ *   - ChromeStorageAdapter: chrome.storage.local (extension contexts; shared
+ *     by every tab and the background worker)
+ *   - LocalStorageAdapter:  window.localStorage (test page)
+ *   - MemoryStorageAdapter: a Map (Node tests, privacy modes that throw
+ *     on localStorage access)
+ *
+ * The API is async because chrome.storage is. Values are anything JSON can
+ * represent. Keys are prefixed with a namespace so several models can share
+ * one store without colliding.
+ *
+ * Usage:
+ *   const storage = createStorage("asl:settings:");
+ *   await storage.set("values", { hideDelay: 300 });
+ *   await storage.get("values"); // → { hideDelay: 300 }, or null if unset
+ */
+
+export class MemoryStorageAdapter {
+  constructor(namespace = "") {
+    this.namespace = namespace;
+    this._map = new Map();
+  }
+
+  async get(key) {
+    const raw = this._map.get(this.namespace + key);
+    return raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async set(key, value) {
+    // Store serialized, like the real backends, so callers can't mutate
+    // stored values through a shared reference
+    this._map.set(this.namespace + key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this._map.delete(this.namespace + key);
+  }
+}
+
+export class LocalStorageAdapter {
+  constructor(namespace = "", storage = globalThis.localStorage) {
+    this.namespace = namespace;
+    this._storage = storage;
+  }
+
+  async get(key) {
+    const raw = this._storage.getItem(this.namespace + key);
+    if (raw === null) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      // Hand-edited or truncated entry — treat as unset
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    this._storage.setItem(this.namespace + key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this._storage.removeItem(this.namespace + key);
+  }
+}
+
+export class ChromeStorageAdapter {
+  constructor(namespace = "", area = globalThis.chrome?.storage?.local) {
+    this.namespace = namespace;
+    this._area = area;
+  }
+
+  async get(key) {
+    const fullKey = this.namespace + key;
+    const result = await this._area.get(fullKey);
+    return result[fullKey] ?? null;
+  }
+
+  async set(key, value) {
+    await this._area.set({ [this.namespace + key]: value });
+  }
+
+  async remove(key) {
+    await this._area.remove(this.namespace + key);
+  }
+}
+
+/**
+ * Pick the best available backend: chrome.storage.local in the extension,
+ * else localStorage, else memory (nothing persists).
+ *
+ * @param {string} namespace — key prefix, e.g. "asl:settings:"
+ * @returns {MemoryStorageAdapter|LocalStorageAdapter|ChromeStorageAdapter}
+ */
+export function createStorage(namespace = "") {
+  if (globalThis.chrome?.storage?.local) {
+    return new ChromeStorageAdapter(namespace);
+  }
+
+  // Accessing localStorage throws in some sandboxed iframes and when
+  // cookies are blocked, so probe it instead of just checking it exists
+  try {
+    const probe = "__asl_storage_probe__";
+    globalThis.localStorage.setItem(probe, probe);
+    globalThis.localStorage.removeItem(probe);
+    return new LocalStorageAdapter(namespace);
+  } catch {
+    return new MemoryStorageAdapter(namespace);
+  }
+}
@@ -7,6 +7,49 @@
 
 import { PerfLogger } from "../utils/PerfLogger.js";
 import { CONFIG } from "../config.js";
+import { FlatText } from "../utils/FlatText.js";
+import {
+  buildWordRegex,
+  buildWordMatcher,
+  phrasesIn,
+  findAcross,
+  mergeAcross,
+} from "../model/text-matcher.js";
+
+// Text under these elements never renders as prose (or belongs to a form
+// field). Only matters when the container is a whole host page, as in the
+// extension, rather than the test page's article container.
+const SKIP_PARENTS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEXTAREA", "TEMPLATE"]);
+
+// highlightMatches() builds at least this many Ranges per idle slice, so a
+// busy page (idle callbacks timing out with no time left) still progresses
+const MIN_SLICE_MATCHES = 25;
+
+// Slice length where requestIdleCallback is missing (Safari)
+const FALLBACK_SLICE_MS = 8;
+
+/**
+ * Run `callback(deadline)` when the browser is idle, or on the next task
+ * where requestIdleCallback is missing, with a fixed-length deadline.
+ */
+function whenIdle(callback) {
+  if (typeof requestIdleCallback === "function") {
+    requestIdleCallback(callback, { timeout: CONFIG.matchWorker.idleTimeoutMs });
+    return;
+  }
+  setTimeout(() => {
+    const start = performance.now();
+    callback({ timeRemaining: () => Math.max(0, FALLBACK_SLICE_MS - (performance.now() - start)) });
+  }, 0);
+}
+
+const TEXT_FILTER = {
+  acceptNode(node) {
+    return SKIP_PARENTS.has(node.parentElement?.tagName)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT;
+  },
+};
 
 export class HighlightOverlayView {
   constructor() {
@@ -17,6 +60,18 @@ export class HighlightOverlayView {
     // Store all Range objects so we can clear them later
     this._ranges = [];
 
+    // The Highlight registered under _highlightName. Kept so incremental
+    // passes (highlightNodes) can add/remove ranges without rebuilding it.
+    this._highlight = null;
+
+    // A second highlight for the one match keyboard navigation is on,
+    // painted over asl-words: ::highlight(asl-focus) { ... }
+    this._focusName = "asl-focus";
+
+    // Bumped by clear(): a highlightMatches() still slicing through an
+    // older pass's matches stops at its next slice
+    this._pass = 0;
+
     this._injectStyles();
   }
 
@@ -25,11 +80,19 @@ export class HighlightOverlayView {
   /**
    * Highlight all matching words in a container element.
    *
+   * Phrases are also matched across text nodes — <a>high</a> school,
+   * high<br>school — using the container's flattened text. Such a match's
+   * Range runs from its first text node to its last, and onEachMatch gets
+   * the node and offset it starts at.
+   *
    * @param {HTMLElement} container — the element to search within
    * @param {string[]}   words     — array of words/inflections to highlight
    * @param {Function}   onEachMatch — callback(matchedText, textNode, offset)
+   * @param {FlatText}   [flat]    — flatten(container), if the caller has
+   *                                 it already; otherwise built here when
+   *                                 `words` has a phrase
    */
-  highlightAll(container, words, onEachMatch) {
+  highlightAll(container, words, onEachMatch, flat = null) {
     this.clear();
 
     // Guard against empty words array (causes infinite loop with empty regex)
@@ -37,64 +100,320 @@ export class HighlightOverlayView {
       return;
     }
 
-    PerfLogger.time("  buildRegex");
-    const regex = this._buildRegex(words);
-    PerfLogger.timeEnd("  buildRegex", { words: words.length });
+    const kind = CONFIG.matching.trie ? "trie" : "regex";
+    PerfLogger.time("  buildMatcher");
+    const matcher = this._buildMatcher(words);
+    PerfLogger.timeEnd("  buildMatcher", { words: words.length, matcher: kind });
 
-    regex.lastIndex = 0;
+    // Flattening costs a closest() per text node, so without a phrase to
+    // look for, walk the text nodes directly
+    const phrases = phrasesIn(words);
+    if (!flat && phrases.length > 0) flat = this.flatten(container);
 
-    PerfLogger.time("  TreeWalker + regex + Range creation");
+    PerfLogger.time("  TreeWalker + match + Range creation");
     let textNodeCount = 0;
-    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
-
-    while (walker.nextNode()) {
-      textNodeCount++;
-      const textNode = walker.currentNode;
-      let match;
-      while ((match = regex.exec(textNode.textContent)) !== null) {
-        //only runs if the regex found something - skips whitespace nodes automatically
-        const range = new Range();
-        range.setStart(textNode, match.index);
-        range.setEnd(textNode, match.index + match[0].length);
-        this._ranges.push(range);
-
-        if (onEachMatch) onEachMatch(match[0], textNode, match.index);
+    if (flat) {
+      textNodeCount = flat.nodes.length;
+      this._scanFlatText(flat, matcher, phrases.length > 0 ? this._buildMatcher(phrases) : null, onEachMatch);
+    } else {
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, TEXT_FILTER);
+      while (walker.nextNode()) {
+        textNodeCount++;
+        this._scanTextNode(walker.currentNode, matcher, onEachMatch);
       }
     }
-    PerfLogger.timeEnd("  TreeWalker + regex + Range creation", {
+    PerfLogger.timeEnd("  TreeWalker + match + Range creation", {
+      matcher: kind,
       textNodes: textNodeCount,
+      phrases: phrases.length,
       ranges: this._ranges.length,
     });
 
     PerfLogger.time("  Highlight() registration");
-    const highlight = new Highlight();
+    const highlight = this._getHighlight();
     for (const r of this._ranges) highlight.add(r);// for content heavy sites in my e2e test, this would preven stack overflow
-    CSS.highlights.set(this._highlightName, highlight);
     PerfLogger.timeEnd("  Highlight() registration", { ranges: this._ranges.length });
   }
 
+  /**
+   * Highlight matches in specific text nodes, ADDING to the current
+   * highlight instead of replacing it. Used to catch up on content that
+   * appeared after highlightAll() (infinite scroll, SPA route changes).
+   * Each node is searched on its own: phrases running across nodes are
+   * left to highlightFlats() or the next highlightAll().
+   *
+   * @param {Text[]}   textNodes   — nodes to scan (see collectTextNodes)
+   * @param {string[]} words       — array of words/inflections to highlight
+   * @param {Function} onEachMatch — callback(matchedText, textNode, offset)
+   * @returns {Range[]} — the ranges this call added
+   */
+  highlightNodes(textNodes, words, onEachMatch) {
+    if (!words || words.length === 0 || textNodes.length === 0) {
+      return [];
+    }
+
+    const matcher = this._buildMatcher(words);
+    const start = this._ranges.length;
+    for (const textNode of textNodes) {
+      this._scanTextNode(textNode, matcher, onEachMatch);
+    }
+
+    // Slice after the loop: onEachMatch may pop ranges it rejects
+    const added = this._ranges.slice(start);
+    const highlight = this._getHighlight();
+    for (const r of added) highlight.add(r);
+    return added;
+  }
+
+  /**
+   * Highlight matches in whole FlatTexts, ADDING to the current highlight
+   * like highlightNodes() but the way highlightAll() reads text: phrases
+   * running across nodes (`<a>high</a> school`) are found too. Used to
+   * re-scan the blocks around text that changed after highlightAll().
+   *
+   * @param {FlatText[]} flats       — flatten() of each block to scan
+   * @param {string[]}   words       — array of words/inflections to highlight
+   * @param {Function}   onEachMatch — callback(matchedText, textNode, offset)
+   * @returns {Range[]} — the ranges this call added
+   */
+  highlightFlats(flats, words, onEachMatch) {
+    if (!words || words.length === 0 || flats.length === 0) {
+      return [];
+    }
+
+    const matcher = this._buildMatcher(words);
+    const phrases = phrasesIn(words);
+    const phraseMatcher = phrases.length > 0 ? this._buildMatcher(phrases) : null;
+    const start = this._ranges.length;
+    for (const flat of flats) {
+      this._scanFlatText(flat, matcher, phraseMatcher, onEachMatch);
+    }
+
+    // Slice after the loop: onEachMatch may pop ranges it rejects
+    const added = this._ranges.slice(start);
+    const highlight = this._getHighlight();
+    for (const r of added) highlight.add(r);
+    return added;
+  }
+
+  /**
+   * Create Ranges for matches found off the main thread (see
+   * model/text-matcher.js), a slice at a time in idle callbacks so that
+   * thousands of matches never block input. Each slice's ranges join the
+   * highlight as soon as it ends. Adds to the current highlight, like
+   * highlightNodes() — call clear() first for a fresh pass.
+   *
+   * Matches in text nodes that changed or left the page since `texts` was
+   * read are skipped: their offsets are stale, and LiveHighlightPresenter
+   * re-scans changed nodes anyway.
+   *
+   * A match whose length runs past the end of its text node (a phrase
+   * found across nodes) needs the FlatText the texts came from; without
+   * it, such matches are skipped.
+   *
+   * @param {Text[]}   textNodes   — the nodes the matches index into
+   * @param {string[]} texts       — their text when it was matched
+   * @param {Array}    matches     — [nodeIndex, offset, length, baseWord] tuples
+   * @param {Function} onEachMatch — callback(matchedText, textNode, offset, baseWord)
+   * @param {FlatText} [flat]      — where textNodes and texts came from
+   * @returns {Promise<boolean>} — false if clear() cancelled it part-way
+   */
+  highlightMatches(textNodes, texts, matches, onEachMatch, flat = null) {
+    const pass = this._pass;
+    let next = 0;
+
+    return new Promise((resolve) => {
+      const slice = (deadline) => {
+        if (pass !== this._pass) {
+          resolve(false);
+          return;
+        }
+
+        const start = this._ranges.length;
+        let built = 0;
+        while (next < matches.length && (built < MIN_SLICE_MATCHES || deadline.timeRemaining() > 0)) {
+          const [nodeIndex, offset, length, baseWord] = matches[next++];
+          const textNode = textNodes[nodeIndex];
+          const unchanged = (i) => textNodes[i].isConnected && textNodes[i].data === texts[i];
+
+          let range;
+          let matchedText;
+          if (offset + length <= texts[nodeIndex].length) {
+            if (!unchanged(nodeIndex)) continue;
+            range = new Range();
+            range.setStart(textNode, offset);
+            range.setEnd(textNode, offset + length);
+            matchedText = texts[nodeIndex].slice(offset, offset + length);
+          } else {
+            if (!flat) continue;
+            const start = flat.starts[nodeIndex] + offset;
+            const last = flat.indexAt(start + length - 1);
+            let i = nodeIndex;
+            while (i <= last && unchanged(i)) i++;
+            if (i <= last) continue;
+            range = flat.range(start, start + length);
+            matchedText = flat.text.slice(start, start + length);
+          }
+          this._ranges.push(range);
+          built++;
+
+          if (onEachMatch) onEachMatch(matchedText, textNode, offset, baseWord);
+        }
+
+        const highlight = this._getHighlight();
+        for (let i = start; i < this._ranges.length; i++) highlight.add(this._ranges[i]);
+
+        if (next < matches.length) whenIdle(slice);
+        else resolve(true);
+      };
+
+      whenIdle(slice);
+    });
+  }
+
+  /**
+   * Remove specific ranges (e.g. ones whose text was removed from the page).
+   *
+   * @param {Range[]} ranges
+   */
+  removeRanges(ranges) {
+    const doomed = new Set(ranges);
+    for (const r of doomed) this._highlight?.delete(r);
+    this._ranges = this._ranges.filter((r) => !doomed.has(r));
+  }
+
+  /**
+   * Text nodes under `root` that highlightAll() would visit. A text node
+   * passed as `root` is returned on its own (if it isn't script/style text).
+   *
+   * @param {Node} root
+   * @returns {Text[]}
+   */
+  collectTextNodes(root) {
+    if (root.nodeType === 3) {
+      return TEXT_FILTER.acceptNode(root) === NodeFilter.FILTER_ACCEPT ? [root] : [];
+    }
+    if (root.nodeType !== 1 || SKIP_PARENTS.has(root.tagName)) return [];
+
+    const nodes = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, TEXT_FILTER);
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    return nodes;
+  }
+
+  /**
+   * The text under `root` as highlighting reads it: a FlatText where a
+   * <br> reads as a space, so phrases run over line breaks but not over
+   * block boundaries.
+   *
+   * @param {Element} root
+   * @returns {FlatText}
+   */
+  flatten(root) {
+    return new FlatText(root, { lineBreak: " " });
+  }
+
+  /**
+   * Draw the focus highlight on one range (or remove it, with null).
+   *
+   * @param {Range|null} range — one of the ranges from highlightAll()
+   */
+  setFocusedRange(range) {
+    if (!range) {
+      CSS.highlights.delete(this._focusName);
+      return;
+    }
+    const focus = new Highlight(range);
+    focus.priority = 1; // paint over asl-words where they overlap
+    CSS.highlights.set(this._focusName, focus);
+  }
+
   /**
    * Remove all highlights.
    */
   clear() {
     CSS.highlights.delete(this._highlightName)
+    CSS.highlights.delete(this._focusName);
+    this._highlight = null;
     this._ranges.length = 0;
+    this._pass++;
   }
 
   // ─── PRIVATE METHODS ───────────────────────────────────────────────
 
+  /**
+   * Run the matcher over one text node, creating a Range per match.
+   */
+  _scanTextNode(textNode, matcher, onEachMatch) {
+    for (const match of matcher.findAll(textNode.textContent)) {
+      //only runs if the matcher found something - skips whitespace nodes automatically
+      const range = new Range();
+      range.setStart(textNode, match.index);
+      range.setEnd(textNode, match.index + match.text.length);
+      this._ranges.push(range);
+
+      if (onEachMatch) onEachMatch(match.text, textNode, match.index);
+    }
+  }
+
+  /**
+   * Run the matcher over each text node of `flat`, and the phrase matcher
+   * over the flat text for phrases running across nodes, creating a Range
+   * per match in text order.
+   */
+  _scanFlatText(flat, matcher, phraseMatcher, onEachMatch) {
+    let matches = [];
+    flat.texts.forEach((text, i) => {
+      for (const match of matcher.findAll(text)) {
+        matches.push([i, match.index, match.text.length, match.text]);
+      }
+    });
+    if (phraseMatcher) {
+      matches = mergeAcross(matches, findAcross(flat, phraseMatcher), flat.starts);
+    }
+
+    for (const [i, offset, length, matchedText] of matches) {
+      const start = flat.starts[i] + offset;
+      this._ranges.push(flat.range(start, start + length));
+
+      if (onEachMatch) onEachMatch(matchedText, flat.nodes[i], offset);
+    }
+  }
+
+  /**
+   * The registered Highlight, creating and registering it on first use.
+   */
+  _getHighlight() {
+    if (!this._highlight) {
+      this._highlight = new Highlight();
+      CSS.highlights.set(this._highlightName, this._highlight);
+    }
+    return this._highlight;
+  }
+
   /**
    * Inject the ::highlight() CSS rule into the page.
    */
   _injectStyles() {
     this._styleEl = document.createElement("style");
     const preset = CONFIG.highlight.presets[CONFIG.highlight.color] || CONFIG.highlight.color;
-    this._styleEl.textContent = `
+    this._styleEl.textContent = this._css(preset);
+    document.head.appendChild(this._styleEl);
+  }
+
+  /**
+   * The ::highlight() rules for the match color and the focus highlight.
+   */
+  _css(color) {
+    return `
         ::highlight(${this._highlightName}){
-          background-color: ${preset};
+          background-color: ${color};
+        }
+        ::highlight(${this._focusName}){
+          background-color: ${CONFIG.highlight.focusColor};
+          text-decoration: underline 2px;
         }
     `;
-    document.head.appendChild(this._styleEl);
   }
 
   /**
@@ -106,11 +425,7 @@ export class HighlightOverlayView {
   setColor(colorOrPreset) {
     const resolved = CONFIG.highlight.presets[colorOrPreset] || colorOrPreset;
     CONFIG.highlight.color = colorOrPreset;
-    this._styleEl.textContent = `
-        ::highlight(${this._highlightName}){
-          background-color: ${resolved};
-        }
-    `;
+    this._styleEl.textContent = this._css(resolved);
   }
 
   /**
@@ -120,10 +435,17 @@ export class HighlightOverlayView {
    * @returns {RegExp}
    */
   _buildRegex(words) {
-    const escaped = words
-      .map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
-      .sort((a, b) => b.length - a.length);
-    const regex = new RegExp(`\\b(?:${escaped.join("|")})\\b`, "gi");
-    return regex;
+    return buildWordRegex(words);
+  }
+
+  /**
+   * The matcher for a pass: the regex above, or a TrieMatcher when
+   * CONFIG.matching.trie is on (see model/text-matcher.js).
+   *
+   * @param {string[]} words
+   * @returns {{ findAll(text: string): Array<{ index: number, text: string }> }}
+   */
+  _buildMatcher(words) {
+    return buildWordMatcher(words);
   }
 }
@@ -1,6 +1,25 @@
 import { CONFIG } from "../config.js";
 import { createPopupTemplate } from "./popup-overlay.template.js";
 import { PerfLogger } from "../utils/PerfLogger.js";
+import { tokenAt } from "../model/tokenizer.js";
+
+// Letters, apostrophes, hyphens and spaces only (any of the tokenizer's
+// apostrophe and hyphen variants) — a word or short phrase, not a
+// sentence or a stray punctuation drag
+const SELECTION_TEXT = /^[\p{L}\p{M}'\u2019\u02bc \u2010\u2011-]{1,40}$/u;
+
+/**
+ * The word around `offset` in `text`, as the highlighter and the prefilter
+ * split words (model/tokenizer.js), with its case kept.
+ *
+ * @returns {{ word: string, start: number, end: number }} — empty word if
+ *          the offset isn't touching one
+ */
+export function wordAt(text, offset) {
+  const token = tokenAt(text, offset);
+  if (!token) return { word: "", start: offset, end: offset };
+  return { word: text.slice(token.start, token.end), start: token.start, end: token.end };
+}
 
 /**
  * PopupOverlayView — A Shadow DOM popup that is invisible to the host page.
@@ -24,6 +43,21 @@ export class PopupOverlayView {
     this._onLeaveWord = null; // callback the presenter sets
     this._mouseMoveHandler = null; // stored for removal in stopHoverDetection
     this._rafId = null; // tracks pending requestAnimationFrame
+
+    this._onSelectWord = null; // callback the presenter sets
+    this._mouseUpHandler = null; // stored for removal in stopSelectionDetection
+
+    this._clickHandler = null; // stored for removal in stopClickDetection
+
+    this._playbackRate = 1; // applied to every video loaded
+    this._paused = false; // user paused: new clips load without playing
+
+    this._renderedVariants = null; // entries the variant buttons were built for
+    this._debug = false; // show the disambiguation breakdown
+    this._renderedReport = null; // report the debug list was built for
+
+    this._returnFocus = null; // where focus goes back to on unpin
+    this._lastAnnouncement = ""; // live region dedupe: render() runs often
   }
 
   // ─── LIFECYCLE ──────────────────────────────────────────────────────
@@ -38,6 +72,7 @@ export class PopupOverlayView {
     this._shadow.innerHTML = createPopupTemplate();
     this._popup = this._shadow.querySelector(".asl-popup");
     this._video = this._shadow.querySelector(".asl-popup-video");
+    this._popup.addEventListener("keydown", (e) => this._trapFocus(e));
     document.body.appendChild(this._host);
   }
 
@@ -105,20 +140,16 @@ export class PopupOverlayView {
       }
 
       // Extract the full word at cursor position
-      const text = node.textContent;
-      const before = text.slice(0, offset).match(/\w+$/);
-      const after = text.slice(offset).match(/^\w+/);
-      let word = (before?.[0] || "") + (after?.[0] || "");
+      const bounds = wordAt(node.textContent, offset);
+      let word = bounds.word;
 
       // Verify cursor is actually over the word, not just nearby.
       // caretPositionFromPoint snaps to the nearest text even when the
       // cursor is in whitespace, so we check the word's bounding rect.
       if (word) {
-        const wordStart = offset - (before?.[0]?.length || 0);
-        const wordEnd = offset + (after?.[0]?.length || 0);
         const range = document.createRange();
-        range.setStart(node, wordStart);
-        range.setEnd(node, wordEnd);
+        range.setStart(node, bounds.start);
+        range.setEnd(node, bounds.end);
         const rect = range.getBoundingClientRect();
 
         if (
@@ -173,10 +204,142 @@ export class PopupOverlayView {
     }
     this._lastWord = "";
   }
-  
+
+  // ─── SELECTION DETECTION ───────────────────────────────────────────
+
+  /**
+   * Fire a callback when the user explicitly selects a word (or a short
+   * run of words) on the page. Unlike hover, this fires for ANY word —
+   * including ones with no ASL-LEX sign — so the presenter can offer
+   * the fingerspelling fallback.
+   *
+   * @param {Function} onSelectWord — callback(text, clientX, clientY)
+   */
+  startSelectionDetection(onSelectWord) {
+    this._onSelectWord = onSelectWord;
+
+    this._mouseUpHandler = (e) => {
+      // Selecting text inside the popup itself is not a lookup
+      if (this._host && e.composedPath().includes(this._host)) return;
+
+      const selection = window.getSelection();
+      if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+        return;
+      }
+
+      const text = selection.toString().trim();
+      if (!SELECTION_TEXT.test(text)) return;
+
+      const rect = selection.getRangeAt(0).getBoundingClientRect();
+      this._onSelectWord?.(text, rect.left, rect.bottom);
+    };
+
+    document.addEventListener("mouseup", this._mouseUpHandler);
+  }
+
+  /**
+   * Remove the mouseup listener.
+   */
+  stopSelectionDetection() {
+    if (this._mouseUpHandler) {
+      document.removeEventListener("mouseup", this._mouseUpHandler);
+      this._mouseUpHandler = null;
+    }
+  }
+
+  /**
+   * The word at the text caret, or the current selection, for keyboard
+   * activation. A collapsed selection (caret browsing, contenteditable)
+   * expands to the word it touches; a real selection must pass the same
+   * word/short-phrase check as mouse selection.
+   *
+   * @returns {{ text: string, clientX: number, clientY: number } | null}
+   *          clientX/clientY are the left/bottom of the word, like
+   *          startSelectionDetection's anchor
+   */
+  getWordAtCaret() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+
+    let range = selection.getRangeAt(0);
+    let text;
+
+    if (selection.isCollapsed) {
+      const node = range.startContainer;
+      if (node.nodeType !== Node.TEXT_NODE) return null;
+
+      const bounds = wordAt(node.textContent, range.startOffset);
+      if (!bounds.word) return null;
+
+      text = bounds.word;
+      range = document.createRange();
+      range.setStart(node, bounds.start);
+      range.setEnd(node, bounds.end);
+    } else {
+      text = selection.toString().trim();
+      if (!SELECTION_TEXT.test(text)) return null;
+    }
+
+    const rect = range.getBoundingClientRect();
+    return { text, clientX: rect.left, clientY: rect.bottom };
+  }
+
+  // ─── CLICK DETECTION ───────────────────────────────────────────────
+
+  /**
+   * Report plain clicks on the page (not in the popup, not the click that
+   * ends a text selection). Highlights aren't elements, so the presenter
+   * hit-tests the point against its match ranges.
+   *
+   * Listens in the capture phase so page handlers that stop propagation
+   * don't swallow the "click elsewhere to dismiss".
+   *
+   * @param {Function} onClick — callback(clientX, clientY)
+   */
+  startClickDetection(onClick) {
+    this._clickHandler = (e) => {
+      if (e.button !== 0) return;
+      if (this._host && e.composedPath().includes(this._host)) return;
+
+      // A drag-select ends in a click — startSelectionDetection owns that
+      const selection = window.getSelection();
+      if (selection && !selection.isCollapsed) return;
+
+      onClick(e.clientX, e.clientY);
+    };
+
+    document.addEventListener("click", this._clickHandler, true);
+  }
+
+  /**
+   * Remove the click listener.
+   */
+  stopClickDetection() {
+    if (this._clickHandler) {
+      document.removeEventListener("click", this._clickHandler, true);
+      this._clickHandler = null;
+    }
+  }
+
 
   // ─── POPUP DISPLAY ─────────────────────────────────────────────────
 
+  /**
+   * Resize the popup. The video keeps a 4:3 frame; CONFIG.popup's
+   * width/height estimates follow so positioning stays accurate.
+   *
+   * @param {number} width — popup content width in px
+   */
+  setSize(width) {
+    const videoHeight = Math.round((width * 3) / 4);
+    this._host?.style.setProperty("--popup-width", `${width}px`);
+    this._host?.style.setProperty("--popup-video-height", `${videoHeight}px`);
+
+    // Padding, header and controls around the content box
+    CONFIG.popup.width = width + 60;
+    CONFIG.popup.height = videoHeight + 100;
+  }
+
   /**
    * Show the popup near the cursor position.
    *
@@ -188,6 +351,9 @@ export class PopupOverlayView {
 
     this._popup.style.display = "block";
 
+    // Expanded popups stay centered (see expand())
+    if (this._popup.classList.contains("expanded")) return;
+
     const { width, height, offset } = CONFIG.popup;
 
     let x = clientX + offset;
@@ -207,6 +373,30 @@ export class PopupOverlayView {
     this._popup.style.top = y + "px";
   }
 
+  /**
+   * Show the popup beside a word's rect — for keyboard navigation, where
+   * there is no cursor. Below the word and left-aligned with it; flips
+   * above it, or shifts left, instead of overflowing the viewport.
+   *
+   * @param {DOMRect} rect — the word's client rect
+   */
+  showAtRect(rect) {
+    if (!this._popup) return;
+
+    this._popup.style.display = "block";
+
+    const { width, height, offset, minLeft } = CONFIG.popup;
+
+    let y = rect.bottom + offset;
+    if (y + height > window.innerHeight) {
+      y = rect.top - height - offset;
+    }
+    const x = Math.max(minLeft, Math.min(rect.left, window.innerWidth - width - minLeft));
+
+    this._popup.style.left = x + "px";
+    this._popup.style.top = y + "px";
+  }
+
   /**
    * Hide the popup with a small delay to prevent flickering.
    */
@@ -218,6 +408,8 @@ export class PopupOverlayView {
       if (this._popup) {
         this._popup.style.display = "none";
       }
+      // Re-opening the same word should be announced again
+      this._lastAnnouncement = "";
       // Clean up video to free resources
       if (this._video) {
         this._video.pause();
@@ -234,6 +426,492 @@ export class PopupOverlayView {
     clearTimeout(this._hideTimeout);
   }
 
+  /**
+   * Pin the popup so mouse movement no longer hides or replaces it.
+   * Shows the close button, turns the popup into a modal dialog and moves
+   * focus into it (Tab stays inside until unpin()).
+   */
+  pin() {
+    this._isPinned = true;
+    if (!this._popup) return;
+
+    this._popup.classList.add("pinned");
+    this._popup.setAttribute("role", "dialog");
+    this._popup.setAttribute("aria-modal", "true");
+
+    // Remember where focus was — unless it's already in the popup
+    // (re-pinning for the next word keeps the original spot)
+    const active = document.activeElement;
+    if (active && active !== this._host) this._returnFocus = active;
+
+    this._shadow.querySelector(".asl-popup-close")?.focus();
+  }
+
+  /**
+   * Release a pinned popup (does not hide it — call hide() after).
+   * Also leaves the expanded state. Focus returns to where it was before
+   * pin(), if it's still in the popup (a click elsewhere already moved it).
+   */
+  unpin() {
+    this._isPinned = false;
+    if (!this._popup) return;
+
+    this._popup.classList.remove("pinned", "expanded");
+    this._popup.setAttribute("role", "tooltip");
+    this._popup.removeAttribute("aria-modal");
+
+    const focused = this._shadow.activeElement;
+    const target = this._returnFocus;
+    this._returnFocus = null;
+    if (!focused) return;
+
+    if (target?.isConnected) {
+      target.focus();
+    } else {
+      focused.blur();
+    }
+  }
+
+  /**
+   * Pin and enlarge the popup, centered in the viewport. The popup is
+   * position: fixed, so it stays put while the page scrolls.
+   */
+  expand() {
+    this.pin();
+    if (!this._popup) return;
+
+    // show() positions with inline left/top, which would beat the
+    // .expanded centering rule
+    this._popup.style.left = "";
+    this._popup.style.top = "";
+    this._popup.classList.add("expanded");
+  }
+
+  // ─── PLAYBACK CONTROLS ─────────────────────────────────────────────
+
+  /**
+   * Wire replay, frame-step, pause and speed controls.
+   *
+   * @param {object}   handlers
+   * @param {number}   handlers.rate          — initial playback rate
+   * @param {Function} handlers.onRateChange  — called with the chosen rate
+   * @param {Function} handlers.onTogglePause — called on pause/resume
+   * @param {Function} handlers.onStep        — called with -1 / 1 (frames)
+   * @param {Function} handlers.onReplay      — called on replay
+   */
+  bindPlaybackControls({ rate, onRateChange, onTogglePause, onStep, onReplay }) {
+    const select = this._shadow.querySelector(".asl-popup-rate");
+    if (select) {
+      select.innerHTML = CONFIG.playback.rates
+        .map((r) => `<option value="${r}">${r}\u00D7</option>`)
+        .join("");
+      select.value = String(rate);
+      select.addEventListener("change", () => onRateChange(parseFloat(select.value)));
+    }
+
+    this._shadow.querySelector(".asl-popup-pause")?.addEventListener("click", () => onTogglePause());
+    this._shadow.querySelector(".asl-popup-replay")?.addEventListener("click", () => onReplay());
+    for (const btn of this._shadow.querySelectorAll(".asl-popup-step")) {
+      btn.addEventListener("click", () => onStep(Number(btn.getAttribute("data-step"))));
+    }
+
+    this.setPlaybackRate(rate);
+  }
+
+  /**
+   * Apply a playback rate to the current video and every one loaded after.
+   * defaultPlaybackRate too: load() resets playbackRate to it.
+   *
+   * @param {number} rate
+   */
+  setPlaybackRate(rate) {
+    this._playbackRate = rate;
+    if (this._video) {
+      this._video.defaultPlaybackRate = rate;
+      this._video.playbackRate = rate;
+    }
+  }
+
+  /**
+   * Pause or resume the current video. While paused, loadVideo() loads
+   * but doesn't start new clips (e.g. the next variant in a cycle).
+   *
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this._paused = paused;
+    if (!this._video) return;
+
+    if (paused) {
+      this._video.pause();
+    } else if (this._video.getAttribute("src")) {
+      this._playVideo();
+    }
+  }
+
+  /**
+   * Step one frame forward (1) or back (-1). Leaves the video paused —
+   * the caller should have paused it (setPaused(true)) first.
+   *
+   * @param {number} direction
+   */
+  stepFrame(direction) {
+    if (!this._video) return;
+
+    const { frameSeconds } = CONFIG.playback;
+    const duration = Number.isFinite(this._video.duration) ? this._video.duration : Infinity;
+    const time = this._video.currentTime + direction * frameSeconds;
+    this._video.currentTime = Math.min(Math.max(time, 0), duration);
+  }
+
+  /**
+   * Restart the current clip from the first frame.
+   */
+  replay() {
+    if (!this._video) return;
+    this._video.currentTime = 0;
+    this.setPaused(false);
+  }
+
+  _playVideo() {
+    this._video.play().catch((err) => {
+      // AbortError is expected when user moves away quickly - ignore it
+      if (err.name !== "AbortError") {
+        console.warn("Video play failed:", err);
+      }
+    });
+  }
+
+  _renderPlayback(state) {
+    const pauseBtn = this._shadow.querySelector(".asl-popup-pause");
+    if (pauseBtn) {
+      pauseBtn.setAttribute("aria-pressed", String(!!state.isPaused));
+      pauseBtn.textContent = state.isPaused ? "\u25B6" : "\u23F8";
+      pauseBtn.title = state.isPaused ? "Resume" : "Pause";
+    }
+
+    const select = this._shadow.querySelector(".asl-popup-rate");
+    if (select && state.playbackRate !== undefined) {
+      select.value = String(state.playbackRate);
+    }
+  }
+
+  // ─── VARIANTS ──────────────────────────────────────────────────────
+
+  /**
+   * Wire the variant strip. Variant buttons are rebuilt for each word, so
+   * their clicks are delegated from the list.
+   *
+   * @param {object}   handlers
+   * @param {Function} handlers.onSelect     — called with the clicked variant's index
+   * @param {Function} handlers.onToggleLock — called on lock/unlock
+   */
+  bindVariantControls({ onSelect, onToggleLock }) {
+    this._shadow.querySelector(".asl-popup-variant-list")?.addEventListener("click", (e) => {
+      const btn = e.target.closest?.(".asl-popup-variant");
+      if (btn) onSelect(Number(btn.getAttribute("data-index")));
+    });
+    this._shadow.querySelector(".asl-popup-variant-lock")?.addEventListener("click", () => onToggleLock());
+  }
+
+  /**
+   * One button per variant: entryId, lexical class, score and meanings.
+   * Built with textContent — meanings come from the glossary, not us.
+   */
+  _createVariantButton(entry, index) {
+    const btn = document.createElement("button");
+    btn.setAttribute("type", "button");
+    btn.setAttribute("data-index", index);
+    btn.className = "asl-popup-variant";
+
+    const parts = [
+      ["asl-popup-variant-id", entry.entryId || ""],
+      ["asl-popup-variant-class", entry.lexicalClass || ""],
+      ["asl-popup-variant-score", ""],
+      ["asl-popup-variant-meanings", entry.meanings || ""],
+    ];
+    for (const [className, text] of parts) {
+      const span = document.createElement("span");
+      span.className = className;
+      span.textContent = text;
+      btn.appendChild(span);
+    }
+    return btn;
+  }
+
+  /**
+   * Show the word's variants (only when there's a choice to make): the
+   * one playing is pressed, the one disambiguation picked is marked, and
+   * each shows its score when context was scored.
+   */
+  _renderVariants(state) {
+    const list = this._shadow.querySelector(".asl-popup-variant-list");
+    if (!list) return;
+
+    const variants = state.variants || [];
+    const hasChoice = variants.length > 1;
+    this._popup.classList.toggle("has-variants", hasChoice);
+
+    if (variants !== this._renderedVariants) {
+      this._renderedVariants = variants;
+      list.textContent = "";
+      if (hasChoice) {
+        variants.forEach((entry, i) => list.appendChild(this._createVariantButton(entry, i)));
+      }
+    }
+
+    const scores = state.variantScores || [];
+    const current = variants.indexOf(state.currentEntry);
+    const locked = state.variantLocks?.get(state.currentWord) ?? -1;
+
+    for (const btn of list.querySelectorAll(".asl-popup-variant")) {
+      const i = Number(btn.getAttribute("data-index"));
+      const picked = i === state.pickedVariant;
+
+      btn.setAttribute("aria-pressed", String(i === current));
+      btn.classList.toggle("picked", picked);
+      btn.classList.toggle("locked", i === locked);
+
+      const score = i < scores.length ? `score ${scores[i]}` : "";
+      btn.querySelector(".asl-popup-variant-score").textContent =
+        picked ? ["picked", score].filter(Boolean).join(" \u00B7 ") : score;
+    }
+
+    // Inline display too, so the focus trap skips it (like the fingerspell button)
+    const lockBtn = this._shadow.querySelector(".asl-popup-variant-lock");
+    if (lockBtn) {
+      lockBtn.setAttribute("aria-pressed", String(locked >= 0));
+      lockBtn.style.display = hasChoice ? "" : "none";
+    }
+  }
+
+  // ─── DEBUG PANEL ───────────────────────────────────────────────────
+
+  /**
+   * Turn the "Why this sign?" disambiguation breakdown on or off
+   * (CONFIG.debug.disambiguation).
+   *
+   * @param {boolean} enabled
+   */
+  setDebug(enabled) {
+    this._debug = enabled;
+    this._popup?.classList.toggle("debug", enabled);
+  }
+
+  /**
+   * One line per variant: total, then each layer's points and what it
+   * matched, e.g. "bat_3 = 12: class +1 (ball), field +0, meanings +6
+   * (hit, swing), feedback +0, grammar +5 (Verb)".
+   */
+  _describeVariant(v) {
+    const layer = (name, points, matched = []) =>
+      matched.length ? `${name} +${points} (${matched.join(", ")})` : `${name} +${points}`;
+
+    const layers = [
+      layer("class", v.lexicalClass.points, v.lexicalClass.neighbors),
+      layer("field", v.semanticField.points, v.semanticField.neighbors),
+      layer("meanings", v.lesk.points, v.lesk.tokens),
+      layer("feedback", v.feedback.points),
+    ];
+    // Only when the sentence was tagged
+    if (v.partOfSpeech?.tag) {
+      layers.push(layer("grammar", v.partOfSpeech.points, [v.partOfSpeech.tag]));
+    }
+    // Only when a glossary rule fired for this variant
+    if (v.rules?.points) {
+      layers.push(v.rules.points > 0 ? layer("rules", v.rules.points) : `rules ${v.rules.points}`);
+    }
+
+    return `${v.entryId} = ${v.score}: ` + layers.join(", ");
+  }
+
+  _renderDebug(state) {
+    const panel = this._shadow.querySelector(".asl-popup-debug");
+    if (!panel) return;
+
+    const report = this._debug ? state.variantReport : null;
+    const shown = !!report && report.length > 1;
+    this._popup.classList.toggle("has-report", shown);
+    // hidden too, so the focus trap skips the summary
+    panel.hidden = !shown;
+    if (!shown || report === this._renderedReport) return;
+
+    this._renderedReport = report;
+    const list = panel.querySelector(".asl-popup-debug-list");
+    list.textContent = "";
+    report.forEach((v, i) => {
+      const item = document.createElement("li");
+      item.textContent = this._describeVariant(v);
+      if (i === state.pickedVariant) item.className = "picked";
+      list.appendChild(item);
+    });
+  }
+
+  // ─── FINGERSPELLING ────────────────────────────────────────────────
+
+  /**
+   * Wire the "Fingerspell it" button and the speed slider.
+   *
+   * @param {object}   handlers
+   * @param {Function} handlers.onStart       — called when the button is clicked
+   * @param {Function} handlers.onSpeedChange — called with the new speed multiplier
+   * @param {number}   handlers.speed         — initial slider value
+   */
+  bindFingerspellControls({ onStart, onSpeedChange, speed }) {
+    const btn = this._shadow.querySelector(".asl-popup-fingerspell-btn");
+    const input = this._shadow.querySelector(".asl-popup-fingerspell-speed-input");
+
+    btn?.addEventListener("click", () => onStart());
+
+    if (input) {
+      input.min = CONFIG.fingerspell.minSpeed;
+      input.max = CONFIG.fingerspell.maxSpeed;
+      input.value = speed;
+      this._renderSpeed(speed);
+      input.addEventListener("input", () => {
+        const value = parseFloat(input.value);
+        this._renderSpeed(value);
+        onSpeedChange(value);
+      });
+    }
+  }
+
+  /**
+   * Show one handshape of the fingerspelling sequence.
+   *
+   * @param {Array}  frames — full sequence from VideoService.getFingerspellFrames()
+   * @param {number} index  — the frame to show
+   */
+  showFingerspellFrame(frames, index) {
+    const img = this._shadow?.querySelector(".asl-popup-fingerspell-img");
+    const lettersEl = this._shadow?.querySelector(".asl-popup-fingerspell-letters");
+    if (!img || !lettersEl) return;
+
+    const frame = frames[index];
+    if (frame.src) {
+      img.src = frame.src;
+      img.alt = `Handshape for ${frame.char}`;
+    } else {
+      img.removeAttribute("src");
+      img.alt = "";
+    }
+
+    // Spell the word out underneath, emphasising the current letter
+    lettersEl.textContent = "";
+    frames.forEach((f, i) => {
+      const span = document.createElement("span");
+      span.textContent = f.char;
+      if (i === index) span.className = "current";
+      lettersEl.appendChild(span);
+    });
+  }
+
+  _renderSpeed(speed) {
+    const valueEl = this._shadow?.querySelector(".asl-popup-fingerspell-speed-value");
+    if (valueEl) valueEl.textContent = `${speed}\u00D7`;
+  }
+
+  // ─── ACCESSIBILITY ─────────────────────────────────────────────────
+
+  /**
+   * The page text the popup is about (hovered word, selection, or the
+   * match's range text). Read out as part of the popup's description.
+   *
+   * @param {string} text
+   */
+  setMatchedText(text) {
+    const el = this._shadow?.querySelector("#asl-popup-matched");
+    if (el) el.textContent = text ? `Matched text: ${text}` : "";
+  }
+
+  /**
+   * Say something through the live region. Repeats of the last message
+   * are dropped — render() runs several times per word.
+   *
+   * @param {string} message
+   */
+  announce(message) {
+    if (!message || message === this._lastAnnouncement) return;
+    this._lastAnnouncement = message;
+
+    const live = this._shadow?.querySelector(".asl-popup-live");
+    if (live) live.textContent = message;
+  }
+
+  /**
+   * Keep Tab / Shift+Tab cycling inside a pinned popup.
+   */
+  _trapFocus(e) {
+    if (e.key !== "Tab" || !this._isPinned) return;
+
+    const focusables = this._focusables();
+    if (focusables.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const active = this._shadow.activeElement;
+    const inside = focusables.includes(active);
+
+    if (e.shiftKey && (active === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Visible, enabled controls in the popup, in tab order.
+   */
+  _focusables() {
+    return [...this._popup.querySelectorAll("button, input, select, summary, [tabindex]")].filter(
+      (el) =>
+        el !== this._popup &&
+        !el.closest("[hidden]") &&
+        !el.disabled &&
+        el.getAttribute("tabindex") !== "-1" &&
+        el.style.display !== "none" &&
+        (el.checkVisibility?.() ?? true)
+    );
+  }
+
+  /**
+   * ARIA state for the current render: busy while loading, a label on
+   * the video only when there is one to watch, and an announcement once
+   * we know what the word is.
+   */
+  _renderAria(state) {
+    this._popup.setAttribute("aria-busy", String(!!state.isLoading));
+
+    if (this._video) {
+      if (state.hasVideo) {
+        this._video.removeAttribute("aria-hidden");
+        this._video.setAttribute("aria-label", `ASL sign for "${state.currentWord}"`);
+      } else {
+        this._video.setAttribute("aria-hidden", "true");
+        this._video.removeAttribute("aria-label");
+      }
+    }
+
+    // Wait for the entry unless loading has finished without one
+    if (!state.currentWord || (state.isLoading && !state.currentEntry)) return;
+
+    const entry = state.currentEntry;
+    if (!entry) {
+      this.announce(`${state.currentWord}: no ASL-LEX sign. Fingerspelling available.`);
+      return;
+    }
+
+    const heading = entry.lexicalClass
+      ? `${state.currentWord}, ${entry.lexicalClass}`
+      : state.currentWord;
+    this.announce(entry.meanings ? `${heading}: ${entry.meanings}` : heading);
+  }
+
   /**
    * Load a video into the popup's <video> element.
    *
@@ -250,18 +928,20 @@ export class PopupOverlayView {
 
     this._video.src = blobUrl;
     this._video.load();
-    this._video.play().catch((err) => {
-      // AbortError is expected when user moves away quickly - ignore it
-      if (err.name !== "AbortError") {
-        console.warn("Video play failed:", err);
-      }
-    });
+
+    // Paused by the user: load the clip, but don't let autoplay start it
+    if (this._paused) {
+      this._video.pause();
+      return;
+    }
+    this._playVideo();
   }
 
   /**
    * Update the popup content (word title, definitions, etc.)
    *
-   * @param {object} state — { currentWord, currentEntry, isLoading, hasVideo }
+   * @param {object} state — AppState (currentWord, currentEntry, isLoading, hasVideo,
+   *                         isFingerspelling, playback and variant fields)
    */
   render(state) {
     if (!this._popup) return;
@@ -289,15 +969,35 @@ export class PopupOverlayView {
       if (personHintEl) personHintEl.style.display = "none";
     }
 
-    // Update state classes (loading, has-video, no-video)
-    this._popup.classList.remove("loading", "has-video", "no-video");
+    // No entry at all means ASL-LEX has no sign for this word — offer
+    // fingerspelling instead of a dead end. (An entry whose video failed
+    // to load keeps the plain "No video available" message.)
+    const noSign = !state.currentEntry && !!state.currentWord;
+    const noVideoTextEl = this._shadow.querySelector(".asl-popup-no-video-text");
+    const fingerspellBtn = this._shadow.querySelector(".asl-popup-fingerspell-btn");
+    if (noVideoTextEl) {
+      noVideoTextEl.textContent = noSign ? "No ASL-LEX sign" : "No video available";
+    }
+    if (fingerspellBtn) {
+      fingerspellBtn.style.display = noSign ? "block" : "none";
+    }
+
+    // Update state classes (loading, has-video, fingerspelling, no-video)
+    this._popup.classList.remove("loading", "has-video", "fingerspelling", "no-video");
 
     if (state.isLoading) {
       this._popup.classList.add("loading");
     } else if (state.hasVideo) {
       this._popup.classList.add("has-video");
+    } else if (state.isFingerspelling) {
+      this._popup.classList.add("fingerspelling");
     } else {
       this._popup.classList.add("no-video");
     }
+
+    this._renderPlayback(state);
+    this._renderVariants(state);
+    this._renderDebug(state);
+    this._renderAria(state);
   }
 }
@@ -11,6 +11,7 @@
  *   - Design tokens (spacing, colors, typography) scoped to :host
  *   - All .asl-popup-* component styles
  *   - State-driven rules (loading, has-video, expanded)
+ *   - Screen-reader-only text and focus outlines
  */
 
 export const POPUP_STYLES = /* css */ `
@@ -79,6 +80,21 @@ export const POPUP_STYLES = /* css */ `
     display: block;
   }
 
+  .asl-popup.fingerspelling .asl-popup-fingerspell,
+  .asl-popup.fingerspelling .asl-popup-fingerspell-speed {
+    display: flex;
+  }
+
+  /* Playback controls only once pinned — a hover popup can't be reached */
+  .asl-popup.pinned.has-video .asl-popup-playback {
+    display: flex;
+  }
+
+  .asl-popup.pinned.has-variants .asl-popup-variants,
+  .asl-popup.debug.pinned.has-report .asl-popup-debug {
+    display: block;
+  }
+
   .asl-popup-header {
     display: flex;
     align-items: center;
@@ -119,6 +135,90 @@ export const POPUP_STYLES = /* css */ `
     transform: translate(-50%, -50%);
   }
 
+  .asl-popup-fingerspell-btn {
+    display: none;
+    margin: var(--space-md) auto 0;
+    padding: var(--space-sm) var(--space-lg);
+    background: var(--color-primary);
+    color: var(--popup-text);
+    border: none;
+    border-radius: var(--radius-md);
+    font-size: var(--text-base);
+    cursor: pointer;
+  }
+
+  .asl-popup-fingerspell {
+    position: absolute;
+    inset: 0;
+    display: none;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    gap: var(--space-md);
+  }
+
+  .asl-popup-fingerspell-img {
+    max-height: 75%;
+    max-width: 100%;
+    object-fit: contain;
+  }
+
+  .asl-popup-fingerspell-img:not([src]) {
+    visibility: hidden;
+  }
+
+  .asl-popup-fingerspell-letters {
+    color: var(--popup-muted);
+    font-size: var(--text-xl);
+    letter-spacing: var(--space-sm);
+  }
+
+  .asl-popup-fingerspell-letters .current {
+    color: var(--popup-text);
+    font-weight: 600;
+  }
+
+  .asl-popup-fingerspell-speed {
+    display: none;
+    align-items: center;
+    gap: var(--space-md);
+    padding: var(--space-sm) var(--space-lg);
+    color: var(--popup-muted);
+    font-size: var(--text-sm);
+    background: var(--popup-header-bg);
+  }
+
+  .asl-popup-fingerspell-speed-input {
+    flex: 1;
+  }
+
+  .asl-popup-playback {
+    display: none;
+    align-items: center;
+    gap: var(--space-sm);
+    padding: var(--space-sm) var(--space-lg);
+    background: var(--popup-header-bg);
+  }
+
+  .asl-popup-playback button {
+    background: none;
+    border: none;
+    color: var(--popup-muted);
+    font-size: var(--text-lg);
+    cursor: pointer;
+    padding: 0 var(--space-sm);
+  }
+
+  .asl-popup-playback button:hover,
+  .asl-popup-pause[aria-pressed="true"] {
+    color: var(--popup-text);
+  }
+
+  .asl-popup-rate {
+    margin-inline-start: auto;
+    font-size: var(--text-sm);
+  }
+
   .asl-popup-word {
     padding: var(--space-md) var(--space-lg) var(--space-sm);
     color: var(--popup-text);
@@ -146,6 +246,110 @@ export const POPUP_STYLES = /* css */ `
     background: var(--popup-header-bg);
   }
 
+  .asl-popup-variants {
+    display: none;
+    padding: var(--space-sm) var(--space-lg) var(--space-md);
+    background: var(--popup-header-bg);
+    border-top: 1px solid var(--popup-border);
+  }
+
+  .asl-popup-variant-list {
+    max-height: 120px;
+    overflow-y: auto;
+  }
+
+  .asl-popup-variant {
+    display: block;
+    width: 100%;
+    margin-bottom: var(--space-xs);
+    padding: var(--space-sm) var(--space-md);
+    background: none;
+    border: 1px solid transparent;
+    border-radius: var(--radius-md);
+    color: var(--popup-muted);
+    font-family: var(--font-sans);
+    font-size: var(--text-sm);
+    text-align: start;
+    cursor: pointer;
+  }
+
+  .asl-popup-variant:hover,
+  .asl-popup-variant[aria-pressed="true"] {
+    color: var(--popup-text);
+    background: rgba(255, 255, 255, 0.06);
+  }
+
+  .asl-popup-variant[aria-pressed="true"] {
+    border-color: var(--popup-border);
+  }
+
+  .asl-popup-variant-id {
+    font-weight: 600;
+  }
+
+  .asl-popup-variant-class {
+    margin-inline-start: var(--space-sm);
+    font-size: var(--text-xs);
+  }
+
+  .asl-popup-variant-score {
+    float: inline-end;
+    font-size: var(--text-xs);
+  }
+
+  .asl-popup-variant.picked .asl-popup-variant-score {
+    color: var(--color-primary);
+  }
+
+  .asl-popup-variant-meanings {
+    display: block;
+    font-style: italic;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  .asl-popup-variant-lock {
+    margin-top: var(--space-xs);
+    background: none;
+    border: 1px solid var(--popup-border);
+    border-radius: var(--radius-md);
+    color: var(--popup-muted);
+    font-size: var(--text-sm);
+    cursor: pointer;
+    padding: var(--space-xs) var(--space-md);
+  }
+
+  .asl-popup-variant-lock[aria-pressed="true"] {
+    color: var(--popup-text);
+    border-color: var(--color-primary);
+  }
+
+  .asl-popup-debug {
+    display: none;
+    padding: var(--space-sm) var(--space-lg) var(--space-md);
+    background: var(--popup-header-bg);
+    color: var(--popup-muted);
+    font-size: var(--text-xs);
+    font-family: monospace;
+  }
+
+  .asl-popup-debug summary {
+    cursor: pointer;
+    font-family: var(--font-sans);
+  }
+
+  .asl-popup-debug-list {
+    margin: var(--space-sm) 0 0;
+    padding-inline-start: var(--space-2xl);
+    max-height: 120px;
+    overflow-y: auto;
+  }
+
+  .asl-popup-debug-list .picked {
+    color: var(--popup-text);
+  }
+
   .asl-popup-lexical-class {
     color: var(--popup-muted);
     font-size: var(--text-xs);
@@ -172,6 +376,26 @@ export const POPUP_STYLES = /* css */ `
     color: var(--popup-text);
   }
 
+  /* Accessibility */
+  .asl-visually-hidden {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+    clip-path: inset(50%);
+    white-space: nowrap;
+  }
+
+  .asl-popup:focus {
+    outline: none;
+  }
+
+  .asl-popup button:focus-visible,
+  .asl-popup input:focus-visible {
+    outline: 2px solid var(--popup-text);
+    outline-offset: 2px;
+  }
+
   /* Expanded State */
   .asl-popup.expanded {
     position: fixed;
@@ -181,7 +405,8 @@ export const POPUP_STYLES = /* css */ `
     width: 480px;
   }
 
-  .asl-popup.expanded .asl-popup-close {
+  .asl-popup.expanded .asl-popup-close,
+  .asl-popup.pinned .asl-popup-close {
     display: block;
   }
 
@@ -4,6 +4,14 @@
  * Assembles the <style> + HTML markup that gets injected into the
  * shadow root. This is the only place that knows the popup's DOM structure.
  *
+ * ACCESSIBILITY:
+ *   The popup is a tooltip while it follows the cursor and becomes a modal
+ *   dialog when pinned (PopupOverlayView.pin() swaps the role). It is named
+ *   by the word and described by the meanings plus a copy of the matched
+ *   page text — ARIA id references can't cross the shadow boundary, and
+ *   highlights aren't elements anyway. The live region sits outside
+ *   .asl-popup so announcements aren't lost while the popup is display:none.
+ *
  * WHY A SEPARATE FILE:
  *   The view (popup-overlay-view.js) should only contain behavior —
  *   show/hide, hover detection, rendering state. The "what it looks like"
@@ -20,20 +28,51 @@ import { POPUP_STYLES } from "./popup-overlay.styles.js";
 export function createPopupTemplate() {
   return /* html */ `
     <style>${POPUP_STYLES}</style>
-    <div class="asl-popup">
+    <div class="asl-popup-live asl-visually-hidden" role="status" aria-live="polite" aria-atomic="true"></div>
+    <div class="asl-popup" id="asl-popup" role="tooltip" tabindex="-1"
+         aria-labelledby="asl-popup-word"
+         aria-describedby="asl-popup-meanings asl-popup-matched">
       <div class="asl-popup-header">
         <span class="asl-popup-title">ASL Sign</span>
         <span class="asl-popup-lexical-class"></span>
-        <button class="asl-popup-close" title="Close">\u00D7</button>
+        <button type="button" class="asl-popup-close" title="Close" aria-label="Close">\u00D7</button>
       </div>
       <div class="asl-popup-video-container">
-        <video class="asl-popup-video" autoplay loop muted playsinline></video>
+        <video class="asl-popup-video" autoplay loop muted playsinline aria-hidden="true"></video>
         <div class="asl-popup-loading">Loading...</div>
-        <div class="asl-popup-no-video">No video available</div>
+        <div class="asl-popup-no-video">
+          <span class="asl-popup-no-video-text">No video available</span>
+          <button type="button" class="asl-popup-fingerspell-btn">Fingerspell it</button>
+        </div>
+        <div class="asl-popup-fingerspell">
+          <img class="asl-popup-fingerspell-img" alt="">
+          <div class="asl-popup-fingerspell-letters"></div>
+        </div>
+      </div>
+      <div class="asl-popup-playback" role="group" aria-label="Playback">
+        <button type="button" class="asl-popup-replay" title="Replay" aria-label="Replay">\u21BA</button>
+        <button type="button" class="asl-popup-step" data-step="-1" title="Previous frame" aria-label="Previous frame">\u23EE</button>
+        <button type="button" class="asl-popup-pause" title="Pause" aria-label="Pause" aria-pressed="false">\u23F8</button>
+        <button type="button" class="asl-popup-step" data-step="1" title="Next frame" aria-label="Next frame">\u23ED</button>
+        <select class="asl-popup-rate" aria-label="Playback speed"></select>
       </div>
-      <div class="asl-popup-word"></div>
-      <div class="asl-popup-meanings"></div>
+      <label class="asl-popup-fingerspell-speed">
+        Speed
+        <input class="asl-popup-fingerspell-speed-input" type="range" step="0.25">
+        <span class="asl-popup-fingerspell-speed-value"></span>
+      </label>
+      <div class="asl-popup-word" id="asl-popup-word"></div>
+      <div class="asl-popup-meanings" id="asl-popup-meanings"></div>
       <div class="asl-popup-person-hint">Can combine with PERSON sign</div>
+      <div class="asl-popup-variants" role="group" aria-label="Sign variants">
+        <div class="asl-popup-variant-list"></div>
+        <button type="button" class="asl-popup-variant-lock" aria-pressed="false">Lock for this page</button>
+      </div>
+      <details class="asl-popup-debug">
+        <summary>Why this sign?</summary>
+        <ol class="asl-popup-debug-list"></ol>
+      </details>
+      <div class="asl-visually-hidden" id="asl-popup-matched"></div>
     </div>
   `;
 }
@@ -1,6 +1,9 @@
 /**
  * Result View
  * Handles the result display DOM operations with navigation
+ *
+ * The element is handed in via setElement(); with none set (e.g. on a
+ * host page in the extension) every method is a no-op.
  */
 
 export const ResultView = {
@@ -18,9 +21,6 @@ export const ResultView = {
      * Display match count with navigation if multiple matches
      */
     showCount(count, presenter) {
-        if (!this.element) {
-            this.element = document.getElementById('result');
-        }
         if (!this.element) return;
 
         this.presenter = presenter;
@@ -67,9 +67,6 @@ export const ResultView = {
      * Display cleared state
      */
     showCleared() {
-        if (!this.element) {
-            this.element = document.getElementById('result');
-        }
         if (this.element) {
             this.element.innerHTML = '<span class="result-text">Cleared</span>';
         }
@@ -0,0 +1,226 @@
+/**
+ * Settings View
+ * Renders the settings form in the control panel from the settings schema,
+ * plus export / import / clear for remembered sign corrections
+ *
+ * Knows nothing about storage or what a setting does — it reports edits
+ * through onChange and shows whatever values/errors the presenter hands back.
+ */
+
+import { CONFIG } from '../config.js';
+
+export const SettingsView = {
+    container: null,
+    schema: null,
+    handlers: null,
+
+    setContainer(element) {
+        this.container = element;
+    },
+
+    /**
+     * Build one control per schema entry.
+     *
+     * @param {object}   schema            - SETTINGS_SCHEMA
+     * @param {object}   values            - current values
+     * @param {object}   handlers
+     * @param {Function} handlers.onChange - (key, value) on every edit
+     * @param {Function} handlers.onReset  - () when "Reset" is clicked
+     */
+    render(schema, values, handlers) {
+        if (!this.container) return;
+
+        this.schema = schema;
+        this.handlers = handlers;
+        this.container.innerHTML = '';
+
+        const details = document.createElement('details');
+        details.className = 'settings-panel';
+        details.innerHTML = '<summary>Settings</summary>';
+
+        for (const [key, rule] of Object.entries(schema)) {
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+            row.dataset.key = key;
+            row.innerHTML = `
+                <label class="settings-label" for="setting-${key}">${rule.label}</label>
+                <div class="settings-control"></div>
+                <div class="settings-error" role="alert"></div>
+            `;
+
+            const control = row.querySelector('.settings-control');
+            if (rule.type === 'color') {
+                this.createColorControl(control, key);
+            } else if (rule.type === 'number') {
+                this.createNumberControl(control, key, rule);
+            }
+
+            details.appendChild(row);
+        }
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'settings-reset';
+        resetBtn.textContent = 'Reset to defaults';
+        resetBtn.addEventListener('click', () => this.handlers.onReset());
+        details.appendChild(resetBtn);
+
+        this.container.appendChild(details);
+
+        for (const [key, value] of Object.entries(values)) {
+            this.update(key, value);
+        }
+    },
+
+    /**
+     * Preset dropdown plus a native color picker for anything else.
+     */
+    createColorControl(control, key) {
+        const options = Object.keys(CONFIG.highlight.presets)
+            .map(name => `<option value="${name}">${name}</option>`)
+            .join('');
+
+        control.innerHTML = `
+            <select id="setting-${key}" class="settings-color-select">
+                ${options}
+                <option value="custom">custom…</option>
+            </select>
+            <input type="color" class="settings-color-custom" aria-label="Custom color" />
+        `;
+
+        const select = control.querySelector('select');
+        const picker = control.querySelector('input');
+
+        select.addEventListener('change', () => {
+            if (select.value === 'custom') {
+                this.handlers.onChange(key, picker.value);
+            } else {
+                this.handlers.onChange(key, select.value);
+            }
+        });
+        picker.addEventListener('input', () => {
+            select.value = 'custom';
+            this.handlers.onChange(key, picker.value);
+        });
+    },
+
+    /**
+     * Range slider with the current value printed next to it.
+     */
+    createNumberControl(control, key, rule) {
+        control.innerHTML = `
+            <input type="range" id="setting-${key}" class="settings-range"
+                   min="${rule.min}" max="${rule.max}" step="${rule.step}" />
+            <output class="settings-value"></output>
+        `;
+
+        const input = control.querySelector('input');
+        input.addEventListener('input', () => {
+            this.handlers.onChange(key, Number(input.value));
+        });
+    },
+
+    /**
+     * Show a value in its control (after load, reset, or an edit elsewhere).
+     */
+    update(key, value) {
+        const row = this.container?.querySelector(`.settings-row[data-key="${key}"]`);
+        if (!row) return;
+
+        const select = row.querySelector('.settings-color-select');
+        if (select) {
+            const isPreset = value in CONFIG.highlight.presets;
+            select.value = isPreset ? value : 'custom';
+            if (!isPreset && value.startsWith('#')) {
+                row.querySelector('.settings-color-custom').value = value.slice(0, 7);
+            }
+            return;
+        }
+
+        const range = row.querySelector('.settings-range');
+        if (range) {
+            range.value = value;
+            const unit = this.schema[key].unit || '';
+            row.querySelector('.settings-value').textContent = `${value}${unit}`;
+        }
+    },
+
+    /**
+     * Sign corrections row: how many are saved, and buttons to export them
+     * as a JSON file, import one, or forget them all. Goes before "Reset
+     * to defaults", which doesn't touch corrections.
+     *
+     * @param {number}   count              - corrections saved
+     * @param {object}   handlers
+     * @param {Function} handlers.onExport  - () on "Export"
+     * @param {Function} handlers.onImport  - (fileText) after a file is chosen
+     * @param {Function} handlers.onClear   - () on "Clear"
+     */
+    renderFeedback(count, { onExport, onImport, onClear }) {
+        const details = this.container?.querySelector('.settings-panel');
+        if (!details) return;
+
+        const row = document.createElement('div');
+        row.className = 'settings-row settings-feedback';
+        row.innerHTML = `
+            <span class="settings-label">Sign corrections</span>
+            <div class="settings-control">
+                <output class="settings-value settings-feedback-count"></output>
+                <button type="button" class="settings-feedback-export">Export</button>
+                <button type="button" class="settings-feedback-import">Import</button>
+                <button type="button" class="settings-feedback-clear">Clear</button>
+                <input type="file" class="settings-feedback-file" accept=".json,application/json" hidden />
+            </div>
+            <div class="settings-feedback-status" role="status"></div>
+        `;
+
+        const fileInput = row.querySelector('.settings-feedback-file');
+        row.querySelector('.settings-feedback-export').addEventListener('click', () => onExport());
+        row.querySelector('.settings-feedback-import').addEventListener('click', () => fileInput.click());
+        row.querySelector('.settings-feedback-clear').addEventListener('click', () => onClear());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) onImport(await file.text());
+        });
+
+        details.insertBefore(row, details.querySelector('.settings-reset'));
+        this.updateFeedbackCount(count);
+    },
+
+    updateFeedbackCount(count) {
+        const output = this.container?.querySelector('.settings-feedback-count');
+        if (output) {
+            output.textContent = `${count} saved`;
+        }
+    },
+
+    showFeedbackStatus(message) {
+        const status = this.container?.querySelector('.settings-feedback-status');
+        if (status) {
+            status.textContent = message || '';
+        }
+    },
+
+    /**
+     * Save text as a file via a temporary object URL.
+     */
+    download(filename, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Show (or clear, with null) a validation message under a control.
+     */
+    showError(key, message) {
+        const row = this.container?.querySelector(`.settings-row[data-key="${key}"]`);
+        const errorEl = row?.querySelector('.settings-error');
+        if (errorEl) {
+            errorEl.textContent = message || '';
+        }
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Match Worker (module Web Worker, started by HighlightOverlayPresenter)
+ *
+ * Does the text work of a full highlight pass off the main thread:
+ * tokenizing and prefiltering against the glossary, then running the
+ * regex over every text node's contents, and phrases over the texts
+ * joined (model/text-matcher.js). Replies with [nodeIndex, offset, length,
+ * baseWord] tuples; flattening the page into text nodes and building
+ * Ranges stays on the main thread, which owns the DOM.
+ *
+ * Messages, each answered with { id, data } or { id, error }
+ * (see utils/MatchWorker.js):
+ *   glossary — data: wordResolver.getMatchData() from the main thread
+ *   match    — data: { texts, separators?, words? }
+ *              → findMatches(texts, words, separators)
+ */
+
+import { wordResolver } from "../model/word-resolver.js";
+import { findMatches } from "../model/text-matcher.js";
+
+const HANDLERS = {
+  glossary(data) {
+    wordResolver.loadMatchData(data);
+    return null;
+  },
+
+  match({ texts, words, separators }) {
+    return findMatches(texts, words, separators);
+  },
+};
+
+self.onmessage = ({ data: { id, type, data } }) => {
+  try {
+    if (!HANDLERS[type]) throw new Error(`Unknown message type "${type}"`);
+    self.postMessage({ id, data: HANDLERS[type](data) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
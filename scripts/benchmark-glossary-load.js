@@ -0,0 +1,179 @@
+/**
+ * Benchmark glossary startup: the full glossary against the sharded index
+ *
+ * Times what VideoData.init() does with each once the file is fetched —
+ * parse it and install it (VideoData.load / VideoData.loadIndex) — and the
+ * JS heap it keeps, through PerfLogger. Then reports how much of the
+ * sharded glossary the test articles need on top of the index.
+ * This is the comparison behind CONFIG.video.sharded.
+ *
+ * Glossary: the built one, or — before it is built — one made up from the
+ * test articles' vocabulary, about the size of the real one.
+ *
+ * Usage:
+ *   node --expose-gc scripts/benchmark-glossary-load.js [--runs <n>] [--glossary <file>]
+ *
+ * Options:
+ *   --runs <n>         Timed loads per format; the median is reported (default: 5)
+ *   --glossary <file>  Glossary to split and load
+ *                      (default: archive/asl-lex-glossary.json, if built)
+ *
+ * Without --expose-gc the heap figures include garbage and mean little.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VideoData } from '../Test/js/model/video-data.js';
+import { wordResolver } from '../Test/js/model/word-resolver.js';
+import { createGlossary, createShardedGlossary, readGlossary, shardKey } from '../Test/js/model/glossary-format.js';
+import { PerfLogger } from '../Test/js/utils/PerfLogger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Paths
+const DEFAULT_GLOSSARY_PATH = path.join(__dirname, '../archive/asl-lex-glossary.json');
+const ARTICLES = [
+    path.join(__dirname, '../Test/asl_article.html'),
+    path.join(__dirname, '../Test/bat_article.html'),
+];
+
+// Made-up glossary: words, and inflections per word
+const SYNTHETIC_WORDS = 2400;
+const SYNTHETIC_SUFFIXES = ['s', 'ed', 'ing'];
+
+function parseArgs(argv) {
+    const options = { runs: 5, glossaryPath: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--runs') options.runs = Number(value());
+        else if (arg === '--glossary') options.glossaryPath = value();
+        else throw new Error(`Unknown option ${arg}`);
+    }
+
+    return options;
+}
+
+function articleText(file) {
+    return fs.readFileSync(file, 'utf-8')
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ');
+}
+
+// The article words, padded with numbered ones to SYNTHETIC_WORDS, each
+// with an entry shaped like ASL-LEX's
+function syntheticGlossary(text) {
+    const words = [...new Set(text.toLowerCase().match(/\b[a-z]{3,}\b/g))].slice(0, SYNTHETIC_WORDS);
+    for (let i = 0; words.length < SYNTHETIC_WORDS; i++) words.push(`${words[i % words.length]}${i}`);
+
+    const entries = {};
+    const inflections = {};
+    for (const word of words) {
+        entries[word] = [{
+            entryId: word,
+            meanings: `${word}, ${word} sense, another ${word}`,
+            lexicalClass: 'Noun',
+            semanticField: 'None',
+            videoFile: `${word}.mp4`,
+        }];
+    }
+    for (const word of words) {
+        for (const suffix of SYNTHETIC_SUFFIXES) {
+            if (!entries[word + suffix]) inflections[word + suffix] = word;
+        }
+    }
+    return createGlossary({ entries, inflections, source: 'synthetic' });
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function collect() {
+    globalThis.gc?.();
+}
+
+// Parse + install `json` `runs` times; PerfLogger gets one entry per run
+function bench(mode, json, install, runs) {
+    const times = [];
+    for (let i = 0; i < runs; i++) {
+        VideoData.load(createGlossary({ entries: {} }));
+        collect();
+        const heapBeforeMB = PerfLogger.heapMB();
+
+        const start = performance.now();
+        const result = install(JSON.parse(json));
+        const ms = performance.now() - start;
+        if (!result.valid) throw new Error(result.error);
+
+        collect();
+        PerfLogger.record(`glossary load (${mode})`, ms, {
+            mode,
+            words: Object.keys(VideoData.index?.words ?? VideoData.wordToVideos).length,
+            entries: Object.keys(VideoData.wordToVideos).length,
+            heapBeforeMB,
+            heapMB: PerfLogger.heapMB(),
+        });
+        times.push(ms);
+    }
+    return median(times);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const articles = ARTICLES.map(articleText).join('\n');
+    const glossaryPath = options.glossaryPath || DEFAULT_GLOSSARY_PATH;
+    let glossary;
+    if (fs.existsSync(glossaryPath)) {
+        const result = readGlossary(JSON.parse(fs.readFileSync(glossaryPath, 'utf-8')));
+        if (!result.valid) {
+            console.error(`Invalid glossary ${glossaryPath}: ${result.error}`);
+            process.exit(1);
+        }
+        glossary = result.glossary;
+        console.log(`Glossary: ${path.relative(process.cwd(), glossaryPath)}`);
+    } else {
+        glossary = syntheticGlossary(articles);
+        console.log('Glossary: made up from the test articles (glossary not built)');
+    }
+    if (!globalThis.gc) console.log('(run with node --expose-gc for meaningful heap figures)');
+
+    const full = JSON.stringify(glossary);
+    const { index, shards } = createShardedGlossary(glossary);
+    const indexJson = JSON.stringify(index);
+    const kb = (text) => `${(text.length / 1024).toFixed(0)} KB`;
+    console.log(`  ${Object.keys(glossary.entries).length} words, ` +
+        `${Object.keys(glossary.inflections).length} inflections`);
+    console.log(`  full ${kb(full)}, index ${kb(indexJson)}, ${Object.keys(shards).length} shards\n`);
+
+    PerfLogger.enable();
+    const fullMs = bench('full', full, (data) => VideoData.load(data), options.runs);
+    const indexMs = bench('index', indexJson, (data) => VideoData.loadIndex(data, 'index.json'), options.runs);
+    PerfLogger.print();
+
+    // What the test articles then fetch: the shards of their words
+    const needed = new Set(wordResolver.getWordsInText(articles).map(shardKey));
+    const neededJson = [...needed].map((key) => JSON.stringify(shards[`${key}.json`])).join('');
+
+    console.log(`\n  index loads ${(fullMs / indexMs).toFixed(1)}x as fast as the full glossary ` +
+        `(${indexMs.toFixed(1)} vs ${fullMs.toFixed(1)} ms, median of ${options.runs})`);
+    console.log(`  the test articles need ${needed.size} of ${Object.keys(shards).length} shards (${kb(neededJson)})`);
+}
+
+main();
@@ -0,0 +1,161 @@
+/**
+ * Benchmark hover hit-testing
+ *
+ * Times HighlightOverlayPresenter.findMatchAtPoint(), which looks points up
+ * in a SpatialIndex built once from the matches' rects, against the linear
+ * scan it replaced (getClientRects() on every match for every lookup), and
+ * checks that both give the same answers.
+ *
+ * Document: a synthetic article with matches laid out ten per line, every
+ * 50th wrapping onto the next line like a phrase at a line end. Ranges are
+ * mocked with fixed rects, so this times the lookups, not layout.
+ *
+ * Usage:
+ *   node scripts/benchmark-hover.js [--matches <n>] [--lookups <n>] [--runs <n>]
+ *
+ * Options:
+ *   --matches <n>   Highlighted matches in the document (default: 5000)
+ *   --lookups <n>   Hover points looked up per run (default: 2000)
+ *   --runs <n>      Timed runs per method; the median is reported (default: 5)
+ */
+
+import { HighlightOverlayPresenter } from '../Test/js/presenter/highlight-overlay-presenter.js';
+
+// The presenter reads the page scroll from window
+globalThis.window = globalThis;
+globalThis.scrollX = 0;
+globalThis.scrollY = 0;
+
+// Synthetic layout
+const LINE_HEIGHT = 20;
+const WORD_WIDTH = 60;
+const WORD_GAP = 20;
+const WORDS_PER_LINE = 10;
+const MARGIN = 40;
+const PAGE_WIDTH = 800;
+
+function parseArgs(argv) {
+    const options = { matches: 5000, lookups: 2000, runs: 5 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--matches') options.matches = Number(value());
+        else if (arg === '--lookups') options.lookups = Number(value());
+        else if (arg === '--runs') options.runs = Number(value());
+        else throw new Error(`Unknown option ${arg}`);
+    }
+
+    return options;
+}
+
+// A Range with fixed document rects, reported relative to the scroll
+class MockRange {
+    constructor(docRects) {
+        this.docRects = docRects;
+    }
+
+    getClientRects() {
+        return this.docRects.map(r => ({
+            left: r.left - window.scrollX,
+            top: r.top - window.scrollY,
+            right: r.right - window.scrollX,
+            bottom: r.bottom - window.scrollY,
+        }));
+    }
+}
+
+function makeMatches(count) {
+    const matches = [];
+    for (let i = 0; i < count; i++) {
+        const line = Math.floor(i / WORDS_PER_LINE);
+        const left = MARGIN + (i % WORDS_PER_LINE) * (WORD_WIDTH + WORD_GAP);
+        const top = line * LINE_HEIGHT;
+        const rects = [{ left, top, right: left + WORD_WIDTH, bottom: top + LINE_HEIGHT - 4 }];
+        if (i % 50 === 49) {
+            rects.push({ left: 0, top: top + LINE_HEIGHT, right: 30, bottom: top + 2 * LINE_HEIGHT - 4 });
+        }
+        matches.push({ word: `w${i}`, baseWord: `word${i % 200}`, range: new MockRange(rects) });
+    }
+    return matches;
+}
+
+// Deterministic pseudo-random points, so runs compare like with like
+function makePoints(count, width, height) {
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    return Array.from({ length: count }, () => [random() * width, random() * height]);
+}
+
+// findMatchAtPoint() before the spatial index
+function linearFindMatchAtPoint(matches, clientX, clientY) {
+    for (const match of matches) {
+        for (const rect of match.range.getClientRects()) {
+            if (clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom) {
+                return match.baseWord;
+            }
+        }
+    }
+    return null;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function time(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { ms: performance.now() - start, result };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const matches = makeMatches(options.matches);
+    const points = makePoints(options.lookups, PAGE_WIDTH, options.matches / WORDS_PER_LINE * LINE_HEIGHT);
+    HighlightOverlayPresenter.matches = matches;
+
+    const linearTimes = [];
+    const indexedTimes = [];
+    let mismatches = 0;
+    for (let run = 0; run < options.runs; run++) {
+        const linear = time(() => points.map(([x, y]) => linearFindMatchAtPoint(matches, x, y)));
+
+        // Each run builds the index from scratch, and the build counts
+        HighlightOverlayPresenter.invalidateSpatialIndex();
+        const indexed = time(() => points.map(([x, y]) => HighlightOverlayPresenter.findMatchAtPoint(x, y)));
+
+        mismatches += indexed.result.filter((word, i) => word !== linear.result[i]).length;
+        linearTimes.push(linear.ms);
+        indexedTimes.push(indexed.ms);
+    }
+
+    const linearMs = median(linearTimes);
+    const indexedMs = median(indexedTimes);
+    console.log(`${options.matches} matches × ${options.lookups} lookups (median of ${options.runs} runs)`);
+    console.log(`  linear scan:                 ${linearMs.toFixed(1)} ms`);
+    console.log(`  spatial index (incl. build): ${indexedMs.toFixed(1)} ms`);
+    console.log(`  index is ${(linearMs / indexedMs).toFixed(1)}x as fast`);
+
+    if (mismatches > 0) {
+        console.error(`\n${mismatches} lookups differ from the linear scan`);
+        process.exitCode = 1;
+    }
+}
+
+main();
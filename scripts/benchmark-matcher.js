@@ -0,0 +1,150 @@
+/**
+ * Benchmark the highlighter's word matchers
+ *
+ * Times the alternation regex (buildWordRegex) against TrieMatcher on the
+ * same word list and text, and checks that they find the same matches.
+ * This is the comparison behind CONFIG.matching.trie.
+ *
+ * Words: every form in the built glossary (base words, inflections and
+ * phrases), or — before the glossary is built — the test articles'
+ * vocabulary with generated -s/-ed/-ing/-er forms, about as many forms
+ * as the real glossary has.
+ * Text: the test articles, repeated to make a long page.
+ *
+ * Usage:
+ *   node scripts/benchmark-matcher.js [--repeat <n>] [--runs <n>] [--glossary <file>]
+ *
+ * Options:
+ *   --repeat <n>       Copies of the articles in the text (default: 20)
+ *   --runs <n>         Timed scans per matcher; the median is reported (default: 5)
+ *   --glossary <file>  Glossary to take the words from
+ *                      (default: archive/asl-lex-glossary.json, if built)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildWordMatcher } from '../Test/js/model/text-matcher.js';
+import { readGlossary } from '../Test/js/model/glossary-format.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Paths
+const DEFAULT_GLOSSARY_PATH = path.join(__dirname, '../archive/asl-lex-glossary.json');
+const ARTICLES = [
+    path.join(__dirname, '../Test/asl_article.html'),
+    path.join(__dirname, '../Test/bat_article.html'),
+];
+
+// Forms generated per article word when there is no glossary
+const SYNTHETIC_SUFFIXES = ['s', 'ed', 'ing', 'er'];
+
+function parseArgs(argv) {
+    const options = { repeat: 20, runs: 5, glossaryPath: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--repeat') options.repeat = Number(value());
+        else if (arg === '--runs') options.runs = Number(value());
+        else if (arg === '--glossary') options.glossaryPath = value();
+        else throw new Error(`Unknown option ${arg}`);
+    }
+
+    return options;
+}
+
+function articleText(file) {
+    return fs.readFileSync(file, 'utf-8')
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ');
+}
+
+// Every form the highlighter could search for: phrases with spaces,
+// base words and inflections
+function glossaryForms(glossaryPath) {
+    const result = readGlossary(JSON.parse(fs.readFileSync(glossaryPath, 'utf-8')));
+    if (!result.valid) {
+        console.error(`Invalid glossary ${glossaryPath}: ${result.error}`);
+        process.exit(1);
+    }
+
+    const { entries, inflections } = result.glossary;
+    const forms = new Set(Object.keys(inflections));
+    for (const key of Object.keys(entries)) forms.add(key.replace(/_/g, ' '));
+    return [...forms];
+}
+
+function syntheticForms(text) {
+    const vocabulary = new Set(text.toLowerCase().match(/\b[a-z]{3,}\b/g));
+    const forms = new Set(vocabulary);
+    for (const word of vocabulary) {
+        for (const suffix of SYNTHETIC_SUFFIXES) forms.add(word + suffix);
+    }
+    return [...forms];
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function bench(label, words, text, runs, trie) {
+    let start = performance.now();
+    const matcher = buildWordMatcher(words, { trie });
+    const buildMs = performance.now() - start;
+
+    const times = [];
+    let found = null;
+    for (let i = 0; i < runs; i++) {
+        start = performance.now();
+        found = matcher.findAll(text);
+        times.push(performance.now() - start);
+    }
+
+    console.log(`  ${label.padEnd(6)} build ${buildMs.toFixed(1).padStart(7)} ms   ` +
+        `scan ${median(times).toFixed(1).padStart(8)} ms (median of ${runs})   ${found.length} matches`);
+    return { found, scanMs: median(times) };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const articles = ARTICLES.map(articleText).join('\n');
+    const text = Array(options.repeat).fill(articles).join('\n');
+
+    const glossaryPath = options.glossaryPath || DEFAULT_GLOSSARY_PATH;
+    let words;
+    if (fs.existsSync(glossaryPath)) {
+        words = glossaryForms(glossaryPath);
+        console.log(`Words: ${words.length} forms from ${path.relative(process.cwd(), glossaryPath)}`);
+    } else {
+        words = syntheticForms(articles);
+        console.log(`Words: ${words.length} forms from the test articles (glossary not built)`);
+    }
+    console.log(`Text:  ${(text.length / 1000).toFixed(0)}k characters (${options.repeat}x the test articles)\n`);
+
+    const regex = bench('regex', words, text, options.runs, false);
+    const trie = bench('trie', words, text, options.runs, true);
+
+    const same = regex.found.length === trie.found.length &&
+        regex.found.every((m, i) => m.index === trie.found[i].index && m.text === trie.found[i].text);
+
+    console.log(`\n  trie is ${(regex.scanMs / trie.scanMs).toFixed(1)}x the regex's speed`);
+    console.log(same ? '  matches identical' : '  MATCHES DIFFER');
+    if (!same) process.exit(1);
+}
+
+main();
@@ -1,26 +1,57 @@
 /**
  * Build glossary from ASL-LEX data with definitions
  *
- * Output structure:
+ * Output structure (version 2; see Test/js/model/glossary-format.js):
  * {
- *   "word": [
- *     {
- *       "entryId": "word_1",
- *       "meanings": "definition1, definition2",
- *       "lexicalClass": "Verb",
- *       "videoFile": "word_1.mp4"
- *     }
- *   ],
- *   "__inflectionMap": {
+ *   "version": 2,
+ *   "builtAt": "2026-10-19T12:00:00.000Z",
+ *   "source": "ASL-LEX 2.0 (signdata-11-5-20.csv)",
+ *   "entries": {
+ *     "word": [
+ *       {
+ *         "entryId": "word_1",
+ *         "meanings": "definition1, definition2",
+ *         "lexicalClass": "Verb",
+ *         "videoFile": "word_1.mp4"
+ *       }
+ *     ]
+ *   },
+ *   "inflections": {
  *     "running": "run",
  *     "books": "book"
- *   }
+ *   },
+ *   "phrases": ["high_school"],
+ *   "rules": { "format": "asl-glossary-rules", "version": 1, "rules": [...] }
  * }
+ *
+ * The glossary is checked against its JSON Schema before it is written,
+ * and the schema is saved beside it (asl-lex-glossary.schema.json).
+ *
+ * With --sharded it is also split into archive/asl-lex-glossary/: a small
+ * index.json (words, inflections, rules, and where each word's entries
+ * are) and one entry shard per initial letter, which the test page loads
+ * on demand with CONFIG.video.sharded.
+ *
+ * Inflections come from a word-form lexicon when there is one
+ * (archive/word-forms.tsv, or --lexicon <file>), with suffix rules for words
+ * it doesn't list; see scripts/lib/morphology.js.
+ *
+ * Usage: node scripts/build-asl-lex-glossary.js [--sharded] [--lexicon <file>]
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { compileRules } from '../Test/js/model/glossary-rules.js';
+import { CsvReader, describeCsvReport } from './lib/csv-reader.js';
+import { Lexicon, buildInflectionMap, unattestedForms } from './lib/morphology.js';
+import {
+    GLOSSARY_SCHEMA,
+    GLOSSARY_INDEX_SCHEMA,
+    createGlossary,
+    createShardedGlossary,
+    validateGlossary,
+} from '../Test/js/model/glossary-format.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,82 +60,62 @@ const __dirname = path.dirname(__filename);
 const CSV_PATH = path.join(__dirname, '../archive/asl_lex/data-analysis/scripts/data/signdata-11-5-20.csv');
 const VIDEO_DIR = path.join(__dirname, '../archive/asl_lex_videos');
 const OUTPUT_PATH = path.join(__dirname, '../archive/asl-lex-glossary.json');
+const SCHEMA_OUTPUT_PATH = path.join(__dirname, '../archive/asl-lex-glossary.schema.json');
+const SHARD_OUTPUT_DIR = path.join(__dirname, '../archive/asl-lex-glossary');
+const RULES_SOURCE_PATH = path.join(__dirname, 'data/glossary-rules.json');
+const RULES_OUTPUT_PATH = path.join(__dirname, '../archive/asl-lex-rules.json');
+const LEXICON_PATH = path.join(__dirname, '../archive/word-forms.tsv');
+
+// How many malformed lexicon lines and unattested forms are listed
+const MAX_LISTED = 10;
+
+// ASL-LEX columns the glossary reads: key → header (or headers to try).
+// SignBank translations are preferred for meanings; without them the
+// dominant and nondominant translations stand in.
+const CSV_COLUMNS = {
+    entryId: 'EntryID',
+    lemmaId: 'LemmaID',
+    vimeoUrl: ['VimeoVideo', 'VimeoVideoHTML'],
+    dominantTrans: 'DominantTranslation',
+    nondominantTrans: 'NondominantTranslation',
+    lexicalClass: 'LexicalClass',
+    signBankTrans: 'SignBankEnglishTranslations',
+    semanticField: 'SignBankSemanticField'
+};
+const OPTIONAL_CSV_COLUMNS = ['lemmaId', 'nondominantTrans', 'lexicalClass', 'signBankTrans', 'semanticField'];
 
-// Parse CSV line handling quoted fields
-function parseCSVLine(line) {
-    const fields = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            fields.push(current);
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    fields.push(current);
-
-    return fields;
-}
-
-// Parse the CSV file
-function parseCSV(content) {
-    const lines = content.split('\n');
-    const headers = lines[0].split(',');
-
-    // Find column indices we need
-    const cols = {
-        entryId: headers.findIndex(h => h.includes('EntryID')),
-        lemmaId: headers.findIndex(h => h.includes('LemmaID')),
-        vimeoUrl: headers.findIndex(h => h.includes('VimeoVideo')),
-        dominantTrans: headers.findIndex(h => h.includes('DominantTranslation')),
-        nondominantTrans: headers.findIndex(h => h.includes('NondominantTranslation')),
-        lexicalClass: headers.findIndex(h => h.includes('LexicalClass')),
-        signBankTrans: headers.findIndex(h => h.includes('SignBankEnglishTranslations')),
-        semanticField: headers.findIndex(h => h.includes('SignBankSemanticField'))
-    };
-
-    console.log('Column indices:', cols);
-
+// Read the ASL-LEX signs that have a video
+async function readEntries(csvPath) {
+    const reader = new CsvReader(csvPath, { columns: CSV_COLUMNS, optional: OPTIONAL_CSV_COLUMNS });
     const entries = [];
 
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const fields = parseCSVLine(line);
-
-        const entryId = fields[cols.entryId]?.trim();
-        const vimeoUrl = fields[cols.vimeoUrl]?.trim();
+    for await (const fields of reader) {
+        const entryId = fields.entryId.trim();
+        const vimeoUrl = fields.vimeoUrl.trim();
 
         if (!entryId || !vimeoUrl || !vimeoUrl.includes('vimeo.com')) {
             continue;
         }
 
         // Get meanings - prefer SignBank translations, fallback to dominant + nondominant
-        let meanings = fields[cols.signBankTrans]?.trim() || '';
+        let meanings = fields.signBankTrans.trim();
         if (!meanings) {
-            const dominant = fields[cols.dominantTrans]?.trim() || '';
-            const nondominant = fields[cols.nondominantTrans]?.trim() || '';
+            const dominant = fields.dominantTrans.trim();
+            const nondominant = fields.nondominantTrans.trim();
             meanings = [dominant, nondominant].filter(Boolean).join(', ');
         }
 
         entries.push({
             entryId,
-            lemmaId: fields[cols.lemmaId]?.trim() || entryId,
+            lemmaId: fields.lemmaId.trim() || entryId,
             meanings: meanings || entryId.replace(/_/g, ' '),
-            lexicalClass: fields[cols.lexicalClass]?.trim() || '',
-            semanticField: fields[cols.semanticField]?.trim() || '',
+            lexicalClass: fields.lexicalClass.trim(),
+            semanticField: fields.semanticField.trim(),
             videoFile: `${entryId}.mp4`
         });
     }
 
+    describeCsvReport(reader.report).forEach(line => console.log(line));
     return entries;
 }
 
@@ -149,160 +160,6 @@ function buildGlossary(entries, checkVideoExists = false) {
     return glossary;
 }
 
-// ============================================================
-// Inflection Map Generation
-// ============================================================
-
-const VOWELS = new Set('aeiou');
-
-function isVowel(ch) { return VOWELS.has(ch); }
-function isConsonant(ch) { return /[a-z]/.test(ch) && !VOWELS.has(ch); }
-
-// CVC pattern check for consonant doubling (run → running, stop → stopped)
-// Only double for short words (≤4 chars) or known longer words
-const DOUBLE_ALLOWLIST = new Set([
-    'begin', 'forget', 'permit', 'refer', 'occur', 'prefer',
-    'admit', 'commit', 'submit', 'regret', 'omit', 'control', 'patrol'
-]);
-
-function shouldDouble(word) {
-    if (word.length < 3) return false;
-    const last = word[word.length - 1];
-    if ('wxy'.includes(last)) return false;
-    const secondLast = word[word.length - 2];
-    const thirdLast = word[word.length - 3];
-    if (!isConsonant(last) || !isVowel(secondLast) || !isConsonant(thirdLast)) return false;
-    if (word.length <= 4) return true;
-    return DOUBLE_ALLOWLIST.has(word);
-}
-
-// "make", "drive", "hope" — ends in consonant + e
-function endsInSilentE(word) {
-    if (word.length < 3) return false;
-    return word.endsWith('e') && isConsonant(word[word.length - 2]);
-}
-
-// "die", "tie", "lie" — ends in -ie (special case: ie → ying)
-function endsInIE(word) {
-    return word.length >= 3 && word.endsWith('ie');
-}
-
-// "carry", "happy", "try" — ends in consonant + y
-function endsInConsonantY(word) {
-    if (word.length < 3) return false;
-    return word.endsWith('y') && isConsonant(word[word.length - 2]);
-}
-
-// "watch", "bus", "box" — needs -es not -s
-function endsInSibilant(word) {
-    return word.endsWith('s') || word.endsWith('x') || word.endsWith('z') ||
-           word.endsWith('sh') || word.endsWith('ch');
-}
-
-function generateVerbInflections(word) {
-    const forms = new Set();
-
-    // -s / -es (3rd person singular)
-    if (endsInSibilant(word)) {
-        forms.add(word + 'es');
-    } else if (endsInConsonantY(word)) {
-        forms.add(word.slice(0, -1) + 'ies');
-    } else {
-        forms.add(word + 's');
-    }
-
-    // -ed (past tense)
-    if (endsInIE(word)) {
-        forms.add(word + 'd');              // "die" → "died"
-    } else if (endsInSilentE(word)) {
-        forms.add(word + 'd');              // "make" → "maked" (regular only)
-    } else if (endsInConsonantY(word)) {
-        forms.add(word.slice(0, -1) + 'ied'); // "carry" → "carried"
-    } else if (shouldDouble(word)) {
-        forms.add(word + word[word.length - 1] + 'ed'); // "stop" → "stopped"
-    } else {
-        forms.add(word + 'ed');             // "walk" → "walked"
-    }
-
-    // -ing (present participle)
-    if (endsInIE(word)) {
-        forms.add(word.slice(0, -2) + 'ying'); // "die" → "dying"
-    } else if (endsInSilentE(word)) {
-        forms.add(word.slice(0, -1) + 'ing');  // "make" → "making"
-    } else if (shouldDouble(word)) {
-        forms.add(word + word[word.length - 1] + 'ing'); // "run" → "running"
-    } else {
-        forms.add(word + 'ing');            // "walk" → "walking"
-    }
-
-    // NOTE: -er/-ers deliberately excluded (agent nouns = different ASL sign)
-    return forms;
-}
-
-function generateNounInflections(word) {
-    const forms = new Set();
-
-    if (endsInSibilant(word)) {
-        forms.add(word + 'es');             // "bus" → "buses"
-    } else if (endsInConsonantY(word)) {
-        forms.add(word.slice(0, -1) + 'ies'); // "city" → "cities"
-    } else if (word.endsWith('fe')) {
-        forms.add(word.slice(0, -2) + 'ves'); // "knife" → "knives"
-        forms.add(word + 's');
-    } else if (word.endsWith('f') && !word.endsWith('ff')) {
-        forms.add(word.slice(0, -1) + 'ves'); // "leaf" → "leaves"
-        forms.add(word + 's');
-    } else {
-        forms.add(word + 's');              // "book" → "books"
-    }
-
-    return forms;
-}
-
-function generateAdjectiveInflections(word) {
-    const forms = new Set();
-
-    // -er (comparative)
-    if (endsInSilentE(word)) {
-        forms.add(word + 'r');
-    } else if (endsInConsonantY(word)) {
-        forms.add(word.slice(0, -1) + 'ier');
-    } else if (shouldDouble(word)) {
-        forms.add(word + word[word.length - 1] + 'er');
-    } else {
-        forms.add(word + 'er');
-    }
-
-    // -est (superlative)
-    if (endsInSilentE(word)) {
-        forms.add(word + 'st');
-    } else if (endsInConsonantY(word)) {
-        forms.add(word.slice(0, -1) + 'iest');
-    } else if (shouldDouble(word)) {
-        forms.add(word + word[word.length - 1] + 'est');
-    } else {
-        forms.add(word + 'est');
-    }
-
-    // -ly (adverb form)
-    if (endsInConsonantY(word)) {
-        forms.add(word.slice(0, -1) + 'ily');
-    } else if (word.endsWith('le')) {
-        forms.add(word.slice(0, -1) + 'y');
-    } else {
-        forms.add(word + 'ly');
-    }
-
-    // -ness (noun form)
-    if (endsInConsonantY(word)) {
-        forms.add(word.slice(0, -1) + 'iness');
-    } else {
-        forms.add(word + 'ness');
-    }
-
-    return forms;
-}
-
 // Words whose sign can combine with the PERSON marker.
 // Countries → COUNTRY + PERSON = person of that nationality
 // Occupations → SIGN + PERSON = person who does that thing
@@ -316,147 +173,49 @@ const PERSON_COMBINABLE = new Set([
     'policeman', 'fireman', 'army', 'teacher',
 ]);
 
-// Irregular forms — only applied if base word exists in glossary
-const IRREGULAR_INFLECTIONS = {
-    // Irregular verbs (past tense / past participle)
-    'ran': 'run', 'went': 'go', 'gone': 'go',
-    'came': 'come', 'coming': 'come',
-    'gave': 'give', 'given': 'give',
-    'took': 'take', 'taken': 'take',
-    'told': 'tell', 'said': 'say',
-    'made': 'make', 'done': 'do', 'did': 'do',
-    'seen': 'see', 'knew': 'know', 'known': 'know',
-    'thought': 'think', 'felt': 'feel',
-    'left': 'leave', 'kept': 'keep',
-    'found': 'find', 'sat': 'sit',
-    'stood': 'stand', 'lost': 'lose',
-    'paid': 'pay', 'met': 'meet',
-    'brought': 'bring', 'bought': 'buy',
-    'taught': 'teach', 'caught': 'catch',
-    'built': 'build', 'sent': 'send',
-    'spent': 'spend', 'won': 'win',
-    'wrote': 'write', 'written': 'write',
-    'drove': 'drive', 'driven': 'drive',
-    'ate': 'eat', 'eaten': 'eat',
-    'fell': 'fall', 'fallen': 'fall',
-    'broke': 'break', 'broken': 'break',
-    'chose': 'choose', 'chosen': 'choose',
-    'spoke': 'speak', 'spoken': 'speak',
-    'woke': 'wake', 'woken': 'wake',
-    'forgot': 'forget', 'forgotten': 'forget',
-    'began': 'begin', 'begun': 'begin',
-    'sang': 'sing', 'sung': 'sing',
-    'swam': 'swim', 'swum': 'swim',
-    'threw': 'throw', 'thrown': 'throw',
-    'grew': 'grow', 'grown': 'grow',
-    'drew': 'draw', 'drawn': 'draw',
-    'flew': 'fly', 'flown': 'fly',
-    'wore': 'wear', 'worn': 'wear',
-    'hid': 'hide', 'hidden': 'hide',
-    'bit': 'bite', 'bitten': 'bite',
-    'blew': 'blow', 'blown': 'blow',
-    'drank': 'drink', 'drunk': 'drink',
-    'rode': 'ride', 'ridden': 'ride',
-    'shook': 'shake', 'shaken': 'shake',
-    'fought': 'fight', 'held': 'hold',
-    'hung': 'hang', 'led': 'lead',
-    'shot': 'shoot', 'slept': 'sleep',
-    // Irregular plurals
-    'children': 'child', 'people': 'person',
-    'men': 'man', 'women': 'woman',
-    'teeth': 'tooth', 'feet': 'foot',
-    'mice': 'mouse', 'geese': 'goose',
-    'knives': 'knife', 'wives': 'wife',
-    'lives': 'life', 'wolves': 'wolf',
-    'leaves': 'leaf', 'halves': 'half',
-    // Derivational adjectives (material → adjective)
-    'wooden': 'wood', 'golden': 'gold',
-    // Derivational nouns (championship is same ASL sign as champion)
-    'championship': 'champion',
-    // Singular form of plural-base glossary entry
-    'player': 'players',
-    // Demonyms / nationality adjectives → country entry
-    'american': 'america', 'americans': 'america',
-    'canadian': 'canada', 'canadians': 'canada',
-    'chinese': 'china',
-    'french': 'france',
-    'german': 'germany', 'germans': 'germany',
-    'italian': 'italy', 'italians': 'italy',
-    'japanese': 'japan',
-    'russian': 'russia', 'russians': 'russia',
-    'spanish': 'spain',
-    'african': 'africa', 'africans': 'africa',
-};
-
-function generateInflectionMap(glossary) {
-    const inflectionMap = {};
-    const glossaryKeys = new Set(Object.keys(glossary));
-    let generated = 0;
-    let skippedCollisions = 0;
-    let skippedMultiWord = 0;
-
-    for (const [word, entries] of Object.entries(glossary)) {
-        // Skip multi-word entries (underscored phrases)
-        if (word.includes('_')) {
-            skippedMultiWord++;
-            continue;
-        }
-
-        // Collect all lexical classes for this word
-        const classes = new Set(entries.map(e => e.lexicalClass));
-        const allForms = new Set();
-
-        // ASL-LEX classifies by ASL properties, not English parts of speech.
-        // Many English words function as both noun and verb (book, sign, walk),
-        // so generate both noun and verb inflections for either class.
-        // The key safety rule (no -er/-ers agent nouns) is preserved in both.
-        const isNounOrVerb = classes.has('Noun') || classes.has('Verb');
-        const isAdjective = classes.has('Adjective');
-
-        if (isNounOrVerb) {
-            for (const f of generateNounInflections(word)) allForms.add(f);
-            for (const f of generateVerbInflections(word)) allForms.add(f);
-        }
-        if (isAdjective) {
-            for (const f of generateAdjectiveInflections(word)) allForms.add(f);
-        }
-
-        for (const form of allForms) {
-            // Never override an existing glossary entry
-            if (glossaryKeys.has(form)) {
-                skippedCollisions++;
-                continue;
-            }
-            // Handle conflicts between base words
-            if (inflectionMap[form] && inflectionMap[form] !== word) {
-                continue;
-            }
-            inflectionMap[form] = word;
-            generated++;
-        }
+// The word-form lexicon: --lexicon <file>, else archive/word-forms.tsv if
+// it exists. Null without one; inflections then all come from the rules.
+async function loadLexicon() {
+    const option = process.argv.indexOf('--lexicon');
+    const lexiconPath = option >= 0 ? process.argv[option + 1] : LEXICON_PATH;
+    if (!lexiconPath || !fs.existsSync(lexiconPath)) {
+        // Only a lexicon asked for by name has to be there
+        if (option >= 0) throw new Error(`Word-form lexicon not found: ${lexiconPath || '(no file given)'}`);
+        console.log(`No word-form lexicon (${lexiconPath}) - inflections from rules only.`);
+        return null;
     }
 
-    // Merge irregular forms (only if base word exists in glossary)
-    let irregularCount = 0;
-    for (const [inflected, base] of Object.entries(IRREGULAR_INFLECTIONS)) {
-        if (!glossaryKeys.has(base)) continue;
-        if (glossaryKeys.has(inflected)) continue;
-        if (inflectionMap[inflected]) continue;
-        inflectionMap[inflected] = base;
-        irregularCount++;
+    const lexicon = await Lexicon.load(lexiconPath);
+    const { report } = lexicon;
+    console.log(`Word-form lexicon: ${lexiconPath}`);
+    console.log(`  ${lexicon.lemmas.size} lemmas, ${report.forms} forms (${report.ignored} lines for other parts of speech)`);
+    if (report.malformed.length > 0) {
+        console.log(`  Skipped ${report.malformed.length} malformed lines:`);
+        for (const { line, error } of report.malformed.slice(0, MAX_LISTED)) console.log(`    line ${line}: ${error}`);
+        if (report.malformed.length > MAX_LISTED) console.log(`    ... and ${report.malformed.length - MAX_LISTED} more`);
     }
+    return lexicon;
+}
+
+function generateInflectionMap(glossary, lexicon) {
+    const { inflections, sources, stats } = buildInflectionMap(glossary, { lexicon });
 
     console.log(`\nInflection map statistics:`);
-    console.log(`  Rule-based inflections: ${generated}`);
-    console.log(`  Irregular forms added: ${irregularCount}`);
-    console.log(`  Skipped (collision with glossary key): ${skippedCollisions}`);
-    console.log(`  Skipped (multi-word entries): ${skippedMultiWord}`);
-    console.log(`  Total inflection entries: ${Object.keys(inflectionMap).length}`);
+    if (lexicon) {
+        console.log(`  Lexicon inflections: ${stats.lexicon} (${stats.lexiconWords} words)`);
+        console.log(`  Rule-based inflections: ${stats.rules} (${stats.ruleWords} words not in the lexicon)`);
+    } else {
+        console.log(`  Rule-based inflections: ${stats.rules}`);
+    }
+    console.log(`  Irregular forms added: ${stats.irregular}`);
+    console.log(`  Skipped (collision with glossary key): ${stats.collisions}`);
+    console.log(`  Skipped (multi-word entries): ${stats.multiWord}`);
+    console.log(`  Total inflection entries: ${Object.keys(inflections).length}`);
 
-    return inflectionMap;
+    return { inflections, sources };
 }
 
-function verifyInflectionMap(inflectionMap, glossary) {
+function verifyInflectionMap(inflectionMap, glossary, sources, lexicon) {
     const glossaryKeys = new Set(Object.keys(glossary));
 
     // Spot-check known positive cases
@@ -490,10 +249,20 @@ function verifyInflectionMap(inflectionMap, glossary) {
             console.log(`  ${word} [${classes}]: ${forms.join(', ') || '(none)'}`);
         }
     }
+
+    // Rule-made forms the lexicon doesn't know are probably not English
+    // ("maked", "bigness"); add their base words to the lexicon or to
+    // IRREGULAR_INFLECTIONS (scripts/lib/morphology.js)
+    if (lexicon) {
+        const unattested = unattestedForms(inflectionMap, sources, lexicon);
+        console.log(`\nRule-generated forms not in the lexicon: ${unattested.length}`);
+        for (const { form, base } of unattested.slice(0, MAX_LISTED)) console.log(`  ${form} (${base})`);
+        if (unattested.length > MAX_LISTED) console.log(`  ... and ${unattested.length - MAX_LISTED} more`);
+    }
 }
 
 // Main
-function main() {
+async function main() {
     console.log('=== ASL-LEX Glossary Builder ===\n');
 
     // Check if video directory exists
@@ -508,9 +277,8 @@ function main() {
 
     // Read and parse CSV
     console.log('Reading ASL-LEX data...');
-    const csvContent = fs.readFileSync(CSV_PATH, 'utf-8');
-    const entries = parseCSV(csvContent);
-    console.log(`Parsed ${entries.length} entries\n`);
+    const entries = await readEntries(CSV_PATH);
+    console.log(`Parsed ${entries.length} entries with videos\n`);
 
     // Build glossary
     console.log('Building glossary...');
@@ -549,15 +317,91 @@ function main() {
 
     // Generate inflection map
     console.log('\nGenerating inflection map...');
-    const inflectionMap = generateInflectionMap(glossary);
-    verifyInflectionMap(inflectionMap, glossary);
+    let lexicon;
+    try {
+        lexicon = await loadLexicon();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    const { inflections: inflectionMap, sources } = generateInflectionMap(glossary, lexicon);
+    verifyInflectionMap(inflectionMap, glossary, sources, lexicon);
+
+    // Ship the curated collocation rules with the glossary
+    const rulesFile = buildRules(glossary);
+
+    const output = createGlossary({
+        entries: glossary,
+        inflections: inflectionMap,
+        rules: rulesFile,
+        source: `ASL-LEX 2.0 (${path.basename(CSV_PATH)})`,
+    });
+
+    // Never write a glossary the extension would refuse to load
+    const result = validateGlossary(output);
+    if (!result.valid) {
+        console.error(`\nGlossary NOT saved: ${result.error}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
+    console.log(`\nGlossary saved to: ${OUTPUT_PATH} (version ${output.version}, ${output.phrases.length} phrases)`);
+    fs.writeFileSync(SCHEMA_OUTPUT_PATH, JSON.stringify(GLOSSARY_SCHEMA, null, 2));
+    console.log(`Glossary schema saved to: ${SCHEMA_OUTPUT_PATH}`);
 
-    // Embed inflection map in glossary output
-    glossary.__inflectionMap = inflectionMap;
+    if (process.argv.includes('--sharded')) buildShards(output);
+}
+
+// Split the glossary into an index and per-letter entry shards (see
+// Test/js/model/glossary-format.js). The directory is rebuilt from scratch
+// so no stale shard outlives its letter.
+function buildShards(glossary) {
+    const { index, shards } = createShardedGlossary(glossary);
+
+    fs.rmSync(SHARD_OUTPUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(SHARD_OUTPUT_DIR, { recursive: true });
+
+    // Compact: these are fetched at startup and per page, not read by people
+    fs.writeFileSync(path.join(SHARD_OUTPUT_DIR, 'index.json'), JSON.stringify(index));
+    fs.writeFileSync(path.join(SHARD_OUTPUT_DIR, 'index.schema.json'), JSON.stringify(GLOSSARY_INDEX_SCHEMA, null, 2));
+    for (const [file, rows] of Object.entries(shards)) {
+        fs.writeFileSync(path.join(SHARD_OUTPUT_DIR, file), JSON.stringify(rows));
+    }
+
+    const kb = (file) => (fs.statSync(path.join(SHARD_OUTPUT_DIR, file)).size / 1024).toFixed(0);
+    const shardSizes = Object.keys(shards).map(file => Number(kb(file)));
+    console.log(`Sharded glossary saved to: ${SHARD_OUTPUT_DIR}`);
+    console.log(`  index.json: ${kb('index.json')} KB (full glossary: ${(fs.statSync(OUTPUT_PATH).size / 1024).toFixed(0)} KB)`);
+    console.log(`  ${shardSizes.length} shards: ${Math.min(...shardSizes)}–${Math.max(...shardSizes)} KB`);
+}
+
+// Validate scripts/data/glossary-rules.json against the glossary and copy it
+// next to the glossary, for tools and glossaries that don't carry rules.
+// Returns the rules file, or null when it doesn't compile.
+function buildRules(glossary) {
+    const rulesFile = JSON.parse(fs.readFileSync(RULES_SOURCE_PATH, 'utf-8'));
+    const result = compileRules(rulesFile);
+    if (!result.valid) {
+        console.error(`\nGlossary rules NOT saved: ${result.error}`);
+        process.exitCode = 1;
+        return null;
+    }
+
+    // Rules for words or variants this glossary doesn't have never fire
+    for (const rule of rulesFile.rules) {
+        const entries = glossary[rule.word];
+        if (!entries) {
+            console.warn(`  RULES: "${rule.word}" is not in the glossary`);
+        } else if (rule.variant && !entries.some(e => e.entryId === rule.variant)) {
+            console.warn(`  RULES: "${rule.word}" has no variant "${rule.variant}"`);
+        }
+    }
 
-    // Save glossary
-    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(glossary, null, 2));
-    console.log(`\nGlossary saved to: ${OUTPUT_PATH}`);
+    fs.writeFileSync(RULES_OUTPUT_PATH, JSON.stringify(rulesFile, null, 2));
+    console.log(`Glossary rules saved to: ${RULES_OUTPUT_PATH} (${rulesFile.rules.length} rules)`);
+    return rulesFile;
 }
 
-main();
+await main();
@@ -0,0 +1,125 @@
+/**
+ * Compare two glossary builds
+ *
+ * Run after rebuilding the glossary from a new ASL-LEX release to see what
+ * the release changed: base words added and removed, sign variants added,
+ * removed, changed (meanings, lexicalClass, semanticField, videoFile) or
+ * reordered, inflections added, removed or moved to another word, and forms
+ * that newly collide with a base word (scripts/lib/glossary-diff.js).
+ * Either glossary may be in the versioned or the old flat format.
+ *
+ * Usage:
+ *   node scripts/diff-glossary.js <old.json> <new.json> [options]
+ *
+ * Options:
+ *   --json              Print the diff as JSON instead of text
+ *   --limit <n>         Items listed per list in the text output (default: 50)
+ *   --fail-on <kinds>   Exit 1 when any of these sections changed, comma
+ *                       separated: words, variants, inflections, collisions,
+ *                       or any
+ *
+ * Exit code: 0, or 1 when a --fail-on section changed, or 2 when a glossary
+ * can't be read.
+ *
+ * Examples:
+ *   cp archive/asl-lex-glossary.json /tmp/glossary-old.json
+ *   node scripts/build-asl-lex-glossary.js
+ *   node scripts/diff-glossary.js /tmp/glossary-old.json archive/asl-lex-glossary.json
+ *   node scripts/diff-glossary.js old.json new.json --json --fail-on collisions > diff.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readGlossary } from '../Test/js/model/glossary-format.js';
+import { diffGlossaries, countChanges, formatDiff, DIFF_KINDS } from './lib/glossary-diff.js';
+
+function parseArgs(argv) {
+    const options = { files: [], json: false, limit: 50, failOn: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--json') options.json = true;
+        else if (arg === '--limit') options.limit = Number(value());
+        else if (arg === '--fail-on') options.failOn = value().split(',').map(kind => kind.trim());
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.files.push(arg);
+    }
+
+    if (options.files.length !== 2) {
+        throw new Error('Usage: node scripts/diff-glossary.js <old.json> <new.json> [--json] [--limit <n>] [--fail-on <kinds>]');
+    }
+    if (!Number.isInteger(options.limit) || options.limit < 0) {
+        throw new Error('--limit needs a whole number');
+    }
+    for (const kind of options.failOn) {
+        if (kind !== 'any' && !DIFF_KINDS.includes(kind)) {
+            throw new Error(`Unknown --fail-on kind "${kind}" (${[...DIFF_KINDS, 'any'].join(', ')})`);
+        }
+    }
+    if (options.failOn.includes('any')) options.failOn = DIFF_KINDS;
+
+    return options;
+}
+
+function loadGlossary(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Can't read ${file}: ${error.message}`);
+    }
+    const result = readGlossary(data);
+    if (!result.valid) throw new Error(`Invalid glossary ${file}: ${result.error}`);
+    return result.glossary;
+}
+
+function describe(file, glossary) {
+    return {
+        file: path.relative(process.cwd(), file),
+        source: glossary.source,
+        builtAt: glossary.builtAt,
+        words: Object.keys(glossary.entries).length,
+        inflections: Object.keys(glossary.inflections).length,
+    };
+}
+
+function main() {
+    let options, oldGlossary, newGlossary;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        oldGlossary = loadGlossary(options.files[0]);
+        newGlossary = loadGlossary(options.files[1]);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    const diff = diffGlossaries(oldGlossary, newGlossary);
+    const counts = countChanges(diff);
+    const before = describe(options.files[0], oldGlossary);
+    const after = describe(options.files[1], newGlossary);
+
+    if (options.json) {
+        console.log(JSON.stringify({ old: before, new: after, counts, ...diff }, null, 2));
+    } else {
+        for (const [label, info] of [['Old', before], ['New', after]]) {
+            console.log(`${label}: ${info.file} (${info.source || 'unknown source'}, ` +
+                `built ${info.builtAt ?? 'unknown'}) — ${info.words} words, ${info.inflections} inflections`);
+        }
+        console.log('');
+        formatDiff(diff, { limit: options.limit }).forEach(line => console.log(line));
+    }
+
+    const failed = options.failOn.filter(kind => counts[kind] > 0);
+    if (failed.length > 0) {
+        console.error(`\nGlossary changed: ${failed.map(kind => `${kind} (${counts[kind]})`).join(', ')}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -12,6 +12,7 @@ import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
+import { CsvReader, describeCsvReport } from './lib/csv-reader.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -58,56 +59,25 @@ function extractVimeoUrl(rawValue) {
     return null;
 }
 
-// Parse a single CSV line handling quoted fields
-function parseCSVLine(line) {
-    const fields = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            fields.push(current);
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    fields.push(current);
-
-    return fields;
-}
-
-// Parse CSV
-function parseCSV(content) {
-    const lines = content.split('\n');
-    const headers = lines[0].split(',');
-
-    // Find column indices
-    const cols = {
-        entryId: headers.findIndex(h => h.includes('EntryID')),
-        youtube: headers.findIndex(h => h.includes('YouTube')),
-        vimeo: headers.findIndex(h => h.includes('VimeoVideo'))
-    };
-
-    console.log(`Found columns: EntryID=${cols.entryId}, YouTube=${cols.youtube}, Vimeo=${cols.vimeo}`);
+// ASL-LEX columns the downloader reads: key → header (or headers to try)
+const CSV_COLUMNS = {
+    entryId: 'EntryID',
+    youtube: ['YouTube Video', 'YouTubeVideo', 'YouTube'],
+    vimeo: ['VimeoVideo', 'VimeoVideoHTML']
+};
 
+// Read the ASL-LEX signs that have a YouTube or Vimeo video
+async function readEntries(csvPath) {
+    const reader = new CsvReader(csvPath, { columns: CSV_COLUMNS, optional: ['youtube', 'vimeo'] });
     const entries = [];
 
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const fields = parseCSVLine(line);
-        const entryId = fields[cols.entryId]?.trim();
+    for await (const fields of reader) {
+        const entryId = fields.entryId.trim();
 
         if (!entryId) continue;
 
-        const youtubeUrl = extractYouTubeUrl(fields[cols.youtube]);
-        const vimeoUrl = extractVimeoUrl(fields[cols.vimeo]);
+        const youtubeUrl = extractYouTubeUrl(fields.youtube);
+        const vimeoUrl = extractVimeoUrl(fields.vimeo);
 
         if (youtubeUrl || vimeoUrl) {
             entries.push({
@@ -118,6 +88,7 @@ function parseCSV(content) {
         }
     }
 
+    describeCsvReport(reader.report).forEach(line => console.log(line));
     return entries;
 }
 
@@ -188,8 +159,7 @@ async function main() {
 
     // Parse CSV
     console.log('Reading ASL-LEX data...');
-    const csvContent = fs.readFileSync(CSV_PATH, 'utf-8');
-    const entries = parseCSV(csvContent);
+    const entries = await readEntries(CSV_PATH);
     console.log(`Found ${entries.length} entries\n`);
 
     // Load progress
@@ -0,0 +1,288 @@
+/**
+ * Streaming CSV reader for the build scripts (RFC 4180)
+ *
+ * Reads a CSV file a chunk at a time and yields one object per row, keyed
+ * by the columns the caller asks for:
+ *   - quoted fields may hold commas, newlines and doubled quotes ("")
+ *   - rows end in \n, \r\n or \r; a byte-order mark is dropped
+ *   - columns are found by exact header name (surrounding spaces ignored),
+ *     trying each alias in turn, so a renamed header is reported instead of
+ *     silently matching a different column
+ *   - malformed rows (stray quotes, text after a closing quote, an
+ *     unterminated quote, the wrong number of fields) are skipped and
+ *     listed in the report with their line numbers
+ *
+ * Usage:
+ *   import { CsvReader, describeCsvReport } from './lib/csv-reader.js';
+ *
+ *   const reader = new CsvReader(CSV_PATH, {
+ *       columns: { entryId: 'EntryID', vimeo: ['VimeoVideo', 'VimeoVideoHTML'] },
+ *       optional: ['vimeo'],
+ *   });
+ *   for await (const row of reader) console.log(row.entryId, row.vimeo);
+ *   describeCsvReport(reader.report).forEach(line => console.log(line));
+ */
+
+import fs from 'fs';
+
+// How many malformed rows describeCsvReport() lists before summarizing
+const MAX_LISTED = 10;
+
+// Parser states
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;   // A quote inside a quoted field: "" or the end
+
+// Runs of ordinary characters, consumed in one step
+const UNQUOTED_RUN = /[^,\r\n"]+/y;
+const QUOTED_RUN = /[^"\n]+/y;
+
+/**
+ * Incremental RFC 4180 parser: push() text as it arrives, end() at the end.
+ * Both return the records completed so far as
+ *   { line, fields: string[], error: string|null }
+ * where line is the 1-based line the record starts on and error says what
+ * was wrong with a malformed one. Blank lines produce no record.
+ */
+export class CsvParser {
+    constructor() {
+        this.state = FIELD_START;
+        this.fields = [];
+        this.field = '';
+        this.error = null;
+        this.line = 1;
+        this.recordLine = 1;
+        this.skipLF = false;     // Last chunk ended a row on \r
+        this.started = false;    // Past a possible byte-order mark
+    }
+
+    push(text) {
+        const records = [];
+        let i = 0;
+
+        if (!this.started && text.length > 0) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xfeff) i = 1;
+        }
+        // The \n of a \r\n split across chunks
+        if (this.skipLF && i < text.length) {
+            this.skipLF = false;
+            if (text[i] === '\n') i++;
+        }
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (this.state === QUOTED) {
+                QUOTED_RUN.lastIndex = i;
+                if (QUOTED_RUN.test(text)) {
+                    this.field += text.slice(i, QUOTED_RUN.lastIndex);
+                    i = QUOTED_RUN.lastIndex;
+                    continue;
+                }
+                if (char === '"') this.state = QUOTE_IN_QUOTED;
+                else {
+                    this.field += char;
+                    this.line++;
+                }
+                i++;
+                continue;
+            }
+
+            if (this.state === QUOTE_IN_QUOTED) {
+                if (char === '"') {
+                    // "" — an escaped quote
+                    this.field += '"';
+                    this.state = QUOTED;
+                    i++;
+                    continue;
+                }
+                // The closing quote: a separator must follow
+                this.state = UNQUOTED;
+                if (char !== ',' && char !== '\r' && char !== '\n') {
+                    this.fail(`text after a closing quote in field ${this.fields.length + 1}`);
+                }
+            }
+
+            if (char === ',') {
+                this.fields.push(this.field);
+                this.field = '';
+                this.state = FIELD_START;
+                i++;
+            } else if (char === '\n' || char === '\r') {
+                const record = this.endRecord();
+                if (record) records.push(record);
+                this.line++;
+                i++;
+                if (char === '\r') {
+                    if (i === text.length) this.skipLF = true;
+                    else if (text[i] === '\n') i++;
+                }
+                this.recordLine = this.line;
+            } else if (char === '"') {
+                if (this.state === FIELD_START) this.state = QUOTED;
+                else {
+                    this.fail(`quote inside unquoted field ${this.fields.length + 1}`);
+                    this.field += char;
+                }
+                i++;
+            } else {
+                UNQUOTED_RUN.lastIndex = i;
+                UNQUOTED_RUN.test(text);
+                this.field += text.slice(i, UNQUOTED_RUN.lastIndex);
+                this.state = UNQUOTED;
+                i = UNQUOTED_RUN.lastIndex;
+            }
+        }
+
+        return records;
+    }
+
+    end() {
+        if (this.state === QUOTED) this.fail(`unterminated quoted field ${this.fields.length + 1}`);
+        const record = this.endRecord();
+        return record ? [record] : [];
+    }
+
+    fail(error) {
+        this.error ??= error;
+    }
+
+    endRecord() {
+        const blank = this.fields.length === 0 && this.field === '' && this.state === FIELD_START;
+        this.fields.push(this.field);
+        const record = blank ? null : { line: this.recordLine, fields: this.fields, error: this.error };
+
+        this.fields = [];
+        this.field = '';
+        this.error = null;
+        this.state = FIELD_START;
+        return record;
+    }
+}
+
+/**
+ * Parse CSV text in one go (small inputs, tests).
+ *
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: string[], error: string|null }>}
+ */
+export function parseCsv(text) {
+    const parser = new CsvParser();
+    return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * Rows of a CSV file as objects, read as a stream (see the file header).
+ *
+ * After iterating, `report` holds:
+ *   rows      — rows yielded
+ *   columns   — column key → the header it was read from
+ *   missing   — optional column keys with no matching header
+ *   malformed — [{ line, error }] rows skipped
+ */
+export class CsvReader {
+    /**
+     * @param {string} filePath
+     * @param {object} options
+     * @param {Object<string, string|string[]>} options.columns - key → header
+     *   name, or names to try in order
+     * @param {string[]} [options.optional] - keys that may be missing; their
+     *   value is then ''
+     */
+    constructor(filePath, { columns, optional = [] }) {
+        this.filePath = filePath;
+        this.columns = columns;
+        this.optional = new Set(optional);
+        this.report = { rows: 0, columns: {}, missing: [], malformed: [] };
+    }
+
+    async *[Symbol.asyncIterator]() {
+        const parser = new CsvParser();
+        const table = { indices: null, width: 0 };
+
+        const stream = fs.createReadStream(this.filePath, { encoding: 'utf-8' });
+        for await (const chunk of stream) yield* this.rows(parser.push(chunk), table);
+        yield* this.rows(parser.end(), table);
+
+        if (!table.indices) throw new Error(`${this.filePath}: no header row`);
+    }
+
+    // Parsed records → row objects. The first record is the header row,
+    // which sets table.indices (see mapColumns) and table.width.
+    *rows(records, table) {
+        for (const record of records) {
+            if (!table.indices) {
+                if (record.error) throw new Error(`${this.filePath}: malformed header row (${record.error})`);
+                table.indices = this.mapColumns(record.fields);
+                table.width = record.fields.length;
+                continue;
+            }
+            if (!record.error && record.fields.length !== table.width) {
+                record.error = `${record.fields.length} fields, expected ${table.width}`;
+            }
+            if (record.error) {
+                this.report.malformed.push({ line: record.line, error: record.error });
+                continue;
+            }
+
+            const row = {};
+            for (const [key, index] of table.indices) row[key] = index < 0 ? '' : record.fields[index];
+            this.report.rows++;
+            yield row;
+        }
+    }
+
+    // [key, field index] for each requested column (-1 when an optional
+    // one is missing). Throws when a required one is.
+    mapColumns(headers) {
+        const names = headers.map(h => h.trim());
+        const indices = [];
+
+        for (const [key, aliases] of Object.entries(this.columns)) {
+            const candidates = [].concat(aliases);
+            const name = candidates.find(alias => names.includes(alias));
+            if (name !== undefined) {
+                this.report.columns[key] = name;
+                indices.push([key, names.indexOf(name)]);
+            } else if (this.optional.has(key)) {
+                this.report.missing.push(key);
+                indices.push([key, -1]);
+            } else {
+                throw new Error(
+                    `${this.filePath}: no column ${candidates.map(c => `"${c}"`).join(' or ')} ` +
+                    `(headers: ${names.join(', ')})`
+                );
+            }
+        }
+
+        return indices;
+    }
+}
+
+/**
+ * A CsvReader report as lines to print.
+ *
+ * @param {object} report
+ * @returns {string[]}
+ */
+export function describeCsvReport(report) {
+    const lines = [
+        `Read ${report.rows} rows`,
+        `  Columns: ${Object.entries(report.columns).map(([key, name]) => `${key}=${name}`).join(', ')}`,
+    ];
+    if (report.missing.length > 0) {
+        lines.push(`  Columns not found (left empty): ${report.missing.join(', ')}`);
+    }
+    if (report.malformed.length > 0) {
+        lines.push(`  Skipped ${report.malformed.length} malformed rows:`);
+        for (const { line, error } of report.malformed.slice(0, MAX_LISTED)) {
+            lines.push(`    line ${line}: ${error}`);
+        }
+        if (report.malformed.length > MAX_LISTED) {
+            lines.push(`    ... and ${report.malformed.length - MAX_LISTED} more`);
+        }
+    }
+    return lines;
+}
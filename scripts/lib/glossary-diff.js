@@ -0,0 +1,190 @@
+/**
+ * Compare two glossary builds
+ *
+ * diffGlossaries() takes two version 2 glossaries (readGlossary() output,
+ * see Test/js/model/glossary-format.js) and lists what changed:
+ *   words       — base words added / removed
+ *   variants    — per word in both: sign variants added / removed (by
+ *                 entryId), changed (meanings, lexicalClass,
+ *                 semanticField, videoFile) and reordered (the first
+ *                 variant is the default sign)
+ *   inflections — inflected forms added / removed / pointing at another
+ *                 base word
+ *   collisions  — forms that newly resolve to a different word because
+ *                 they are a base word too: an inflection that became its
+ *                 own entry ("shadowed"), or a form that is both an entry
+ *                 and an inflection of another word ("conflict")
+ *
+ * Everything is sorted, so the same two files always give the same diff.
+ */
+
+// Variant fields compared between builds
+export const VARIANT_FIELDS = ['meanings', 'lexicalClass', 'semanticField', 'videoFile'];
+
+// Diff sections, in report order; each can fail a check (--fail-on)
+export const DIFF_KINDS = ['words', 'variants', 'inflections', 'collisions'];
+
+function sorted(values) {
+    return [...values].sort();
+}
+
+// Forms that are an entry and an inflection of another word at once
+function conflicts(glossary) {
+    const found = new Map();
+    for (const [form, base] of Object.entries(glossary.inflections)) {
+        if (base !== form && Object.hasOwn(glossary.entries, form)) found.set(form, base);
+    }
+    return found;
+}
+
+function diffVariants(word, oldVariants, newVariants) {
+    const oldById = new Map(oldVariants.map(v => [v.entryId, v]));
+    const newById = new Map(newVariants.map(v => [v.entryId, v]));
+    const result = { added: [], removed: [], changed: [], reordered: [] };
+
+    for (const id of newById.keys()) {
+        if (!oldById.has(id)) result.added.push({ word, entryId: id });
+    }
+    for (const id of oldById.keys()) {
+        if (!newById.has(id)) result.removed.push({ word, entryId: id });
+    }
+    for (const [id, before] of oldById) {
+        const after = newById.get(id);
+        if (!after) continue;
+        const changes = {};
+        for (const field of VARIANT_FIELDS) {
+            if ((before[field] ?? null) !== (after[field] ?? null)) {
+                changes[field] = { old: before[field] ?? null, new: after[field] ?? null };
+            }
+        }
+        if (Object.keys(changes).length > 0) result.changed.push({ word, entryId: id, changes });
+    }
+
+    // Same variants kept, in another order
+    const oldOrder = oldVariants.map(v => v.entryId).filter(id => newById.has(id));
+    const newOrder = newVariants.map(v => v.entryId).filter(id => oldById.has(id));
+    if (oldOrder.join('\n') !== newOrder.join('\n')) {
+        result.reordered.push({ word, old: oldOrder, new: newOrder });
+    }
+
+    return result;
+}
+
+/**
+ * What changed from `oldGlossary` to `newGlossary`.
+ *
+ * @param {object} oldGlossary - version 2 glossary
+ * @param {object} newGlossary - version 2 glossary
+ * @returns {object} { words, variants, inflections, collisions } (see the
+ *   file header)
+ */
+export function diffGlossaries(oldGlossary, newGlossary) {
+    const oldWords = oldGlossary.entries;
+    const newWords = newGlossary.entries;
+
+    const words = {
+        added: sorted(Object.keys(newWords).filter(w => !Object.hasOwn(oldWords, w))),
+        removed: sorted(Object.keys(oldWords).filter(w => !Object.hasOwn(newWords, w))),
+    };
+
+    const variants = { added: [], removed: [], changed: [], reordered: [] };
+    for (const word of sorted(Object.keys(newWords))) {
+        if (!Object.hasOwn(oldWords, word)) continue;
+        const result = diffVariants(word, oldWords[word], newWords[word]);
+        for (const key of Object.keys(variants)) variants[key].push(...result[key]);
+    }
+
+    const oldForms = oldGlossary.inflections;
+    const newForms = newGlossary.inflections;
+    const inflections = { added: [], removed: [], changed: [] };
+    for (const form of sorted(new Set([...Object.keys(oldForms), ...Object.keys(newForms)]))) {
+        const before = Object.hasOwn(oldForms, form) ? oldForms[form] : null;
+        const after = Object.hasOwn(newForms, form) ? newForms[form] : null;
+        if (before === after) continue;
+        if (before === null) inflections.added.push({ form, base: after });
+        else if (after === null) inflections.removed.push({ form, base: before });
+        else inflections.changed.push({ form, old: before, new: after });
+    }
+
+    const collisions = [];
+    for (const word of words.added) {
+        if (Object.hasOwn(oldForms, word) && oldForms[word] !== word) {
+            collisions.push({ form: word, kind: 'shadowed', old: oldForms[word], new: word });
+        }
+    }
+    const oldConflicts = conflicts(oldGlossary);
+    for (const [form, base] of conflicts(newGlossary)) {
+        if (oldConflicts.get(form) !== base) {
+            collisions.push({ form, kind: 'conflict', old: base, new: form });
+        }
+    }
+    const order = c => `${c.form}\n${c.kind}`;
+    collisions.sort((a, b) => (order(a) < order(b) ? -1 : order(a) > order(b) ? 1 : 0));
+
+    return { words, variants, inflections, collisions };
+}
+
+/**
+ * How many changes each section of a diff has.
+ *
+ * @param {object} diff
+ * @returns {{ words: number, variants: number, inflections: number, collisions: number }}
+ */
+export function countChanges(diff) {
+    const sum = section => Object.values(section).reduce((n, list) => n + list.length, 0);
+    return {
+        words: sum(diff.words),
+        variants: sum(diff.variants),
+        inflections: sum(diff.inflections),
+        collisions: diff.collisions.length,
+    };
+}
+
+function show(value) {
+    return value === null ? '(none)' : JSON.stringify(value);
+}
+
+/**
+ * A diff as lines of text for a terminal or a review comment.
+ *
+ * @param {object} diff
+ * @param {object} [options]
+ * @param {number} [options.limit=Infinity] - items listed per list
+ * @returns {string[]}
+ */
+export function formatDiff(diff, { limit = Infinity } = {}) {
+    const lines = [];
+    const counts = countChanges(diff);
+
+    const list = (title, items, format) => {
+        if (items.length === 0) return;
+        lines.push(`  ${title} (${items.length}):`);
+        for (const item of items.slice(0, limit)) lines.push(`    ${format(item)}`);
+        if (items.length > limit) lines.push(`    ... and ${items.length - limit} more`);
+    };
+
+    lines.push(`Words: +${diff.words.added.length} -${diff.words.removed.length}`);
+    list('added', diff.words.added, word => word);
+    list('removed', diff.words.removed, word => word);
+
+    lines.push(`Variants: ${counts.variants} changes`);
+    list('added', diff.variants.added, v => `${v.word}: ${v.entryId}`);
+    list('removed', diff.variants.removed, v => `${v.word}: ${v.entryId}`);
+    list('changed', diff.variants.changed, v => `${v.word}: ${v.entryId} ` +
+        Object.entries(v.changes).map(([field, c]) => `${field} ${show(c.old)} → ${show(c.new)}`).join(', '));
+    list('reordered (first is the default sign)', diff.variants.reordered,
+        v => `${v.word}: ${v.old.join(', ')} → ${v.new.join(', ')}`);
+
+    lines.push(`Inflections: +${diff.inflections.added.length} -${diff.inflections.removed.length} ` +
+        `~${diff.inflections.changed.length}`);
+    list('added', diff.inflections.added, i => `${i.form} → ${i.base}`);
+    list('removed', diff.inflections.removed, i => `${i.form} → ${i.base}`);
+    list('changed', diff.inflections.changed, i => `${i.form}: ${i.old} → ${i.new}`);
+
+    lines.push(`New collisions: ${diff.collisions.length}`);
+    list('forms that now resolve to another word', diff.collisions, c => c.kind === 'shadowed'
+        ? `${c.form}: was an inflection of "${c.old}", now its own entry`
+        : `${c.form}: an entry and an inflection of "${c.old}"`);
+
+    return lines;
+}
@@ -0,0 +1,500 @@
+/**
+ * English inflections for the glossary build
+ *
+ * Maps inflected forms to glossary base words ("running" → "run", "ran" →
+ * "run", "children" → "child") so the page can highlight them.
+ *
+ * Forms come from, in order of trust:
+ *   lexicon    — a word-form lexicon file, when one is given: the forms it
+ *                attests for the word, and only those
+ *   rules      — suffix rules (-s, -ed, -ing, -er, -est, -ly, -ness), for
+ *                words the lexicon doesn't list (or without a lexicon)
+ *   irregular  — IRREGULAR_INFLECTIONS, curated forms no lexicon has
+ *                (demonyms, derivations) plus common irregulars
+ *
+ * The lexicon is tab-separated, one form per line:
+ *   lemma <tab> form <tab> part of speech
+ * The part of speech may be a UniMorph feature set (V;PST, N;PL, ADJ;CMPR —
+ * UniMorph's English data is in this format), a Penn Treebank tag (VBD,
+ * NNS, JJR) or a word (verb, noun, adjective). Lines starting with # and
+ * blank lines are skipped; lines that can't be read are reported.
+ *
+ * Usage:
+ *   import { Lexicon, buildInflectionMap } from './lib/morphology.js';
+ *
+ *   const lexicon = await Lexicon.load('archive/word-forms.tsv');
+ *   const { inflections, sources, stats } = buildInflectionMap(glossary, { lexicon });
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+
+// ============================================================
+// Word-form lexicon
+// ============================================================
+
+// Part-of-speech tags → the ASL-LEX lexical classes inflections are made for
+const UNIMORPH_CLASSES = { V: 'Verb', N: 'Noun', ADJ: 'Adjective' };
+const PENN_CLASSES = [[/^VB/, 'Verb'], [/^NN/, 'Noun'], [/^JJ/, 'Adjective']];
+const WORD_CLASSES = { verb: 'Verb', noun: 'Noun', adj: 'Adjective', adjective: 'Adjective' };
+
+/**
+ * The lexical class ('Verb', 'Noun' or 'Adjective') of a lexicon
+ * part-of-speech tag, or null for any other part of speech.
+ *
+ * @param {string} tag
+ * @returns {string|null}
+ */
+export function lexicalClassOf(tag) {
+    const trimmed = tag.trim();
+    if (trimmed.includes(';')) {
+        for (const feature of trimmed.split(';')) {
+            if (UNIMORPH_CLASSES[feature]) return UNIMORPH_CLASSES[feature];
+        }
+        return null;
+    }
+    if (UNIMORPH_CLASSES[trimmed]) return UNIMORPH_CLASSES[trimmed];
+    if (WORD_CLASSES[trimmed.toLowerCase()]) return WORD_CLASSES[trimmed.toLowerCase()];
+    for (const [pattern, lexicalClass] of PENN_CLASSES) {
+        if (pattern.test(trimmed)) return lexicalClass;
+    }
+    return null;
+}
+
+/**
+ * Attested word forms: lemma → lexical class → forms.
+ *
+ * After loading, `report` holds:
+ *   lines     — lines read
+ *   forms     — forms kept
+ *   ignored   — lines for other parts of speech or multi-word forms
+ *   malformed — [{ line, error }] lines that couldn't be read
+ */
+export class Lexicon {
+    constructor() {
+        this.lemmas = new Map();
+        this.words = new Set();
+        this.report = { lines: 0, forms: 0, ignored: 0, malformed: [] };
+    }
+
+    /**
+     * Read a lexicon file as a stream (see the file header).
+     *
+     * @param {string} filePath
+     * @returns {Promise<Lexicon>}
+     */
+    static async load(filePath) {
+        const lexicon = new Lexicon();
+        const lines = readline.createInterface({
+            input: fs.createReadStream(filePath, { encoding: 'utf-8' }),
+            crlfDelay: Infinity,
+        });
+        for await (const line of lines) lexicon.addLine(line);
+        return lexicon;
+    }
+
+    // One line of the file; its number is the count so far
+    addLine(line) {
+        const lineNumber = ++this.report.lines;
+        const text = line.replace(/^\uFEFF/, '');
+        if (text.trim() === '' || text.startsWith('#')) return;
+
+        const fields = text.split('\t');
+        if (fields.length < 3) {
+            this.report.malformed.push({ line: lineNumber, error: `${fields.length} fields, expected 3 (lemma, form, part of speech)` });
+            return;
+        }
+        const [lemma, form, tag] = fields;
+        if (!lemma.trim() || !form.trim()) {
+            this.report.malformed.push({ line: lineNumber, error: 'empty lemma or form' });
+            return;
+        }
+        if (!this.add(lemma, form, tag)) this.report.ignored++;
+    }
+
+    /**
+     * Record that `form` is an inflection of `lemma`.
+     *
+     * @param {string} lemma
+     * @param {string} form
+     * @param {string} tag - part of speech (see lexicalClassOf)
+     * @returns {boolean} false when ignored: another part of speech, or a
+     *   multi-word lemma or form
+     */
+    add(lemma, form, tag) {
+        const lexicalClass = lexicalClassOf(tag);
+        const base = lemma.trim().toLowerCase();
+        const inflected = form.trim().toLowerCase();
+        if (!lexicalClass || /\s/.test(base) || /\s/.test(inflected)) return false;
+
+        this.words.add(base);
+        this.words.add(inflected);
+
+        if (!this.lemmas.has(base)) this.lemmas.set(base, new Map());
+        const classes = this.lemmas.get(base);
+        if (!classes.has(lexicalClass)) classes.set(lexicalClass, new Set());
+        // A form the same as its lemma ("cut" → "cut") still marks the lemma
+        // as known for the class
+        if (inflected !== base && !classes.get(lexicalClass).has(inflected)) {
+            classes.get(lexicalClass).add(inflected);
+            this.report.forms++;
+        }
+        return true;
+    }
+
+    /**
+     * The attested inflections of `lemma` in any of `lexicalClasses`, or
+     * null when the lexicon doesn't list the lemma for any of them.
+     *
+     * @param {string} lemma
+     * @param {string[]} lexicalClasses
+     * @returns {Set<string>|null}
+     */
+    formsOf(lemma, lexicalClasses) {
+        const classes = this.lemmas.get(lemma);
+        if (!classes) return null;
+
+        let forms = null;
+        for (const lexicalClass of lexicalClasses) {
+            if (!classes.has(lexicalClass)) continue;
+            forms ??= new Set();
+            for (const form of classes.get(lexicalClass)) forms.add(form);
+        }
+        return forms;
+    }
+
+    /**
+     * Whether `word` appears in the lexicon, as a lemma or a form.
+     *
+     * @param {string} word
+     * @returns {boolean}
+     */
+    has(word) {
+        return this.words.has(word);
+    }
+}
+
+// ============================================================
+// Suffix rules
+// ============================================================
+
+const VOWELS = new Set('aeiou');
+
+function isVowel(ch) { return VOWELS.has(ch); }
+function isConsonant(ch) { return /[a-z]/.test(ch) && !VOWELS.has(ch); }
+
+// CVC pattern check for consonant doubling (run → running, stop → stopped)
+// Only double for short words (≤4 chars) or known longer words
+const DOUBLE_ALLOWLIST = new Set([
+    'begin', 'forget', 'permit', 'refer', 'occur', 'prefer',
+    'admit', 'commit', 'submit', 'regret', 'omit', 'control', 'patrol'
+]);
+
+function shouldDouble(word) {
+    if (word.length < 3) return false;
+    const last = word[word.length - 1];
+    if ('wxy'.includes(last)) return false;
+    const secondLast = word[word.length - 2];
+    const thirdLast = word[word.length - 3];
+    if (!isConsonant(last) || !isVowel(secondLast) || !isConsonant(thirdLast)) return false;
+    if (word.length <= 4) return true;
+    return DOUBLE_ALLOWLIST.has(word);
+}
+
+// "make", "drive", "hope" — ends in consonant + e
+function endsInSilentE(word) {
+    if (word.length < 3) return false;
+    return word.endsWith('e') && isConsonant(word[word.length - 2]);
+}
+
+// "die", "tie", "lie" — ends in -ie (special case: ie → ying)
+function endsInIE(word) {
+    return word.length >= 3 && word.endsWith('ie');
+}
+
+// "carry", "happy", "try" — ends in consonant + y
+function endsInConsonantY(word) {
+    if (word.length < 3) return false;
+    return word.endsWith('y') && isConsonant(word[word.length - 2]);
+}
+
+// "watch", "bus", "box" — needs -es not -s
+function endsInSibilant(word) {
+    return word.endsWith('s') || word.endsWith('x') || word.endsWith('z') ||
+           word.endsWith('sh') || word.endsWith('ch');
+}
+
+export function generateVerbInflections(word) {
+    const forms = new Set();
+
+    // -s / -es (3rd person singular)
+    if (endsInSibilant(word)) {
+        forms.add(word + 'es');
+    } else if (endsInConsonantY(word)) {
+        forms.add(word.slice(0, -1) + 'ies');
+    } else {
+        forms.add(word + 's');
+    }
+
+    // -ed (past tense)
+    if (endsInIE(word)) {
+        forms.add(word + 'd');              // "die" → "died"
+    } else if (endsInSilentE(word)) {
+        forms.add(word + 'd');              // "make" → "maked" (regular only)
+    } else if (endsInConsonantY(word)) {
+        forms.add(word.slice(0, -1) + 'ied'); // "carry" → "carried"
+    } else if (shouldDouble(word)) {
+        forms.add(word + word[word.length - 1] + 'ed'); // "stop" → "stopped"
+    } else {
+        forms.add(word + 'ed');             // "walk" → "walked"
+    }
+
+    // -ing (present participle)
+    if (endsInIE(word)) {
+        forms.add(word.slice(0, -2) + 'ying'); // "die" → "dying"
+    } else if (endsInSilentE(word)) {
+        forms.add(word.slice(0, -1) + 'ing');  // "make" → "making"
+    } else if (shouldDouble(word)) {
+        forms.add(word + word[word.length - 1] + 'ing'); // "run" → "running"
+    } else {
+        forms.add(word + 'ing');            // "walk" → "walking"
+    }
+
+    // NOTE: -er/-ers deliberately excluded (agent nouns = different ASL sign)
+    return forms;
+}
+
+export function generateNounInflections(word) {
+    const forms = new Set();
+
+    if (endsInSibilant(word)) {
+        forms.add(word + 'es');             // "bus" → "buses"
+    } else if (endsInConsonantY(word)) {
+        forms.add(word.slice(0, -1) + 'ies'); // "city" → "cities"
+    } else if (word.endsWith('fe')) {
+        forms.add(word.slice(0, -2) + 'ves'); // "knife" → "knives"
+        forms.add(word + 's');
+    } else if (word.endsWith('f') && !word.endsWith('ff')) {
+        forms.add(word.slice(0, -1) + 'ves'); // "leaf" → "leaves"
+        forms.add(word + 's');
+    } else {
+        forms.add(word + 's');              // "book" → "books"
+    }
+
+    return forms;
+}
+
+export function generateAdjectiveInflections(word) {
+    const forms = new Set();
+
+    // -er (comparative)
+    if (endsInSilentE(word)) {
+        forms.add(word + 'r');
+    } else if (endsInConsonantY(word)) {
+        forms.add(word.slice(0, -1) + 'ier');
+    } else if (shouldDouble(word)) {
+        forms.add(word + word[word.length - 1] + 'er');
+    } else {
+        forms.add(word + 'er');
+    }
+
+    // -est (superlative)
+    if (endsInSilentE(word)) {
+        forms.add(word + 'st');
+    } else if (endsInConsonantY(word)) {
+        forms.add(word.slice(0, -1) + 'iest');
+    } else if (shouldDouble(word)) {
+        forms.add(word + word[word.length - 1] + 'est');
+    } else {
+        forms.add(word + 'est');
+    }
+
+    // -ly (adverb form)
+    if (endsInConsonantY(word)) {
+        forms.add(word.slice(0, -1) + 'ily');
+    } else if (word.endsWith('le')) {
+        forms.add(word.slice(0, -1) + 'y');
+    } else {
+        forms.add(word + 'ly');
+    }
+
+    // -ness (noun form)
+    if (endsInConsonantY(word)) {
+        forms.add(word.slice(0, -1) + 'iness');
+    } else {
+        forms.add(word + 'ness');
+    }
+
+    return forms;
+}
+
+// Irregular forms — only applied if base word exists in glossary
+export const IRREGULAR_INFLECTIONS = {
+    // Irregular verbs (past tense / past participle)
+    'ran': 'run', 'went': 'go', 'gone': 'go',
+    'came': 'come', 'coming': 'come',
+    'gave': 'give', 'given': 'give',
+    'took': 'take', 'taken': 'take',
+    'told': 'tell', 'said': 'say',
+    'made': 'make', 'done': 'do', 'did': 'do',
+    'seen': 'see', 'knew': 'know', 'known': 'know',
+    'thought': 'think', 'felt': 'feel',
+    'left': 'leave', 'kept': 'keep',
+    'found': 'find', 'sat': 'sit',
+    'stood': 'stand', 'lost': 'lose',
+    'paid': 'pay', 'met': 'meet',
+    'brought': 'bring', 'bought': 'buy',
+    'taught': 'teach', 'caught': 'catch',
+    'built': 'build', 'sent': 'send',
+    'spent': 'spend', 'won': 'win',
+    'wrote': 'write', 'written': 'write',
+    'drove': 'drive', 'driven': 'drive',
+    'ate': 'eat', 'eaten': 'eat',
+    'fell': 'fall', 'fallen': 'fall',
+    'broke': 'break', 'broken': 'break',
+    'chose': 'choose', 'chosen': 'choose',
+    'spoke': 'speak', 'spoken': 'speak',
+    'woke': 'wake', 'woken': 'wake',
+    'forgot': 'forget', 'forgotten': 'forget',
+    'began': 'begin', 'begun': 'begin',
+    'sang': 'sing', 'sung': 'sing',
+    'swam': 'swim', 'swum': 'swim',
+    'threw': 'throw', 'thrown': 'throw',
+    'grew': 'grow', 'grown': 'grow',
+    'drew': 'draw', 'drawn': 'draw',
+    'flew': 'fly', 'flown': 'fly',
+    'wore': 'wear', 'worn': 'wear',
+    'hid': 'hide', 'hidden': 'hide',
+    'bit': 'bite', 'bitten': 'bite',
+    'blew': 'blow', 'blown': 'blow',
+    'drank': 'drink', 'drunk': 'drink',
+    'rode': 'ride', 'ridden': 'ride',
+    'shook': 'shake', 'shaken': 'shake',
+    'fought': 'fight', 'held': 'hold',
+    'hung': 'hang', 'led': 'lead',
+    'shot': 'shoot', 'slept': 'sleep',
+    // Irregular plurals
+    'children': 'child', 'people': 'person',
+    'men': 'man', 'women': 'woman',
+    'teeth': 'tooth', 'feet': 'foot',
+    'mice': 'mouse', 'geese': 'goose',
+    'knives': 'knife', 'wives': 'wife',
+    'lives': 'life', 'wolves': 'wolf',
+    'leaves': 'leaf', 'halves': 'half',
+    // Derivational adjectives (material → adjective)
+    'wooden': 'wood', 'golden': 'gold',
+    // Derivational nouns (championship is same ASL sign as champion)
+    'championship': 'champion',
+    // Singular form of plural-base glossary entry
+    'player': 'players',
+    // Demonyms / nationality adjectives → country entry
+    'american': 'america', 'americans': 'america',
+    'canadian': 'canada', 'canadians': 'canada',
+    'chinese': 'china',
+    'french': 'france',
+    'german': 'germany', 'germans': 'germany',
+    'italian': 'italy', 'italians': 'italy',
+    'japanese': 'japan',
+    'russian': 'russia', 'russians': 'russia',
+    'spanish': 'spain',
+    'african': 'africa', 'africans': 'africa',
+};
+
+// ============================================================
+// Inflection map
+// ============================================================
+
+// Lexical class groups inflected together, with their rules. ASL-LEX
+// classifies by ASL properties, not English parts of speech, and many
+// English words are both noun and verb (book, sign, walk), so either class
+// gets both noun and verb forms. The key safety rule (no -er/-ers agent
+// nouns) holds in both.
+const CLASS_GROUPS = [
+    {
+        classes: ['Noun', 'Verb'],
+        rules: word => [...generateNounInflections(word), ...generateVerbInflections(word)],
+    },
+    {
+        classes: ['Adjective'],
+        rules: word => generateAdjectiveInflections(word),
+    },
+];
+
+/**
+ * Inflected form → base word for every single-word glossary entry.
+ *
+ * A form never overrides a glossary word, and the first base word to claim
+ * a form keeps it.
+ *
+ * @param {Object<string, object[]>} glossary - word → sign entries
+ * @param {object} [options]
+ * @param {Lexicon|null} [options.lexicon] - attested forms; without it,
+ *   every form comes from the rules
+ * @returns {{ inflections: Object<string, string>, sources: Object<string, string>, stats: object }}
+ *   sources: form → 'lexicon', 'rules' or 'irregular'
+ */
+export function buildInflectionMap(glossary, { lexicon = null } = {}) {
+    const inflections = {};
+    const sources = {};
+    const glossaryKeys = new Set(Object.keys(glossary));
+    const stats = { lexicon: 0, rules: 0, irregular: 0, collisions: 0, multiWord: 0, lexiconWords: 0, ruleWords: 0 };
+
+    const claim = (form, word, source) => {
+        // Never override an existing glossary entry
+        if (glossaryKeys.has(form)) {
+            stats.collisions++;
+            return;
+        }
+        // Handle conflicts between base words
+        if (inflections[form]) return;
+        inflections[form] = word;
+        sources[form] = source;
+        stats[source]++;
+    };
+
+    for (const [word, entries] of Object.entries(glossary)) {
+        // Skip multi-word entries (underscored phrases)
+        if (word.includes('_')) {
+            stats.multiWord++;
+            continue;
+        }
+
+        const classes = new Set(entries.map(e => e.lexicalClass));
+        for (const group of CLASS_GROUPS) {
+            if (!group.classes.some(c => classes.has(c))) continue;
+
+            const attested = lexicon?.formsOf(word, group.classes) ?? null;
+            if (attested) {
+                stats.lexiconWords++;
+                for (const form of attested) claim(form, word, 'lexicon');
+            } else {
+                stats.ruleWords++;
+                for (const form of group.rules(word)) claim(form, word, 'rules');
+            }
+        }
+    }
+
+    // Merge irregular forms (only if base word exists in glossary)
+    for (const [inflected, base] of Object.entries(IRREGULAR_INFLECTIONS)) {
+        if (!glossaryKeys.has(base)) continue;
+        claim(inflected, base, 'irregular');
+    }
+
+    return { inflections, sources, stats };
+}
+
+/**
+ * Rule-generated forms the lexicon has never seen — likely not English
+ * ("maked", "bigness"). Sorted by form.
+ *
+ * @param {Object<string, string>} inflections - form → base word
+ * @param {Object<string, string>} sources - form → source (buildInflectionMap)
+ * @param {Lexicon} lexicon
+ * @returns {Array<{ form: string, base: string }>}
+ */
+export function unattestedForms(inflections, sources, lexicon) {
+    return Object.keys(inflections)
+        .filter(form => sources[form] === 'rules' && !lexicon.has(form))
+        .sort()
+        .map(form => ({ form, base: inflections[form] }));
+}
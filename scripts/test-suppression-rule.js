@@ -0,0 +1,220 @@
+/**
+ * Try glossary rules against a sample corpus
+ *
+ * Finds every occurrence of each rule's word (and its inflections) in the
+ * corpus, runs the rules exactly as the highlighter does, and reports how
+ * many matches each rule fires on and how many end up suppressed, so a new
+ * rule can be checked for false positives before it goes into
+ * scripts/data/glossary-rules.json.
+ *
+ * Usage:
+ *   node scripts/test-suppression-rule.js [options] [corpus files...]
+ *
+ * Options:
+ *   --rule '<json>'    A single rule to try (repeatable), e.g.
+ *                      '{"word":"degree","action":"suppress","right":["of"]}'
+ *   --rules <file>     Rules file (default: scripts/data/glossary-rules.json)
+ *   --word <word>      Only rules for this word
+ *   --glossary <file>  Glossary for inflected forms
+ *                      (default: archive/asl-lex-glossary.json, if built)
+ *   --show <n>         Example matches to print per word (default: 5)
+ *
+ * Corpus files are plain text or HTML (tags are stripped). With none given,
+ * the test articles in Test/ are used.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RULES_FORMAT, RULES_VERSION } from '../Test/js/model/glossary-rules.js';
+import { wordResolver } from '../Test/js/model/word-resolver.js';
+import { buildWordRegex } from '../Test/js/model/text-matcher.js';
+import { readGlossary } from '../Test/js/model/glossary-format.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Paths
+const DEFAULT_RULES_PATH = path.join(__dirname, 'data/glossary-rules.json');
+const DEFAULT_GLOSSARY_PATH = path.join(__dirname, '../archive/asl-lex-glossary.json');
+const DEFAULT_CORPUS = [
+    path.join(__dirname, '../Test/asl_article.html'),
+    path.join(__dirname, '../Test/bat_article.html'),
+];
+
+// Characters of context printed either side of an example match
+const EXAMPLE_CONTEXT = 40;
+
+function parseArgs(argv) {
+    const options = { rules: [], rulesPath: null, word: null, glossaryPath: null, show: 5, corpus: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--rule') options.rules.push(JSON.parse(value()));
+        else if (arg === '--rules') options.rulesPath = value();
+        else if (arg === '--word') options.word = value().toLowerCase();
+        else if (arg === '--glossary') options.glossaryPath = value();
+        else if (arg === '--show') options.show = Number(value());
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.corpus.push(arg);
+    }
+
+    return options;
+}
+
+// HTML → text, with block elements on their own lines
+function readCorpusFile(file) {
+    const content = fs.readFileSync(file, 'utf-8');
+    if (!/\.html?$/i.test(file)) return content;
+
+    return content
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<\/?(p|div|li|h[1-6]|br|tr|td|th|section|article|blockquote)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'");
+}
+
+// Every surface form of a word: the word plus its inflections from the
+// glossary, or a plain plural guess without one
+function formsOf(word, inflectionMap) {
+    const spaced = word.replace(/_/g, ' ');
+    if (!inflectionMap) return [spaced, `${spaced}s`, `${spaced}es`];
+
+    const forms = [spaced];
+    for (const [inflected, base] of Object.entries(inflectionMap)) {
+        if (base === word) forms.push(inflected);
+    }
+    return forms;
+}
+
+function describeRule(rule) {
+    const parts = [rule.action];
+    if (rule.variant) parts.push(rule.variant);
+    if (rule.left) parts.push(`left [${rule.left.join(' ')}]`);
+    if (rule.right) parts.push(`right [${rule.right.join(' ')}]`);
+    if (rule.near) parts.push(`near [${rule.near.join(', ')}] within ${rule.within ?? 3}`);
+    return parts.join(' ');
+}
+
+function excerpt(text, start, end) {
+    const before = text.slice(Math.max(0, start - EXAMPLE_CONTEXT), start);
+    const after = text.slice(end, end + EXAMPLE_CONTEXT);
+    const clean = (s) => s.replace(/\s+/g, ' ');
+    return `...${clean(before)}«${text.slice(start, end)}»${clean(after)}...`;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log('Usage: node scripts/test-suppression-rule.js [--rule <json>] [--rules <file>] ' +
+            '[--word <word>] [--glossary <file>] [--show <n>] [corpus files...]');
+        return;
+    }
+
+    // Rules
+    const rulesFile = options.rules.length > 0
+        ? { format: RULES_FORMAT, version: RULES_VERSION, rules: options.rules }
+        : JSON.parse(fs.readFileSync(options.rulesPath || DEFAULT_RULES_PATH, 'utf-8'));
+
+    const result = wordResolver.setRules(rulesFile);
+    if (!result.valid) {
+        console.error(`Invalid rules: ${result.error}`);
+        process.exit(1);
+    }
+
+    const words = Object.keys(result.rules).filter(w => !options.word || w === options.word);
+    if (words.length === 0) {
+        console.error(options.word ? `No rules for "${options.word}"` : 'No rules to test');
+        process.exit(1);
+    }
+
+    // Inflections
+    const glossaryPath = options.glossaryPath || DEFAULT_GLOSSARY_PATH;
+    let inflectionMap = null;
+    if (fs.existsSync(glossaryPath)) {
+        const glossary = readGlossary(JSON.parse(fs.readFileSync(glossaryPath, 'utf-8')));
+        if (!glossary.valid) {
+            console.error(`Invalid glossary ${glossaryPath}: ${glossary.error}`);
+            process.exit(1);
+        }
+        inflectionMap = glossary.glossary.inflections;
+    } else {
+        console.log('Glossary not found - matching each word plus -s/-es only.\n');
+    }
+
+    // Corpus
+    const corpusFiles = options.corpus.length > 0 ? options.corpus : DEFAULT_CORPUS;
+    const corpus = corpusFiles.map(file => ({ name: path.basename(file), text: readCorpusFile(file) }));
+
+    console.log(`=== Glossary rules vs ${corpus.length} corpus file(s) ===`);
+
+    for (const word of words) {
+        const rules = result.rules[word];
+        const forms = formsOf(word, inflectionMap);
+        // The highlighter's own word matching
+        const regex = buildWordRegex(forms);
+
+        const fired = new Array(rules.length).fill(0);
+        const variantCounts = {};
+        const examples = [];
+        let matches = 0;
+        let suppressed = 0;
+
+        for (const { name, text } of corpus) {
+            for (const m of text.matchAll(regex)) {
+                const start = m.index;
+                const end = start + m[0].length;
+                matches++;
+
+                const outcome = wordResolver.evaluateRules(word, text, start, end);
+                rules.forEach((rule, i) => {
+                    if (outcome.fired.includes(rule.source)) fired[i]++;
+                });
+                for (const id of outcome.forceVariants) variantCounts[`forced ${id}`] = (variantCounts[`forced ${id}`] || 0) + 1;
+                for (const id of outcome.suppressVariants) variantCounts[`ruled out ${id}`] = (variantCounts[`ruled out ${id}`] || 0) + 1;
+                if (outcome.suppressed) suppressed++;
+
+                if (outcome.fired.length > 0 && examples.length < options.show) {
+                    const label = outcome.suppressed ? 'suppressed' : 'fired';
+                    examples.push(`    [${label}] ${name}: ${excerpt(text, start, end)}`);
+                }
+            }
+        }
+
+        console.log(`\n${word} — ${matches} match(es) (${forms.length} form(s))`);
+        rules.forEach((rule, i) => {
+            console.log(`  rule: ${describeRule(rule.source)}  → fired ${fired[i]}`);
+        });
+        for (const [label, count] of Object.entries(variantCounts)) {
+            console.log(`  ${label}: ${count}`);
+        }
+
+        const percent = matches > 0 ? Math.round((suppressed / matches) * 100) : 0;
+        console.log(`  suppressed ${suppressed} of ${matches} (${percent}%), still highlighted ${matches - suppressed}`);
+
+        if (examples.length > 0) {
+            console.log('  examples:');
+            for (const line of examples) console.log(line);
+        }
+    }
+}
+
+main();